@@ -0,0 +1,907 @@
+import { JSDOM } from 'jsdom';
+
+import { ColorSpaceTransformationEngine } from './ColorScience.js';
+import { formatTokenName } from './TokenValues.js';
+import {
+    ARIA_ROLES,
+    ARIA_ATTRIBUTES,
+    REQUIRED_ARIA_ATTRIBUTES,
+    LABELABLE_ELEMENTS,
+    inlineStyle,
+    normalizeWhitespace,
+    AriaSemanticsResolver
+} from './AriaSemantics.js';
+
+const SEVERITY_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+const CONFORMANCE_LEVELS = ['A', 'AA', 'AAA'];
+const STANDARD_PATTERN = /^WCAG_(2)_([012])_(A{1,3})$/;
+
+const SUCCESS_CRITERIA = {
+    '1.1.1': { name: 'Non-text Content', level: 'A', since: '2.0' },
+    '1.2.1': { name: 'Audio-only and Video-only (Prerecorded)', level: 'A', since: '2.0' },
+    '1.2.2': { name: 'Captions (Prerecorded)', level: 'A', since: '2.0' },
+    '1.2.3': { name: 'Audio Description or Media Alternative (Prerecorded)', level: 'A', since: '2.0' },
+    '1.2.4': { name: 'Captions (Live)', level: 'AA', since: '2.0' },
+    '1.2.5': { name: 'Audio Description (Prerecorded)', level: 'AA', since: '2.0' },
+    '1.2.6': { name: 'Sign Language (Prerecorded)', level: 'AAA', since: '2.0' },
+    '1.2.7': { name: 'Extended Audio Description (Prerecorded)', level: 'AAA', since: '2.0' },
+    '1.2.8': { name: 'Media Alternative (Prerecorded)', level: 'AAA', since: '2.0' },
+    '1.2.9': { name: 'Audio-only (Live)', level: 'AAA', since: '2.0' },
+    '1.3.1': { name: 'Info and Relationships', level: 'A', since: '2.0' },
+    '1.3.2': { name: 'Meaningful Sequence', level: 'A', since: '2.0' },
+    '1.3.3': { name: 'Sensory Characteristics', level: 'A', since: '2.0' },
+    '1.3.4': { name: 'Orientation', level: 'AA', since: '2.1' },
+    '1.3.5': { name: 'Identify Input Purpose', level: 'AA', since: '2.1' },
+    '1.3.6': { name: 'Identify Purpose', level: 'AAA', since: '2.1' },
+    '1.4.1': { name: 'Use of Color', level: 'A', since: '2.0' },
+    '1.4.2': { name: 'Audio Control', level: 'A', since: '2.0' },
+    '1.4.3': { name: 'Contrast (Minimum)', level: 'AA', since: '2.0' },
+    '1.4.4': { name: 'Resize Text', level: 'AA', since: '2.0' },
+    '1.4.5': { name: 'Images of Text', level: 'AA', since: '2.0' },
+    '1.4.6': { name: 'Contrast (Enhanced)', level: 'AAA', since: '2.0' },
+    '1.4.7': { name: 'Low or No Background Audio', level: 'AAA', since: '2.0' },
+    '1.4.8': { name: 'Visual Presentation', level: 'AAA', since: '2.0' },
+    '1.4.9': { name: 'Images of Text (No Exception)', level: 'AAA', since: '2.0' },
+    '1.4.10': { name: 'Reflow', level: 'AA', since: '2.1' },
+    '1.4.11': { name: 'Non-text Contrast', level: 'AA', since: '2.1' },
+    '1.4.12': { name: 'Text Spacing', level: 'AA', since: '2.1' },
+    '1.4.13': { name: 'Content on Hover or Focus', level: 'AA', since: '2.1' },
+    '2.1.1': { name: 'Keyboard', level: 'A', since: '2.0' },
+    '2.1.2': { name: 'No Keyboard Trap', level: 'A', since: '2.0' },
+    '2.1.3': { name: 'Keyboard (No Exception)', level: 'AAA', since: '2.0' },
+    '2.1.4': { name: 'Character Key Shortcuts', level: 'A', since: '2.1' },
+    '2.2.1': { name: 'Timing Adjustable', level: 'A', since: '2.0' },
+    '2.2.2': { name: 'Pause, Stop, Hide', level: 'A', since: '2.0' },
+    '2.2.3': { name: 'No Timing', level: 'AAA', since: '2.0' },
+    '2.2.4': { name: 'Interruptions', level: 'AAA', since: '2.0' },
+    '2.2.5': { name: 'Re-authenticating', level: 'AAA', since: '2.0' },
+    '2.2.6': { name: 'Timeouts', level: 'AAA', since: '2.1' },
+    '2.3.1': { name: 'Three Flashes or Below Threshold', level: 'A', since: '2.0' },
+    '2.3.2': { name: 'Three Flashes', level: 'AAA', since: '2.0' },
+    '2.3.3': { name: 'Animation from Interactions', level: 'AAA', since: '2.1' },
+    '2.4.1': { name: 'Bypass Blocks', level: 'A', since: '2.0' },
+    '2.4.2': { name: 'Page Titled', level: 'A', since: '2.0' },
+    '2.4.3': { name: 'Focus Order', level: 'A', since: '2.0' },
+    '2.4.4': { name: 'Link Purpose (In Context)', level: 'A', since: '2.0' },
+    '2.4.5': { name: 'Multiple Ways', level: 'AA', since: '2.0' },
+    '2.4.6': { name: 'Headings and Labels', level: 'AA', since: '2.0' },
+    '2.4.7': { name: 'Focus Visible', level: 'AA', since: '2.0' },
+    '2.4.8': { name: 'Location', level: 'AAA', since: '2.0' },
+    '2.4.9': { name: 'Link Purpose (Link Only)', level: 'AAA', since: '2.0' },
+    '2.4.10': { name: 'Section Headings', level: 'AAA', since: '2.0' },
+    '2.4.11': { name: 'Focus Not Obscured (Minimum)', level: 'AA', since: '2.2' },
+    '2.4.12': { name: 'Focus Not Obscured (Enhanced)', level: 'AAA', since: '2.2' },
+    '2.4.13': { name: 'Focus Appearance', level: 'AAA', since: '2.2' },
+    '2.5.1': { name: 'Pointer Gestures', level: 'A', since: '2.1' },
+    '2.5.2': { name: 'Pointer Cancellation', level: 'A', since: '2.1' },
+    '2.5.3': { name: 'Label in Name', level: 'A', since: '2.1' },
+    '2.5.4': { name: 'Motion Actuation', level: 'A', since: '2.1' },
+    '2.5.5': { name: 'Target Size (Enhanced)', level: 'AAA', since: '2.1' },
+    '2.5.6': { name: 'Concurrent Input Mechanisms', level: 'AAA', since: '2.1' },
+    '2.5.7': { name: 'Dragging Movements', level: 'AA', since: '2.2' },
+    '2.5.8': { name: 'Target Size (Minimum)', level: 'AA', since: '2.2' },
+    '3.1.1': { name: 'Language of Page', level: 'A', since: '2.0' },
+    '3.1.2': { name: 'Language of Parts', level: 'AA', since: '2.0' },
+    '3.1.3': { name: 'Unusual Words', level: 'AAA', since: '2.0' },
+    '3.1.4': { name: 'Abbreviations', level: 'AAA', since: '2.0' },
+    '3.1.5': { name: 'Reading Level', level: 'AAA', since: '2.0' },
+    '3.1.6': { name: 'Pronunciation', level: 'AAA', since: '2.0' },
+    '3.2.1': { name: 'On Focus', level: 'A', since: '2.0' },
+    '3.2.2': { name: 'On Input', level: 'A', since: '2.0' },
+    '3.2.3': { name: 'Consistent Navigation', level: 'AA', since: '2.0' },
+    '3.2.4': { name: 'Consistent Identification', level: 'AA', since: '2.0' },
+    '3.2.5': { name: 'Change on Request', level: 'AAA', since: '2.0' },
+    '3.2.6': { name: 'Consistent Help', level: 'A', since: '2.2' },
+    '3.3.1': { name: 'Error Identification', level: 'A', since: '2.0' },
+    '3.3.2': { name: 'Labels or Instructions', level: 'A', since: '2.0' },
+    '3.3.3': { name: 'Error Suggestion', level: 'AA', since: '2.0' },
+    '3.3.4': { name: 'Error Prevention (Legal, Financial, Data)', level: 'AA', since: '2.0' },
+    '3.3.5': { name: 'Help', level: 'AAA', since: '2.0' },
+    '3.3.6': { name: 'Error Prevention (All)', level: 'AAA', since: '2.0' },
+    '3.3.7': { name: 'Redundant Entry', level: 'A', since: '2.2' },
+    '3.3.8': { name: 'Accessible Authentication (Minimum)', level: 'AA', since: '2.2' },
+    '3.3.9': { name: 'Accessible Authentication (Enhanced)', level: 'AAA', since: '2.2' },
+    '4.1.1': { name: 'Parsing', level: 'A', since: '2.0', until: '2.1' },
+    '4.1.2': { name: 'Name, Role, Value', level: 'A', since: '2.0' },
+    '4.1.3': { name: 'Status Messages', level: 'AA', since: '2.1' }
+};
+
+const NAMED_COLORS = {
+    transparent: 'rgba(0, 0, 0, 0)',
+    black: '#000000',
+    silver: '#c0c0c0',
+    gray: '#808080',
+    grey: '#808080',
+    white: '#ffffff',
+    maroon: '#800000',
+    red: '#ff0000',
+    purple: '#800080',
+    fuchsia: '#ff00ff',
+    green: '#008000',
+    lime: '#00ff00',
+    olive: '#808000',
+    yellow: '#ffff00',
+    navy: '#000080',
+    blue: '#0000ff',
+    teal: '#008080',
+    aqua: '#00ffff',
+    orange: '#ffa500'
+};
+
+const DEFAULT_HEADING_SIZES = { h1: 32, h2: 24, h3: 18.72, h4: 16, h5: 13.28, h6: 10.72 };
+const FORM_CONTROL_SELECTOR = 'input:not([type="hidden"]):not([type="submit"]):not([type="reset"]):not([type="button"]):not([type="image"]), select, textarea';
+const ID_REFERENCE_ATTRIBUTES = ['for', 'aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'aria-errormessage', 'aria-details', 'aria-flowto'];
+const INTERACTIVE_ROLES = new Set([
+    'button', 'checkbox', 'combobox', 'link', 'listbox', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option',
+    'radio', 'searchbox', 'slider', 'spinbutton', 'switch', 'tab', 'textbox', 'treeitem'
+]);
+const DIALOG_ROLES = new Set(['dialog', 'alertdialog']);
+const NATIVELY_INTERACTIVE_SELECTOR = 'a[href], area[href], button, input, select, textarea, summary, label, [contenteditable="true"]';
+
+function parseStandard(standard) {
+    const match = String(standard).match(STANDARD_PATTERN);
+    if (!match) {
+        throw new RangeError(`Unsupported accessibility standard '${standard}' (expected e.g. WCAG_2_1_AA)`);
+    }
+    return { id: standard, version: `${match[1]}.${match[2]}`, level: match[3] };
+}
+
+function describeCriterion(criterionId) {
+    const { name, level } = SUCCESS_CRITERIA[criterionId];
+    return { id: criterionId, name, level };
+}
+
+function criterionApplies(criterionId, { version, level }) {
+    const criterion = SUCCESS_CRITERIA[criterionId];
+    return CONFORMANCE_LEVELS.indexOf(criterion.level) <= CONFORMANCE_LEVELS.indexOf(level)
+        && criterion.since <= version
+        && (!criterion.until || version <= criterion.until);
+}
+
+function criteriaFor(criteria, standards) {
+    const parsed = standards.map(parseStandard);
+    return criteria.filter(criterion => parsed.some(standard => criterionApplies(criterion, standard)));
+}
+
+function selectorOf(element) {
+    const parts = [];
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        if (node.id && [...node.getRootNode().querySelectorAll('[id]')].filter(other => other.id === node.id).length === 1) {
+            parts.unshift(`#${node.id.replace(/([^\w-])/g, '\\$1')}`);
+            break;
+        }
+        const siblings = node.parentElement ? [...node.parentElement.children].filter(child => child.localName === node.localName) : [];
+        parts.unshift(siblings.length > 1 ? `${node.localName}:nth-of-type(${siblings.indexOf(node) + 1})` : node.localName);
+        if (node.localName === 'body') {
+            break;
+        }
+    }
+    const root = element.getRootNode();
+    return root.host ? `${selectorOf(root.host)} >>> ${parts.join(' > ')}` : parts.join(' > ');
+}
+
+function snippetOf(element) {
+    const html = element.outerHTML;
+    const openingTag = html.slice(0, html.indexOf('>') + 1);
+    return openingTag.length > 160 ? `${openingTag.slice(0, 157)}...` : openingTag;
+}
+
+function customPropertiesFrom(tokens) {
+    const properties = new Map();
+    if (!tokens) {
+        return properties;
+    }
+    if (tokens instanceof Map) {
+        for (const categoryTokens of tokens.values()) {
+            for (const token of categoryTokens.values()) {
+                if (typeof token.value === 'string') {
+                    properties.set(`--${formatTokenName(token.segments, 'kebab')}`, token.value);
+                }
+            }
+        }
+        return properties;
+    }
+    for (const [name, value] of Object.entries(tokens)) {
+        properties.set(name.startsWith('--') ? name : `--${formatTokenName(name.split('.'), 'kebab')}`, String(value));
+    }
+    return properties;
+}
+
+function isDisabled(element) {
+    return Boolean(element.closest('[disabled], [aria-disabled="true"]'));
+}
+
+function describeFinding(result, { element, message, data }) {
+    return {
+        ruleId: result.rule.id,
+        ruleVersion: result.rule.version,
+        successCriteria: result.criteria.map(describeCriterion),
+        severity: result.rule.severity,
+        userGroups: result.rule.userGroups,
+        message,
+        selector: selectorOf(element),
+        snippet: snippetOf(element),
+        ...(data && { data })
+    };
+}
+
+function isScriptedComponent(component) {
+    return typeof component === 'function' || (typeof component?.render === 'function' && component.html === undefined && component.markup === undefined);
+}
+
+async function renderComponentMarkup(component) {
+    const source = typeof component === 'string' || typeof component === 'function'
+        ? { render: component }
+        : { ...component, render: component?.html ?? component?.markup ?? component?.render };
+    if (source.render === undefined || source.render === null) {
+        throw new TypeError('Component must be an HTML string, a render function, or an object with html/markup/render');
+    }
+
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>');
+    const { document } = dom.window;
+    let rendered = source.render;
+    if (typeof rendered === 'function') {
+        rendered = await rendered({ document, window: dom.window, props: source.props ?? {} });
+    }
+
+    if (typeof rendered === 'string') {
+        if (/^\s*(<!doctype|<html)/i.test(rendered)) {
+            return { name: source.name ?? null, version: source.version ?? null, dom: new JSDOM(rendered) };
+        }
+        document.body.innerHTML = rendered;
+    } else if (rendered && typeof rendered === 'object' && 'nodeType' in rendered) {
+        if (!rendered.isConnected) {
+            document.body.append(rendered);
+        }
+    } else if (rendered !== undefined) {
+        throw new TypeError('Component render function must return an HTML string or a DOM node');
+    }
+    return { name: source.name ?? null, version: source.version ?? null, dom };
+}
+
+class StyleResolver {
+    #properties;
+    #colors = new ColorSpaceTransformationEngine();
+
+    constructor(tokenProperties) {
+        this.#properties = tokenProperties;
+    }
+
+    computed(element, property) {
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            const value = inlineStyle(node, property);
+            if (value !== null && value !== 'inherit') {
+                return this.resolve(value, node);
+            }
+        }
+        return null;
+    }
+
+    resolve(value, element, depth = 0) {
+        if (depth > 10) {
+            return value;
+        }
+        return value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\))?[^()]*))?\)/g, (match, name, fallback) => {
+            for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+                const declared = inlineStyle(node, name);
+                if (declared !== null) {
+                    return this.resolve(declared, node, depth + 1);
+                }
+            }
+            if (this.#properties.has(name)) {
+                return this.resolve(this.#properties.get(name), element, depth + 1);
+            }
+            return fallback === undefined ? match : this.resolve(fallback.trim(), element, depth + 1);
+        });
+    }
+
+    color(value) {
+        if (!value) {
+            return null;
+        }
+        const normalized = NAMED_COLORS[value.trim().toLowerCase()] ?? value.trim();
+        try {
+            return this.#colors.toSrgb(normalized);
+        } catch {
+            return null;
+        }
+    }
+
+    backgroundOf(element) {
+        let layers = [];
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            const image = inlineStyle(node, 'background-image') ?? (/(url|gradient)\(/i.test(inlineStyle(node, 'background') ?? '') ? 'image' : null);
+            if (image && image !== 'none') {
+                return { color: null, reason: 'background image' };
+            }
+            const declared = inlineStyle(node, 'background-color') ?? inlineStyle(node, 'background');
+            if (declared === null) {
+                continue;
+            }
+            const color = this.color(this.resolve(declared, node));
+            if (!color) {
+                return { color: null, reason: `unresolved background '${declared}'` };
+            }
+            layers.push(color);
+            if (color.alpha >= 1) {
+                break;
+            }
+        }
+        layers = layers.reverse();
+        return { color: layers.reduce((below, layer) => this.blend(layer, below), { r: 1, g: 1, b: 1, alpha: 1 }) };
+    }
+
+    blend(top, bottom) {
+        const alpha = top.alpha ?? 1;
+        return {
+            r: top.r * alpha + bottom.r * (1 - alpha),
+            g: top.g * alpha + bottom.g * (1 - alpha),
+            b: top.b * alpha + bottom.b * (1 - alpha),
+            alpha: 1
+        };
+    }
+
+    fontSize(element) {
+        const declared = this.computed(element, 'font-size');
+        const match = declared?.match(/^(\d*\.?\d+)(px|pt|rem|em)$/);
+        if (match) {
+            const value = Number(match[1]);
+            return { px: 1, pt: 4 / 3, rem: 16, em: 16 }[match[2]] * value;
+        }
+        const heading = element.closest('h1, h2, h3, h4, h5, h6');
+        return heading ? DEFAULT_HEADING_SIZES[heading.localName] : 16;
+    }
+
+    isBold(element) {
+        const weight = this.computed(element, 'font-weight');
+        if (weight) {
+            return weight === 'bold' || weight === 'bolder' || Number(weight) >= 700;
+        }
+        return Boolean(element.closest('b, strong, th, h1, h2, h3, h4, h5, h6'));
+    }
+
+    contrastRatio(foreground, background) {
+        return this.#colors.contrastRatio(foreground, background);
+    }
+
+    hex(color) {
+        return this.#colors.toHex(color);
+    }
+}
+
+function textColorPairs({ document, semantics, styles }) {
+    const checked = new Set();
+    const pairs = [];
+    const walker = document.createTreeWalker(document.body, 4);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const element = node.parentElement;
+        if (!element || checked.has(element) || !normalizeWhitespace(node.textContent) || semantics.isHidden(element) || isDisabled(element)) {
+            continue;
+        }
+        checked.add(element);
+
+        const background = styles.backgroundOf(element);
+        const foregroundValue = styles.computed(element, 'color') ?? '#000000';
+        const foreground = styles.color(foregroundValue);
+        if (!background.color || !foreground) {
+            pairs.push({ element, reason: background.reason ?? `unresolved color '${foregroundValue}'` });
+            continue;
+        }
+
+        const fontSize = styles.fontSize(element);
+        pairs.push({
+            element,
+            foreground: styles.blend(foreground, background.color),
+            background: background.color,
+            fontSize,
+            large: fontSize >= 24 || (fontSize >= 18.66 && styles.isBold(element))
+        });
+    }
+    return pairs;
+}
+
+function contrastRule({ id, criterion, severity, requirements }) {
+    return {
+        id,
+        version: '1.0.0',
+        criteria: [criterion],
+        severity,
+        userGroups: ['visual'],
+        description: `Text must meet the ${SUCCESS_CRITERIA[criterion].name} ratio against its background`,
+        evaluate(context) {
+            const { styles } = context;
+            const pairs = textColorPairs(context);
+            const violations = [];
+            const incomplete = [];
+            for (const { element, reason, foreground, background, fontSize, large } of pairs) {
+                if (reason) {
+                    incomplete.push({ element, message: `Contrast could not be determined (${reason})` });
+                    continue;
+                }
+
+                const required = large ? requirements.large : requirements.normal;
+                const ratio = styles.contrastRatio(foreground, background);
+                if (ratio < required) {
+                    violations.push({
+                        element,
+                        message: `Text contrast ${ratio.toFixed(2)}:1 is below the required ${required}:1`,
+                        data: {
+                            ratio: Number(ratio.toFixed(2)),
+                            required,
+                            large,
+                            fontSize,
+                            foreground: styles.hex(foreground),
+                            background: styles.hex(background)
+                        }
+                    });
+                }
+            }
+            return { applicable: pairs.length, violations, incomplete };
+        }
+    };
+}
+
+const WCAG_AUTOMATED_RULES = [
+    {
+        id: 'image-alt',
+        version: '1.0.0',
+        criteria: ['1.1.1'],
+        severity: 'critical',
+        userGroups: ['visual', 'cognitive'],
+        description: 'Images must have a text alternative or be marked as decorative',
+        evaluate({ document, semantics }) {
+            const images = [...document.querySelectorAll('img, input[type="image"], area[href], svg[role="img"], [role="img"]')]
+                .filter(element => !semantics.isHidden(element))
+                .filter(element => !['presentation', 'none'].includes(semantics.explicitRole(element)));
+            const violations = images
+                .filter(element => element.localName === 'img' ? !element.hasAttribute('alt') && !semantics.nameOf(element) : !semantics.nameOf(element))
+                .map(element => ({ element, message: `${element.localName === 'img' ? 'Image' : 'Graphic'} has no text alternative; add alt text, or alt="" if decorative` }));
+            return { applicable: images.length, violations };
+        }
+    },
+    {
+        id: 'accessible-name',
+        version: '1.0.0',
+        criteria: ['4.1.2'],
+        severity: 'critical',
+        userGroups: ['visual', 'motor'],
+        description: 'Interactive elements must have an accessible name',
+        evaluate({ document, semantics }) {
+            const candidates = [...document.body.querySelectorAll('*')]
+                .filter(element => !semantics.isHidden(element) && INTERACTIVE_ROLES.has(semantics.roleOf(element)))
+                .filter(element => !(element.matches(FORM_CONTROL_SELECTOR) && !element.hasAttribute('role')));
+            const violations = candidates
+                .filter(element => !semantics.nameOf(element))
+                .map(element => ({ element, message: `Element with role '${semantics.roleOf(element)}' has no accessible name` }));
+
+            const dialogs = [...document.body.querySelectorAll('dialog, [role="dialog"], [role="alertdialog"]')]
+                .filter(element => !semantics.isHidden(element) && DIALOG_ROLES.has(semantics.roleOf(element)));
+            violations.push(...dialogs
+                .filter(element => !semantics.nameOf(element))
+                .map(element => ({ element, message: 'Dialog has no accessible name; reference its title with aria-labelledby' })));
+            return { applicable: candidates.length + dialogs.length, violations };
+        }
+    },
+    {
+        id: 'click-target-semantics',
+        version: '1.0.0',
+        criteria: ['2.1.1', '4.1.2'],
+        severity: 'serious',
+        userGroups: ['visual', 'motor'],
+        description: 'Elements with click handlers must expose an interactive role and be keyboard focusable',
+        evaluate({ document, semantics }) {
+            const clickable = [...document.body.querySelectorAll('[onclick]')]
+                .filter(element => !element.matches(NATIVELY_INTERACTIVE_SELECTOR) && !semantics.isHidden(element));
+            const violations = [];
+            for (const element of clickable) {
+                const problems = [
+                    !INTERACTIVE_ROLES.has(semantics.roleOf(element)) && 'has no interactive role',
+                    !element.hasAttribute('tabindex') && 'is not keyboard focusable'
+                ].filter(Boolean);
+                if (problems.length > 0) {
+                    violations.push({ element, message: `Clickable <${element.localName}> ${problems.join(' and ')}` });
+                }
+            }
+            return { applicable: clickable.length, violations };
+        }
+    },
+    {
+        id: 'aria-valid-role',
+        version: '1.0.0',
+        criteria: ['4.1.2'],
+        severity: 'serious',
+        userGroups: ['visual'],
+        description: 'role attributes must contain a valid, non-abstract ARIA role',
+        evaluate({ document }) {
+            const elements = [...document.querySelectorAll('[role]')];
+            const violations = elements
+                .filter(element => !element.getAttribute('role').trim().toLowerCase().split(/\s+/).some(token => ARIA_ROLES.has(token)))
+                .map(element => ({ element, message: `'${element.getAttribute('role')}' is not a valid ARIA role` }));
+            return { applicable: elements.length, violations };
+        }
+    },
+    {
+        id: 'aria-valid-attr',
+        version: '1.0.0',
+        criteria: ['4.1.2'],
+        severity: 'serious',
+        userGroups: ['visual'],
+        description: 'aria-* attributes must be defined by WAI-ARIA and carry valid values',
+        evaluate({ document }) {
+            const violations = [];
+            let applicable = 0;
+            for (const element of document.querySelectorAll('*')) {
+                for (const { name, value } of element.attributes) {
+                    if (!name.startsWith('aria-')) {
+                        continue;
+                    }
+                    applicable += 1;
+                    const definition = ARIA_ATTRIBUTES[name];
+                    if (!definition) {
+                        violations.push({ element, message: `'${name}' is not a WAI-ARIA attribute` });
+                        continue;
+                    }
+                    const problem = this.validateValue(definition, value.trim(), element);
+                    if (problem) {
+                        violations.push({ element, message: `${name}="${value}": ${problem}` });
+                    }
+                }
+            }
+            return { applicable, violations };
+        },
+        validateValue(definition, value, element) {
+            const root = element.getRootNode();
+            switch (definition.type) {
+                case 'boolean':
+                    return ['true', 'false'].includes(value) ? null : 'expected true or false';
+                case 'tristate':
+                    return ['true', 'false', 'mixed'].includes(value) ? null : 'expected true, false or mixed';
+                case 'integer':
+                    return /^-?\d+$/.test(value) ? null : 'expected an integer';
+                case 'number':
+                    return value !== '' && Number.isFinite(Number(value)) ? null : 'expected a number';
+                case 'token':
+                    return definition.values.includes(value) ? null : `expected one of ${definition.values.join(', ')}`;
+                case 'tokens':
+                    return value.split(/\s+/).every(token => definition.values.includes(token)) ? null : `expected tokens from ${definition.values.join(', ')}`;
+                case 'idref':
+                case 'idrefs': {
+                    const ids = value.split(/\s+/).filter(Boolean);
+                    const missing = ids.filter(id => !root.getElementById(id));
+                    if (ids.length === 0) {
+                        return 'expected an element id';
+                    }
+                    return missing.length === ids.length ? `no element with id ${missing.map(id => `'${id}'`).join(', ')}` : null;
+                }
+                default:
+                    return null;
+            }
+        }
+    },
+    {
+        id: 'aria-required-attr',
+        version: '1.0.0',
+        criteria: ['4.1.2'],
+        severity: 'critical',
+        userGroups: ['visual'],
+        description: 'Elements with an explicit ARIA role must expose the states that role requires',
+        evaluate({ document, semantics }) {
+            const elements = [...document.querySelectorAll('[role]')]
+                .filter(element => REQUIRED_ARIA_ATTRIBUTES[semantics.explicitRole(element)])
+                .filter(element => semantics.implicitRole(element) !== semantics.explicitRole(element));
+            const violations = [];
+            for (const element of elements) {
+                const role = semantics.explicitRole(element);
+                const missing = REQUIRED_ARIA_ATTRIBUTES[role].filter(attribute => !element.hasAttribute(attribute));
+                if (missing.length > 0) {
+                    violations.push({ element, message: `role '${role}' requires ${missing.join(', ')}` });
+                }
+            }
+            return { applicable: elements.length, violations };
+        }
+    },
+    {
+        id: 'aria-hidden-focus',
+        version: '1.0.0',
+        criteria: ['4.1.2'],
+        severity: 'serious',
+        userGroups: ['visual', 'motor'],
+        description: 'aria-hidden content must not contain focusable elements',
+        evaluate({ document }) {
+            const hiddenRoots = [...document.querySelectorAll('[aria-hidden="true"]')];
+            const violations = [];
+            for (const hiddenRoot of hiddenRoots) {
+                const focusable = [hiddenRoot, ...hiddenRoot.querySelectorAll('a[href], button, input, select, textarea, [tabindex], [contenteditable="true"]')]
+                    .filter(element => element.matches('a[href], button, input, select, textarea, [tabindex], [contenteditable="true"]'))
+                    .filter(element => !element.hasAttribute('disabled') && element.getAttribute('tabindex') !== '-1');
+                violations.push(...focusable.map(element => ({ element, message: 'Focusable element is hidden from assistive technology by aria-hidden' })));
+            }
+            return { applicable: hiddenRoots.length, violations };
+        }
+    },
+    {
+        id: 'heading-order',
+        version: '1.0.0',
+        criteria: ['1.3.1'],
+        severity: 'moderate',
+        userGroups: ['visual', 'cognitive'],
+        description: 'Heading levels should only increase by one',
+        evaluate({ document, semantics }) {
+            const headings = [...document.body.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]')]
+                .filter(element => !semantics.isHidden(element) && semantics.roleOf(element) === 'heading');
+            const violations = [];
+            let previous = null;
+            for (const heading of headings) {
+                const level = semantics.headingLevel(heading);
+                if (previous !== null && level > previous + 1) {
+                    violations.push({ element: heading, message: `Heading level ${level} follows level ${previous}; expected level ${previous + 1} or lower`, data: { level, previous } });
+                }
+                previous = level;
+            }
+            return { applicable: headings.length, violations };
+        }
+    },
+    {
+        id: 'empty-heading',
+        version: '1.0.0',
+        criteria: ['2.4.6'],
+        severity: 'minor',
+        userGroups: ['visual', 'cognitive'],
+        description: 'Headings must have discernible text',
+        evaluate({ document, semantics }) {
+            const headings = [...document.body.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]')]
+                .filter(element => !semantics.isHidden(element) && semantics.roleOf(element) === 'heading');
+            const violations = headings
+                .filter(element => !semantics.nameOf(element))
+                .map(element => ({ element, message: 'Heading has no text content' }));
+            return { applicable: headings.length, violations };
+        }
+    },
+    {
+        id: 'label',
+        version: '1.0.0',
+        criteria: ['1.3.1', '3.3.2', '4.1.2'],
+        severity: 'critical',
+        userGroups: ['visual', 'cognitive', 'motor'],
+        description: 'Form controls must have an associated label',
+        evaluate({ document, semantics }) {
+            const controls = [...document.body.querySelectorAll(FORM_CONTROL_SELECTOR)].filter(element => !semantics.isHidden(element));
+            const violations = controls
+                .filter(element => semantics.labelsOf(element).every(label => !normalizeWhitespace(label.textContent))
+                    && !normalizeWhitespace(element.getAttribute('aria-label') ?? '')
+                    && !semantics.nameOf(element))
+                .map(element => ({ element, message: 'Form control has no label; associate a <label for> or wrap it in a <label>' }));
+
+            for (const element of controls.filter(control => !violations.some(violation => violation.element === control))) {
+                const labelled = semantics.labelsOf(element).length > 0 || element.hasAttribute('aria-labelledby') || element.hasAttribute('aria-label');
+                if (!labelled) {
+                    violations.push({ element, message: 'Form control is only named by title or placeholder; add a visible label' });
+                }
+            }
+            return { applicable: controls.length, violations };
+        }
+    },
+    {
+        id: 'label-for-target',
+        version: '1.0.0',
+        criteria: ['1.3.1'],
+        severity: 'moderate',
+        userGroups: ['visual', 'motor'],
+        description: 'label[for] must reference a labelable form control',
+        evaluate({ document }) {
+            const labels = [...document.querySelectorAll('label[for]')];
+            const violations = labels
+                .filter(label => {
+                    const target = document.getElementById(label.getAttribute('for'));
+                    return !target || !LABELABLE_ELEMENTS.has(target.localName);
+                })
+                .map(label => ({ element: label, message: `label for="${label.getAttribute('for')}" does not reference a form control` }));
+            return { applicable: labels.length, violations };
+        }
+    },
+    {
+        id: 'duplicate-id',
+        version: '1.0.0',
+        criteria: ['4.1.1'],
+        severity: 'minor',
+        userGroups: ['visual'],
+        description: 'id attribute values must be unique',
+        evaluate({ document }) {
+            return this.duplicates(document, false);
+        },
+        duplicates(document, referenced) {
+            const elements = [...document.querySelectorAll('[id]')];
+            const references = new Set([...document.querySelectorAll(ID_REFERENCE_ATTRIBUTES.map(attribute => `[${attribute}]`).join(', '))]
+                .flatMap(element => ID_REFERENCE_ATTRIBUTES.flatMap(attribute => (element.getAttribute(attribute) ?? '').split(/\s+/)))
+                .filter(Boolean));
+            const seen = new Map();
+            const violations = [];
+            for (const element of elements) {
+                if (!seen.has(element.id)) {
+                    seen.set(element.id, element);
+                    continue;
+                }
+                if (references.has(element.id) === referenced) {
+                    violations.push({ element, message: `id '${element.id}' is already used by ${snippetOf(seen.get(element.id))}` });
+                }
+            }
+            return { applicable: elements.length, violations };
+        }
+    },
+    {
+        id: 'duplicate-id-referenced',
+        version: '1.0.0',
+        criteria: ['4.1.1', '4.1.2'],
+        severity: 'critical',
+        userGroups: ['visual'],
+        description: 'ids referenced by labels or ARIA relationships must be unique',
+        evaluate(context) {
+            return WCAG_AUTOMATED_RULES.find(rule => rule.id === 'duplicate-id').duplicates(context.document, true);
+        }
+    },
+    contrastRule({ id: 'color-contrast', criterion: '1.4.3', severity: 'serious', requirements: { normal: 4.5, large: 3 } }),
+    contrastRule({ id: 'color-contrast-enhanced', criterion: '1.4.6', severity: 'moderate', requirements: { normal: 7, large: 4.5 } })
+];
+
+class WCAGComplianceValidator {
+    #rules = new Map();
+
+    constructor(rules = WCAG_AUTOMATED_RULES) {
+        rules.forEach(rule => this.registerRule(rule));
+    }
+
+    registerRule(rule) {
+        if (!rule.id || typeof rule.evaluate !== 'function' || !rule.criteria?.every(criterion => SUCCESS_CRITERIA[criterion])) {
+            throw new TypeError(`Accessibility rule '${rule.id}' must declare an id, known success criteria and an evaluate function`);
+        }
+        if (!SEVERITY_LEVELS.includes(rule.severity)) {
+            throw new RangeError(`Accessibility rule '${rule.id}' has unknown severity '${rule.severity}'`);
+        }
+        this.#rules.set(rule.id, rule);
+        return this;
+    }
+
+    get rules() {
+        return [...this.#rules.values()];
+    }
+
+    rulesFor(standards, userGroups) {
+        return this.rules
+            .filter(rule => criteriaFor(rule.criteria, standards).length > 0)
+            .filter(rule => !userGroups || rule.userGroups.some(group => userGroups.includes(group)));
+    }
+
+    async validate(document, { standards = ['WCAG_2_1_AA'], userGroups, tokens } = {}) {
+        const context = {
+            document,
+            semantics: new AriaSemanticsResolver(),
+            styles: new StyleResolver(customPropertiesFrom(tokens))
+        };
+
+        const results = [];
+        for (const rule of this.rulesFor(standards, userGroups)) {
+            const outcome = await rule.evaluate(context);
+            results.push({
+                rule,
+                criteria: criteriaFor(rule.criteria, standards),
+                applicable: outcome.applicable,
+                violations: outcome.violations,
+                incomplete: outcome.incomplete ?? []
+            });
+        }
+        return results;
+    }
+}
+
+class AccessibilityAuditOrchestrator {
+    #validator;
+
+    #keyboard;
+
+    constructor(validator = new WCAGComplianceValidator(), { keyboard = null } = {}) {
+        this.#validator = validator;
+        this.#keyboard = keyboard;
+    }
+
+    async performAudit(component, { standards = ['WCAG_2_1_AA'], testingMethods = ['automated'], userGroups, tokens } = {}) {
+        const { name, version, dom } = await renderComponentMarkup(component);
+        const { document } = dom.window;
+        const results = testingMethods.includes('automated')
+            ? await this.#validator.validate(document, { standards, userGroups, tokens })
+            : [];
+
+        let keyboard = null;
+        if (testingMethods.includes('keyboard') && this.#keyboard) {
+            const { tabSequence, widgets, focusTraps, results: keyboardResults } = await this.#keyboard.analyzeNavigation(component);
+            keyboard = { tabSequence, widgets, focusTraps };
+            results.push(...keyboardResults
+                .filter(result => !userGroups || result.rule.userGroups.some(group => userGroups.includes(group)))
+                .map(result => ({ ...result, criteria: criteriaFor(result.rule.criteria, standards) }))
+                .filter(result => result.criteria.length > 0));
+        }
+
+        const completed = new Set(['automated', ...(keyboard ? ['keyboard'] : [])]);
+        const findings = results.flatMap(result => result.violations.map(violation => describeFinding(result, violation)));
+        const needsReview = results.flatMap(result => result.incomplete.map(item => describeFinding(result, item)));
+
+        return {
+            component: { name, version },
+            standards,
+            markup: document.body.innerHTML,
+            methods: Object.fromEntries(testingMethods.map(method => [method, completed.has(method) ? 'completed' : 'not_available'])),
+            rules: results.map(result => ({
+                id: result.rule.id,
+                version: result.rule.version,
+                criteria: result.criteria,
+                applicable: result.applicable,
+                violations: result.violations.length,
+                outcome: result.violations.length > 0 ? 'fail' : result.applicable > 0 ? 'pass' : 'not_applicable'
+            })),
+            criteria: this.#criteriaOutcomes(results),
+            findings,
+            needsReview,
+            keyboard
+        };
+    }
+
+    #criteriaOutcomes(results) {
+        const outcomes = {};
+        for (const result of results) {
+            for (const criterion of result.criteria) {
+                const outcome = result.violations.length > 0 ? 'fail' : result.applicable > 0 ? 'pass' : 'not_applicable';
+                const previous = outcomes[criterion]?.outcome;
+                const merged = previous === 'fail' || outcome === 'fail' ? 'fail' : previous === 'pass' || outcome === 'pass' ? 'pass' : 'not_applicable';
+                outcomes[criterion] = { ...describeCriterion(criterion), outcome: merged };
+            }
+        }
+        return Object.fromEntries(Object.entries(outcomes).sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true })));
+    }
+}
+
+class AccessibilityVerificationEngine {
+    #auditOrchestrator;
+
+    constructor(auditOrchestrator = new AccessibilityAuditOrchestrator()) {
+        this.#auditOrchestrator = auditOrchestrator;
+    }
+
+    async verifyCompliance(component, { standards = ['WCAG_2_1_AA'], verificationMethods = ['automated'], confidenceLevel = 0.95, tokens } = {}) {
+        const testingMethods = ['automated', ...verificationMethods.filter(method => method === 'keyboard')];
+        const audit = await this.#auditOrchestrator.performAudit(component, { standards, testingMethods, tokens });
+        const automatedCriteria = Object.values(audit.criteria).filter(criterion => criterion.outcome !== 'not_applicable').length;
+
+        return {
+            component: audit.component,
+            standards,
+            markup: audit.markup,
+            compliant: audit.findings.length === 0,
+            confidenceLevel,
+            methods: verificationMethods.map(method => ({ method, status: audit.methods[method] === 'completed' ? 'completed' : 'requires_manual_review' })),
+            criteria: audit.criteria,
+            rules: audit.rules,
+            findings: audit.findings,
+            needsReview: audit.needsReview,
+            keyboard: audit.keyboard,
+            coverage: { automatedCriteria }
+        };
+    }
+}
+
+export {
+    SEVERITY_LEVELS,
+    SUCCESS_CRITERIA,
+    WCAG_AUTOMATED_RULES,
+    INTERACTIVE_ROLES,
+    parseStandard,
+    criteriaFor,
+    selectorOf,
+    describeFinding,
+    customPropertiesFrom,
+    isScriptedComponent,
+    renderComponentMarkup,
+    textColorPairs,
+    StyleResolver,
+    WCAGComplianceValidator,
+    AccessibilityAuditOrchestrator,
+    AccessibilityVerificationEngine
+};
@@ -0,0 +1,201 @@
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { SUCCESS_CRITERIA, criteriaFor } from './AccessibilityAudit.js';
+
+const CERTIFICATE_FORMAT = 'aurora-accessibility-certificate';
+const CERTIFICATE_FORMAT_VERSION = 1;
+const HASH_ALGORITHM = 'sha256';
+const CRITERION_STATUSES = ['pass', 'fail', 'not_applicable', 'needs_review', 'not_evaluated'];
+const VPAT_CONFORMANCE = {
+    pass: 'Supports',
+    fail: 'Does Not Support',
+    not_applicable: 'Not Applicable',
+    needs_review: 'Not Evaluated',
+    not_evaluated: 'Not Evaluated'
+};
+
+function canonicalize(value) {
+    if (typeof value === 'function') {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(canonicalize);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => [key, canonicalize(value[key])]));
+    }
+    return value;
+}
+
+function canonicalJson(value) {
+    return JSON.stringify(canonicalize(value));
+}
+
+function digestOf(text) {
+    return createHash(HASH_ALGORITHM).update(text, 'utf8').digest('hex');
+}
+
+function componentSource(component) {
+    if (typeof component === 'string') {
+        return component;
+    }
+    if (typeof component === 'function') {
+        return component.toString();
+    }
+    if (!component || typeof component !== 'object') {
+        throw new TypeError('Component must be an HTML string, a render function, or an object with html/markup/render');
+    }
+    const { name, version, props } = component;
+    return canonicalJson({ name, version, props, source: component.html ?? component.markup ?? component.render });
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+let toolDescriptor = null;
+
+async function describeTool() {
+    toolDescriptor ??= readFile(new URL('./package.json', import.meta.url), 'utf8')
+        .then(text => JSON.parse(text))
+        .then(({ name, version }) => ({ name, version }));
+    return toolDescriptor;
+}
+
+class ComplianceCertificateGenerator {
+    async generateCertificate(verificationReport, { source, remediation, issuedAt = new Date() } = {}) {
+        const criteria = this.#criterionStatuses(verificationReport);
+        const certificate = {
+            format: CERTIFICATE_FORMAT,
+            formatVersion: CERTIFICATE_FORMAT_VERSION,
+            issuedAt: new Date(issuedAt).toISOString(),
+            tool: await describeTool(),
+            component: verificationReport.component,
+            standards: verificationReport.standards,
+            compliant: verificationReport.compliant,
+            summary: Object.fromEntries(CRITERION_STATUSES.map(status => [status, criteria.filter(criterion => criterion.status === status).length])),
+            criteria,
+            rules: verificationReport.rules.map(({ id, version, outcome }) => ({ id, version, outcome })),
+            methods: verificationReport.methods,
+            remediation: remediation
+                ? { applied: remediation.summary?.applied ?? 0, failed: remediation.summary?.failed ?? 0, deferred: remediation.deferred.length }
+                : null,
+            hashes: {
+                algorithm: HASH_ALGORITHM,
+                source: source === undefined ? null : digestOf(componentSource(source)),
+                markup: verificationReport.markup === undefined ? null : digestOf(verificationReport.markup)
+            }
+        };
+        return { ...certificate, integrity: digestOf(canonicalJson(certificate)) };
+    }
+
+    async verifyCertificate(certificate, component) {
+        const { integrity, ...content } = certificate;
+        const issues = [];
+        if (certificate.format !== CERTIFICATE_FORMAT || certificate.formatVersion !== CERTIFICATE_FORMAT_VERSION) {
+            issues.push(`Unsupported certificate format ${certificate.format}@${certificate.formatVersion}`);
+        }
+        if (certificate.hashes?.algorithm !== HASH_ALGORITHM) {
+            issues.push(`Unsupported hash algorithm '${certificate.hashes?.algorithm}'`);
+        }
+        const integrityIntact = integrity === digestOf(canonicalJson(content));
+        if (!integrityIntact) {
+            issues.push('Certificate contents do not match its integrity hash');
+        }
+        const sourceMatches = certificate.hashes?.source !== null && certificate.hashes?.source === digestOf(componentSource(component));
+        if (!sourceMatches) {
+            issues.push('Component source does not match the certified source hash');
+        }
+        return { valid: issues.length === 0, integrityIntact, sourceMatches, issues };
+    }
+
+    renderHtml(certificate) {
+        const title = `${certificate.component.name ?? 'Component'}${certificate.component.version ? ` ${certificate.component.version}` : ''}`;
+        const rows = certificate.criteria.map(criterion => `
+                    <tr>
+                        <th scope="row">${escapeHtml(criterion.id)} ${escapeHtml(criterion.name)} (Level ${escapeHtml(criterion.level)})</th>
+                        <td>${escapeHtml(VPAT_CONFORMANCE[criterion.status])}</td>
+                        <td>${escapeHtml(criterion.remarks)}</td>
+                    </tr>`).join('');
+        const rules = certificate.rules.map(rule => `
+                <li><code>${escapeHtml(rule.id)}</code> ${escapeHtml(rule.version)}: ${escapeHtml(rule.outcome)}</li>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+    <head>
+        <meta charset="utf-8">
+        <title>Accessibility Conformance Report: ${escapeHtml(title)}</title>
+    </head>
+    <body>
+        <main>
+            <h1>Accessibility Conformance Report: ${escapeHtml(title)}</h1>
+            <dl>
+                <dt>Standards</dt><dd>${escapeHtml(certificate.standards.join(', '))}</dd>
+                <dt>Result</dt><dd>${certificate.compliant ? 'No automated failures' : 'Automated failures found'}</dd>
+                <dt>Issued</dt><dd><time datetime="${escapeHtml(certificate.issuedAt)}">${escapeHtml(certificate.issuedAt)}</time></dd>
+                <dt>Tool</dt><dd>${escapeHtml(certificate.tool.name)} ${escapeHtml(certificate.tool.version)}</dd>
+                <dt>Source hash (${escapeHtml(certificate.hashes.algorithm)})</dt><dd><code>${escapeHtml(certificate.hashes.source ?? 'not recorded')}</code></dd>
+                <dt>Markup hash (${escapeHtml(certificate.hashes.algorithm)})</dt><dd><code>${escapeHtml(certificate.hashes.markup ?? 'not recorded')}</code></dd>
+                <dt>Certificate integrity</dt><dd><code>${escapeHtml(certificate.integrity)}</code></dd>
+            </dl>
+            <table>
+                <caption>Success criteria</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">Criteria</th>
+                        <th scope="col">Conformance Level</th>
+                        <th scope="col">Remarks and Explanations</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+            <h2>Rules applied</h2>
+            <ul>${rules}
+            </ul>
+        </main>
+    </body>
+</html>
+`;
+    }
+
+    #criterionStatuses(verificationReport) {
+        const ids = criteriaFor(Object.keys(SUCCESS_CRITERIA), verificationReport.standards)
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        return ids.map(id => {
+            const { name, level } = SUCCESS_CRITERIA[id];
+            const outcome = verificationReport.criteria[id]?.outcome;
+            const rules = verificationReport.rules.filter(rule => rule.criteria.includes(id)).map(rule => rule.id);
+            const findings = verificationReport.findings.filter(finding => finding.successCriteria.some(criterion => criterion.id === id)).length;
+            const needsReview = verificationReport.needsReview.filter(item => item.successCriteria.some(criterion => criterion.id === id)).length;
+            const status = !outcome
+                ? 'not_evaluated'
+                : outcome === 'fail' ? 'fail' : needsReview > 0 ? 'needs_review' : outcome;
+            return { id, name, level, status, rules, findings, needsReview, remarks: this.#remarks(status, rules, findings, needsReview) };
+        });
+    }
+
+    #remarks(status, rules, findings, needsReview) {
+        const checkedBy = `Checked by ${rules.join(', ')}`;
+        switch (status) {
+            case 'fail':
+                return `${checkedBy}; ${findings} failure(s) found`;
+            case 'needs_review':
+                return `${checkedBy}; ${needsReview} item(s) require manual review`;
+            case 'pass':
+                return `${checkedBy}; no failures found`;
+            case 'not_applicable':
+                return `${checkedBy}; no applicable content found`;
+            default:
+                return 'Not covered by automated rules; requires manual evaluation';
+        }
+    }
+}
+
+export { CERTIFICATE_FORMAT, CRITERION_STATUSES, VPAT_CONFORMANCE, ComplianceCertificateGenerator };
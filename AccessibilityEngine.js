@@ -1,13 +1,32 @@
+import {
+    SEVERITY_LEVELS,
+    parseStandard,
+    WCAGComplianceValidator,
+    AccessibilityAuditOrchestrator,
+    AccessibilityVerificationEngine
+} from './AccessibilityAudit.js';
+import { AccessibilityRemediationPlanner, AccessibilityEnhancementEngine } from './AccessibilityRemediation.js';
+import { ComplianceCertificateGenerator } from './AccessibilityCertification.js';
+import { AssistiveTechnologySimulator } from './AssistiveTechnology.js';
+import { InclusionRequirementAnalyzer, AccessibilityPersonalizationDesigner } from './InclusionRequirements.js';
+import { KeyboardNavigationEnforcer } from './KeyboardNavigation.js';
+
+const DEFAULT_SEVERITY_THRESHOLDS = { critical: 0, serious: 0 };
+
 class AutomatedAccessibilityEnforcer {
     #wcagValidators = new WCAGComplianceValidator();
-    #screenReaderOptimizers = new ScreenReaderOptimizationEngine();
     #keyboardNavigation = new KeyboardNavigationEnforcer();
-    #cognitiveAccessibility = new CognitiveAccessibilityEnhancer();
+    #certificateGenerator = new ComplianceCertificateGenerator();
+    #supportedStandards = new Set();
+    #auditHistory;
     
     constructor() {
         this.#initializeAccessibilityStandards();
         this.#deployComplianceMonitoring();
-        this.#establishRemediationWorkflows();
+    }
+    
+    get auditHistory() {
+        return [...this.#auditHistory];
     }
     
     async enforceAccessibility(component, context) {
@@ -21,16 +40,23 @@ class AutomatedAccessibilityEnforcer {
             audit: accessibilityAudit,
             remediation: remediationPlan,
             verification: verificationReport,
-            complianceCertificate: await this.#generateComplianceCertificate(verificationReport)
+            complianceCertificate: await this.#generateComplianceCertificate(verificationReport, component, remediationPlan)
         };
     }
+
+    async verifyCertificate(certificate, component) {
+        return await this.#certificateGenerator.verifyCertificate(certificate, component);
+    }
     
     async #performComprehensiveAudit(component, context) {
-        const auditOrchestrator = new AccessibilityAuditOrchestrator();
+        const standards = context.standards || ['WCAG_2_1_AA'];
+        this.#assertSupportedStandards(standards);
+        const auditOrchestrator = new AccessibilityAuditOrchestrator(this.#wcagValidators, { keyboard: this.#keyboardNavigation });
         const auditResults = await auditOrchestrator.performAudit(component, {
-            standards: context.standards || ['WCAG_2_1_AA'],
+            standards,
             testingMethods: context.testingMethods || ['automated', 'assistive_technology', 'keyboard'],
-            userGroups: context.userGroups || ['visual', 'motor', 'cognitive', 'auditory']
+            userGroups: context.userGroups || ['visual', 'motor', 'cognitive', 'auditory'],
+            tokens: context.tokens
         });
         
         return await this.#consolidateAuditFindings(auditResults, context.severityThresholds);
@@ -41,7 +67,8 @@ class AutomatedAccessibilityEnforcer {
         const remediationStrategies = await remediationPlanner.planRemediation(auditResults, {
             priority: context.remediationPriority || 'high_impact_first',
             resources: context.remediationResources,
-            timeline: context.remediationTimeline
+            timeline: context.remediationTimeline,
+            tokens: context.tokens
         });
         
         return await this.#optimizeRemediationWorkflow(remediationStrategies, context.constraints);
@@ -62,39 +89,141 @@ class AutomatedAccessibilityEnforcer {
     }
     
     async #verifyAccessibilityCompliance(component, context) {
-        const verificationEngine = new AccessibilityVerificationEngine();
+        const verificationEngine = new AccessibilityVerificationEngine(
+            new AccessibilityAuditOrchestrator(this.#wcagValidators, { keyboard: this.#keyboardNavigation })
+        );
         return await verificationEngine.verifyCompliance(component, {
             standards: context.standards,
-            verificationMethods: ['automated', 'manual', 'assistive_technology'],
-            confidenceLevel: context.confidenceThreshold || 0.95
+            verificationMethods: ['automated', 'keyboard', 'manual', 'assistive_technology'],
+            confidenceLevel: context.confidenceThreshold || 0.95,
+            tokens: context.tokens
+        });
+    }
+    
+    #initializeAccessibilityStandards() {
+        for (const version of ['2_0', '2_1', '2_2']) {
+            for (const level of ['A', 'AA', 'AAA']) {
+                const standard = `WCAG_${version}_${level}`;
+                if (this.#wcagValidators.rulesFor([standard]).length > 0) {
+                    this.#supportedStandards.add(standard);
+                }
+            }
+        }
+    }
+    
+    #assertSupportedStandards(standards) {
+        for (const standard of standards) {
+            parseStandard(standard);
+            if (!this.#supportedStandards.has(standard)) {
+                throw new RangeError(`No accessibility rules are registered for '${standard}'`);
+            }
+        }
+    }
+    
+    #deployComplianceMonitoring() {
+        this.#auditHistory = [];
+    }
+    
+    async #consolidateAuditFindings(auditResults, severityThresholds = DEFAULT_SEVERITY_THRESHOLDS) {
+        for (const [severity, limit] of Object.entries(severityThresholds)) {
+            if (!SEVERITY_LEVELS.includes(severity)) {
+                throw new RangeError(`Unknown severity threshold '${severity}' (expected one of: ${SEVERITY_LEVELS.join(', ')})`);
+            }
+            if (!Number.isInteger(limit) || limit < 0) {
+                throw new RangeError(`Severity threshold for '${severity}' must be a non-negative integer`);
+            }
+        }
+        
+        const rank = severity => SEVERITY_LEVELS.length - SEVERITY_LEVELS.indexOf(severity);
+        const findings = [...auditResults.findings].sort((a, b) => rank(a.severity) - rank(b.severity) || a.ruleId.localeCompare(b.ruleId));
+        const summary = Object.fromEntries(SEVERITY_LEVELS.map(severity => [severity, findings.filter(finding => finding.severity === severity).length]));
+        const breaches = Object.entries(severityThresholds)
+            .filter(([severity, limit]) => summary[severity] > limit)
+            .map(([severity, limit]) => ({ severity, limit, count: summary[severity] }));
+        
+        const consolidated = { ...auditResults, findings, summary, thresholds: severityThresholds, breaches, passed: breaches.length === 0 };
+        this.#auditHistory.push({ component: auditResults.component, summary, passed: consolidated.passed });
+        return consolidated;
+    }
+    
+    async #optimizeRemediationWorkflow(remediationStrategies, constraints = {}) {
+        if (constraints.autoFix !== false) {
+            return remediationStrategies;
+        }
+        
+        const deferred = [
+            ...remediationStrategies.remediations.map(({ ruleIds, severity, successCriteria, selector, description }) => ({
+                ruleId: ruleIds[0],
+                severity,
+                successCriteria,
+                selector,
+                message: description,
+                reason: 'automatic fixes are disabled',
+                guidance: description
+            })),
+            ...remediationStrategies.deferred
+        ];
+        return { ...remediationStrategies, remediations: [], deferred, summary: { automated: 0, deferred: deferred.length } };
+    }
+    
+    async #validateEnhancementIntegration(enhancedComponent, remediationPlan) {
+        const enhancementEngine = new AccessibilityEnhancementEngine();
+        for (const remediation of remediationPlan.remediations) {
+            remediation.status = await enhancementEngine.verifyPatches(enhancedComponent, remediation) ? 'applied' : 'failed';
+        }
+        remediationPlan.summary = {
+            ...remediationPlan.summary,
+            applied: remediationPlan.remediations.filter(remediation => remediation.status === 'applied').length,
+            failed: remediationPlan.remediations.filter(remediation => remediation.status === 'failed').length
+        };
+        return enhancedComponent;
+    }
+    
+    async #generateComplianceCertificate(verificationReport, component, remediationPlan) {
+        const certificate = await this.#certificateGenerator.generateCertificate(verificationReport, {
+            source: component,
+            remediation: remediationPlan
         });
+        return { certificate, html: this.#certificateGenerator.renderHtml(certificate) };
     }
 }
 
 class InclusiveDesignOrchestrator {
     #userSimulators = new AssistiveTechnologySimulator();
-    #inclusionValidators = new InclusionRequirementValidator();
-    #personalizationEngines = new AccessibilityPersonalizationEngine();
     
     async ensureInclusiveDesign(component, userDiversity) {
         const inclusionRequirements = await this.#analyzeInclusionRequirements(userDiversity);
         const simulatedExperiences = await this.#simulateUserExperiences(component, userDiversity);
         const personalizationStrategies = await this.#designPersonalizationApproaches(component, inclusionRequirements);
         
-        const inclusiveDesign = await this.#implementInclusivePatterns(
-            component, 
-            inclusionRequirements, 
-            simulatedExperiences
-        );
-        
         return {
-            design: inclusiveDesign,
+            design: component,
             simulations: simulatedExperiences,
             personalization: personalizationStrategies,
-            inclusionMetrics: await this.#calculateInclusionMetrics(inclusiveDesign, userDiversity)
+            inclusionMetrics: await this.#calculateInclusionMetrics(simulatedExperiences)
+        };
+    }
+    
+    async #calculateInclusionMetrics(simulations) {
+        const scores = simulations.map(result => result.accessibilityScore);
+        const profiles = {};
+        for (const { simulation, accessibilityScore } of simulations) {
+            const { type } = simulation.profile;
+            profiles[type] = Math.min(profiles[type] ?? accessibilityScore, accessibilityScore);
+        }
+        const issues = simulations.flatMap(result => result.simulation.issues);
+        return {
+            score: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+            lowestScore: scores.length > 0 ? Math.min(...scores) : null,
+            profiles,
+            issues: Object.fromEntries(SEVERITY_LEVELS.map(severity => [severity, issues.filter(issue => issue.severity === severity).length]))
         };
     }
     
+    async #calculateAccessibilityScore(simulation) {
+        return simulation.score;
+    }
+    
     async #analyzeInclusionRequirements(userDiversity) {
         const requirementAnalyzer = new InclusionRequirementAnalyzer();
         return await requirementAnalyzer.analyzeRequirements(userDiversity, {
@@ -105,7 +234,7 @@ class InclusiveDesignOrchestrator {
     }
     
     async #simulateUserExperiences(component, userDiversity) {
-        const simulationEngine = this.#userSimulators.createSimulator();
+        const simulationEngine = this.#userSimulators.createSimulator({ tokens: userDiversity.tokens });
         const simulationResults = [];
         
         for (const userProfile of userDiversity.profiles) {
@@ -0,0 +1,365 @@
+import { ColorSpaceTransformationEngine } from './ColorScience.js';
+import { SEVERITY_LEVELS, selectorOf, customPropertiesFrom, isScriptedComponent, renderComponentMarkup } from './AccessibilityAudit.js';
+import { LABELABLE_ELEMENTS, inlineStyle, normalizeWhitespace, AriaSemanticsResolver } from './AriaSemantics.js';
+
+const REMEDIATION_PRIORITIES = ['high_impact_first', 'document_order'];
+const CONTRAST_RULES = new Set(['color-contrast', 'color-contrast-enhanced']);
+const KEYBOARD_ACTIVATION_HANDLER = "if (event.key === 'Enter' || event.key === ' ') { event.preventDefault(); this.click(); }";
+
+const MANUAL_GUIDANCE = {
+    'image-alt': 'Describe the purpose of the image in alt text, or use alt="" when it is purely decorative',
+    'accessible-name': 'Give the element a visible text label, or aria-label/aria-labelledby when the label cannot be visible',
+    'aria-valid-role': 'Replace the role with a valid WAI-ARIA role or remove it',
+    'aria-valid-attr': 'Remove unknown aria-* attributes and correct invalid values',
+    'aria-required-attr': 'Expose the current state of the widget through the required aria-* attributes',
+    'aria-hidden-focus': 'Remove focusable content from aria-hidden regions or make it inert with tabindex="-1"',
+    'heading-order': 'Restructure headings so levels only increase by one',
+    'empty-heading': 'Add text to the heading or remove it',
+    'label': 'Add a visible <label> and associate it with the control',
+    'label-for-target': 'Point label[for] at the id of the control it describes',
+    'duplicate-id': 'Give every element a unique id',
+    'duplicate-id-referenced': 'Give every element a unique id and update the references that point at it',
+    'click-target-semantics': 'Use a native <button> or link for clickable content',
+    'tabindex-positive': 'Remove positive tabindex values and order the markup the way it should be navigated',
+    'keyboard-unreachable': 'Make the control focusable with tabindex="0" or a native interactive element',
+    'focus-trap': 'Let Tab move focus out of the region, or close it with Escape and return focus to its trigger',
+    'composite-tab-stop': 'Keep exactly one item of the widget in the tab sequence (roving tabindex) or use aria-activedescendant',
+    'composite-arrow-keys': 'Handle arrow keys inside the widget and move tabindex="0" to the focused item',
+    'color-contrast': 'Use a text or background color that meets the required contrast ratio',
+    'color-contrast-enhanced': 'Use a text or background color that meets the enhanced contrast ratio'
+};
+
+function severityRank(severity) {
+    return SEVERITY_LEVELS.indexOf(severity);
+}
+
+function setInlineStyle(element, property, value) {
+    const declarations = (element.getAttribute('style') ?? '')
+        .split(';')
+        .map(declaration => declaration.trim())
+        .filter(declaration => declaration && declaration.slice(0, declaration.indexOf(':')).trim().toLowerCase() !== property);
+    element.setAttribute('style', [...declarations, `${property}: ${value}`].join('; '));
+}
+
+function applyPatches(document, patches) {
+    for (const patch of patches) {
+        const element = document.querySelector(patch.selector);
+        if (!element) {
+            continue;
+        }
+        if (patch.type === 'attributes') {
+            for (const [attribute, value] of Object.entries(patch.attributes)) {
+                element.setAttribute(attribute, value);
+            }
+        } else if (patch.type === 'style') {
+            setInlineStyle(element, patch.property, patch.value);
+        }
+    }
+}
+
+function isVisuallyHidden(node, boundary) {
+    for (let element = node.nodeType === 1 ? node : node.parentElement; element && element !== boundary.parentElement; element = element.parentElement) {
+        if (element.hasAttribute('hidden') || inlineStyle(element, 'display') === 'none' || inlineStyle(element, 'visibility') === 'hidden') {
+            return true;
+        }
+    }
+    return false;
+}
+
+class AccessibilityRemediationPlanner {
+    #colors = new ColorSpaceTransformationEngine();
+    #semantics = new AriaSemanticsResolver();
+
+    async planRemediation(auditResults, { priority = 'high_impact_first', tokens } = {}) {
+        if (!REMEDIATION_PRIORITIES.includes(priority)) {
+            throw new RangeError(`Unknown remediation priority '${priority}' (expected one of: ${REMEDIATION_PRIORITIES.join(', ')})`);
+        }
+
+        const { dom } = await renderComponentMarkup(auditResults.markup);
+        const { document } = dom.window;
+        const context = {
+            document,
+            findings: auditResults.findings,
+            colorTokens: this.#colorTokens(tokens),
+            reservedIds: new Set([...document.querySelectorAll('[id]')].map(element => element.id)),
+            assignedIds: new Map()
+        };
+
+        const remediations = [];
+        const deferred = [];
+        for (const { finding, element } of this.#prioritize(auditResults.findings, document, priority)) {
+            const { patches, reason } = element ? this.#patchesFor(finding, element, context) : { reason: 'element not found in rendered markup' };
+            if (!patches) {
+                deferred.push({
+                    ruleId: finding.ruleId,
+                    severity: finding.severity,
+                    successCriteria: finding.successCriteria,
+                    selector: finding.selector,
+                    message: finding.message,
+                    reason,
+                    guidance: MANUAL_GUIDANCE[finding.ruleId] ?? null
+                });
+                continue;
+            }
+
+            const key = JSON.stringify(patches);
+            const existing = remediations.find(remediation => remediation.key === key);
+            if (existing) {
+                existing.ruleIds.push(finding.ruleId);
+                continue;
+            }
+            remediations.push({
+                key,
+                id: `remediation-${remediations.length + 1}`,
+                ruleIds: [finding.ruleId],
+                severity: finding.severity,
+                successCriteria: finding.successCriteria,
+                selector: finding.selector,
+                description: patches.map(patch => patch.description).join('; '),
+                patches,
+                status: 'planned'
+            });
+        }
+
+        return {
+            priority,
+            remediations: remediations.map(({ key, ...remediation }) => remediation),
+            deferred,
+            summary: { automated: remediations.length, deferred: deferred.length }
+        };
+    }
+
+    #prioritize(findings, document, priority) {
+        const located = findings.map((finding, index) => ({ finding, index, element: document.querySelector(finding.selector) }));
+        if (priority === 'document_order') {
+            return located.sort((a, b) => {
+                if (!a.element || !b.element) {
+                    return Number(!a.element) - Number(!b.element) || a.index - b.index;
+                }
+                return a.element === b.element ? a.index - b.index : a.element.compareDocumentPosition(b.element) & 4 ? -1 : 1;
+            });
+        }
+        return located.sort((a, b) => severityRank(b.finding.severity) - severityRank(a.finding.severity)
+            || b.finding.userGroups.length - a.finding.userGroups.length
+            || a.index - b.index);
+    }
+
+    #patchesFor(finding, element, context) {
+        switch (finding.ruleId) {
+            case 'accessible-name':
+                return this.#namePatches(element, context);
+            case 'click-target-semantics':
+                return this.#clickTargetPatches(element);
+            case 'keyboard-unreachable':
+                return { patches: [this.#attributePatch(element, { tabindex: '0' }, 'Add the control to the tab sequence')] };
+            case 'label':
+            case 'label-for-target':
+                return this.#labelPatches(element, context);
+            case 'color-contrast':
+            case 'color-contrast-enhanced':
+                return this.#contrastPatches(finding, element, context);
+            default:
+                return { reason: 'requires a content or design decision' };
+        }
+    }
+
+    #namePatches(element, context) {
+        const role = this.#semantics.roleOf(element);
+        if (role === 'dialog' || role === 'alertdialog') {
+            const heading = element.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]');
+            if (!heading || !normalizeWhitespace(heading.textContent)) {
+                return { reason: 'dialog has no heading to reference' };
+            }
+            const { id, patches, reason } = this.#ensureId(heading, `${role}-title`, context);
+            if (!id) {
+                return { reason };
+            }
+            return { patches: [...patches, this.#attributePatch(element, { 'aria-labelledby': id }, `Label the ${role} with its heading`)] };
+        }
+
+        const text = this.#visibleText(element) || normalizeWhitespace(element.getAttribute('title') ?? '');
+        if (!text) {
+            return { reason: 'no visible text or title to derive a name from' };
+        }
+        return { patches: [this.#attributePatch(element, { 'aria-label': text }, `Name the ${role} "${text}" from its own text`)] };
+    }
+
+    #clickTargetPatches(element) {
+        const attributes = {};
+        if (!this.#semantics.explicitRole(element)) {
+            attributes.role = 'button';
+        }
+        if (!element.hasAttribute('tabindex')) {
+            attributes.tabindex = '0';
+        }
+        if (element.hasAttribute('onclick') && !element.hasAttribute('onkeydown')) {
+            attributes.onkeydown = KEYBOARD_ACTIVATION_HANDLER;
+        }
+        return { patches: [this.#attributePatch(element, attributes, 'Expose the clickable element as a focusable button')] };
+    }
+
+    #labelPatches(element, context) {
+        const [label, control] = element.localName === 'label'
+            ? [element, this.#controlNextTo(element)]
+            : [this.#labelNextTo(element), element];
+        if (!label || !control) {
+            return { reason: element.localName === 'label' ? 'no adjacent form control to associate' : 'no adjacent <label> to associate' };
+        }
+        if (this.#semantics.labelsOf(control).some(existing => existing !== label)) {
+            return { reason: 'control is already labelled by another element' };
+        }
+
+        const { id, patches, reason } = this.#ensureId(control, control.getAttribute('name') || `${control.localName}-field`, context);
+        if (!id) {
+            return { reason };
+        }
+        return {
+            patches: [...patches, this.#attributePatch(label, { for: id }, `Associate the label "${normalizeWhitespace(label.textContent)}" with its control`)]
+        };
+    }
+
+    #contrastPatches(finding, element, context) {
+        const { foreground, background } = finding.data;
+        const selector = finding.selector;
+        const required = Math.max(...context.findings
+            .filter(other => CONTRAST_RULES.has(other.ruleId) && other.selector === selector)
+            .map(other => other.data.required));
+        if (context.colorTokens.length === 0) {
+            return { reason: 'no color tokens available to substitute' };
+        }
+
+        const candidates = context.colorTokens
+            .map(token => ({ ...token, ratio: this.#colors.contrastRatio(token.color, background), distance: this.#colors.deltaEOK(token.color, foreground) }))
+            .filter(token => token.ratio >= required)
+            .sort((a, b) => a.distance - b.distance || b.ratio - a.ratio || a.name.localeCompare(b.name));
+        if (candidates.length === 0) {
+            return { reason: `no color token reaches ${required}:1 against ${background}` };
+        }
+
+        const [token] = candidates;
+        return {
+            patches: [{
+                type: 'style',
+                selector: selectorOf(element),
+                property: 'color',
+                value: `var(${token.name})`,
+                token: token.name,
+                before: foreground,
+                after: this.#colors.toHex(token.color),
+                ratio: Number(token.ratio.toFixed(2)),
+                description: `Use ${token.name} (${token.ratio.toFixed(2)}:1) for text color`
+            }]
+        };
+    }
+
+    #attributePatch(element, attributes, description) {
+        return { type: 'attributes', selector: selectorOf(element), attributes, description };
+    }
+
+    #ensureId(element, base, context) {
+        const root = element.getRootNode();
+        if (element.id) {
+            const unique = [...root.querySelectorAll('[id]')].filter(other => other.id === element.id).length === 1;
+            return unique ? { id: element.id, patches: [] } : { reason: `id '${element.id}' is not unique` };
+        }
+
+        if (context.assignedIds.has(element)) {
+            const id = context.assignedIds.get(element);
+            return { id, patches: [this.#attributePatch(element, { id }, `Give the element the unique id "${id}"`)] };
+        }
+
+        const stem = base.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'field';
+        let id = stem;
+        for (let suffix = 2; context.reservedIds.has(id); suffix += 1) {
+            id = `${stem}-${suffix}`;
+        }
+        context.reservedIds.add(id);
+        context.assignedIds.set(element, id);
+        return { id, patches: [this.#attributePatch(element, { id }, `Give the element the unique id "${id}"`)] };
+    }
+
+    #visibleText(element) {
+        const walker = element.ownerDocument.createTreeWalker(element, 4);
+        const parts = [];
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (!isVisuallyHidden(node, element)) {
+                parts.push(node.textContent);
+            }
+        }
+        return normalizeWhitespace(parts.join(' '));
+    }
+
+    #labelNextTo(control) {
+        const candidates = [control.previousElementSibling, control.nextElementSibling];
+        return candidates.find(candidate => candidate?.localName === 'label'
+            && !candidate.querySelector([...LABELABLE_ELEMENTS].join(', '))
+            && !LABELABLE_ELEMENTS.has(control.ownerDocument.getElementById(candidate.getAttribute('for') ?? '')?.localName)) ?? null;
+    }
+
+    #controlNextTo(label) {
+        const nested = label.querySelector([...LABELABLE_ELEMENTS].join(', '));
+        if (nested) {
+            return nested;
+        }
+        const candidates = [label.nextElementSibling, label.previousElementSibling];
+        return candidates.find(candidate => candidate && LABELABLE_ELEMENTS.has(candidate.localName)
+            && !(candidate.localName === 'input' && candidate.getAttribute('type') === 'hidden')) ?? null;
+    }
+
+    #colorTokens(tokens) {
+        const colorTokens = [];
+        for (const [name, value] of customPropertiesFrom(tokens)) {
+            try {
+                const color = this.#colors.toSrgb(value);
+                if (color.alpha >= 1) {
+                    colorTokens.push({ name, color });
+                }
+            } catch {
+                continue;
+            }
+        }
+        return colorTokens;
+    }
+}
+
+class AccessibilityEnhancementEngine {
+    async applyEnhancement(component, remediation) {
+        if (isScriptedComponent(component)) {
+            const source = typeof component === 'function' ? { render: component } : component;
+            return {
+                ...source,
+                render: async environment => {
+                    const { document } = environment;
+                    const rendered = await source.render(environment);
+                    if (typeof rendered === 'string') {
+                        document.body.innerHTML = rendered;
+                    } else if (rendered?.nodeType && !rendered.isConnected) {
+                        document.body.append(rendered);
+                    }
+                    applyPatches(document, remediation.patches);
+                }
+            };
+        }
+
+        const { name, version, dom } = await renderComponentMarkup(component);
+        applyPatches(dom.window.document, remediation.patches);
+        const { html, markup, render, ...details } = typeof component === 'object' && component !== null ? component : {};
+        return { ...details, name, version, html: dom.window.document.body.innerHTML };
+    }
+
+    async verifyPatches(component, remediation) {
+        const { dom } = await renderComponentMarkup(component);
+        const { document } = dom.window;
+        return remediation.patches.every(patch => {
+            const element = document.querySelector(patch.selector);
+            if (!element) {
+                return false;
+            }
+            return patch.type === 'attributes'
+                ? Object.entries(patch.attributes).every(([attribute, value]) => element.getAttribute(attribute) === value)
+                : inlineStyle(element, patch.property) === patch.value;
+        });
+    }
+}
+
+export { REMEDIATION_PRIORITIES, AccessibilityRemediationPlanner, AccessibilityEnhancementEngine };
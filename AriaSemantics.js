@@ -0,0 +1,388 @@
+const ARIA_ROLES = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell', 'checkbox',
+    'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion', 'dialog', 'document',
+    'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link',
+    'list', 'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio',
+    'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+    'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term',
+    'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+]);
+
+const ARIA_ATTRIBUTES = {
+    'aria-activedescendant': { type: 'idref' },
+    'aria-atomic': { type: 'boolean' },
+    'aria-autocomplete': { type: 'token', values: ['inline', 'list', 'both', 'none'] },
+    'aria-braillelabel': { type: 'string' },
+    'aria-brailleroledescription': { type: 'string' },
+    'aria-busy': { type: 'boolean' },
+    'aria-checked': { type: 'tristate' },
+    'aria-colcount': { type: 'integer' },
+    'aria-colindex': { type: 'integer' },
+    'aria-colindextext': { type: 'string' },
+    'aria-colspan': { type: 'integer' },
+    'aria-controls': { type: 'idrefs' },
+    'aria-current': { type: 'token', values: ['page', 'step', 'location', 'date', 'time', 'true', 'false'] },
+    'aria-describedby': { type: 'idrefs' },
+    'aria-description': { type: 'string' },
+    'aria-details': { type: 'idrefs' },
+    'aria-disabled': { type: 'boolean' },
+    'aria-errormessage': { type: 'idrefs' },
+    'aria-expanded': { type: 'token', values: ['true', 'false', 'undefined'] },
+    'aria-flowto': { type: 'idrefs' },
+    'aria-haspopup': { type: 'token', values: ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'] },
+    'aria-hidden': { type: 'token', values: ['true', 'false', 'undefined'] },
+    'aria-invalid': { type: 'token', values: ['grammar', 'false', 'spelling', 'true'] },
+    'aria-keyshortcuts': { type: 'string' },
+    'aria-label': { type: 'string' },
+    'aria-labelledby': { type: 'idrefs' },
+    'aria-level': { type: 'integer' },
+    'aria-live': { type: 'token', values: ['assertive', 'off', 'polite'] },
+    'aria-modal': { type: 'boolean' },
+    'aria-multiline': { type: 'boolean' },
+    'aria-multiselectable': { type: 'boolean' },
+    'aria-orientation': { type: 'token', values: ['horizontal', 'vertical', 'undefined'] },
+    'aria-owns': { type: 'idrefs' },
+    'aria-placeholder': { type: 'string' },
+    'aria-posinset': { type: 'integer' },
+    'aria-pressed': { type: 'tristate' },
+    'aria-readonly': { type: 'boolean' },
+    'aria-relevant': { type: 'tokens', values: ['additions', 'all', 'removals', 'text'] },
+    'aria-required': { type: 'boolean' },
+    'aria-roledescription': { type: 'string' },
+    'aria-rowcount': { type: 'integer' },
+    'aria-rowindex': { type: 'integer' },
+    'aria-rowindextext': { type: 'string' },
+    'aria-rowspan': { type: 'integer' },
+    'aria-selected': { type: 'token', values: ['true', 'false', 'undefined'] },
+    'aria-setsize': { type: 'integer' },
+    'aria-sort': { type: 'token', values: ['ascending', 'descending', 'none', 'other'] },
+    'aria-valuemax': { type: 'number' },
+    'aria-valuemin': { type: 'number' },
+    'aria-valuenow': { type: 'number' },
+    'aria-valuetext': { type: 'string' }
+};
+
+const REQUIRED_ARIA_ATTRIBUTES = {
+    checkbox: ['aria-checked'],
+    combobox: ['aria-expanded'],
+    heading: ['aria-level'],
+    menuitemcheckbox: ['aria-checked'],
+    menuitemradio: ['aria-checked'],
+    radio: ['aria-checked'],
+    scrollbar: ['aria-controls', 'aria-valuenow'],
+    slider: ['aria-valuenow'],
+    switch: ['aria-checked']
+};
+
+const NAME_FROM_CONTENT_ROLES = new Set([
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab', 'tooltip', 'treeitem'
+]);
+
+const INPUT_ROLES = {
+    button: 'button',
+    checkbox: 'checkbox',
+    email: 'textbox',
+    image: 'button',
+    number: 'spinbutton',
+    radio: 'radio',
+    range: 'slider',
+    reset: 'button',
+    search: 'searchbox',
+    submit: 'button',
+    tel: 'textbox',
+    text: 'textbox',
+    url: 'textbox'
+};
+
+const IMPLICIT_ROLES = {
+    article: 'article',
+    aside: 'complementary',
+    button: 'button',
+    datalist: 'listbox',
+    details: 'group',
+    dialog: 'dialog',
+    fieldset: 'group',
+    figure: 'figure',
+    form: 'form',
+    h1: 'heading',
+    h2: 'heading',
+    h3: 'heading',
+    h4: 'heading',
+    h5: 'heading',
+    h6: 'heading',
+    hr: 'separator',
+    li: 'listitem',
+    main: 'main',
+    menu: 'list',
+    nav: 'navigation',
+    ol: 'list',
+    optgroup: 'group',
+    option: 'option',
+    output: 'status',
+    p: 'paragraph',
+    progress: 'progressbar',
+    summary: 'button',
+    table: 'table',
+    tbody: 'rowgroup',
+    td: 'cell',
+    textarea: 'textbox',
+    tfoot: 'rowgroup',
+    thead: 'rowgroup',
+    tr: 'row',
+    ul: 'list'
+};
+
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'template', 'noscript']);
+const LABELABLE_ELEMENTS = new Set(['input', 'select', 'textarea', 'meter', 'output', 'progress', 'button']);
+
+function inlineStyle(element, property) {
+    const declarations = (element.getAttribute('style') ?? '').split(';');
+    for (const declaration of declarations.reverse()) {
+        const separator = declaration.indexOf(':');
+        if (separator !== -1 && declaration.slice(0, separator).trim().toLowerCase() === property) {
+            return declaration.slice(separator + 1).replace(/!important/i, '').trim();
+        }
+    }
+    return null;
+}
+
+function normalizeWhitespace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+class AriaSemanticsResolver {
+    explicitRole(element) {
+        const tokens = (element.getAttribute('role') ?? '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+        return tokens.find(token => ARIA_ROLES.has(token)) ?? null;
+    }
+
+    roleOf(element) {
+        const explicit = this.explicitRole(element);
+        if (explicit && !((explicit === 'none' || explicit === 'presentation') && this.#isFocusableByDefault(element))) {
+            return explicit;
+        }
+        return this.implicitRole(element);
+    }
+
+    implicitRole(element) {
+        const tag = element.localName;
+        switch (tag) {
+            case 'a':
+            case 'area':
+                return element.hasAttribute('href') ? 'link' : 'generic';
+            case 'img':
+                return element.getAttribute('alt') === '' && !element.hasAttribute('aria-label') && !element.hasAttribute('aria-labelledby')
+                    ? 'presentation'
+                    : 'img';
+            case 'input': {
+                const type = (element.getAttribute('type') ?? 'text').toLowerCase();
+                if (type === 'hidden') {
+                    return null;
+                }
+                if (['text', 'search', 'email', 'tel', 'url'].includes(type) && element.hasAttribute('list')) {
+                    return 'combobox';
+                }
+                return INPUT_ROLES[type] ?? 'textbox';
+            }
+            case 'select':
+                return element.hasAttribute('multiple') || Number(element.getAttribute('size')) > 1 ? 'listbox' : 'combobox';
+            case 'section':
+                return this.nameOf(element) ? 'region' : 'generic';
+            case 'header':
+            case 'footer':
+                return element.closest('article, aside, main, nav, section') ? 'generic' : tag === 'header' ? 'banner' : 'contentinfo';
+            case 'th':
+                return element.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader';
+            case 'svg':
+                return null;
+            default:
+                return IMPLICIT_ROLES[tag] ?? (['div', 'span', 'b', 'i', 'u', 'small'].includes(tag) ? 'generic' : null);
+        }
+    }
+
+    headingLevel(element) {
+        const ariaLevel = Number.parseInt(element.getAttribute('aria-level'), 10);
+        if (Number.isInteger(ariaLevel) && ariaLevel > 0) {
+            return ariaLevel;
+        }
+        const match = element.localName.match(/^h([1-6])$/);
+        return match ? Number(match[1]) : 2;
+    }
+
+    isHidden(element) {
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement ?? node.getRootNode?.().host ?? null) {
+            if (SKIPPED_ELEMENTS.has(node.localName) || node.hasAttribute('hidden') || node.getAttribute('aria-hidden') === 'true') {
+                return true;
+            }
+            if (inlineStyle(node, 'display') === 'none' || ['hidden', 'collapse'].includes(inlineStyle(node, 'visibility'))) {
+                return true;
+            }
+            if (node.localName === 'input' && (node.getAttribute('type') ?? '').toLowerCase() === 'hidden') {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    labelsOf(element) {
+        if (!LABELABLE_ELEMENTS.has(element.localName)) {
+            return [];
+        }
+        const labels = [];
+        const root = element.getRootNode();
+        if (element.id && root.querySelectorAll) {
+            labels.push(...[...root.querySelectorAll('label[for]')].filter(label => label.getAttribute('for') === element.id));
+        }
+        const wrapping = element.parentElement?.closest('label');
+        if (wrapping && !labels.includes(wrapping) && (!wrapping.hasAttribute('for') || wrapping.getAttribute('for') === element.id)) {
+            labels.push(wrapping);
+        }
+        return labels;
+    }
+
+    nameOf(element) {
+        return normalizeWhitespace(this.#computeName(element, { visited: new Set(), inLabelledBy: false, inContent: false }));
+    }
+
+    descriptionOf(element) {
+        const ids = (element.getAttribute('aria-describedby') ?? '').split(/\s+/).filter(Boolean);
+        const root = element.getRootNode();
+        const described = ids
+            .map(id => root.getElementById?.(id))
+            .filter(Boolean)
+            .map(target => this.#computeName(target, { visited: new Set([element]), inLabelledBy: true, inContent: true }));
+        const description = normalizeWhitespace(described.join(' '));
+        return description || normalizeWhitespace(element.getAttribute('aria-description') ?? '');
+    }
+
+    #computeName(element, state) {
+        if (state.visited.has(element)) {
+            return '';
+        }
+        state.visited.add(element);
+
+        if (!state.inLabelledBy && this.isHidden(element)) {
+            return '';
+        }
+
+        const labelledBy = (element.getAttribute('aria-labelledby') ?? '').split(/\s+/).filter(Boolean);
+        if (labelledBy.length > 0 && !state.inLabelledBy) {
+            const root = element.getRootNode();
+            const text = labelledBy
+                .map(id => root.getElementById?.(id) ?? null)
+                .filter(Boolean)
+                .map(target => this.#computeName(target, { ...state, inLabelledBy: true, inContent: true }))
+                .join(' ');
+            if (normalizeWhitespace(text)) {
+                return text;
+            }
+        }
+
+        const role = this.roleOf(element);
+        const embeddedControl = state.inContent && ['textbox', 'combobox', 'listbox', 'slider', 'spinbutton'].includes(role);
+        if (embeddedControl) {
+            return this.#embeddedControlValue(element, role);
+        }
+
+        const ariaLabel = normalizeWhitespace(element.getAttribute('aria-label') ?? '');
+        if (ariaLabel) {
+            return ariaLabel;
+        }
+
+        const native = this.#nativeName(element, state);
+        if (native) {
+            return native;
+        }
+
+        if (state.inContent || state.inLabelledBy || NAME_FROM_CONTENT_ROLES.has(role)) {
+            const content = this.#nameFromContent(element, state);
+            if (normalizeWhitespace(content)) {
+                return content;
+            }
+        }
+
+        return element.getAttribute('title')
+            ?? (['input', 'textarea'].includes(element.localName) ? element.getAttribute('placeholder') ?? '' : '');
+    }
+
+    #nativeName(element, state) {
+        const tag = element.localName;
+        if (tag === 'input') {
+            const type = (element.getAttribute('type') ?? 'text').toLowerCase();
+            if (['button', 'submit', 'reset'].includes(type)) {
+                return element.getAttribute('value') ?? (type === 'submit' ? 'Submit' : type === 'reset' ? 'Reset' : '');
+            }
+            if (type === 'image') {
+                return element.getAttribute('alt') ?? element.getAttribute('value') ?? '';
+            }
+        }
+        if (LABELABLE_ELEMENTS.has(tag)) {
+            const labelText = this.labelsOf(element)
+                .map(label => this.#nameFromContent(label, { ...state, inContent: true, exclude: element }))
+                .join(' ');
+            if (normalizeWhitespace(labelText)) {
+                return labelText;
+            }
+        }
+        if (tag === 'img' || tag === 'area') {
+            return element.getAttribute('alt') ?? '';
+        }
+        const captionSelectors = { fieldset: 'legend', table: 'caption', figure: 'figcaption', svg: 'title' };
+        if (captionSelectors[tag]) {
+            const caption = [...element.children].find(child => child.localName === captionSelectors[tag]);
+            return caption ? this.#nameFromContent(caption, { ...state, inContent: true }) : '';
+        }
+        return '';
+    }
+
+    #nameFromContent(element, state) {
+        const parts = [];
+        const children = element.shadowRoot && !element.firstChild ? element.shadowRoot.childNodes : element.childNodes;
+        for (const child of children) {
+            if (child.nodeType === 3) {
+                parts.push(child.textContent);
+            } else if (child.nodeType === 1 && child !== state.exclude) {
+                if (child.localName === 'slot') {
+                    parts.push(...child.assignedNodes?.({ flatten: true }).map(node => node.textContent) ?? []);
+                    continue;
+                }
+                if (!state.inLabelledBy && this.isHidden(child)) {
+                    continue;
+                }
+                parts.push(this.#computeName(child, { ...state, inContent: true }));
+            }
+        }
+        return parts.join(' ');
+    }
+
+    #embeddedControlValue(element, role) {
+        if (role === 'combobox' || role === 'listbox') {
+            const selected = element.localName === 'select'
+                ? [...element.options].filter(option => option.selected)
+                : [...element.querySelectorAll('[aria-selected="true"]')];
+            return selected.map(option => option.textContent).join(' ');
+        }
+        if (role === 'slider' || role === 'spinbutton') {
+            return element.getAttribute('aria-valuetext') ?? element.getAttribute('aria-valuenow') ?? element.value ?? '';
+        }
+        return element.value ?? element.textContent;
+    }
+
+    #isFocusableByDefault(element) {
+        return element.hasAttribute('tabindex')
+            || (['a', 'area'].includes(element.localName) && element.hasAttribute('href'))
+            || (['button', 'input', 'select', 'textarea'].includes(element.localName) && !element.hasAttribute('disabled'));
+    }
+}
+
+export {
+    ARIA_ROLES,
+    ARIA_ATTRIBUTES,
+    REQUIRED_ARIA_ATTRIBUTES,
+    LABELABLE_ELEMENTS,
+    inlineStyle,
+    normalizeWhitespace,
+    AriaSemanticsResolver
+};
@@ -0,0 +1,645 @@
+import {
+    WCAG_AUTOMATED_RULES,
+    selectorOf,
+    customPropertiesFrom,
+    renderComponentMarkup,
+    textColorPairs,
+    StyleResolver
+} from './AccessibilityAudit.js';
+import { inlineStyle, normalizeWhitespace, AriaSemanticsResolver } from './AriaSemantics.js';
+import { KeyboardNavigationEnforcer } from './KeyboardNavigation.js';
+
+const PROFILE_TYPES = ['screen_reader', 'keyboard_only', 'low_vision', 'color_vision_deficiency'];
+const SEVERITY_WEIGHTS = { minor: 1, moderate: 2, serious: 3, critical: 4 };
+
+const LEAF_ROLES = new Set([
+    'button', 'link', 'heading', 'checkbox', 'radio', 'switch', 'tab', 'option', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'treeitem', 'img', 'textbox', 'searchbox', 'combobox', 'slider', 'spinbutton', 'progressbar',
+    'meter', 'separator'
+]);
+const LANDMARK_ROLES = new Set(['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'region', 'form', 'search']);
+const ANNOUNCED_CONTAINERS = new Set(['list', 'table', 'grid', 'dialog', 'alertdialog', 'group', 'radiogroup', 'tablist', 'menu', 'menubar', 'listbox', 'tree', 'toolbar', 'figure', 'article']);
+const SET_ROLES = new Set(['listitem', 'option', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'radio', 'treeitem']);
+const CHECKABLE_ROLES = new Set(['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio']);
+const RANGE_ROLES = new Set(['slider', 'spinbutton', 'progressbar', 'meter', 'scrollbar']);
+const TEXT_INPUT_ROLES = new Set(['textbox', 'searchbox', 'combobox', 'spinbutton']);
+const FLATTENED_ROLES = new Set([null, 'generic', 'none', 'presentation', 'paragraph', 'rowgroup']);
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'details', 'dialog', 'div', 'dl', 'dt', 'fieldset', 'figcaption',
+    'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+    'section', 'summary', 'table', 'td', 'th', 'tr', 'ul'
+]);
+const VAGUE_LINK_TEXT = new Set(['click here', 'here', 'more', 'read more', 'learn more', 'link', 'button', 'click']);
+
+const ROLE_LABELS = {
+    textbox: 'edit text',
+    searchbox: 'search edit text',
+    combobox: 'combo box',
+    listbox: 'list box',
+    img: 'image',
+    menuitem: 'menu item',
+    menuitemcheckbox: 'menu item checkbox',
+    menuitemradio: 'menu item radio',
+    menubar: 'menu bar',
+    spinbutton: 'spin button',
+    progressbar: 'progress bar',
+    tablist: 'tab list',
+    treeitem: 'tree item',
+    radiogroup: 'radio group',
+    alertdialog: 'alert dialog',
+    contentinfo: 'content info',
+    columnheader: 'column header',
+    rowheader: 'row header'
+};
+
+const COLOR_VISION_MATRICES = {
+    protanopia: [[0.152286, 1.052583, -0.204868], [0.114503, 0.786281, 0.099216], [-0.003882, -0.048116, 1.051998]],
+    deuteranopia: [[0.367322, 0.860646, -0.227968], [0.280085, 0.672501, 0.047413], [-0.011820, 0.042940, 0.968881]],
+    tritanopia: [[1.255528, -0.076749, -0.178779], [-0.078411, 0.930809, 0.147602], [0.004733, 0.691367, 0.303900]],
+    achromatopsia: [[0.2126, 0.7152, 0.0722], [0.2126, 0.7152, 0.0722], [0.2126, 0.7152, 0.0722]]
+};
+
+const CSS_LENGTH_IN_PX = { px: 1, pt: 4 / 3, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4 };
+
+function toLinear(channel) {
+    const value = Math.min(1, Math.max(0, channel));
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+}
+
+function fromLinear(channel) {
+    const value = Math.min(1, Math.max(0, channel));
+    return value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055;
+}
+
+function simulateColorVision(color, deficiency) {
+    const linear = [color.r, color.g, color.b].map(toLinear);
+    const [r, g, b] = COLOR_VISION_MATRICES[deficiency].map(row => fromLinear(row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]));
+    return { r, g, b, alpha: 1 };
+}
+
+function absoluteLength(value) {
+    const match = value?.trim().match(/^(\d*\.?\d+)(px|pt|pc|in|cm|mm)$/);
+    return match ? Number(match[1]) * CSS_LENGTH_IN_PX[match[2]] : null;
+}
+
+function roleLabel(role) {
+    return ROLE_LABELS[role] ?? role;
+}
+
+function composedChildNodes(node) {
+    if (node.shadowRoot) {
+        return [...node.shadowRoot.childNodes];
+    }
+    if (node.localName === 'slot') {
+        const assigned = node.assignedNodes?.({ flatten: true }) ?? [];
+        return assigned.length > 0 ? assigned : [...node.childNodes];
+    }
+    return [...node.childNodes];
+}
+
+class AccessibilityTreeBuilder {
+    #semantics = new AriaSemanticsResolver();
+
+    build(document) {
+        return {
+            role: 'document',
+            name: normalizeWhitespace(document.title ?? ''),
+            children: this.#buildChildren(document.body)
+        };
+    }
+
+    nodeFor(element) {
+        const role = this.#semantics.roleOf(element);
+        const description = this.#semantics.descriptionOf(element);
+        return {
+            role,
+            name: this.#semantics.nameOf(element),
+            ...(description && { description }),
+            states: this.#statesOf(element, role),
+            properties: this.#propertiesOf(element, role),
+            selector: selectorOf(element)
+        };
+    }
+
+    #buildChildren(parent) {
+        const children = [];
+        let joinable = false;
+        const appendText = text => {
+            const previous = children[children.length - 1];
+            if (joinable && previous?.role === 'text') {
+                previous.name = `${previous.name} ${text}`;
+            } else {
+                children.push({ role: 'text', name: text });
+            }
+            joinable = true;
+        };
+
+        for (const child of composedChildNodes(parent)) {
+            if (child.nodeType === 3) {
+                const text = normalizeWhitespace(child.textContent);
+                if (text) {
+                    appendText(text);
+                }
+                continue;
+            }
+            if (child.nodeType !== 1 || this.#semantics.isHidden(child)) {
+                continue;
+            }
+
+            const role = this.#semantics.roleOf(child);
+            const nested = LEAF_ROLES.has(role) ? [] : this.#buildChildren(child);
+            if (!FLATTENED_ROLES.has(role)) {
+                children.push({ ...this.nodeFor(child), children: nested });
+                joinable = false;
+            } else if (this.#isBlock(child)) {
+                children.push(...nested);
+                joinable = false;
+            } else if (nested.length > 0) {
+                nested.forEach((node, index) => index === 0 && node.role === 'text' ? appendText(node.name) : children.push(node));
+                joinable = nested[nested.length - 1].role === 'text';
+            }
+        }
+        this.#assignPositions(children);
+        return children;
+    }
+
+    #isBlock(element) {
+        const display = inlineStyle(element, 'display');
+        return display ? !display.startsWith('inline') && display !== 'contents' : BLOCK_ELEMENTS.has(element.localName);
+    }
+
+    #assignPositions(children) {
+        for (const role of SET_ROLES) {
+            const members = children.filter(child => child.role === role && child.properties);
+            members.forEach((member, index) => {
+                member.properties.posinset ??= index + 1;
+                member.properties.setsize ??= members.length;
+            });
+        }
+    }
+
+    #statesOf(element, role) {
+        const states = {};
+        const aria = name => element.getAttribute(`aria-${name}`);
+        if (CHECKABLE_ROLES.has(role)) {
+            const native = element.localName === 'input' ? (element.indeterminate ? 'mixed' : String(element.checked)) : null;
+            states.checked = aria('checked') ?? native ?? 'false';
+        }
+        if (aria('pressed') !== null) {
+            states.pressed = aria('pressed');
+        }
+        if (aria('expanded') !== null) {
+            states.expanded = aria('expanded');
+        } else if (element.localName === 'summary' && element.parentElement?.localName === 'details') {
+            states.expanded = String(element.parentElement.hasAttribute('open'));
+        }
+        if (aria('selected') === 'true' || (element.localName === 'option' && element.selected)) {
+            states.selected = 'true';
+        }
+        if (aria('disabled') === 'true' || (element.hasAttribute('disabled') && ['button', 'input', 'select', 'textarea', 'option', 'fieldset'].includes(element.localName))) {
+            states.disabled = 'true';
+        }
+        if (aria('required') === 'true' || element.hasAttribute('required')) {
+            states.required = 'true';
+        }
+        if (aria('invalid') && aria('invalid') !== 'false') {
+            states.invalid = aria('invalid');
+        }
+        if (aria('readonly') === 'true' || (element.hasAttribute('readonly') && ['input', 'textarea'].includes(element.localName))) {
+            states.readonly = 'true';
+        }
+        if (aria('current') && aria('current') !== 'false') {
+            states.current = aria('current');
+        }
+        if (aria('haspopup') && aria('haspopup') !== 'false') {
+            states.haspopup = aria('haspopup');
+        }
+        return states;
+    }
+
+    #propertiesOf(element, role) {
+        const properties = {};
+        if (role === 'heading') {
+            properties.level = this.#semantics.headingLevel(element);
+        }
+        if (TEXT_INPUT_ROLES.has(role)) {
+            const value = element.localName === 'select'
+                ? element.selectedOptions?.[0]?.textContent
+                : element.value ?? element.getAttribute('aria-valuetext') ?? element.textContent;
+            if (normalizeWhitespace(value ?? '')) {
+                properties.value = normalizeWhitespace(value);
+            }
+        }
+        if (RANGE_ROLES.has(role)) {
+            for (const name of ['valuenow', 'valuemin', 'valuemax', 'valuetext']) {
+                const value = element.getAttribute(`aria-${name}`) ?? (name === 'valuenow' && element.localName === 'input' ? element.value : null);
+                if (value !== null && value !== '') {
+                    properties[name] = name === 'valuetext' ? value : Number(value);
+                }
+            }
+        }
+        for (const name of ['posinset', 'setsize']) {
+            const value = Number.parseInt(element.getAttribute(`aria-${name}`), 10);
+            if (Number.isInteger(value)) {
+                properties[name] = value;
+            }
+        }
+        return properties;
+    }
+}
+
+class ScreenReaderTranscriber {
+    transcribe(tree) {
+        const lines = [];
+        for (const child of tree.children) {
+            this.#announce(child, lines);
+        }
+        return lines;
+    }
+
+    describe(node) {
+        const { states = {}, properties = {} } = node;
+        const parts = [node.name];
+        parts.push(node.role === 'heading' ? `heading level ${properties.level}` : roleLabel(node.role));
+
+        if (states.checked !== undefined) {
+            parts.push(node.role === 'switch'
+                ? (states.checked === 'true' ? 'on' : 'off')
+                : { true: 'checked', false: 'not checked', mixed: 'half checked' }[states.checked]);
+        }
+        if (states.pressed !== undefined) {
+            parts.push(states.pressed === 'true' ? 'pressed' : states.pressed === 'mixed' ? 'half pressed' : 'not pressed');
+        }
+        if (states.expanded !== undefined) {
+            parts.push(states.expanded === 'true' ? 'expanded' : 'collapsed');
+        }
+        if (states.selected) {
+            parts.push('selected');
+        }
+        if (states.current) {
+            parts.push(states.current === 'true' ? 'current' : `current ${states.current}`);
+        }
+        if (states.haspopup) {
+            parts.push(states.haspopup === 'true' ? 'has popup' : `has popup ${states.haspopup}`);
+        }
+        if (states.disabled) {
+            parts.push('unavailable');
+        }
+        if (states.readonly) {
+            parts.push('read only');
+        }
+        if (states.required) {
+            parts.push('required');
+        }
+        if (states.invalid) {
+            parts.push('invalid entry');
+        }
+        if (properties.value !== undefined && properties.value !== node.name) {
+            parts.push(properties.value);
+        }
+        if (properties.valuetext !== undefined || properties.valuenow !== undefined) {
+            parts.push(String(properties.valuetext ?? properties.valuenow));
+        }
+        if (properties.posinset !== undefined && properties.setsize > 1 && node.role !== 'listitem') {
+            parts.push(`${properties.posinset} of ${properties.setsize}`);
+        }
+        if (node.description) {
+            parts.push(node.description);
+        }
+        return parts.filter(Boolean).join(', ');
+    }
+
+    #announce(node, lines) {
+        if (node.role === 'text') {
+            lines.push(node.name);
+            return;
+        }
+        if (LEAF_ROLES.has(node.role)) {
+            lines.push(this.describe(node));
+            return;
+        }
+
+        const label = this.#containerLabel(node);
+        if (label) {
+            lines.push(label);
+        }
+        for (const child of node.children) {
+            this.#announce(child, lines);
+        }
+        if (label) {
+            lines.push(`out of ${LANDMARK_ROLES.has(node.role) ? `${roleLabel(node.role)} landmark` : roleLabel(node.role)}`);
+        }
+    }
+
+    #containerLabel(node) {
+        if (LANDMARK_ROLES.has(node.role)) {
+            return [`${roleLabel(node.role)} landmark`, node.name].filter(Boolean).join(', ');
+        }
+        if (!ANNOUNCED_CONTAINERS.has(node.role)) {
+            return null;
+        }
+        const parts = [roleLabel(node.role), node.name];
+        if (node.role === 'list') {
+            const items = node.children.filter(child => child.role === 'listitem').length;
+            parts.push(`${items} ${items === 1 ? 'item' : 'items'}`);
+        }
+        if (node.role === 'table' || node.role === 'grid') {
+            const rows = this.#countRows(node);
+            parts.push(`${rows.length} rows`, `${Math.max(0, ...rows)} columns`);
+        }
+        if (node.description) {
+            parts.push(node.description);
+        }
+        return parts.filter(Boolean).join(', ');
+    }
+
+    #countRows(node) {
+        const rows = [];
+        const walk = current => {
+            for (const child of current.children ?? []) {
+                if (child.role === 'row') {
+                    rows.push(child.children.filter(cell => ['cell', 'gridcell', 'columnheader', 'rowheader'].includes(cell.role)).length);
+                } else {
+                    walk(child);
+                }
+            }
+        };
+        walk(node);
+        return rows;
+    }
+}
+
+class UserExperienceSimulation {
+    #tokens;
+    #semantics = new AriaSemanticsResolver();
+    #treeBuilder = new AccessibilityTreeBuilder();
+    #transcriber = new ScreenReaderTranscriber();
+    #keyboard = new KeyboardNavigationEnforcer();
+
+    constructor({ tokens } = {}) {
+        this.#tokens = tokens;
+    }
+
+    async simulateExperience(component, userProfile = {}, { interactionMethods, assistiveTechnology, environmentalConstraints = {} } = {}) {
+        const type = this.#profileType(userProfile, { interactionMethods, assistiveTechnology });
+        const { name, version, dom } = await renderComponentMarkup(component);
+        const { document } = dom.window;
+
+        const tree = this.#treeBuilder.build(document);
+        const transcript = this.#transcriber.transcribe(tree);
+        const treeNodes = new Map();
+        const index = node => (node.children ?? []).forEach(child => {
+            treeNodes.set(child.selector, child);
+            index(child);
+        });
+        index(tree);
+        const focusTranscript = this.#keyboard.tabSequence(document.body)
+            .map(element => this.#transcriber.describe(treeNodes.get(selectorOf(element)) ?? this.#treeBuilder.nodeFor(element)));
+
+        const checks = [];
+        let deficiency = null;
+        switch (type) {
+            case 'screen_reader':
+                this.#screenReaderChecks(tree, transcript, checks);
+                break;
+            case 'keyboard_only':
+                await this.#keyboardChecks(component, checks);
+                break;
+            case 'low_vision':
+                this.#lowVisionChecks(document, environmentalConstraints, checks);
+                break;
+            default:
+                deficiency = userProfile.deficiency ?? 'deuteranopia';
+                if (!COLOR_VISION_MATRICES[deficiency]) {
+                    throw new RangeError(`Unknown color vision deficiency '${deficiency}' (expected one of: ${Object.keys(COLOR_VISION_MATRICES).join(', ')})`);
+                }
+                this.#colorVisionChecks(document, deficiency, checks);
+        }
+
+        return {
+            component: { name, version },
+            profile: { type, ...(deficiency && { deficiency }) },
+            tree,
+            transcript,
+            focusTranscript,
+            checks: this.#summarizeChecks(checks),
+            issues: checks.filter(check => !check.passed).map(({ passed, ...issue }) => issue),
+            score: this.#score(checks)
+        };
+    }
+
+    #profileType(userProfile, { interactionMethods = userProfile.interactionMethods ?? [], assistiveTechnology = userProfile.assistiveTechnology } = {}) {
+        if (userProfile.type) {
+            if (!PROFILE_TYPES.includes(userProfile.type)) {
+                throw new RangeError(`Unknown user profile type '${userProfile.type}' (expected one of: ${PROFILE_TYPES.join(', ')})`);
+            }
+            return userProfile.type;
+        }
+        if (/screen.?reader|nvda|jaws|voiceover|talkback|narrator/i.test(assistiveTechnology ?? '')) {
+            return 'screen_reader';
+        }
+        if (/magnif|zoom/i.test(assistiveTechnology ?? '')) {
+            return 'low_vision';
+        }
+        if (userProfile.deficiency) {
+            return 'color_vision_deficiency';
+        }
+        if (interactionMethods.length > 0 && interactionMethods.every(method => method === 'keyboard' || method === 'switch')) {
+            return 'keyboard_only';
+        }
+        throw new RangeError(`Cannot infer a simulation profile; set userProfile.type to one of: ${PROFILE_TYPES.join(', ')}`);
+    }
+
+    #screenReaderChecks(tree, transcript, checks) {
+        const nodes = [];
+        const walk = node => {
+            for (const child of node.children ?? []) {
+                nodes.push(child);
+                walk(child);
+            }
+        };
+        walk(tree);
+
+        for (const node of nodes.filter(candidate => LEAF_ROLES.has(candidate.role) && candidate.role !== 'separator')) {
+            checks.push({
+                check: 'announced-name',
+                severity: 'critical',
+                passed: Boolean(node.name),
+                selector: node.selector,
+                message: `${roleLabel(node.role)} is announced without a name`
+            });
+        }
+        for (const node of nodes.filter(candidate => ['link', 'button'].includes(candidate.role) && candidate.name)) {
+            checks.push({
+                check: 'descriptive-name',
+                severity: 'moderate',
+                passed: !VAGUE_LINK_TEXT.has(node.name.toLowerCase()),
+                selector: node.selector,
+                message: `"${node.name}" does not describe where the ${roleLabel(node.role)} leads out of context`
+            });
+        }
+        if (transcript.length > 5) {
+            checks.push({
+                check: 'heading-structure',
+                severity: 'moderate',
+                passed: nodes.some(node => node.role === 'heading'),
+                message: 'Content has no headings to navigate by'
+            });
+        }
+    }
+
+    async #keyboardChecks(component, checks) {
+        const { results } = await this.#keyboard.analyzeNavigation(component);
+        for (const result of results) {
+            for (const violation of result.violations) {
+                checks.push({
+                    check: result.rule.id,
+                    severity: result.rule.severity,
+                    passed: false,
+                    selector: selectorOf(violation.element),
+                    message: violation.message
+                });
+            }
+            for (let index = result.violations.length; index < result.applicable; index += 1) {
+                checks.push({ check: result.rule.id, severity: result.rule.severity, passed: true });
+            }
+        }
+    }
+
+    #lowVisionChecks(document, { zoom = 400, viewportWidth = 1280 } = {}, checks) {
+        const reflowWidth = viewportWidth / (zoom / 100);
+        const styles = new StyleResolver(customPropertiesFrom(this.#tokens));
+
+        const viewport = document.querySelector('meta[name="viewport"]')?.getAttribute('content') ?? '';
+        if (viewport) {
+            const maximumScale = Number(viewport.match(/maximum-scale\s*=\s*([\d.]+)/)?.[1] ?? Infinity);
+            checks.push({
+                check: 'zoom-allowed',
+                severity: 'critical',
+                passed: !/user-scalable\s*=\s*(no|0)/.test(viewport) && maximumScale >= 2,
+                message: 'The viewport meta tag prevents users from zooming'
+            });
+        }
+
+        for (const element of document.body.querySelectorAll('[style]')) {
+            const widths = ['width', 'min-width']
+                .map(property => inlineStyle(element, property))
+                .map(declared => declared === null ? null : absoluteLength(styles.resolve(declared, element)))
+                .filter(width => width !== null);
+            if (widths.length > 0) {
+                const width = Math.max(...widths);
+                checks.push({
+                    check: 'reflow',
+                    severity: 'serious',
+                    passed: width <= reflowWidth,
+                    selector: selectorOf(element),
+                    message: `Fixed width of ${Math.round(width)}px forces horizontal scrolling at ${zoom}% zoom (${reflowWidth}px viewport)`
+                });
+            }
+
+            const height = absoluteLength(inlineStyle(element, 'height') ?? inlineStyle(element, 'max-height'));
+            const overflow = inlineStyle(element, 'overflow') ?? inlineStyle(element, 'overflow-y');
+            if (height !== null && normalizeWhitespace(element.textContent)) {
+                checks.push({
+                    check: 'text-resize',
+                    severity: 'serious',
+                    passed: !['hidden', 'clip'].includes(overflow),
+                    selector: selectorOf(element),
+                    message: `Text is clipped by a fixed ${Math.round(height)}px height when enlarged`
+                });
+            }
+
+            if (inlineStyle(element, 'white-space') === 'nowrap' && normalizeWhitespace(element.textContent).length > 40) {
+                checks.push({
+                    check: 'text-wrapping',
+                    severity: 'moderate',
+                    passed: false,
+                    selector: selectorOf(element),
+                    message: 'Long text is prevented from wrapping and overflows the zoomed viewport'
+                });
+            }
+        }
+
+        const contrastRule = WCAG_AUTOMATED_RULES.find(rule => rule.id === 'color-contrast');
+        const { violations, applicable } = contrastRule.evaluate({ document, semantics: this.#semantics, styles });
+        for (const violation of violations) {
+            checks.push({ check: 'text-contrast', severity: 'serious', passed: false, selector: selectorOf(violation.element), message: violation.message });
+        }
+        for (let index = violations.length; index < applicable; index += 1) {
+            checks.push({ check: 'text-contrast', severity: 'serious', passed: true });
+        }
+    }
+
+    #colorVisionChecks(document, deficiency, checks) {
+        const styles = new StyleResolver(customPropertiesFrom(this.#tokens));
+        const context = { document, semantics: this.#semantics, styles };
+        const pairs = textColorPairs(context).filter(pair => !pair.reason);
+
+        for (const { element, foreground, background, large } of pairs) {
+            const required = large ? 3 : 4.5;
+            const original = styles.contrastRatio(foreground, background);
+            if (original < required) {
+                continue;
+            }
+            const ratio = styles.contrastRatio(simulateColorVision(foreground, deficiency), simulateColorVision(background, deficiency));
+            checks.push({
+                check: 'simulated-contrast',
+                severity: 'serious',
+                passed: ratio >= required,
+                selector: selectorOf(element),
+                message: `Text contrast drops to ${ratio.toFixed(2)}:1 with ${deficiency}`
+            });
+        }
+
+        const pairsByElement = new Map(pairs.map(pair => [pair.element, pair]));
+        for (const link of document.body.querySelectorAll('p a[href], li a[href]')) {
+            const linkPair = pairsByElement.get(link);
+            const surrounding = pairsByElement.get(link.parentElement);
+            const decoration = styles.computed(link, 'text-decoration') ?? styles.computed(link, 'text-decoration-line');
+            if (!linkPair || !surrounding || decoration === null || !/none/.test(decoration)) {
+                continue;
+            }
+            const ratio = styles.contrastRatio(simulateColorVision(linkPair.foreground, deficiency), simulateColorVision(surrounding.foreground, deficiency));
+            checks.push({
+                check: 'color-only-distinction',
+                severity: 'serious',
+                passed: ratio >= 3 || styles.isBold(link) !== styles.isBold(link.parentElement),
+                selector: selectorOf(link),
+                message: `Link is distinguished from surrounding text by color alone (${ratio.toFixed(2)}:1 with ${deficiency})`
+            });
+        }
+    }
+
+    #summarizeChecks(checks) {
+        const summary = {};
+        for (const { check, severity, passed } of checks) {
+            summary[check] ??= { severity, passed: 0, failed: 0 };
+            summary[check][passed ? 'passed' : 'failed'] += 1;
+        }
+        return summary;
+    }
+
+    #score(checks) {
+        const total = checks.reduce((sum, check) => sum + SEVERITY_WEIGHTS[check.severity], 0);
+        if (total === 0) {
+            return 100;
+        }
+        const passed = checks.filter(check => check.passed).reduce((sum, check) => sum + SEVERITY_WEIGHTS[check.severity], 0);
+        return Math.round((passed / total) * 100);
+    }
+}
+
+class AssistiveTechnologySimulator {
+    createSimulator(options = {}) {
+        return new UserExperienceSimulation(options);
+    }
+}
+
+export {
+    PROFILE_TYPES,
+    COLOR_VISION_MATRICES,
+    simulateColorVision,
+    AccessibilityTreeBuilder,
+    ScreenReaderTranscriber,
+    AssistiveTechnologySimulator
+};
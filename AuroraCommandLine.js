@@ -0,0 +1,571 @@
+#!/usr/bin/env node
+import { readFile, readdir, stat, writeFile, mkdir } from 'node:fs/promises';
+import { watch, realpathSync, statSync } from 'node:fs';
+import { dirname, join, relative, resolve, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { DynamicDesignTokenEngine } from './DesignTokenOrchestrator.js';
+import { TokenFormatRegistry } from './TokenExporters.js';
+import { TokenResolutionError } from './TokenHierarchy.js';
+import { ComponentContractEnforcement } from './ComponentArchitecture.js';
+import { ComponentSpecificationError } from './ComponentSpecification.js';
+import { ComponentDependencyError, PerformanceBudgetError } from './ComponentDependencies.js';
+
+const USAGE = `Usage: aurora <command> [options]
+
+Commands:
+  build               Resolve every theme and write platform outputs
+  watch               Build, then rebuild whenever a token source changes
+  validate            Resolve every theme for every platform without writing
+  components          Check component specs, dependency cycles and bundle size budgets
+  diff <a> <b>        Compare two token files or directories and recommend a version bump
+
+Options:
+  -c, --config <path>   Path to design-config.json (default: ./design-config.json)
+  -o, --out <dir>       Output directory (overrides token_pipeline.output_directory)
+  -h, --help            Show this message
+
+Diff options:
+  --from-version <v>    Version of the older token set (default: 0.0.0)
+  --changelog <path>    Add a Markdown changelog entry to the file, above earlier releases
+  --rename-map <path>   Write a JSON rename map for codemods
+  --json                Print the full release report as JSON`;
+
+const COMPONENT_SOURCE_EXTENSIONS = ['.json', '.js', '.mjs'];
+
+class CommandLineError extends Error {
+    constructor(message, exitCode = 2) {
+        super(message);
+        this.name = 'CommandLineError';
+        this.exitCode = exitCode;
+    }
+}
+
+function mergeChangelogEntry(existing, entry) {
+    const text = `${entry.trimEnd()}\n`;
+    if (existing === null) {
+        return `# Changelog\n\n${text}`;
+    }
+
+    const versionOf = heading => heading.replace(/^##\s+(\S+).*$/, '$1');
+    const version = versionOf(text.split('\n')[0]);
+    const headings = [...existing.matchAll(/^##\s.*$/gm)];
+    const current = headings.findIndex(match => versionOf(match[0]) === version);
+    if (current !== -1) {
+        const next = headings[current + 1];
+        return `${existing.slice(0, headings[current].index)}${text}${next ? `\n${existing.slice(next.index)}` : ''}`;
+    }
+    if (headings.length > 0) {
+        return `${existing.slice(0, headings[0].index)}${text}\n${existing.slice(headings[0].index)}`;
+    }
+    return `${existing.trimEnd()}\n\n${text}`;
+}
+
+class TokenSourceLoader {
+    #cache = new Map();
+
+    async loadLayers(sources, baseDirectory) {
+        const layers = [];
+        for (const source of sources) {
+            for (const file of await this.#expand(resolve(baseDirectory, source))) {
+                layers.push({ name: relative(baseDirectory, file), tokens: await this.#read(file) });
+            }
+        }
+        return layers;
+    }
+
+    async #expand(path) {
+        const stats = await stat(path).catch(() => null);
+        if (!stats) {
+            throw new CommandLineError(`Token source '${path}' does not exist`, 1);
+        }
+        if (stats.isFile()) {
+            return [path];
+        }
+
+        const entries = await readdir(path, { withFileTypes: true });
+        const files = [];
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const entryPath = join(path, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.#expand(entryPath));
+            } else if (extname(entry.name) === '.json') {
+                files.push(entryPath);
+            }
+        }
+        return files;
+    }
+
+    async #read(file) {
+        const { mtimeMs } = await stat(file);
+        const cached = this.#cache.get(file);
+        if (cached?.mtimeMs === mtimeMs) {
+            return cached.tokens;
+        }
+
+        try {
+            const tokens = JSON.parse(await readFile(file, 'utf8'));
+            this.#cache.set(file, { mtimeMs, tokens });
+            return tokens;
+        } catch (error) {
+            throw new CommandLineError(`${file}: ${error.message}`, 1);
+        }
+    }
+}
+
+class ComponentSpecificationLoader {
+    async load(sources, baseDirectory) {
+        const specifications = [];
+        for (const source of sources) {
+            for (const file of await this.#expand(resolve(baseDirectory, source))) {
+                const loaded = extname(file) === '.json'
+                    ? await readFile(file, 'utf8').then(JSON.parse).catch(error => {
+                        throw new CommandLineError(`${file}: ${error.message}`, 1);
+                    })
+                    : (await import(pathToFileURL(file).href)).default;
+                specifications.push(...[loaded].flat().map(specification => ({ file: relative(baseDirectory, file), specification })));
+            }
+        }
+        return specifications;
+    }
+
+    async #expand(path) {
+        const stats = await stat(path).catch(() => null);
+        if (!stats) {
+            throw new CommandLineError(`Component source '${path}' does not exist`, 1);
+        }
+        if (stats.isFile()) {
+            return [path];
+        }
+
+        const entries = await readdir(path, { withFileTypes: true });
+        const files = [];
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const entryPath = join(path, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.#expand(entryPath));
+            } else if (COMPONENT_SOURCE_EXTENSIONS.includes(extname(entry.name))) {
+                files.push(entryPath);
+            }
+        }
+        return files;
+    }
+}
+
+class AuroraCommandLine {
+    #engine = new DynamicDesignTokenEngine();
+    #formatters = new TokenFormatRegistry();
+    #loader = new TokenSourceLoader();
+    #componentLoader = new ComponentSpecificationLoader();
+    #writtenContents = new Map();
+    #stdout;
+    #stderr;
+
+    constructor({ stdout = process.stdout, stderr = process.stderr } = {}) {
+        this.#stdout = stdout;
+        this.#stderr = stderr;
+    }
+
+    async run(argv) {
+        try {
+            const { values, positionals } = parseArgs({
+                args: argv,
+                allowPositionals: true,
+                options: {
+                    config: { type: 'string', short: 'c', default: 'design-config.json' },
+                    out: { type: 'string', short: 'o' },
+                    'from-version': { type: 'string', default: '0.0.0' },
+                    changelog: { type: 'string' },
+                    'rename-map': { type: 'string' },
+                    json: { type: 'boolean', default: false },
+                    help: { type: 'boolean', short: 'h', default: false }
+                }
+            });
+            const [command, ...operands] = positionals;
+
+            if (values.help || !command) {
+                this.#stdout.write(`${USAGE}\n`);
+                return values.help ? 0 : 2;
+            }
+
+            switch (command) {
+                case 'build':
+                    return await this.#build(await this.#loadConfig(values));
+                case 'watch':
+                    return await this.#watch(values);
+                case 'validate':
+                    return await this.#validate(await this.#loadConfig(values));
+                case 'components':
+                    return await this.#checkComponents(await this.#loadConfig(values));
+                case 'diff':
+                    return await this.#diff(operands, values);
+                default:
+                    throw new CommandLineError(`Unknown command '${command}'\n\n${USAGE}`);
+            }
+        } catch (error) {
+            return this.#reportFailure(error);
+        }
+    }
+
+    async #loadConfig({ config, out }) {
+        const configPath = resolve(config);
+        let designConfig;
+        try {
+            designConfig = JSON.parse(await readFile(configPath, 'utf8'));
+        } catch (error) {
+            throw new CommandLineError(`Cannot read configuration ${configPath}: ${error.message}`);
+        }
+
+        const pipeline = designConfig.token_pipeline;
+        if (!(pipeline?.themes?.length || pipeline?.permutations) || !pipeline?.platforms?.length) {
+            throw new CommandLineError(`${configPath}: token_pipeline must declare at least one theme (or permutations) and one platform`);
+        }
+
+        const baseDirectory = dirname(configPath);
+        return {
+            configPath,
+            baseDirectory,
+            outputDirectory: resolve(out ?? resolve(baseDirectory, pipeline.output_directory ?? 'dist/tokens')),
+            themes: pipeline.themes ?? [],
+            permutations: pipeline.permutations ?? null,
+            platforms: pipeline.platforms,
+            optimization: pipeline.optimization,
+            components: designConfig.component_pipeline ?? null
+        };
+    }
+
+    async #resolveThemes(config, platform) {
+        const platformConstraints = {
+            platform: platform.platform,
+            dimensionUnit: platform.dimension_unit,
+            remBase: platform.rem_base
+        };
+        const resolvedThemes = [];
+        const conflicts = [];
+
+        for (const theme of config.themes) {
+            const tokens = await this.#engine.resolveDesignTokens({
+                theme: {
+                    name: theme.name,
+                    mode: theme.mode,
+                    density: theme.density,
+                    contrast: theme.contrast,
+                    brand: theme.brand,
+                    tokens: await this.#loader.loadLayers(theme.sources, config.baseDirectory)
+                },
+                accessibility: theme.accessibility
+            }, platformConstraints);
+            resolvedThemes.push({ name: theme.name, mode: theme.mode, tokens });
+        }
+
+        if (config.permutations) {
+            const { sources = [], dimensions = {}, combinations = [], include, exclude, conflicts: conflictPolicy, accessibility } = config.permutations;
+            const dimensionTokens = {};
+            for (const [dimension, values] of Object.entries(dimensions)) {
+                dimensionTokens[dimension] = {};
+                for (const [value, valueSources] of Object.entries(values)) {
+                    dimensionTokens[dimension][value] = await this.#loader.loadLayers(valueSources, config.baseDirectory);
+                }
+            }
+            const dimensionCombinations = [];
+            for (const combination of combinations) {
+                dimensionCombinations.push({
+                    when: combination.when,
+                    tokens: await this.#loader.loadLayers(combination.sources, config.baseDirectory)
+                });
+            }
+
+            const permutations = await this.#engine.resolveThemePermutations({
+                theme: {
+                    tokens: await this.#loader.loadLayers(sources, config.baseDirectory),
+                    dimensionTokens,
+                    dimensionCombinations,
+                    conflictPolicy
+                },
+                accessibility
+            }, platformConstraints, { include, exclude });
+            resolvedThemes.push(...permutations.themes.map(({ name, dimensions, tokens }) => ({ name, mode: dimensions.mode, tokens })));
+            conflicts.push(...permutations.conflicts);
+        }
+
+        return { themes: resolvedThemes, conflicts };
+    }
+
+    #sourcePaths(config) {
+        const sources = config.themes.flatMap(theme => theme.sources);
+        if (config.permutations) {
+            const { sources: baseSources = [], dimensions = {}, combinations = [] } = config.permutations;
+            sources.push(
+                ...baseSources,
+                ...Object.values(dimensions).flatMap(values => Object.values(values).flat()),
+                ...combinations.flatMap(combination => combination.sources)
+            );
+        }
+        return sources.map(source => resolve(config.baseDirectory, source));
+    }
+
+    #reportConflicts(conflicts) {
+        const reported = new Set();
+        for (const conflict of conflicts) {
+            const line = `warning ${conflict.code} ${conflict.tokenPath} (${conflict.theme}): ${conflict.message}\n`;
+            if (!reported.has(line)) {
+                reported.add(line);
+                this.#stderr.write(line);
+            }
+        }
+    }
+
+    async #build(config) {
+        const startedAt = Date.now();
+        let written = 0;
+        let unchanged = 0;
+        let themeCount = 0;
+        const conflicts = [];
+
+        for (const platform of config.platforms) {
+            const { themes, conflicts: themeConflicts } = await this.#resolveThemes(config, platform);
+            themeCount = themes.length;
+            conflicts.push(...themeConflicts);
+            for (const format of platform.formats) {
+                const output = this.#formatters.get(format).format(themes, { optimization: config.optimization });
+                output.warnings.forEach(warning => this.#stderr.write(`warning ${warning}\n`));
+
+                for (const file of output.files) {
+                    const target = join(config.outputDirectory, platform.directory ?? platform.platform, file.filename);
+                    if (await this.#writeIfChanged(target, file.contents)) {
+                        written += 1;
+                    } else {
+                        unchanged += 1;
+                    }
+                }
+            }
+        }
+
+        this.#reportConflicts(conflicts);
+        this.#stdout.write(`Built ${themeCount} theme(s) for ${config.platforms.length} platform(s) into ` +
+            `${relative(process.cwd(), config.outputDirectory) || '.'}: ${written} written, ${unchanged} unchanged ` +
+            `(${Date.now() - startedAt}ms)\n`);
+        return 0;
+    }
+
+    async #writeIfChanged(target, contents) {
+        if (!this.#writtenContents.has(target)) {
+            this.#writtenContents.set(target, await readFile(target, 'utf8').catch(() => null));
+        }
+        if (this.#writtenContents.get(target) === contents) {
+            return false;
+        }
+
+        await mkdir(dirname(target), { recursive: true });
+        await writeFile(target, contents);
+        this.#writtenContents.set(target, contents);
+        return true;
+    }
+
+    async #watch(options) {
+        let config = await this.#loadConfig(options);
+        await this.#build(config).catch(error => this.#reportFailure(error));
+
+        let watchers = [];
+        const watchSources = () => {
+            watchers.forEach(watcher => watcher.close());
+            watchers = [...new Set([config.configPath, ...this.#sourcePaths(config)])].flatMap(path => {
+                const stats = statSync(path, { throwIfNoEntry: false });
+                if (!stats) {
+                    this.#stderr.write(`warning ${relative(process.cwd(), path)} does not exist and is not watched\n`);
+                    return [];
+                }
+                const directory = stats.isDirectory() ? path : dirname(path);
+                return [watch(path, { recursive: true }, (event, filename) => {
+                    scheduleBuild(filename ? resolve(directory, filename) : path);
+                })];
+            });
+        };
+
+        let pending = null;
+        let changedPaths = new Set();
+        let configChanged = false;
+        let building = Promise.resolve();
+        const scheduleBuild = changedPath => {
+            changedPaths.add(changedPath);
+            configChanged ||= changedPath === config.configPath;
+            clearTimeout(pending);
+            pending = setTimeout(() => {
+                const paths = [...changedPaths];
+                const reload = configChanged;
+                changedPaths = new Set();
+                configChanged = false;
+                building = building.then(async () => {
+                    this.#stdout.write(`Change detected in ${paths.map(path => relative(process.cwd(), path)).join(', ')}, rebuilding\n`);
+                    if (reload) {
+                        config = await this.#loadConfig(options);
+                        watchSources();
+                    }
+                    await this.#build(config);
+                }).catch(error => this.#reportFailure(error));
+            }, 100);
+        };
+
+        watchSources();
+        this.#stdout.write(`Watching ${watchers.length} path(s) for changes. Press Ctrl+C to stop.\n`);
+
+        return await new Promise(resolveExit => {
+            process.once('SIGINT', () => {
+                watchers.forEach(watcher => watcher.close());
+                clearTimeout(pending);
+                resolveExit(0);
+            });
+        });
+    }
+
+    async #validate(config) {
+        let tokenCount = 0;
+        let themeCount = 0;
+        const conflicts = [];
+        for (const platform of config.platforms) {
+            for (const format of platform.formats) {
+                this.#formatters.get(format);
+            }
+            const { themes, conflicts: themeConflicts } = await this.#resolveThemes(config, platform);
+            themeCount = themes.length;
+            conflicts.push(...themeConflicts);
+            tokenCount = Math.max(tokenCount, ...themes.map(theme =>
+                [...theme.tokens.values()].reduce((count, tokens) => count + tokens.size, 0)));
+        }
+
+        this.#reportConflicts(conflicts);
+        this.#stdout.write(`Validated ${tokenCount} token(s) across ${themeCount} theme(s) ` +
+            `and ${config.platforms.length} platform(s)\n`);
+        return 0;
+    }
+
+    async #checkComponents(config) {
+        if (!config.components) {
+            this.#stdout.write('No component_pipeline configured; skipping component checks\n');
+            return 0;
+        }
+
+        const { specifications = ['components'], frameworks, performance_budgets: performanceBudgets } = config.components;
+        const platform = config.platforms.find(candidate => candidate.platform === 'web') ?? config.platforms[0];
+        const { themes } = await this.#resolveThemes(config, platform);
+        const enforcer = new ComponentContractEnforcement({ performanceBudgets });
+        const diagnostics = [];
+        const rejected = new Set();
+
+        const sources = await this.#componentLoader.load([specifications].flat(), config.baseDirectory);
+        for (const { file, specification } of sources) {
+            try {
+                await enforcer.createComponent(specification, { frameworks, tokens: themes[0].tokens });
+            } catch (error) {
+                rejected.add(specification?.name);
+                diagnostics.push(...this.#componentDiagnostics(error, file));
+            }
+        }
+
+        let library = null;
+        try {
+            library = await enforcer.analyzeLibrary();
+        } catch (error) {
+            diagnostics.push(...this.#componentDiagnostics(error)
+                .filter(diagnostic => !(diagnostic.code === 'MISSING_DEPENDENCY' && rejected.has(diagnostic.dependency))));
+        }
+
+        if (diagnostics.length > 0) {
+            diagnostics.forEach(diagnostic => this.#stderr.write(`error ${diagnostic.code} ${diagnostic.subject}: ${diagnostic.message}\n`));
+            this.#stderr.write(`\n${diagnostics.length} component error(s)\n`);
+            return 1;
+        }
+
+        this.#stdout.write(`Checked ${Object.keys(library.components).length} component(s): no dependency cycles, ` +
+            `all dependencies present and within their performance budgets\n`);
+        return 0;
+    }
+
+    #componentDiagnostics(error, file) {
+        if (error instanceof ComponentSpecificationError) {
+            return error.errors.map(issue => ({ code: 'INVALID_SPECIFICATION', subject: `${file} ${issue.path || '(spec)'}`, message: issue.message }));
+        }
+        if (error instanceof ComponentDependencyError) {
+            return error.issues.map(issue => ({ code: issue.code, subject: issue.component, dependency: issue.dependency, message: issue.message }));
+        }
+        if (error instanceof PerformanceBudgetError) {
+            return error.violations.map(violation => ({
+                code: 'BUDGET_EXCEEDED',
+                subject: `${violation.component} (${violation.framework})`,
+                message: `${violation.metric} size ${violation.size} B exceeds the budget of ${violation.budget} B`
+            }));
+        }
+        if (file && !(error instanceof CommandLineError)) {
+            return [{ code: 'COMPONENT_FAILED', subject: file, message: error.message }];
+        }
+        throw error;
+    }
+
+    async #diff(operands, options) {
+        if (operands.length !== 2) {
+            throw new CommandLineError(`diff expects exactly two token sources\n\n${USAGE}`);
+        }
+
+        const themes = [];
+        for (const source of operands) {
+            themes.push({ tokens: await this.#loader.loadLayers([source], process.cwd()) });
+        }
+        const report = await this.#engine.compareTokenReleases(themes[0], themes[1], { currentVersion: options['from-version'] });
+
+        if (options.changelog && report.recommendedBump === 'none') {
+            this.#stderr.write(`No token changes; ${options.changelog} was left unchanged\n`);
+        } else if (options.changelog) {
+            const changelogPath = resolve(options.changelog);
+            const existing = await readFile(changelogPath, 'utf8').catch(() => null);
+            await writeFile(changelogPath, mergeChangelogEntry(existing, report.changelog));
+        }
+        if (options['rename-map']) {
+            await writeFile(resolve(options['rename-map']), `${JSON.stringify(report.renameMap, null, 2)}\n`);
+        }
+        if (options.json) {
+            this.#stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+            return 0;
+        }
+
+        const width = Math.max(0, ...report.changes.map(change => change.kind.length));
+        const lines = report.changes.map(change => {
+            const subject = change.kind === 'renamed' ? `${change.previousPath} -> ${change.path}` : change.path;
+            const detail = change.kind === 'value-changed'
+                ? `: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`
+                : change.replacement ? ` (use ${change.replacement})` : '';
+            return `${change.kind.padEnd(width)}  ${subject}${detail}`;
+        });
+
+        this.#stdout.write(lines.length > 0 ? `${lines.join('\n')}\n` : 'No token changes\n');
+        if (report.possibleRenames.length > 0) {
+            this.#stdout.write(`\nPossible renames (same value; not added to the rename map):\n${report.possibleRenames
+                .map(rename => `  ${rename.previousPath} -> ${rename.path}`).join('\n')}\n`);
+        }
+        this.#stdout.write(`\nRecommended release: ${report.recommendedBump} (${report.currentVersion} -> ${report.nextVersion})\n`);
+        return 0;
+    }
+
+    #reportFailure(error) {
+        if (error instanceof TokenResolutionError) {
+            for (const issue of error.issues) {
+                const location = issue.layer ? ` (${issue.layer})` : '';
+                this.#stderr.write(`error ${issue.code} ${issue.tokenPath}${location}: ${issue.message}\n`);
+            }
+            this.#stderr.write(`\n${error.issues.length} token error(s)\n`);
+            return 1;
+        }
+        if (error instanceof CommandLineError) {
+            this.#stderr.write(`${error.message}\n`);
+            return error.exitCode;
+        }
+        this.#stderr.write(`${error.stack ?? error}\n`);
+        return 1;
+    }
+}
+
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    process.exitCode = await new AuroraCommandLine().run(process.argv.slice(2));
+}
+
+export { AuroraCommandLine, CommandLineError };
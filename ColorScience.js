@@ -0,0 +1,224 @@
+const JUST_NOTICEABLE_DIFFERENCE = 0.02;
+const CHROMA_EPSILON = 0.0001;
+const NUMBER = '[-+]?(?:\\d*\\.)?\\d+(?:e[-+]?\\d+)?';
+const COLOR_FUNCTION_PATTERN = new RegExp(
+    `^(rgba?|hsla?|oklch)\\(\\s*(${NUMBER}(?:%|deg)?)[\\s,]+(${NUMBER}%?)[\\s,]+(${NUMBER}(?:%|deg)?)(?:\\s*[,/]\\s*(${NUMBER}%?))?\\s*\\)$`,
+    'i'
+);
+
+function parseComponent(component, percentScale = 1) {
+    return component.endsWith('%') ? (parseFloat(component) / 100) * percentScale : parseFloat(component);
+}
+
+function normalizeHue(hue) {
+    return ((hue % 360) + 360) % 360;
+}
+
+function srgbToLinear(channel) {
+    const magnitude = Math.abs(channel);
+    return Math.sign(channel) * (magnitude <= 0.04045 ? magnitude / 12.92 : ((magnitude + 0.055) / 1.055) ** 2.4);
+}
+
+function linearToSrgb(channel) {
+    const magnitude = Math.abs(channel);
+    return Math.sign(channel) * (magnitude <= 0.0031308 ? magnitude * 12.92 : 1.055 * magnitude ** (1 / 2.4) - 0.055);
+}
+
+class ColorSpaceTransformationEngine {
+    parse(input) {
+        if (input !== null && typeof input === 'object') {
+            if ('l' in input && 'c' in input) {
+                return { space: 'oklch', l: input.l, c: input.c, h: normalizeHue(input.h ?? 0), alpha: input.alpha ?? 1 };
+            }
+            if ('r' in input && 'g' in input && 'b' in input) {
+                return { space: 'srgb', r: input.r, g: input.g, b: input.b, alpha: input.alpha ?? 1 };
+            }
+        }
+        if (typeof input !== 'string') {
+            throw new TypeError(`Cannot parse color ${JSON.stringify(input)}`);
+        }
+
+        const color = input.trim();
+        const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+        if (hex) {
+            const digits = hex[1].length <= 4 ? [...hex[1]].map(digit => digit + digit).join('') : hex[1];
+            const [r, g, b, alpha = 255] = digits.match(/../g).map(pair => parseInt(pair, 16));
+            return { space: 'srgb', r: r / 255, g: g / 255, b: b / 255, alpha: alpha / 255 };
+        }
+
+        const fn = color.match(COLOR_FUNCTION_PATTERN);
+        if (!fn) {
+            throw new TypeError(`Cannot parse color '${input}'`);
+        }
+
+        const [, name, first, second, third, alphaComponent] = fn;
+        const alpha = alphaComponent === undefined ? 1 : parseComponent(alphaComponent);
+        switch (name.toLowerCase().replace(/a$/, '')) {
+            case 'rgb':
+                return {
+                    space: 'srgb',
+                    r: parseComponent(first, 255) / 255,
+                    g: parseComponent(second, 255) / 255,
+                    b: parseComponent(third, 255) / 255,
+                    alpha
+                };
+            case 'hsl':
+                return this.#hslToSrgb(parseFloat(first), parseComponent(second), parseComponent(third), alpha);
+            default:
+                return {
+                    space: 'oklch',
+                    l: parseComponent(first),
+                    c: parseComponent(second, 0.4),
+                    h: normalizeHue(parseFloat(third)),
+                    alpha
+                };
+        }
+    }
+
+    toOklch(input) {
+        const color = this.parse(input);
+        if (color.space === 'oklch') {
+            return color;
+        }
+
+        const [r, g, b] = [color.r, color.g, color.b].map(srgbToLinear);
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+        const lightness = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+        const a = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+        const bAxis = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+        const chroma = Math.hypot(a, bAxis);
+
+        return {
+            space: 'oklch',
+            l: lightness,
+            c: chroma,
+            h: chroma < CHROMA_EPSILON ? 0 : normalizeHue((Math.atan2(bAxis, a) * 180) / Math.PI),
+            alpha: color.alpha
+        };
+    }
+
+    toSrgb(input) {
+        const color = this.parse(input);
+        if (color.space === 'srgb') {
+            return color;
+        }
+
+        const { a, b } = this.#oklchToOklab(color);
+        const l = (color.l + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+        const m = (color.l - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+        const s = (color.l - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+
+        return {
+            space: 'srgb',
+            r: linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+            g: linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+            b: linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s),
+            alpha: color.alpha
+        };
+    }
+
+    isInGamut(input, tolerance = 0.000075) {
+        const { r, g, b } = this.toSrgb(input);
+        return [r, g, b].every(channel => channel >= -tolerance && channel <= 1 + tolerance);
+    }
+
+    gamutMap(input) {
+        const origin = this.toOklch(input);
+        if (origin.l >= 1) {
+            return { space: 'oklch', l: 1, c: 0, h: origin.h, alpha: origin.alpha };
+        }
+        if (origin.l <= 0) {
+            return { space: 'oklch', l: 0, c: 0, h: origin.h, alpha: origin.alpha };
+        }
+        if (this.isInGamut(origin)) {
+            return origin;
+        }
+
+        let minimum = 0;
+        let maximum = origin.c;
+        let minimumInGamut = true;
+        let current = { ...origin };
+        let clipped = this.#clip(current);
+
+        if (this.deltaEOK(clipped, current) < JUST_NOTICEABLE_DIFFERENCE) {
+            return clipped;
+        }
+
+        while (maximum - minimum > CHROMA_EPSILON) {
+            const chroma = (minimum + maximum) / 2;
+            current = { ...current, c: chroma };
+            if (minimumInGamut && this.isInGamut(current)) {
+                minimum = chroma;
+                continue;
+            }
+
+            clipped = this.#clip(current);
+            const difference = this.deltaEOK(clipped, current);
+            if (difference < JUST_NOTICEABLE_DIFFERENCE) {
+                if (JUST_NOTICEABLE_DIFFERENCE - difference < CHROMA_EPSILON) {
+                    return clipped;
+                }
+                minimumInGamut = false;
+                minimum = chroma;
+            } else {
+                maximum = chroma;
+            }
+        }
+        return clipped;
+    }
+
+    deltaEOK(first, second) {
+        const a = this.#oklchToOklab(this.toOklch(first));
+        const b = this.#oklchToOklab(this.toOklch(second));
+        return Math.hypot(a.l - b.l, a.a - b.a, a.b - b.b);
+    }
+
+    relativeLuminance(input) {
+        const { r, g, b } = this.toSrgb(this.gamutMap(input));
+        const [red, green, blue] = [r, g, b].map(channel => srgbToLinear(Math.min(1, Math.max(0, channel))));
+        return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+    }
+
+    contrastRatio(foreground, background) {
+        const [lighter, darker] = [this.relativeLuminance(foreground), this.relativeLuminance(background)].sort((a, b) => b - a);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+
+    toHex(input) {
+        const { r, g, b, alpha } = this.toSrgb(this.gamutMap(input));
+        const channels = [r, g, b, ...(alpha < 1 ? [alpha] : [])]
+            .map(channel => Math.round(Math.min(1, Math.max(0, channel)) * 255).toString(16).padStart(2, '0'));
+        return `#${channels.join('')}`;
+    }
+
+    toOklchString(input) {
+        const { l, c, h, alpha } = this.gamutMap(input);
+        const round = (value, digits) => Number(value.toFixed(digits));
+        return `oklch(${round(l * 100, 2)}% ${round(c, 4)} ${round(h, 2)}${alpha < 1 ? ` / ${round(alpha, 3)}` : ''})`;
+    }
+
+    #oklchToOklab({ l, c, h }) {
+        const radians = (h * Math.PI) / 180;
+        return { l, a: c * Math.cos(radians), b: c * Math.sin(radians) };
+    }
+
+    #clip(oklch) {
+        const { r, g, b, alpha } = this.toSrgb(oklch);
+        const [red, green, blue] = [r, g, b].map(channel => Math.min(1, Math.max(0, channel)));
+        return this.toOklch({ r: red, g: green, b: blue, alpha });
+    }
+
+    #hslToSrgb(hue, saturation, lightness, alpha) {
+        const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+        const channel = offset => {
+            const k = (offset + normalizeHue(hue) / 30) % 12;
+            return lightness - (chroma / 2) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        };
+        return { space: 'srgb', r: channel(0), g: channel(8), b: channel(4), alpha };
+    }
+}
+
+export { ColorSpaceTransformationEngine, normalizeHue };
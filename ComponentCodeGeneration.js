@@ -0,0 +1,851 @@
+import { formatTokenName } from './TokenValues.js';
+import { handlerPropName, slotPropName, indexTokens, tokenMatches, parseStyleKey } from './ComponentSpecification.js';
+
+const GENERATED_HEADER = 'Generated by Aurora Design System. Do not edit directly.';
+const RUNTIME_MODULE = '@raspberry-coffee/aurora-design-system/ComponentSpecification.js';
+const DEV_GUARD = "process.env.NODE_ENV !== 'production'";
+const COMPOSITION_STRATEGIES = ['compound', 'flat'];
+const STYLING_APPROACHES = ['css_in_js', 'stylesheet'];
+const ATTRIBUTE_PROP_TYPES = new Set(['string', 'number', 'boolean', 'enum', 'token']);
+const VOID_ELEMENTS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const STYLE_REFERENCE = /\{([^{}]+)\}/g;
+const TOKEN_REFERENCE = /^\{([^{}]+)\}$/;
+
+const TOKEN_VAR_FUNCTION = [
+    'function tokenVar(reference: string): string {',
+    "  const path = reference.replace(/^\\{(.*)\\}$/, '$1');",
+    "  const words = path.split('.').flatMap(segment => segment.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^A-Za-z0-9]+/));",
+    "  return `var(--${words.filter(Boolean).join('-').toLowerCase()})`;",
+    '}'
+];
+const REPORT_FUNCTION = [
+    'function reportPropErrors(component: string, result: { errors: { path: string; message: string }[]; warnings: { path: string; message: string }[] }): void {',
+    '  for (const error of result.errors) {',
+    '    console.error(`<${component}> ${error.path}: ${error.message}`);',
+    '  }',
+    '  for (const warning of result.warnings) {',
+    '    console.warn(`<${component}> ${warning.path}: ${warning.message}`);',
+    '  }',
+    '}'
+];
+
+function kebab(segments) {
+    return formatTokenName(segments, 'kebab');
+}
+
+function pascal(name) {
+    return formatTokenName([name], 'pascal');
+}
+
+function templateLiteral(text) {
+    return `\`${text.replace(/[\\`]/g, character => `\\${character}`).replace(/\$\{/g, '\\${')}\``;
+}
+
+function describeParts(spec) {
+    const parts = [];
+    const visit = (definition, path) => {
+        const segments = [spec.name, ...path];
+        parts.push({
+            key: path.length > 0 ? path.join('.') : 'root',
+            path,
+            label: segments.join('.'),
+            exportName: segments.join(''),
+            className: path.length > 0 ? `aurora-${kebab([spec.name])}__${kebab(path)}` : `aurora-${kebab([spec.name])}`,
+            tagName: `aurora-${kebab(segments)}`,
+            element: definition.element ?? 'div',
+            contract: ['contract', ...path.flatMap(name => ['subcomponents', name])].join('.'),
+            props: definition.props ?? {},
+            slots: definition.slots ?? {},
+            events: definition.events ?? {},
+            children: Object.keys(definition.subcomponents ?? {})
+        });
+        for (const [name, subcomponent] of Object.entries(definition.subcomponents ?? {})) {
+            visit(subcomponent, [...path, name]);
+        }
+    };
+    visit(spec, []);
+    return parts;
+}
+
+function childParts(parts, part) {
+    return part.children.map(name => parts.find(candidate => candidate.key === [...part.path, name].join('.')));
+}
+
+function tokenPath(reference) {
+    return String(reference).match(TOKEN_REFERENCE)?.[1] ?? String(reference);
+}
+
+function tokenVariable(path) {
+    return `var(--${kebab(path.split('.'))})`;
+}
+
+function boundProperty(part, prop) {
+    return `--${part.tagName}-${kebab([prop])}`;
+}
+
+function cssValue(value, part) {
+    return String(value).replace(STYLE_REFERENCE, (reference, path) => {
+        if (!path.startsWith('props.')) {
+            return tokenVariable(path);
+        }
+        const name = path.slice('props.'.length);
+        const prop = part.props[name];
+        const fallback = prop.default === undefined
+            ? ''
+            : `, ${prop.type === 'token' ? tokenVariable(tokenPath(prop.default)) : prop.default}`;
+        return `var(${boundProperty(part, name)}${fallback})`;
+    });
+}
+
+function styleRules(spec, parts) {
+    return Object.entries(spec.styles ?? {}).flatMap(([key, declarations]) => {
+        const selector = parseStyleKey(key);
+        const part = parts.find(candidate => candidate.key === selector?.part);
+        return part ? [{ part, suffix: selector.suffix, declarations }] : [];
+    });
+}
+
+function stylesheet(rules, selectorFor) {
+    return rules.map(({ part, suffix, declarations }) => {
+        const body = Object.entries(declarations)
+            .map(([property, value]) => `  ${property.startsWith('--') ? property : property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}: ${cssValue(value, part)};`)
+            .join('\n');
+        return `${selectorFor(part, suffix)} {\n${body}\n}`;
+    }).join('\n\n');
+}
+
+function classSelector(part, suffix) {
+    return `.${part.className}${suffix}`;
+}
+
+function boundProps(rules, part) {
+    const referenced = new Set(rules
+        .filter(rule => rule.part === part)
+        .flatMap(rule => Object.values(rule.declarations).flatMap(value => [...String(value).matchAll(STYLE_REFERENCE)]))
+        .map(([, path]) => path)
+        .filter(path => path.startsWith('props.'))
+        .map(path => path.slice('props.'.length)));
+    return Object.keys(part.props).filter(name => referenced.has(name));
+}
+
+function reflectedProps(part) {
+    return Object.entries(part.props).filter(([, prop]) => prop.type === 'enum' || prop.type === 'boolean').map(([name]) => name);
+}
+
+function tokenCategories(parts) {
+    const categories = new Set();
+    const visit = prop => {
+        if (prop.type === 'token') {
+            categories.add(prop.token);
+        }
+        if (prop.items) {
+            visit(prop.items);
+        }
+    };
+    for (const part of parts) {
+        Object.values(part.props).forEach(visit);
+        Object.values(part.events).forEach(event => Object.values(event.payload ?? {}).forEach(visit));
+    }
+    return [...categories];
+}
+
+function tokenTypeName(category) {
+    return `${pascal(category)}Token`;
+}
+
+function tsType(prop, nodeType) {
+    switch (prop.type) {
+        case 'string':
+        case 'number':
+        case 'boolean':
+            return prop.type;
+        case 'function':
+            return '(...args: unknown[]) => unknown';
+        case 'object':
+            return 'Record<string, unknown>';
+        case 'array':
+            return prop.items ? `Array<${tsType(prop.items, nodeType)}>` : 'unknown[]';
+        case 'node':
+            return nodeType;
+        case 'enum':
+            return prop.values.map(value => JSON.stringify(value)).join(' | ');
+        case 'token':
+            return `TokenReference<${tokenTypeName(prop.token)}>`;
+        default:
+            return 'unknown';
+    }
+}
+
+function member(name, type, optional, description) {
+    return [
+        ...(description ? [`  /** ${description} */`] : []),
+        `  ${name}${optional ? '?' : ''}: ${type};`
+    ];
+}
+
+function eventTypeName(part, event) {
+    return `${part.exportName}${pascal(event)}Event`;
+}
+
+function typeDeclarations(parts, tokenIndex, nodeType, { handlers, slots }) {
+    const [root] = parts;
+    const lines = [];
+    const categories = tokenCategories(parts);
+    if (categories.length > 0) {
+        for (const category of categories) {
+            const paths = tokenIndex
+                ? [...tokenIndex].filter(([path, entry]) => tokenMatches(path, entry, category)).map(([path]) => path).sort()
+                : [];
+            lines.push(`export type ${tokenTypeName(category)} = ${paths.length > 0 ? paths.map(path => JSON.stringify(path)).join(' | ') : 'string'};`);
+        }
+        lines.push('export type TokenReference<Path extends string> = Path | `{${Path}}`;', '');
+    }
+
+    for (const part of parts) {
+        for (const [event, definition] of Object.entries(part.events)) {
+            const fields = Object.entries(definition.payload ?? {});
+            lines.push(fields.length > 0
+                ? [`export interface ${eventTypeName(part, event)} {`, ...fields.flatMap(([name, prop]) => member(name, tsType(prop, nodeType), !prop.required, prop.description)), '}'].join('\n')
+                : `export type ${eventTypeName(part, event)} = Record<string, never>;`, '');
+        }
+
+        const members = Object.entries(part.props).flatMap(([name, prop]) => member(name, tsType(prop, nodeType), !prop.required, prop.description));
+        if (slots) {
+            members.push(...Object.entries(part.slots).flatMap(([name, slot]) => member(slotPropName(name), nodeType, !slot.required, slot.description)));
+        }
+        if (handlers) {
+            members.push(...Object.entries(part.events).flatMap(([event, definition]) =>
+                member(handlerPropName(event), `(event: ${eventTypeName(part, event)}) => void`, true, definition.description)));
+        }
+        lines.push([`export interface ${part.exportName}Props {`, ...members, '}'].join('\n'), '');
+    }
+
+    lines.push(
+        `export interface ${root.exportName}Events {`,
+        ...Object.keys(root.events).map(event => `  ${event}: ${eventTypeName(root, event)};`),
+        '}',
+        ''
+    );
+    return lines;
+}
+
+function contractFile(spec) {
+    return { filename: `${spec.name}.contract.ts`, contents: `// ${GENERATED_HEADER}\n\nexport const contract = ${JSON.stringify(spec, null, 2)};\n` };
+}
+
+function slotValues(part, valueOf) {
+    return Object.keys(part.slots).map(name => `${slotPropName(name)}: ${valueOf(name)}`);
+}
+
+class ReactComponentGenerator {
+    get framework() {
+        return 'react';
+    }
+
+    generate(spec, { designPattern = 'compound', stylingApproach = 'css_in_js', tokens } = {}) {
+        const parts = describeParts(spec);
+        const [root] = parts;
+        const rules = styleRules(spec, parts);
+        const css = stylesheet(rules, classSelector);
+        const compound = designPattern === 'compound';
+
+        const lines = [
+            `// ${GENERATED_HEADER}`,
+            '',
+            "import { createContext, useContext, type CSSProperties, type ReactNode } from 'react';",
+            `import { createPropChecker } from '${RUNTIME_MODULE}';`,
+            `import { contract } from './${spec.name}.contract';`,
+            ...(stylingApproach === 'stylesheet' && css ? [`import './${spec.name}.css';`] : []),
+            '',
+            ...typeDeclarations(parts, indexTokens(tokens), 'ReactNode', { handlers: true, slots: true }),
+            `export interface ${root.exportName}ContextValue {`,
+            `  props: ${root.exportName}Props;`,
+            `  emit<Event extends keyof ${root.exportName}Events>(event: Event, detail: ${root.exportName}Events[Event]): void;`,
+            '}',
+            '',
+            ...TOKEN_VAR_FUNCTION,
+            '',
+            ...REPORT_FUNCTION,
+            ''
+        ];
+
+        if (stylingApproach === 'css_in_js' && css) {
+            lines.push(
+                `const STYLES = ${templateLiteral(css)};`,
+                '',
+                "if (typeof document !== 'undefined' && !document.querySelector(`style[data-aurora-component=\"" + spec.name + "\"]`)) {",
+                "  const style = document.createElement('style');",
+                `  style.setAttribute('data-aurora-component', '${spec.name}');`,
+                '  style.textContent = STYLES;',
+                '  document.head.append(style);',
+                '}',
+                ''
+            );
+        }
+
+        for (const part of parts) {
+            lines.push(`const check${part.exportName}Props = ${DEV_GUARD} ? createPropChecker(${part.contract}) : null;`);
+        }
+        lines.push(
+            '',
+            `const ${root.exportName}Context = createContext<${root.exportName}ContextValue | null>(null);`,
+            '',
+            `export function use${root.exportName}Context(part: string): ${root.exportName}ContextValue {`,
+            `  const context = useContext(${root.exportName}Context);`,
+            '  if (!context) {',
+            `    throw new Error(\`<\${part}> must be rendered inside <${root.label}>\`);`,
+            '  }',
+            '  return context;',
+            '}',
+            ''
+        );
+
+        for (const part of parts) {
+            lines.push(...this.#component(part, part === root, rules, compound), '');
+        }
+
+        if (compound) {
+            for (const part of [...parts].reverse().filter(candidate => candidate.children.length > 0)) {
+                const members = childParts(parts, part).map(child => `${child.path.at(-1)}: ${child.exportName}`);
+                lines.push(`export const ${part.exportName} = Object.assign(${part.exportName}${part === root ? 'Root' : 'Component'}, { ${members.join(', ')} });`);
+            }
+            lines.push('');
+        }
+
+        const files = [
+            { filename: `${spec.name}.tsx`, contents: `${lines.join('\n').trimEnd()}\n` },
+            contractFile(spec)
+        ];
+        if (stylingApproach === 'stylesheet' && css) {
+            files.push({ filename: `${spec.name}.css`, contents: `/* ${GENERATED_HEADER} */\n\n${css}\n` });
+        }
+        return { files, warnings: [] };
+    }
+
+    #component(part, isRoot, rules, compound) {
+        const functionName = compound && part.children.length > 0 ? `${part.exportName}${isRoot ? 'Root' : 'Component'}` : part.exportName;
+        const exported = compound && part.children.length > 0 ? '' : 'export ';
+        const lines = [`${exported}function ${functionName}(props: ${part.exportName}Props) {`];
+
+        if (!isRoot && compound) {
+            lines.push(`  use${part.label.split('.')[0]}Context('${part.label}');`);
+        }
+        lines.push(
+            `  if (check${part.exportName}Props) {`,
+            `    reportPropErrors('${part.label}', check${part.exportName}Props(props));`,
+            '  }'
+        );
+
+        const bound = boundProps(rules, part);
+        if (bound.length > 0) {
+            lines.push('  const style: Record<string, string> = {};');
+            for (const name of bound) {
+                lines.push(
+                    `  if (props.${name} !== undefined) {`,
+                    `    style['${boundProperty(part, name)}'] = ${part.props[name].type === 'token' ? `tokenVar(props.${name})` : `String(props.${name})`};`,
+                    '  }'
+                );
+            }
+        }
+
+        const attributes = [`className="${part.className}"`];
+        for (const name of reflectedProps(part)) {
+            const prop = part.props[name];
+            const value = prop.default === undefined ? `props.${name}` : `props.${name} ?? ${JSON.stringify(prop.default)}`;
+            attributes.push(prop.type === 'boolean' ? `data-${kebab([name])}={${prop.default === undefined ? value : `(${value})`} ? '' : undefined}` : `data-${kebab([name])}={${value}}`);
+        }
+        if (bound.length > 0) {
+            attributes.push('style={style as CSSProperties}');
+        }
+
+        const element = VOID_ELEMENTS.has(part.element)
+            ? [`<${part.element} ${attributes.join(' ')} />`]
+            : [
+                `<${part.element} ${attributes.join(' ')}>`,
+                ...Object.keys(part.slots).map(name => `  {props.${slotPropName(name)}}`),
+                `</${part.element}>`
+            ];
+
+        if (isRoot) {
+            lines.push(
+                `  const handlers: { [Event in keyof ${part.exportName}Events]?: (event: ${part.exportName}Events[Event]) => void } = {${Object.keys(part.events).map(event => ` ${event}: props.${handlerPropName(event)}`).join(',')}${Object.keys(part.events).length > 0 ? ' ' : ''}};`,
+                `  const emit: ${part.exportName}ContextValue['emit'] = (event, detail) => handlers[event]?.(detail);`,
+                '  return (',
+                `    <${part.exportName}Context.Provider value={{ props, emit }}>`,
+                ...element.map(line => `      ${line}`),
+                `    </${part.exportName}Context.Provider>`,
+                '  );'
+            );
+        } else {
+            lines.push('  return (', ...element.map(line => `    ${line}`), '  );');
+        }
+        lines.push('}');
+        return lines;
+    }
+}
+
+class VueComponentGenerator {
+    get framework() {
+        return 'vue';
+    }
+
+    generate(spec, { designPattern = 'compound', tokens } = {}) {
+        const parts = describeParts(spec);
+        const [root] = parts;
+        const rules = styleRules(spec, parts);
+
+        const types = typeDeclarations(parts, indexTokens(tokens), 'VNodeChild', { handlers: false, slots: false });
+        const shared = [
+            `// ${GENERATED_HEADER}`,
+            '',
+            `import type { InjectionKey${types.some(line => line.includes('VNodeChild')) ? ', VNodeChild' : ''} } from 'vue';`,
+            '',
+            ...types,
+            `export interface ${root.exportName}Context {`,
+            `  props: ${root.exportName}Props;`,
+            `  emit<Event extends keyof ${root.exportName}Events>(event: Event, detail: ${root.exportName}Events[Event]): void;`,
+            '}',
+            '',
+            `export const ${root.exportName}ContextKey: InjectionKey<${root.exportName}Context> = Symbol('${root.label}');`,
+            '',
+            ...TOKEN_VAR_FUNCTION.map((line, index) => (index === 0 ? `export ${line}` : line)),
+            '',
+            ...REPORT_FUNCTION.map((line, index) => (index === 0 ? `export ${line}` : line))
+        ];
+
+        const files = [
+            { filename: `${spec.name}.shared.ts`, contents: `${shared.join('\n')}\n` },
+            ...parts.map(part => ({ filename: `${part.exportName}.vue`, contents: this.#singleFileComponent(part, part === root, root, rules, designPattern === 'compound') })),
+            {
+                filename: 'index.ts',
+                contents: [
+                    `// ${GENERATED_HEADER}`,
+                    '',
+                    ...parts.map(part => `export { default as ${part.exportName} } from './${part.exportName}.vue';`),
+                    `export { ${root.exportName}ContextKey } from './${spec.name}.shared';`,
+                    `export type * from './${spec.name}.shared';`,
+                    ''
+                ].join('\n')
+            },
+            contractFile(spec)
+        ];
+        return { files, warnings: [] };
+    }
+
+    #singleFileComponent(part, isRoot, root, rules, compound) {
+        const bound = boundProps(rules, part);
+        const events = Object.entries(part.events);
+        const eventTypes = events.map(([event]) => eventTypeName(part, event));
+        const imports = ['watchEffect', ...(bound.length > 0 ? ['computed'] : []), ...(isRoot ? ['provide'] : compound ? ['inject'] : [])].sort();
+        const sharedImports = [
+            ...(isRoot ? [`${root.exportName}ContextKey`, `type ${root.exportName}Context`] : compound ? [`${root.exportName}ContextKey`] : []),
+            ...(bound.some(name => part.props[name].type === 'token') ? ['tokenVar'] : []),
+            'reportPropErrors',
+            `type ${part.exportName}Props`,
+            ...eventTypes.map(name => `type ${name}`)
+        ];
+        const defaults = Object.entries(part.props)
+            .filter(([, prop]) => prop.default !== undefined)
+            .map(([name, prop]) => `  ${name}: ${prop.default !== null && typeof prop.default === 'object' ? `() => (${JSON.stringify(prop.default)})` : JSON.stringify(prop.default)}`);
+
+        const script = [
+            '<script setup lang="ts">',
+            `import { ${imports.join(', ')} } from 'vue';`,
+            `import { createPropChecker } from '${RUNTIME_MODULE}';`,
+            `import { contract } from './${root.exportName}.contract';`,
+            `import { ${sharedImports.join(', ')} } from './${root.exportName}.shared';`,
+            '',
+            defaults.length > 0
+                ? `const props = withDefaults(defineProps<${part.exportName}Props>(), {\n${defaults.join(',\n')}\n});`
+                : `const props = defineProps<${part.exportName}Props>();`
+        ];
+        if (events.length > 0) {
+            script.push(`${isRoot ? 'const emit = ' : ''}defineEmits<{\n${events.map(([event]) => `  ${event}: [event: ${eventTypeName(part, event)}];`).join('\n')}\n}>();`);
+        }
+        const slotNames = Object.keys(part.slots);
+        script.push(`const slots = defineSlots<{\n${slotNames.map(name => `  ${name}${part.slots[name].required ? '' : '?'}(): unknown;`).join('\n')}\n}>();`, '');
+
+        if (isRoot) {
+            script.push(events.length > 0
+                ? `provide(${root.exportName}ContextKey, { props, emit: emit as unknown as ${root.exportName}Context['emit'] });`
+                : `provide(${root.exportName}ContextKey, { props, emit: () => undefined });`);
+        } else if (compound) {
+            script.push(
+                `if (!inject(${root.exportName}ContextKey, null)) {`,
+                `  throw new Error('<${part.exportName}> must be rendered inside <${root.exportName}>');`,
+                '}'
+            );
+        }
+        script.push(
+            '',
+            `if (${DEV_GUARD}) {`,
+            `  const checkProps = createPropChecker(${part.contract});`,
+            `  watchEffect(() => reportPropErrors('${part.label}', checkProps({ ...props${slotValues(part, name => `slots.${name}?.()`).map(value => `, ${value}`).join('')} })));`,
+            '}'
+        );
+        if (bound.length > 0) {
+            script.push(
+                '',
+                'const style = computed(() => {',
+                '  const style: Record<string, string> = {};',
+                ...bound.flatMap(name => [
+                    `  if (props.${name} !== undefined) {`,
+                    `    style['${boundProperty(part, name)}'] = ${part.props[name].type === 'token' ? `tokenVar(props.${name})` : `String(props.${name})`};`,
+                    '  }'
+                ]),
+                '  return style;',
+                '});'
+            );
+        }
+        script.push('</script>');
+
+        const attributes = [`class="${part.className}"`];
+        for (const name of reflectedProps(part)) {
+            attributes.push(part.props[name].type === 'boolean'
+                ? `:data-${kebab([name])}="props.${name} ? '' : undefined"`
+                : `:data-${kebab([name])}="props.${name}"`);
+        }
+        if (bound.length > 0) {
+            attributes.push(':style="style"');
+        }
+        const template = VOID_ELEMENTS.has(part.element)
+            ? [`  <${part.element} ${attributes.join(' ')} />`]
+            : [
+                `  <${part.element} ${attributes.join(' ')}>`,
+                ...slotNames.map(name => (name === 'default' ? '    <slot />' : `    <slot name="${name}" />`)),
+                `  </${part.element}>`
+            ];
+
+        const css = stylesheet(rules.filter(rule => rule.part === part), classSelector);
+        return [
+            `<!-- ${GENERATED_HEADER} -->`,
+            ...script,
+            '',
+            '<template>',
+            ...template,
+            '</template>',
+            ...(css ? ['', '<style>', css, '</style>'] : []),
+            ''
+        ].join('\n');
+    }
+}
+
+class CustomElementGenerator {
+    get framework() {
+        return 'web-components';
+    }
+
+    generate(spec, { designPattern = 'compound', tokens } = {}) {
+        const parts = describeParts(spec);
+        const [root] = parts;
+        const rules = styleRules(spec, parts);
+
+        const lines = [
+            `// ${GENERATED_HEADER}`,
+            '',
+            `import { createPropChecker } from '${RUNTIME_MODULE}';`,
+            `import { contract } from './${spec.name}.contract';`,
+            '',
+            ...typeDeclarations(parts, indexTokens(tokens), 'Node | string', { handlers: false, slots: false }),
+            ...TOKEN_VAR_FUNCTION,
+            '',
+            ...REPORT_FUNCTION,
+            ''
+        ];
+        for (const part of parts) {
+            lines.push(`const check${part.exportName}Props = ${DEV_GUARD} ? createPropChecker(${part.contract}) : null;`);
+        }
+        lines.push('');
+
+        for (const part of parts) {
+            lines.push(...this.#elementClass(part, part === root, root, rules, designPattern === 'compound'), '');
+        }
+
+        lines.push(
+            'const elements: [string, CustomElementConstructor][] = [',
+            ...parts.map(part => `  ['${part.tagName}', ${this.#className(part)}],`),
+            '];',
+            'for (const [tagName, element] of elements) {',
+            '  if (!customElements.get(tagName)) {',
+            '    customElements.define(tagName, element);',
+            '  }',
+            '}',
+            '',
+            'declare global {',
+            '  interface HTMLElementTagNameMap {',
+            ...parts.map(part => `    '${part.tagName}': ${this.#className(part)};`),
+            '  }',
+            '}'
+        );
+
+        return {
+            files: [
+                { filename: `${spec.name}.element.ts`, contents: `${lines.join('\n')}\n` },
+                contractFile(spec)
+            ],
+            warnings: []
+        };
+    }
+
+    #className(part) {
+        return `Aurora${part.exportName}Element`;
+    }
+
+    #elementClass(part, isRoot, root, rules, compound) {
+        const props = Object.entries(part.props);
+        const attributeProps = props.filter(([, prop]) => ATTRIBUTE_PROP_TYPES.has(prop.type));
+        const propertyProps = props.filter(([, prop]) => !ATTRIBUTE_PROP_TYPES.has(prop.type));
+        const bound = boundProps(rules, part);
+        const css = stylesheet(rules.filter(rule => rule.part === part), classSelector);
+        const slots = VOID_ELEMENTS.has(part.element)
+            ? ''
+            : Object.keys(part.slots).map(name => (name === 'default' ? '<slot></slot>' : `<slot name="${name}"></slot>`)).join('');
+        const markup = VOID_ELEMENTS.has(part.element)
+            ? `<${part.element} class="${part.className}">`
+            : `<${part.element} class="${part.className}">${slots}</${part.element}>`;
+        const events = Object.entries(part.events);
+
+        const lines = [
+            `export class ${this.#className(part)} extends HTMLElement {`,
+            `  static observedAttributes = [${attributeProps.map(([name]) => `'${kebab([name])}'`).join(', ')}];`,
+            '',
+            ...propertyProps.map(([name, prop]) => `  #${name}: ${tsType(prop, 'Node | string')} | undefined${prop.default === undefined ? '' : ` = ${JSON.stringify(prop.default)}`};`),
+            ...(propertyProps.length > 0 ? [''] : []),
+            '  constructor() {',
+            '    super();',
+            `    this.attachShadow({ mode: 'open' }).innerHTML = ${templateLiteral(`${css ? `<style>${css}</style>` : ''}${markup}`)};`,
+            '  }',
+            '',
+            '  connectedCallback(): void {'
+        ];
+        if (!isRoot && compound) {
+            lines.push(
+                `    if (${DEV_GUARD} && !this.closest('${root.tagName}')) {`,
+                `      console.error('<${part.tagName}> must be placed inside <${root.tagName}>');`,
+                '    }'
+            );
+        }
+        lines.push(
+            '    this.#update();',
+            '  }',
+            '',
+            '  attributeChangedCallback(): void {',
+            '    if (this.isConnected) {',
+            '      this.#update();',
+            '    }',
+            '  }',
+            ''
+        );
+
+        for (const [name, prop] of attributeProps) {
+            const attribute = kebab([name]);
+            const type = tsType(prop, 'Node | string');
+            if (prop.type === 'boolean') {
+                lines.push(
+                    `  get ${name}(): boolean {`,
+                    prop.default === true ? `    return this.getAttribute('${attribute}') !== 'false';` : `    return this.hasAttribute('${attribute}');`,
+                    '  }',
+                    '',
+                    `  set ${name}(value: boolean) {`,
+                    prop.default === true ? `    this.setAttribute('${attribute}', String(value));` : `    this.toggleAttribute('${attribute}', value);`,
+                    '  }',
+                    ''
+                );
+                continue;
+            }
+            const fallback = prop.default === undefined ? 'undefined' : JSON.stringify(prop.default);
+            const returnType = prop.default === undefined ? `${type} | undefined` : type;
+            lines.push(
+                `  get ${name}(): ${returnType} {`,
+                `    const value = this.getAttribute('${attribute}');`,
+                prop.type === 'number'
+                    ? `    return value === null ? ${fallback} : Number(value);`
+                    : `    return value === null ? ${fallback} : value as ${type};`,
+                '  }',
+                '',
+                `  set ${name}(value: ${type} | undefined) {`,
+                '    if (value === undefined) {',
+                `      this.removeAttribute('${attribute}');`,
+                '    } else {',
+                `      this.setAttribute('${attribute}', String(value));`,
+                '    }',
+                '  }',
+                ''
+            );
+        }
+        for (const [name, prop] of propertyProps) {
+            const type = tsType(prop, 'Node | string');
+            lines.push(
+                `  get ${name}(): ${type} | undefined {`,
+                `    return this.#${name};`,
+                '  }',
+                '',
+                `  set ${name}(value: ${type} | undefined) {`,
+                `    this.#${name} = value;`,
+                '    if (this.isConnected) {',
+                '      this.#update();',
+                '    }',
+                '  }',
+                ''
+            );
+        }
+
+        if (events.length > 0) {
+            lines.push(
+                `  emit<Event extends keyof ${part.exportName}ElementEvents>(event: Event, detail: ${part.exportName}ElementEvents[Event]): boolean {`,
+                `    const cancelable = ${JSON.stringify(events.filter(([, event]) => event.cancelable).map(([name]) => name))}.includes(event);`,
+                '    return this.dispatchEvent(new CustomEvent(event, { detail, bubbles: true, composed: true, cancelable }));',
+                '  }',
+                ''
+            );
+        }
+
+        lines.push('  #update(): void {');
+        if (reflectedProps(part).length > 0 || bound.length > 0) {
+            lines.push(`    const base = this.shadowRoot!.querySelector<HTMLElement>('.${part.className}')!;`);
+        }
+        for (const name of reflectedProps(part)) {
+            const attribute = kebab([name]);
+            lines.push(part.props[name].type === 'boolean'
+                ? `    base.toggleAttribute('data-${attribute}', this.${name});`
+                : [
+                    `    if (this.${name} === undefined) {`,
+                    `      base.removeAttribute('data-${attribute}');`,
+                    '    } else {',
+                    `      base.setAttribute('data-${attribute}', String(this.${name}));`,
+                    '    }'
+                ].join('\n'));
+        }
+        for (const name of bound) {
+            const source = ATTRIBUTE_PROP_TYPES.has(part.props[name].type) ? `this.getAttribute('${kebab([name])}')` : `this.#${name}`;
+            lines.push(
+                `    const ${name} = ${source};`,
+                `    if (${name} === null || ${name} === undefined) {`,
+                `      base.style.removeProperty('${boundProperty(part, name)}');`,
+                '    } else {',
+                `      base.style.setProperty('${boundProperty(part, name)}', ${part.props[name].type === 'token' ? `tokenVar(${name})` : `String(${name})`});`,
+                '    }'
+            );
+        }
+        const values = [
+            ...attributeProps.map(([name, prop]) => (prop.type === 'boolean' ? `${name}: this.${name}` : `${name}: this.hasAttribute('${kebab([name])}') ? this.${name} : undefined`)),
+            ...propertyProps.map(([name]) => `${name}: this.#${name}`),
+            ...slotValues(part, name => `this.#slotted(${name === 'default' ? 'null' : `'${name}'`})`)
+        ];
+        lines.push(
+            `    if (check${part.exportName}Props) {`,
+            `      reportPropErrors('${part.tagName}', check${part.exportName}Props({ ${values.join(', ')} }));`,
+            '    }',
+            '  }'
+        );
+        if (Object.keys(part.slots).length > 0) {
+            lines.push(
+                '',
+                '  #slotted(slot: string | null): (Node | string)[] {',
+                '    return [...this.childNodes]',
+                "      .filter(node => (node instanceof Element ? node.getAttribute('slot') : null) === slot)",
+                '      .filter(node => node.nodeType !== Node.TEXT_NODE || node.textContent!.trim() !== \'\')',
+                '      .map(node => (node.nodeType === Node.TEXT_NODE ? node.textContent! : node));',
+                '  }'
+            );
+        }
+        lines.push('}');
+
+        if (events.length > 0) {
+            lines.unshift(
+                `export interface ${part.exportName}ElementEvents {`,
+                ...events.map(([event]) => `  ${event}: ${eventTypeName(part, event)};`),
+                '}',
+                ''
+            );
+        }
+        return lines;
+    }
+}
+
+class ComponentGeneratorRegistry {
+    #generators = new Map([
+        ['react', new ReactComponentGenerator()],
+        ['vue', new VueComponentGenerator()],
+        ['web-components', new CustomElementGenerator()]
+    ]);
+
+    register(framework, generator) {
+        this.#generators.set(framework, generator);
+        return this;
+    }
+
+    get(framework) {
+        const generator = this.#generators.get(framework);
+        if (!generator) {
+            throw new Error(`Unsupported component framework '${framework}' (available: ${[...this.#generators.keys()].join(', ')})`);
+        }
+        return generator;
+    }
+
+    get frameworks() {
+        return [...this.#generators.keys()];
+    }
+}
+
+class ComponentComposer {
+    #strategy;
+    #generators;
+
+    constructor(strategy, generators) {
+        this.#strategy = strategy;
+        this.#generators = generators;
+    }
+
+    async compose(specification, { stateManagement = 'local', stylingApproach = 'css_in_js', frameworks = this.#generators.frameworks, tokens } = {}) {
+        if (!STYLING_APPROACHES.includes(stylingApproach)) {
+            throw new RangeError(`Unsupported styling approach '${stylingApproach}' (expected ${STYLING_APPROACHES.join(', ')})`);
+        }
+        const warnings = stateManagement === 'local'
+            ? []
+            : [`state management '${stateManagement}' is not generated; components keep their state local`];
+
+        const implementations = {};
+        for (const framework of frameworks) {
+            const output = this.#generators.get(framework).generate(specification, { designPattern: this.#strategy, stylingApproach, tokens });
+            implementations[framework] = output;
+            warnings.push(...output.warnings.map(warning => `${framework}: ${warning}`));
+        }
+
+        return {
+            name: specification.name,
+            version: specification.version ?? null,
+            designPattern: this.#strategy,
+            stateManagement,
+            stylingApproach,
+            specification,
+            implementations,
+            warnings
+        };
+    }
+}
+
+class ComponentCompositionOrchestrator {
+    #generators = new ComponentGeneratorRegistry();
+
+    get generators() {
+        return this.#generators;
+    }
+
+    getComposer(strategy) {
+        if (!COMPOSITION_STRATEGIES.includes(strategy)) {
+            throw new RangeError(`Unsupported design pattern '${strategy}' (expected ${COMPOSITION_STRATEGIES.join(', ')})`);
+        }
+        return new ComponentComposer(strategy, this.#generators);
+    }
+}
+
+export {
+    COMPOSITION_STRATEGIES,
+    STYLING_APPROACHES,
+    ReactComponentGenerator,
+    VueComponentGenerator,
+    CustomElementGenerator,
+    ComponentGeneratorRegistry,
+    ComponentCompositionOrchestrator
+};
@@ -0,0 +1,267 @@
+import { gzipSync, brotliCompressSync, constants } from 'node:zlib';
+import { parseStyleKey } from './ComponentSpecification.js';
+
+const SIZE_METRICS = ['raw', 'gzip', 'brotli'];
+const DEFAULT_PERFORMANCE_BUDGET = { gzip: 10 * 1024, brotli: 8 * 1024 };
+const STYLE_REFERENCE = /\{([^{}]+)\}/g;
+const TOKEN_REFERENCE = /^\{([^{}]+)\}$/;
+const MODULE_EXTENSION = /\.(?:[cm]?[jt]sx?|vue|css)$/;
+const MODULE_SPECIFIER = /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)|\b(?:import|export)\s+(?:[\w*${},\s]+\s+from\s+)?['"]([^'"]+)['"]|@import\s+(?:url\()?\s*['"]([^'"]+)['"]/g;
+
+class ComponentDependencyError extends Error {
+    constructor(issues) {
+        super(issues.map(issue => `${issue.component}: ${issue.message}`).join('\n'));
+        this.name = 'ComponentDependencyError';
+        this.issues = issues;
+    }
+}
+
+class PerformanceBudgetError extends Error {
+    constructor(violations) {
+        super(violations.map(violation => `${violation.component} (${violation.framework}): ${violation.metric} size ${violation.size} B exceeds the budget of ${violation.budget} B`).join('\n'));
+        this.name = 'PerformanceBudgetError';
+        this.violations = violations;
+    }
+}
+
+function packageName(specifier) {
+    const segments = specifier.split('/');
+    return specifier.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+}
+
+function moduleName(path) {
+    return path.split('/').pop().replace(MODULE_EXTENSION, '');
+}
+
+function moduleSpecifiers(contents) {
+    return [...contents.matchAll(MODULE_SPECIFIER)].map(match => match[1] ?? match[2] ?? match[3]);
+}
+
+function packageImports(contents) {
+    return moduleSpecifiers(contents)
+        .filter(specifier => !specifier.startsWith('.') && !specifier.startsWith('/') && !specifier.startsWith('node:'))
+        .map(packageName);
+}
+
+function measure(contents) {
+    const buffer = Buffer.from(contents, 'utf8');
+    return {
+        raw: buffer.length,
+        gzip: gzipSync(buffer, { level: 9 }).length,
+        brotli: brotliCompressSync(buffer, { params: { [constants.BROTLI_PARAM_QUALITY]: 11 } }).length
+    };
+}
+
+function partTokens(definition) {
+    return Object.values(definition.props ?? {}).flatMap(prop => {
+        if (typeof prop.default !== 'string') {
+            return [];
+        }
+        const reference = prop.default.match(TOKEN_REFERENCE)?.[1];
+        return reference ? [reference] : prop.type === 'token' ? [prop.default] : [];
+    });
+}
+
+class ComponentDependencyResolver {
+    #library = new Map();
+
+    get components() {
+        return [...this.#library.keys()];
+    }
+
+    register({ name, specification, implementations = {} }) {
+        this.#library.set(name, { specification, implementations });
+        return this;
+    }
+
+    resolveGraph(candidate) {
+        const library = this.#libraryWith(candidate);
+        const nodes = new Map();
+        const edges = [];
+        const addNode = (kind, name) => {
+            const id = `${kind}:${name}`;
+            if (!nodes.has(id)) {
+                nodes.set(id, { id, kind, name });
+            }
+            return id;
+        };
+        const addEdge = (from, to, kind, frameworks) => {
+            const existing = edges.find(edge => edge.from === from && edge.to === to);
+            if (existing && frameworks) {
+                existing.frameworks = [...new Set([...(existing.frameworks ?? []), ...frameworks])];
+            } else if (!existing) {
+                edges.push({ from, to, kind, ...(frameworks ? { frameworks } : {}) });
+            }
+        };
+
+        for (const [name, { specification, implementations }] of library) {
+            const root = addNode('component', name);
+            const partIds = new Map([['root', root]]);
+            const visitParts = (definition, parentId, prefix) => {
+                for (const token of partTokens(definition)) {
+                    addEdge(parentId, addNode('token', token), 'token');
+                }
+                for (const [partName, subcomponent] of Object.entries(definition.subcomponents ?? {})) {
+                    const path = prefix ? `${prefix}.${partName}` : partName;
+                    const id = addNode('subcomponent', `${name}.${path}`);
+                    partIds.set(path, id);
+                    addEdge(parentId, id, 'subcomponent');
+                    visitParts(subcomponent, id, path);
+                }
+            };
+            visitParts(specification, root, '');
+
+            for (const [key, declarations] of Object.entries(specification.styles ?? {})) {
+                const from = partIds.get(parseStyleKey(key)?.part) ?? root;
+                for (const value of Object.values(declarations ?? {})) {
+                    for (const [, path] of String(value).matchAll(STYLE_REFERENCE)) {
+                        if (!path.startsWith('props.')) {
+                            addEdge(from, addNode('token', path), 'token');
+                        }
+                    }
+                }
+            }
+
+            for (const dependency of specification.dependencies ?? []) {
+                addEdge(root, addNode('component', dependency), 'component');
+            }
+
+            for (const [framework, { files = [] }] of Object.entries(implementations)) {
+                const ownModules = new Set(files.map(file => moduleName(file.filename)));
+                for (const file of files) {
+                    for (const specifier of moduleSpecifiers(file.contents)) {
+                        if (specifier.startsWith('.') || specifier.startsWith('/')) {
+                            const imported = moduleName(specifier);
+                            if (!ownModules.has(imported) && library.has(imported)) {
+                                addEdge(root, addNode('component', imported), 'component', [framework]);
+                            }
+                        } else if (!specifier.startsWith('node:')) {
+                            addEdge(root, addNode('package', packageName(specifier)), 'package', [framework]);
+                        }
+                    }
+                }
+            }
+        }
+
+        for (const node of nodes.values()) {
+            if (node.kind === 'component' && !library.has(node.name)) {
+                node.missing = true;
+            }
+        }
+
+        return {
+            nodes: [...nodes.values()],
+            edges,
+            cycles: this.#detectCycles(edges),
+            missing: [...nodes.values()].filter(node => node.missing).map(node => node.name)
+        };
+    }
+
+    resolve(name, candidate) {
+        const graph = this.resolveGraph(candidate);
+        const reachable = new Set([`component:${name}`]);
+        const queue = [`component:${name}`];
+        while (queue.length > 0) {
+            const from = queue.shift();
+            for (const edge of graph.edges.filter(candidate => candidate.from === from && !reachable.has(candidate.to))) {
+                reachable.add(edge.to);
+                queue.push(edge.to);
+            }
+        }
+        const nodes = graph.nodes.filter(node => reachable.has(node.id));
+        const namesOf = kind => nodes.filter(node => node.kind === kind).map(node => node.name);
+
+        return {
+            component: name,
+            nodes,
+            edges: graph.edges.filter(edge => reachable.has(edge.from)),
+            components: namesOf('component').filter(component => component !== name),
+            subcomponents: namesOf('subcomponent'),
+            tokens: namesOf('token'),
+            packages: namesOf('package'),
+            missing: nodes.filter(node => node.missing).map(node => node.name),
+            cycles: graph.cycles.filter(cycle => cycle.some(component => reachable.has(`component:${component}`)))
+        };
+    }
+
+    measureBundle(name, candidate) {
+        const library = this.#libraryWith(candidate);
+        const entry = library.get(name);
+        if (!entry) {
+            throw new Error(`Unknown component '${name}' (registered: ${this.components.join(', ') || 'none'})`);
+        }
+        const { components } = this.resolve(name, candidate);
+        return Object.fromEntries(Object.entries(entry.implementations).map(([framework, { files = [] }]) => {
+            const included = [name, ...components].filter(component => library.get(component)?.implementations[framework]);
+            const contentsOf = component => library.get(component).implementations[framework].files.map(file => file.contents).join('\n');
+            const sources = included.map(contentsOf);
+            return [framework, {
+                files: files.length,
+                own: measure(sources[0]),
+                transitive: measure(sources.join('\n')),
+                components: included.slice(1),
+                missing: components.filter(component => !included.includes(component)),
+                external: [...new Set(sources.flatMap(packageImports))].sort()
+            }];
+        }));
+    }
+
+    #libraryWith(candidate) {
+        if (!candidate) {
+            return this.#library;
+        }
+        const { name, specification, implementations = {} } = candidate;
+        return new Map(this.#library).set(name, { specification, implementations });
+    }
+
+    #detectCycles(edges) {
+        const adjacency = new Map();
+        for (const edge of edges.filter(candidate => candidate.kind === 'component')) {
+            adjacency.set(edge.from, [...(adjacency.get(edge.from) ?? []), edge.to]);
+        }
+
+        const cycles = new Map();
+        const state = new Map();
+        const stack = [];
+        const visit = node => {
+            state.set(node, 'visiting');
+            stack.push(node);
+            for (const next of adjacency.get(node) ?? []) {
+                if (state.get(next) === 'visiting') {
+                    const cycle = stack.slice(stack.indexOf(next)).map(id => id.slice('component:'.length));
+                    const start = cycle.indexOf([...cycle].sort()[0]);
+                    const rotated = [...cycle.slice(start), ...cycle.slice(0, start)];
+                    cycles.set(rotated.join('>'), [...rotated, rotated[0]]);
+                } else if (!state.has(next)) {
+                    visit(next);
+                }
+            }
+            stack.pop();
+            state.set(node, 'visited');
+        };
+        for (const node of adjacency.keys()) {
+            if (!state.has(node)) {
+                visit(node);
+            }
+        }
+        return [...cycles.values()];
+    }
+}
+
+class ComponentPerformanceProfiler {
+    async profile(architecture, { rendering = null, memory = null, bundle = null, runtime = null, budget = DEFAULT_PERFORMANCE_BUDGET } = {}) {
+        const violations = Object.entries(bundle ?? {}).flatMap(([framework, impact]) => SIZE_METRICS
+            .filter(metric => budget[metric] !== undefined && impact.transitive[metric] > budget[metric])
+            .map(metric => ({ component: architecture.name, framework, metric, size: impact.transitive[metric], budget: budget[metric] })));
+        return { rendering, memory, bundle, runtime, budget, violations };
+    }
+}
+
+export {
+    SIZE_METRICS,
+    DEFAULT_PERFORMANCE_BUDGET,
+    ComponentDependencyError,
+    PerformanceBudgetError,
+    ComponentDependencyResolver,
+    ComponentPerformanceProfiler
+};
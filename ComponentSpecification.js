@@ -0,0 +1,598 @@
+const COMPONENT_TYPES = {
+    primitive: { subcomponents: 'forbidden' },
+    composite: { subcomponents: 'optional' },
+    compound: { subcomponents: 'required' },
+    layout: { subcomponents: 'optional' }
+};
+const PROP_TYPES = ['string', 'number', 'boolean', 'function', 'object', 'array', 'node', 'enum', 'token', 'any'];
+const PROP_KEYS = {
+    common: ['type', 'required', 'default', 'description', 'deprecated'],
+    enum: ['values'],
+    token: ['token'],
+    array: ['items'],
+    number: ['min', 'max'],
+    string: ['pattern']
+};
+const SLOT_KEYS = ['required', 'multiple', 'accepts', 'description'];
+const EVENT_KEYS = ['payload', 'cancelable', 'description'];
+const SUBCOMPONENT_KEYS = ['element', 'props', 'slots', 'events', 'subcomponents', 'description'];
+const SLOT_CONTENT_KINDS = ['text', 'element', 'any'];
+const PASCAL_CASE = /^[A-Z][A-Za-z0-9]*$/;
+const CAMEL_CASE = /^[a-z][A-Za-z0-9]*$/;
+const HANDLER_NAME = /^on[A-Z]/;
+const EVENT_NAME = /^[A-Za-z][A-Za-z0-9]*$/;
+const TOKEN_REFERENCE = /^\{([^{}]+)\}$/;
+const STYLE_REFERENCE = /\{([^{}]+)\}/g;
+const STYLE_KEY = /^([A-Za-z][\w.]*)((?:\[|:).*)?$/;
+const ELEMENT_NAME = /^[a-z][a-z0-9-]*$/;
+
+class ComponentSpecificationError extends Error {
+    constructor(errors) {
+        super(errors.map(error => `${error.path || '(spec)'}: ${error.message}`).join('\n'));
+        this.name = 'ComponentSpecificationError';
+        this.errors = errors;
+    }
+}
+
+function handlerPropName(eventName) {
+    return `on${eventName[0].toUpperCase()}${eventName.slice(1)}`;
+}
+
+function slotPropName(slotName) {
+    return slotName === 'default' ? 'children' : slotName;
+}
+
+function describeValue(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isRenderable(value) {
+    if (value === null || value === undefined || typeof value === 'boolean') {
+        return true;
+    }
+    if (typeof value === 'string' || typeof value === 'number') {
+        return true;
+    }
+    if (Array.isArray(value)) {
+        return value.every(isRenderable);
+    }
+    return typeof value === 'object' && ('nodeType' in value || '$$typeof' in value || '__v_isVNode' in value);
+}
+
+function indexTokens(tokens) {
+    if (!tokens) {
+        return null;
+    }
+    const index = new Map();
+    if (tokens instanceof Map) {
+        for (const [category, categoryTokens] of tokens) {
+            for (const [path, token] of categoryTokens) {
+                index.set(path, { category, type: token.type, deprecated: token.deprecated });
+            }
+        }
+        return index;
+    }
+    for (const path of Array.isArray(tokens) ? tokens : Object.keys(tokens)) {
+        index.set(path, { category: path.split('.')[0] });
+    }
+    return index;
+}
+
+function tokenPathOf(value) {
+    return String(value).match(TOKEN_REFERENCE)?.[1] ?? String(value);
+}
+
+function tokenMatches(path, entry, category) {
+    return path.startsWith(`${category}.`) || entry?.category === category || entry?.type === category;
+}
+
+function partDefinition(spec, partKey) {
+    if (partKey === 'root') {
+        return spec;
+    }
+    return partKey.split('.').reduce((definition, name) => definition?.subcomponents?.[name], spec) ?? null;
+}
+
+function parseStyleKey(key) {
+    const match = key.match(STYLE_KEY);
+    return match ? { part: match[1], suffix: match[2] ?? '' } : null;
+}
+
+function checkPropValue(definition, value, path, tokenIndex) {
+    const issue = message => [{ path, message }];
+    switch (definition.type) {
+        case 'any':
+            return [];
+        case 'string':
+            if (typeof value !== 'string') {
+                return issue(`expected a string, got ${describeValue(value)}`);
+            }
+            return definition.pattern && !new RegExp(definition.pattern).test(value)
+                ? issue(`'${value}' does not match /${definition.pattern}/`)
+                : [];
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return issue(`expected a finite number, got ${describeValue(value)}`);
+            }
+            if (definition.min !== undefined && value < definition.min) {
+                return issue(`${value} is below the minimum of ${definition.min}`);
+            }
+            return definition.max !== undefined && value > definition.max
+                ? issue(`${value} is above the maximum of ${definition.max}`)
+                : [];
+        case 'boolean':
+        case 'function':
+            return typeof value === definition.type ? [] : issue(`expected a ${definition.type}, got ${describeValue(value)}`);
+        case 'object':
+            return isPlainObject(value) ? [] : issue(`expected an object, got ${describeValue(value)}`);
+        case 'array':
+            if (!Array.isArray(value)) {
+                return issue(`expected an array, got ${describeValue(value)}`);
+            }
+            return definition.items
+                ? value.flatMap((item, position) => checkPropValue(definition.items, item, `${path}[${position}]`, tokenIndex))
+                : [];
+        case 'node':
+            return isRenderable(value) ? [] : issue(`expected renderable content, got ${describeValue(value)}`);
+        case 'enum':
+            return definition.values.includes(value)
+                ? []
+                : issue(`expected one of ${definition.values.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+        case 'token': {
+            if (typeof value !== 'string') {
+                return issue(`expected a ${definition.token} token reference, got ${describeValue(value)}`);
+            }
+            const tokenPath = tokenPathOf(value);
+            const entry = tokenIndex?.get(tokenPath);
+            if (tokenIndex && !entry) {
+                return issue(`'${tokenPath}' is not a known token`);
+            }
+            return tokenMatches(tokenPath, entry, definition.token) ? [] : issue(`'${tokenPath}' is not a ${definition.token} token`);
+        }
+        default:
+            return issue(`unknown prop type '${definition.type}'`);
+    }
+}
+
+function createPropChecker(spec, { tokens, allowUnknownProps = false } = {}) {
+    const tokenIndex = indexTokens(tokens);
+    const props = spec.props ?? {};
+    const handlers = new Set(Object.keys(spec.events ?? {}).map(handlerPropName));
+    const slots = new Map(Object.entries(spec.slots ?? {}).map(([name, slot]) => [slotPropName(name), slot]));
+
+    return function checkProps(values = {}) {
+        const errors = [];
+        const warnings = [];
+        const resolved = {};
+
+        for (const [name, definition] of Object.entries(props)) {
+            const value = values[name];
+            if (value === undefined) {
+                if (definition.required) {
+                    errors.push({ path: name, message: 'required prop is missing' });
+                } else if (definition.default !== undefined) {
+                    resolved[name] = definition.default;
+                }
+                continue;
+            }
+            if (definition.deprecated) {
+                warnings.push({ path: name, message: typeof definition.deprecated === 'string' ? definition.deprecated : 'prop is deprecated' });
+            }
+            if (definition.type === 'token' && tokenIndex?.get(tokenPathOf(value))?.deprecated) {
+                warnings.push({ path: name, message: `token '${tokenPathOf(value)}' is deprecated` });
+            }
+            errors.push(...checkPropValue(definition, value, name, tokenIndex));
+            resolved[name] = value;
+        }
+
+        for (const [name, slot] of slots) {
+            const content = values[name];
+            if (content === undefined || content === null || (Array.isArray(content) && content.length === 0)) {
+                if (slot.required) {
+                    errors.push({ path: name, message: 'required slot is empty' });
+                }
+                continue;
+            }
+            if (!slot.multiple && Array.isArray(content) && content.length > 1) {
+                errors.push({ path: name, message: `slot accepts a single child, got ${content.length}` });
+            }
+            if (slot.accepts?.length === 1 && slot.accepts[0] === 'text' && ![content].flat().every(child => typeof child === 'string' || typeof child === 'number')) {
+                errors.push({ path: name, message: 'slot accepts text content only' });
+            }
+            resolved[name] = content;
+        }
+
+        for (const [name, value] of Object.entries(values)) {
+            if (props[name] || slots.has(name)) {
+                continue;
+            }
+            if (handlers.has(name)) {
+                if (typeof value !== 'function') {
+                    errors.push({ path: name, message: `expected an event handler function, got ${describeValue(value)}` });
+                }
+            } else if (!allowUnknownProps) {
+                errors.push({ path: name, message: 'unknown prop' });
+                continue;
+            }
+            resolved[name] = value;
+        }
+
+        return { valid: errors.length === 0, errors, warnings, props: resolved };
+    };
+}
+
+class ComponentSpecificationValidator {
+    #componentType;
+
+    constructor(componentType) {
+        this.#componentType = componentType;
+    }
+
+    async validateSpecification(spec, { strictMode = false, allowUnknownProps = true, customValidators = [], tokens } = {}) {
+        const report = { errors: [], warnings: [] };
+        const context = {
+            report,
+            strictMode,
+            allowUnknownProps,
+            tokenIndex: indexTokens(tokens),
+            subcomponentNames: new Set()
+        };
+
+        if (!isPlainObject(spec)) {
+            report.errors.push({ path: '', message: 'expected a component specification object' });
+            return { isValid: false, ...report };
+        }
+
+        if (typeof spec.name !== 'string' || spec.name === '') {
+            report.errors.push({ path: 'name', message: 'component name is required' });
+        } else if (!PASCAL_CASE.test(spec.name)) {
+            this.#convention(context, 'name', `component name '${spec.name}' should be PascalCase`);
+        }
+
+        const componentType = this.#componentType ?? spec.componentType ?? 'composite';
+        const typeRules = COMPONENT_TYPES[componentType];
+        if (!typeRules) {
+            report.errors.push({ path: 'componentType', message: `unknown component type '${componentType}' (expected ${Object.keys(COMPONENT_TYPES).join(', ')})` });
+        }
+        const subcomponentCount = isPlainObject(spec.subcomponents) ? Object.keys(spec.subcomponents).length : 0;
+        if (typeRules?.subcomponents === 'required' && subcomponentCount === 0) {
+            report.errors.push({ path: 'subcomponents', message: `${componentType} components must declare at least one subcomponent` });
+        } else if (typeRules?.subcomponents === 'forbidden' && subcomponentCount > 0) {
+            report.errors.push({ path: 'subcomponents', message: `${componentType} components may not declare subcomponents` });
+        }
+
+        if (spec.dependencies !== undefined && (!Array.isArray(spec.dependencies) || spec.dependencies.some(dependency => typeof dependency !== 'string' || !PASCAL_CASE.test(dependency)))) {
+            report.errors.push({ path: 'dependencies', message: 'expected an array of PascalCase component names' });
+        } else if (spec.dependencies?.includes(spec.name)) {
+            report.errors.push({ path: 'dependencies', message: `component '${spec.name}' cannot depend on itself` });
+        }
+
+        this.#collectSubcomponentNames(spec.subcomponents, context.subcomponentNames);
+        this.#validateDefinition(spec, '', context);
+        this.#validateStyles(spec, context);
+        await this.#runCustomValidators(spec, customValidators, context, tokens);
+
+        return { isValid: report.errors.length === 0, errors: report.errors, warnings: report.warnings };
+    }
+
+    #validateDefinition(definition, prefix, context) {
+        const at = key => (prefix ? `${prefix}.${key}` : key);
+        if (definition.element !== undefined && (typeof definition.element !== 'string' || !ELEMENT_NAME.test(definition.element))) {
+            context.report.errors.push({ path: at('element'), message: `expected a lowercase element name, got ${JSON.stringify(definition.element)}` });
+        }
+        const props = this.#validateSection(definition.props, at('props'), context);
+        const slots = this.#validateSection(definition.slots, at('slots'), context);
+        const events = this.#validateSection(definition.events, at('events'), context);
+        const subcomponents = this.#validateSection(definition.subcomponents, at('subcomponents'), context);
+
+        for (const [name, prop] of props) {
+            this.#validateProp(prop, name, `${at('props')}.${name}`, context);
+        }
+        for (const [name, slot] of slots) {
+            this.#validateSlot(slot, name, `${at('slots')}.${name}`, props, context);
+        }
+        for (const [name, event] of events) {
+            this.#validateEvent(event, name, `${at('events')}.${name}`, props, context);
+        }
+        for (const [name, subcomponent] of subcomponents) {
+            const path = `${at('subcomponents')}.${name}`;
+            if (!PASCAL_CASE.test(name)) {
+                this.#convention(context, path, `subcomponent name '${name}' should be PascalCase`);
+            }
+            if (!isPlainObject(subcomponent)) {
+                context.report.errors.push({ path, message: 'expected a subcomponent definition object' });
+                continue;
+            }
+            this.#checkKeys(subcomponent, SUBCOMPONENT_KEYS, path, context);
+            this.#validateDefinition(subcomponent, path, context);
+        }
+    }
+
+    #validateSection(section, path, context) {
+        if (section === undefined) {
+            return new Map();
+        }
+        if (!isPlainObject(section)) {
+            context.report.errors.push({ path, message: `expected an object, got ${describeValue(section)}` });
+            return new Map();
+        }
+        return new Map(Object.entries(section));
+    }
+
+    #validateProp(prop, name, path, context) {
+        const { errors, warnings } = context.report;
+        if (!isPlainObject(prop)) {
+            errors.push({ path, message: 'expected a prop definition object' });
+            return;
+        }
+        if (!CAMEL_CASE.test(name)) {
+            this.#convention(context, path, `prop name '${name}' should be camelCase`);
+        }
+        if (HANDLER_NAME.test(name)) {
+            this.#convention(context, path, `declare '${name}' under events instead of props`);
+        }
+        if (!PROP_TYPES.includes(prop.type)) {
+            errors.push({ path: `${path}.type`, message: `unknown prop type '${prop.type}' (expected ${PROP_TYPES.join(', ')})` });
+            return;
+        }
+        this.#checkKeys(prop, [...PROP_KEYS.common, ...(PROP_KEYS[prop.type] ?? [])], path, context);
+
+        if (prop.required !== undefined && typeof prop.required !== 'boolean') {
+            errors.push({ path: `${path}.required`, message: `expected a boolean, got ${describeValue(prop.required)}` });
+        }
+        if (prop.deprecated !== undefined && typeof prop.deprecated !== 'boolean' && typeof prop.deprecated !== 'string') {
+            errors.push({ path: `${path}.deprecated`, message: 'expected a boolean or a deprecation message' });
+        }
+
+        let definitionValid = true;
+        if (prop.type === 'enum') {
+            if (!Array.isArray(prop.values) || prop.values.length === 0) {
+                errors.push({ path: `${path}.values`, message: 'enum props must list at least one value' });
+                definitionValid = false;
+            } else {
+                prop.values.forEach((option, position) => {
+                    if (typeof option !== 'string' && typeof option !== 'number') {
+                        errors.push({ path: `${path}.values[${position}]`, message: `enum values must be strings or numbers, got ${describeValue(option)}` });
+                        definitionValid = false;
+                    } else if (prop.values.indexOf(option) !== position) {
+                        errors.push({ path: `${path}.values[${position}]`, message: `duplicate enum value ${JSON.stringify(option)}` });
+                    }
+                });
+            }
+        }
+        if (prop.type === 'token') {
+            if (typeof prop.token !== 'string' || prop.token === '') {
+                errors.push({ path: `${path}.token`, message: 'token props must name a token category or type' });
+                definitionValid = false;
+            } else if (context.tokenIndex && ![...context.tokenIndex].some(([tokenPath, entry]) => tokenMatches(tokenPath, entry, prop.token))) {
+                errors.push({ path: `${path}.token`, message: `no '${prop.token}' tokens exist` });
+            }
+        }
+        if (prop.type === 'number') {
+            for (const bound of ['min', 'max']) {
+                if (prop[bound] !== undefined && !Number.isFinite(prop[bound])) {
+                    errors.push({ path: `${path}.${bound}`, message: `expected a finite number, got ${describeValue(prop[bound])}` });
+                    definitionValid = false;
+                }
+            }
+            if (definitionValid && prop.min !== undefined && prop.max !== undefined && prop.min > prop.max) {
+                errors.push({ path, message: `min (${prop.min}) is greater than max (${prop.max})` });
+            }
+        }
+        if (prop.type === 'string' && prop.pattern !== undefined) {
+            try {
+                new RegExp(prop.pattern);
+            } catch (error) {
+                errors.push({ path: `${path}.pattern`, message: `invalid pattern: ${error.message}` });
+                definitionValid = false;
+            }
+        }
+        if (prop.type === 'array' && prop.items !== undefined) {
+            this.#validateProp(prop.items, 'items', `${path}.items`, context);
+        }
+
+        if (prop.default !== undefined) {
+            if (prop.required) {
+                warnings.push({ path: `${path}.default`, message: 'default is never used because the prop is required' });
+            }
+            if (definitionValid) {
+                errors.push(...checkPropValue(prop, prop.default, `${path}.default`, context.tokenIndex));
+            }
+        }
+    }
+
+    #validateSlot(slot, name, path, props, context) {
+        const { errors } = context.report;
+        if (!isPlainObject(slot)) {
+            errors.push({ path, message: 'expected a slot definition object' });
+            return;
+        }
+        this.#checkKeys(slot, SLOT_KEYS, path, context);
+        if (props.has(slotPropName(name))) {
+            errors.push({ path, message: `slot '${name}' collides with prop '${slotPropName(name)}'` });
+        }
+        for (const flag of ['required', 'multiple']) {
+            if (slot[flag] !== undefined && typeof slot[flag] !== 'boolean') {
+                errors.push({ path: `${path}.${flag}`, message: `expected a boolean, got ${describeValue(slot[flag])}` });
+            }
+        }
+        if (slot.accepts === undefined) {
+            return;
+        }
+        if (!Array.isArray(slot.accepts) || slot.accepts.length === 0) {
+            errors.push({ path: `${path}.accepts`, message: 'expected a non-empty array of content kinds or subcomponent names' });
+            return;
+        }
+        slot.accepts.forEach((kind, position) => {
+            if (!SLOT_CONTENT_KINDS.includes(kind) && !context.subcomponentNames.has(kind)) {
+                errors.push({ path: `${path}.accepts[${position}]`, message: `'${kind}' is neither a content kind (${SLOT_CONTENT_KINDS.join(', ')}) nor a declared subcomponent` });
+            }
+        });
+    }
+
+    #validateEvent(event, name, path, props, context) {
+        const { errors } = context.report;
+        if (!isPlainObject(event)) {
+            errors.push({ path, message: 'expected an event definition object' });
+            return;
+        }
+        this.#checkKeys(event, EVENT_KEYS, path, context);
+        if (!EVENT_NAME.test(name)) {
+            errors.push({ path, message: `event name ${JSON.stringify(name)} must start with a letter and contain only letters and digits` });
+        } else {
+            if (!CAMEL_CASE.test(name) || HANDLER_NAME.test(name)) {
+                this.#convention(context, path, `event name '${name}' should be camelCase without an 'on' prefix`);
+            }
+            if (props.has(handlerPropName(name))) {
+                errors.push({ path, message: `handler '${handlerPropName(name)}' collides with a prop of the same name` });
+            }
+        }
+        if (event.cancelable !== undefined && typeof event.cancelable !== 'boolean') {
+            errors.push({ path: `${path}.cancelable`, message: `expected a boolean, got ${describeValue(event.cancelable)}` });
+        }
+        for (const [field, definition] of this.#validateSection(event.payload, `${path}.payload`, context)) {
+            this.#validateProp(definition, field, `${path}.payload.${field}`, context);
+        }
+    }
+
+    #validateStyles(spec, context) {
+        const { errors } = context.report;
+        for (const [key, declarations] of this.#validateSection(spec.styles, 'styles', context)) {
+            const path = `styles.${key}`;
+            const selector = parseStyleKey(key);
+            const part = selector && partDefinition(spec, selector.part);
+            if (!part) {
+                errors.push({ path, message: `'${key}' does not start with 'root' or a declared subcomponent name` });
+                continue;
+            }
+            if (!isPlainObject(declarations)) {
+                errors.push({ path, message: `expected an object of CSS declarations, got ${describeValue(declarations)}` });
+                continue;
+            }
+            for (const [property, value] of Object.entries(declarations)) {
+                if (typeof value !== 'string' && typeof value !== 'number') {
+                    errors.push({ path: `${path}.${property}`, message: `expected a string or number, got ${describeValue(value)}` });
+                    continue;
+                }
+                for (const [, reference] of String(value).matchAll(STYLE_REFERENCE)) {
+                    if (reference.startsWith('props.')) {
+                        const prop = part.props?.[reference.slice('props.'.length)];
+                        if (!prop) {
+                            errors.push({ path: `${path}.${property}`, message: `'${reference}' is not a prop of ${selector.part}` });
+                        } else if (!['token', 'string', 'number', 'enum'].includes(prop.type)) {
+                            errors.push({ path: `${path}.${property}`, message: `'${reference}' is a ${prop.type} prop and cannot be used as a CSS value` });
+                        }
+                    } else if (context.tokenIndex && !context.tokenIndex.has(reference)) {
+                        errors.push({ path: `${path}.${property}`, message: `'${reference}' is not a known token` });
+                    }
+                }
+            }
+        }
+    }
+
+    #checkKeys(definition, allowed, path, context) {
+        for (const key of Object.keys(definition)) {
+            if (!allowed.includes(key)) {
+                (context.allowUnknownProps ? context.report.warnings : context.report.errors)
+                    .push({ path: `${path}.${key}`, message: `unknown key '${key}'` });
+            }
+        }
+    }
+
+    #convention(context, path, message) {
+        (context.strictMode ? context.report.errors : context.report.warnings).push({ path, message });
+    }
+
+    #collectSubcomponentNames(subcomponents, names, prefix = '') {
+        if (!isPlainObject(subcomponents)) {
+            return;
+        }
+        for (const [name, subcomponent] of Object.entries(subcomponents)) {
+            names.add(`${prefix}${name}`);
+            this.#collectSubcomponentNames(subcomponent?.subcomponents, names, `${prefix}${name}.`);
+        }
+    }
+
+    async #runCustomValidators(spec, customValidators, context, tokens) {
+        const validators = typeof customValidators === 'function' ? [customValidators] : customValidators ?? [];
+        if (!Array.isArray(validators)) {
+            context.report.errors.push({ path: 'customValidators', message: 'expected a function or an array of functions' });
+            return;
+        }
+        for (const [position, validator] of validators.entries()) {
+            const path = `customValidators[${position}]`;
+            if (typeof validator !== 'function') {
+                context.report.errors.push({ path, message: `expected a function, got ${describeValue(validator)}` });
+                continue;
+            }
+            try {
+                const outcome = await validator(spec, { tokens });
+                for (const issue of [outcome ?? []].flat()) {
+                    const { path: issuePath = '', message, severity = 'error' } = typeof issue === 'string' ? { message: issue } : issue;
+                    (severity === 'warning' ? context.report.warnings : context.report.errors).push({ path: issuePath, message });
+                }
+            } catch (error) {
+                context.report.errors.push({ path, message: `validator threw: ${error.message}` });
+            }
+        }
+    }
+}
+
+class AdvancedPropValidationEngine {
+    createValidator(componentType) {
+        return new ComponentSpecificationValidator(componentType);
+    }
+}
+
+function normalizeSpecification(spec) {
+    const normalizeProps = props => Object.fromEntries(Object.entries(props ?? {}).map(([name, prop]) => [name, {
+        ...prop,
+        required: prop.required ?? false,
+        ...(prop.items ? { items: normalizeProps({ items: prop.items }).items } : {})
+    }]));
+    const normalizeDefinition = definition => ({
+        props: normalizeProps(definition.props),
+        slots: Object.fromEntries(Object.entries(definition.slots ?? {}).map(([name, slot]) => [name, {
+            ...slot,
+            required: slot.required ?? false,
+            multiple: slot.multiple ?? false,
+            accepts: slot.accepts ?? ['any']
+        }])),
+        events: Object.fromEntries(Object.entries(definition.events ?? {}).map(([name, event]) => [name, {
+            ...event,
+            handler: handlerPropName(name),
+            cancelable: event.cancelable ?? false,
+            payload: normalizeProps(event.payload)
+        }])),
+        subcomponents: Object.fromEntries(Object.entries(definition.subcomponents ?? {}).map(([name, subcomponent]) => [name, {
+            ...subcomponent,
+            ...normalizeDefinition(subcomponent)
+        }]))
+    });
+
+    return { ...spec, componentType: spec.componentType ?? 'composite', dependencies: spec.dependencies ?? [], ...normalizeDefinition(spec) };
+}
+
+export {
+    COMPONENT_TYPES,
+    PROP_TYPES,
+    ComponentSpecificationError,
+    handlerPropName,
+    slotPropName,
+    indexTokens,
+    tokenMatches,
+    partDefinition,
+    parseStyleKey,
+    checkPropValue,
+    createPropChecker,
+    normalizeSpecification,
+    ComponentSpecificationValidator,
+    AdvancedPropValidationEngine
+};
@@ -0,0 +1,262 @@
+import { ColorSpaceTransformationEngine } from './ColorScience.js';
+import { RecursiveTokenResolver } from './TokenHierarchy.js';
+
+const CONTRAST_EXTENSION = 'com.aurora.contrast';
+const LIGHTNESS_PRECISION = 0.0005;
+const QUANTIZATION_STEP = 1 / 255;
+
+const CONTRAST_REQUIREMENTS = {
+    wcag2: {
+        AA: { text: 4.5, 'large-text': 3, ui: 3 },
+        AAA: { text: 7, 'large-text': 4.5, ui: 3 }
+    },
+    apca: {
+        AA: { text: 75, 'large-text': 60, ui: 45 },
+        AAA: { text: 90, 'large-text': 75, ui: 60 }
+    }
+};
+
+const DEFAULT_SEMANTIC_ROLES = {
+    'surface.default': 'neutral.50',
+    'surface.raised': 'neutral.100',
+    'text.default': { color: 'neutral.900', on: ['surface.default', 'surface.raised'] },
+    'text.muted': { color: 'neutral.600', on: 'surface.default' },
+    'action.primary': { color: 'primary.600', on: 'surface.default', usage: 'ui' },
+    'text.on-action': { color: 'neutral.50', on: 'action.primary' }
+};
+
+function setNode(tree, segments, node) {
+    let group = tree;
+    for (const segment of segments.slice(0, -1)) {
+        group[segment] ??= {};
+        group = group[segment];
+    }
+    group[segments[segments.length - 1]] = node;
+}
+
+function getNode(tree, segments) {
+    return segments.reduce((node, segment) => node?.[segment], tree);
+}
+
+class SemanticTokenMappingEngine {
+    mapSemanticRoles(paletteTokens, semanticRoles = DEFAULT_SEMANTIC_ROLES) {
+        const semantic = {};
+        for (const [role, definition] of Object.entries(semanticRoles)) {
+            const { color, on, usage = 'text' } = typeof definition === 'string' ? { color: definition } : definition;
+            if (!getNode(paletteTokens, color.split('.'))) {
+                throw new RangeError(`Semantic role '${role}' refers to unknown palette color '${color}'`);
+            }
+
+            const node = { $type: 'color', $value: `{color.palette.${color}}` };
+            if (on) {
+                const backgrounds = [].concat(on).map(background =>
+                    background in semanticRoles ? `color.semantic.${background}` : `color.palette.${background}`);
+                node.$extensions = { [CONTRAST_EXTENSION]: { on: backgrounds, usage } };
+            }
+            setNode(semantic, role.split('.'), node);
+        }
+        return { palette: paletteTokens, semantic };
+    }
+}
+
+class ContrastOptimizer {
+    #level;
+    #colors = new ColorSpaceTransformationEngine();
+
+    constructor(level) {
+        this.#level = level;
+    }
+
+    async evaluate(theme, { algorithm = 'wcag2' } = {}) {
+        const values = await this.#resolveColors(theme.color);
+        return this.#declaredPairs(theme.color).map(pair => this.#measure(pair, values, algorithm));
+    }
+
+    async optimizeContrast(theme, {
+        preserveDesignIntent = true,
+        optimizationMethod = 'lightness_bisection',
+        tolerance = 0.1,
+        algorithm = 'wcag2'
+    } = {}) {
+        if (optimizationMethod !== 'lightness_bisection') {
+            throw new RangeError(`Unsupported contrast optimization method '${optimizationMethod}'`);
+        }
+        if (!CONTRAST_REQUIREMENTS[algorithm]) {
+            throw new RangeError(`Unknown contrast algorithm '${algorithm}' (expected wcag2 or apca)`);
+        }
+
+        const optimizedTheme = structuredClone(theme);
+        const before = await this.evaluate(theme, { algorithm });
+        const adjustments = new Map();
+
+        for (let pass = 0; pass < 3; pass += 1) {
+            let adjusted = false;
+            for (const pair of this.#declaredPairs(optimizedTheme.color)) {
+                const values = await this.#resolveColors(optimizedTheme.color);
+                const measurement = this.#measure(pair, values, algorithm);
+                if (measurement.passes) {
+                    continue;
+                }
+
+                const candidates = preserveDesignIntent ? [pair.foreground] : [pair.foreground, pair.background];
+                for (const tokenPath of candidates) {
+                    const counterpart = tokenPath === pair.foreground ? values.get(pair.background) : values.get(pair.foreground);
+                    const repaired = this.#repairLightness(values.get(tokenPath), counterpart, measurement.required, algorithm, tolerance);
+                    if (repaired) {
+                        this.#recordAdjustment(adjustments, tokenPath, values.get(tokenPath), repaired);
+                        getNode(optimizedTheme, tokenPath.split('.')).$value = repaired;
+                        adjusted = true;
+                        break;
+                    }
+                }
+            }
+            if (!adjusted) {
+                break;
+            }
+        }
+
+        const after = await this.evaluate(optimizedTheme, { algorithm });
+        return {
+            optimizedTheme,
+            metrics: {
+                algorithm,
+                level: this.#level,
+                pairs: after.map((measurement, index) => ({
+                    ...measurement,
+                    before: before[index].ratio,
+                    after: measurement.ratio
+                })),
+                adjustments: Object.fromEntries(adjustments),
+                passing: after.filter(measurement => measurement.passes).length,
+                failing: after.filter(measurement => !measurement.passes).length
+            }
+        };
+    }
+
+    #declaredPairs(colorTree, segments = ['color']) {
+        const pairs = [];
+        for (const [name, node] of Object.entries(colorTree ?? {})) {
+            if (name.startsWith('$') || node === null || typeof node !== 'object') {
+                continue;
+            }
+            const path = [...segments, name];
+            const declaration = node.$extensions?.[CONTRAST_EXTENSION];
+            if ('$value' in node && declaration) {
+                for (const background of [].concat(declaration.on)) {
+                    pairs.push({ foreground: path.join('.'), background, usage: declaration.usage ?? 'text' });
+                }
+            } else if (!('$value' in node)) {
+                pairs.push(...this.#declaredPairs(node, path));
+            }
+        }
+        return pairs;
+    }
+
+    async #resolveColors(colorTree) {
+        const resolved = await new RecursiveTokenResolver().resolveHierarchy([{ name: 'theme', tokens: { color: colorTree } }]);
+        return new Map([...resolved.values()].flatMap(tokens => [...tokens].map(([path, token]) => [path, token.value])));
+    }
+
+    #measure(pair, values, algorithm) {
+        const foreground = values.get(pair.foreground);
+        const background = values.get(pair.background);
+        if (background === undefined) {
+            throw new RangeError(`Contrast pair ${pair.foreground} declares unknown background ${pair.background}`);
+        }
+
+        const required = CONTRAST_REQUIREMENTS[algorithm][this.#level][pair.usage];
+        const ratio = this.#contrast(foreground, background, algorithm);
+        return { ...pair, algorithm, required, ratio: Number(ratio.toFixed(2)), passes: Math.abs(ratio) >= required };
+    }
+
+    #contrast(foreground, background, algorithm) {
+        return algorithm === 'apca' ? this.#apcaLightnessContrast(foreground, background) : this.#colors.contrastRatio(foreground, background);
+    }
+
+    #apcaLightnessContrast(text, background) {
+        const luminance = color => {
+            const { r, g, b } = this.#colors.toSrgb(this.#colors.gamutMap(color));
+            const y = [r, g, b]
+                .map(channel => Math.min(1, Math.max(0, channel)) ** 2.4)
+                .reduce((sum, channel, index) => sum + channel * [0.2126729, 0.7151522, 0.0721750][index], 0);
+            return y < 0.022 ? y + (0.022 - y) ** 1.414 : y;
+        };
+
+        const textY = luminance(text);
+        const backgroundY = luminance(background);
+        if (Math.abs(backgroundY - textY) < 0.0005) {
+            return 0;
+        }
+        if (backgroundY > textY) {
+            const contrast = (backgroundY ** 0.56 - textY ** 0.57) * 1.14;
+            return contrast < 0.1 ? 0 : (contrast - 0.027) * 100;
+        }
+        const contrast = (backgroundY ** 0.65 - textY ** 0.62) * 1.14;
+        return contrast > -0.1 ? 0 : (contrast + 0.027) * 100;
+    }
+
+    #repairLightness(color, counterpart, required, algorithm, tolerance) {
+        const origin = this.#colors.toOklch(color);
+        const counterpartLightness = this.#colors.toOklch(counterpart).l;
+        const passes = lightness => {
+            const candidate = { ...origin, l: lightness };
+            return Math.abs(this.#contrast(candidate, counterpart, algorithm)) >= required;
+        };
+
+        const directions = origin.l <= counterpartLightness ? [0, 1] : [1, 0];
+        for (const extreme of directions) {
+            if (!passes(extreme)) {
+                continue;
+            }
+
+            let near = origin.l;
+            let far = extreme;
+            while (Math.abs(far - near) > LIGHTNESS_PRECISION) {
+                const middle = (near + far) / 2;
+                if (passes(middle)) {
+                    far = middle;
+                    const overshoot = Math.abs(this.#contrast({ ...origin, l: middle }, counterpart, algorithm)) - required;
+                    if (overshoot <= tolerance) {
+                        break;
+                    }
+                } else {
+                    near = middle;
+                }
+            }
+
+            const step = Math.sign(extreme - far) * QUANTIZATION_STEP;
+            for (let lightness = far; Math.abs(extreme - lightness) > QUANTIZATION_STEP; lightness += step) {
+                const hex = this.#colors.toHex({ ...origin, l: lightness });
+                if (Math.abs(this.#contrast(hex, counterpart, algorithm)) >= required) {
+                    return hex;
+                }
+            }
+            const hex = this.#colors.toHex({ ...origin, l: extreme });
+            return Math.abs(this.#contrast(hex, counterpart, algorithm)) >= required ? hex : null;
+        }
+        return null;
+    }
+
+    #recordAdjustment(adjustments, tokenPath, previous, next) {
+        const original = adjustments.get(tokenPath)?.before ?? previous;
+        const originalOklch = this.#colors.toOklch(original);
+        adjustments.set(tokenPath, {
+            before: this.#colors.toHex(original),
+            after: next,
+            deltaLightness: Number((this.#colors.toOklch(next).l - originalOklch.l).toFixed(4)),
+            deltaE: Number(this.#colors.deltaEOK(original, next).toFixed(4))
+        });
+    }
+}
+
+class AutomatedContrastOptimizer {
+    createOptimizer(level = 'AA') {
+        const normalizedLevel = String(level).replace(/^WCAG_/, '');
+        if (!(normalizedLevel in CONTRAST_REQUIREMENTS.wcag2)) {
+            throw new RangeError(`Unknown accessibility level '${level}' (expected AA or AAA)`);
+        }
+        return new ContrastOptimizer(normalizedLevel);
+    }
+}
+
+export { CONTRAST_EXTENSION, SemanticTokenMappingEngine, ContrastOptimizer, AutomatedContrastOptimizer };
@@ -0,0 +1,600 @@
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { basename, dirname, extname, join, relative, resolve, sep } from 'node:path';
+import { formatTokenName, parseRgbColor, convertDimension } from './TokenValues.js';
+import { describeDeprecation } from './TokenVersioning.js';
+
+const GENERATED_HEADER = 'Generated by Aurora Design System. Do not edit directly.';
+const DEFAULT_PACKAGES = ['@raspberry-coffee/aurora-design-system'];
+const DESIGN_RULES = {
+    'hard-coded-color': 'warning',
+    'hard-coded-spacing': 'warning',
+    'detached-component': 'error',
+    'deprecated-token': 'warning'
+};
+const RULE_LEVELS = ['error', 'warning', 'off'];
+const DEFAULT_SEVERITY_WEIGHTS = { error: 3, warning: 1 };
+const SCORING_WEIGHTS = { componentAdoption: 0.3, tokenAdoption: 0.3, compliance: 0.3, currency: 0.1 };
+const DECISION_THRESHOLDS = { approve: 0.8, conditional: 0.6 };
+const CONTEXTUAL_FACTORS = ['team', 'project', 'platform'];
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.vue'];
+const STYLE_EXTENSIONS = ['.css', '.scss', '.less'];
+const IGNORED_DIRECTORIES = ['node_modules', 'dist', 'build', 'coverage', 'vendor'];
+const CODEOWNERS_LOCATIONS = ['CODEOWNERS', '.github/CODEOWNERS', '.gitlab/CODEOWNERS', 'docs/CODEOWNERS'];
+const MAX_FILE_SIZE = 1024 * 1024;
+const UNOWNED = 'unowned';
+
+const IMPORT_STATEMENT = /\bimport\s+(?:type\s+)?([\w$\s{},*]+?)\s+from\s+['"]([^'"]+)['"]/g;
+const LOCAL_DECLARATION = /\b(?:function|class)\s+([A-Z][\w$]*)|\b(?:const|let|var)\s+([A-Z][\w$]*)\s*(?::[^=\n]+)?=/g;
+const CUSTOM_ELEMENT_DEFINITION = /customElements\.define\(\s*['"`](aurora-[a-z0-9-]+)['"`]/g;
+const CUSTOM_ELEMENT_TAG = /<(aurora-[a-z0-9-]+)(?=[\s/>])/g;
+const CLASS_ATTRIBUTE = /\bclass(?:Name)?\s*=\s*\{?\s*['"`]([^'"`]*)['"`]/g;
+const CSS_VARIABLE = /var\(\s*--([A-Za-z0-9_-]+)/g;
+const SCSS_VARIABLE = /\$([A-Za-z0-9_-]+)/g;
+const TOKEN_REFERENCE = /\{([A-Za-z][\w-]*(?:\.[\w-]+)+)\}/g;
+const DECLARATION = /(?:^|[\s{;,(])(['"]?)([A-Za-z][A-Za-z-]*)\1\s*:\s*(?:(['"`])([^'"`\n]*)\3|((?:[^;'"`{}\n,()]|\((?:[^()\n]|\([^()\n]*\))*\))*))/g;
+const VAR_FUNCTION = /var\([^()]*(?:\([^()]*\)[^()]*)*\)/g;
+const COLOR_LITERAL = /#[0-9a-fA-F]{3,8}\b|\b(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch)\([^)]*\)/g;
+const LENGTH_LITERAL = /(?<![\w.#-])(-?\d*\.?\d+)(px|rem|em)\b/g;
+const NUMBER_LITERAL = /^-?\d*\.?\d+$/;
+const COLOR_PROPERTY = /(?:^|-)(?:color|background|border|outline|fill|stroke|shadow)(?:-|$)/;
+const SPACING_PROPERTY = /^(?:margin|padding|gap|row-gap|column-gap|inset|top|right|bottom|left)(?:-|$)/;
+const COMMENT_LINE = /^\s*(?:\/\/|\/\*|\*)/;
+const EXCEPTION_COMMENT = /aurora-ignore-(file|next-line|line)\b([^\n]*)/g;
+
+function round(value, digits = 3) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globMatcher(pattern) {
+    const anchored = pattern.startsWith('/') || pattern.replace(/\/$/, '').includes('/');
+    const wildcards = { '**/': '(?:.*/)?', '/**': '(?:/.*)?', '**': '.*', '*': '[^/]*', '?': '[^/]' };
+    const body = pattern.replace(/^\//, '').replace(/\/$/, '')
+        .split(/(\*\*\/|\/\*\*|\*\*|\*|\?)/)
+        .map(part => wildcards[part] ?? escapeRegExp(part))
+        .join('');
+    const expression = new RegExp(`^${anchored ? '' : '(?:.*/)?'}${body}(?:/.*)?$`);
+    return path => expression.test(path);
+}
+
+function lineStarts(contents) {
+    const starts = [0];
+    for (let index = contents.indexOf('\n'); index !== -1; index = contents.indexOf('\n', index + 1)) {
+        starts.push(index + 1);
+    }
+    return starts;
+}
+
+function lineAt(starts, offset) {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (starts[middle] <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low + 1;
+}
+
+function importBindings(clause) {
+    const bindings = [];
+    const named = clause.match(/\{([^}]*)\}/);
+    for (const specifier of named ? named[1].split(',') : []) {
+        const [imported, local = imported] = specifier.replace(/^\s*type\s+/, '').trim().split(/\s+as\s+/);
+        if (imported) {
+            bindings.push({ imported, local });
+        }
+    }
+    for (const part of clause.replace(/\{[^}]*\}/, '').split(',').map(text => text.trim()).filter(Boolean)) {
+        const namespace = part.match(/^\*\s+as\s+([\w$]+)$/);
+        bindings.push(namespace ? { imported: '*', local: namespace[1] } : { imported: 'default', local: part });
+    }
+    return bindings;
+}
+
+function colorKey(value) {
+    const color = parseRgbColor(value);
+    return color ? `${color.r},${color.g},${color.b},${color.alpha ?? 1}` : null;
+}
+
+function lengthKey(value) {
+    const pixels = convertDimension(value, 'px');
+    return pixels?.unit === 'px' ? String(pixels.value) : null;
+}
+
+function indexDesignTokens(tokens) {
+    const index = { byPath: new Map(), byVariable: new Map(), byColor: new Map(), byLength: new Map() };
+    const add = (map, key, path) => key && map.set(key, [...(map.get(key) ?? []), path]);
+    for (const category of tokens?.values() ?? []) {
+        for (const [path, token] of category) {
+            index.byPath.set(path, token);
+            index.byVariable.set(formatTokenName(token.segments, 'kebab'), token);
+            if (token.deprecated) {
+                continue;
+            }
+            if (token.type === 'color') {
+                add(index.byColor, colorKey(String(token.value)), path);
+            } else if (token.type === 'dimension') {
+                add(index.byLength, lengthKey(token.value), path);
+            }
+        }
+    }
+    return index;
+}
+
+function platformOf(path, imports) {
+    const extension = extname(path);
+    if (STYLE_EXTENSIONS.includes(extension)) {
+        return 'css';
+    }
+    if (extension === '.vue') {
+        return 'vue';
+    }
+    return ['.jsx', '.tsx'].includes(extension) || imports.includes('react') ? 'react' : 'javascript';
+}
+
+function parseExceptions(contents, starts) {
+    return [...contents.matchAll(EXCEPTION_COMMENT)].map(match => {
+        const [rulesText, ...reason] = match[2].replace(/\s*(?:\*\/|-->|\}).*$/, '').split('--');
+        const line = lineAt(starts, match.index);
+        return {
+            scope: match[1] === 'file' ? 'file' : 'line',
+            line: match[1] === 'file' ? null : match[1] === 'next-line' ? line + 1 : line,
+            rules: rulesText.split(/[\s,]+/).filter(Boolean),
+            reason: reason.join('--').trim() || null
+        };
+    });
+}
+
+function usageTotals(files) {
+    return files.reduce((totals, file) => ({
+        files: totals.files + 1,
+        componentImports: totals.componentImports + file.imports.length,
+        componentUsages: totals.componentUsages + Object.values(file.components).reduce((sum, count) => sum + count, 0),
+        tokenReferences: totals.tokenReferences + Object.values(file.tokens).reduce((sum, count) => sum + count, 0)
+    }), { files: 0, componentImports: 0, componentUsages: 0, tokenReferences: 0 });
+}
+
+function tallyFindings(findings, weights) {
+    const tally = { errors: 0, warnings: 0, penalty: 0, byRule: {} };
+    for (const finding of findings) {
+        tally[finding.severity === 'error' ? 'errors' : 'warnings'] += 1;
+        tally.penalty += weights[finding.severity] ?? 0;
+        tally.byRule[finding.rule] = (tally.byRule[finding.rule] ?? 0) + 1;
+    }
+    return tally;
+}
+
+function groupBy(items, keyOf) {
+    const groups = new Map();
+    for (const item of items) {
+        groups.set(keyOf(item), [...(groups.get(keyOf(item)) ?? []), item]);
+    }
+    return groups;
+}
+
+class RepositoryUsageScanner {
+    async scan(subject) {
+        const root = resolve(subject.root ?? '.');
+        if (!(await stat(root).catch(() => null))?.isDirectory()) {
+            throw new Error(`Repository root '${root}' is not a directory`);
+        }
+        const packages = [...new Set([...DEFAULT_PACKAGES, ...(subject.packages ?? [])])];
+        const ignored = (subject.ignore ?? []).map(globMatcher);
+        const tokenIndex = indexDesignTokens(subject.tokens);
+        const owners = await this.#readCodeowners(root);
+        const projects = new Map();
+
+        const sources = [];
+        for (const path of await this.#listFiles(root, root, ignored)) {
+            const contents = await readFile(path, 'utf8');
+            if (!contents.includes(GENERATED_HEADER)) {
+                sources.push({ path, relativePath: relative(root, path).split(sep).join('/'), contents });
+            }
+        }
+
+        const auroraImports = sources.map(source => this.#auroraImports(source.contents, packages));
+        const components = new Set(subject.components
+            ?? auroraImports.flat().map(binding => binding.component).filter(Boolean));
+
+        const files = [];
+        for (const [index, source] of sources.entries()) {
+            const starts = lineStarts(source.contents);
+            const imports = auroraImports[index];
+            const specifiers = [...source.contents.matchAll(IMPORT_STATEMENT)].map(match => match[2]);
+            const facts = {
+                path: source.relativePath,
+                team: this.#ownerOf(owners, source.relativePath),
+                project: await this.#projectOf(dirname(source.path), root, projects),
+                platform: platformOf(source.path, specifiers),
+                imports: imports
+                    .filter(binding => binding.component)
+                    .map(binding => ({ component: binding.component, source: binding.source, line: lineAt(starts, binding.offset) })),
+                components: {},
+                tokens: {},
+                candidates: [],
+                exceptions: parseExceptions(source.contents, starts)
+            };
+            if (SCRIPT_EXTENSIONS.includes(extname(source.path))) {
+                this.#scanComponents(source, starts, imports, components, facts);
+            }
+            this.#scanTokens(source, starts, tokenIndex, facts);
+            this.#scanDeclarations(source, tokenIndex, facts);
+            facts.candidates.sort((a, b) => a.line - b.line);
+            files.push(facts);
+        }
+
+        return { root, scannedAt: new Date().toISOString(), packages, components: [...components].sort(), files };
+    }
+
+    async #listFiles(directory, root, ignored) {
+        const files = [];
+        const entries = await readdir(directory, { withFileTypes: true });
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const path = join(directory, entry.name);
+            const relativePath = relative(root, path).split(sep).join('/');
+            if (entry.name.startsWith('.') || ignored.some(matches => matches(relativePath))) {
+                continue;
+            }
+            if (entry.isDirectory()) {
+                if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+                    files.push(...await this.#listFiles(path, root, ignored));
+                }
+            } else if (entry.isFile() && [...SCRIPT_EXTENSIONS, ...STYLE_EXTENSIONS].includes(extname(entry.name)) && !entry.name.endsWith('.d.ts')) {
+                if ((await stat(path)).size <= MAX_FILE_SIZE) {
+                    files.push(path);
+                }
+            }
+        }
+        return files;
+    }
+
+    async #readCodeowners(root) {
+        for (const location of CODEOWNERS_LOCATIONS) {
+            const contents = await readFile(join(root, location), 'utf8').catch(() => null);
+            if (contents !== null) {
+                return contents.split('\n')
+                    .map(line => line.replace(/#.*$/, '').trim().split(/\s+/))
+                    .filter(([pattern]) => pattern)
+                    .map(([pattern, ...owners]) => ({ matches: globMatcher(pattern), owner: owners[0] ?? null }));
+            }
+        }
+        return [];
+    }
+
+    #ownerOf(owners, path) {
+        return owners.findLast(rule => rule.matches(path))?.owner ?? UNOWNED;
+    }
+
+    async #projectOf(directory, root, projects) {
+        if (!projects.has(directory)) {
+            const manifest = await readFile(join(directory, 'package.json'), 'utf8').then(JSON.parse).catch(() => null);
+            projects.set(directory, manifest
+                ? manifest.name ?? (relative(root, directory).split(sep).join('/') || basename(root))
+                : directory === root || dirname(directory) === directory
+                    ? basename(root)
+                    : await this.#projectOf(dirname(directory), root, projects));
+        }
+        return projects.get(directory);
+    }
+
+    #auroraImports(contents, packages) {
+        return [...contents.matchAll(IMPORT_STATEMENT)]
+            .filter(([, , source]) => packages.some(name => source === name || source.startsWith(`${name}/`)))
+            .flatMap(([, clause, source, ], index, matches) => importBindings(clause).map(binding => ({
+                ...binding,
+                source,
+                offset: matches[index].index,
+                component: binding.imported === '*' ? null : [binding.imported === 'default' ? binding.local : binding.imported].find(name => /^[A-Z]/.test(name)) ?? null
+            })));
+    }
+
+    #scanComponents(source, starts, imports, components, facts) {
+        const count = name => {
+            facts.components[name] = (facts.components[name] ?? 0) + 1;
+        };
+        for (const binding of imports) {
+            const usage = binding.imported === '*'
+                ? new RegExp(`<${escapeRegExp(binding.local)}\\.([A-Z][\\w$]*)(?=[\\s/>.])`, 'g')
+                : binding.component ? new RegExp(`<${escapeRegExp(binding.local)}(?=[\\s/>.])`, 'g') : null;
+            for (const match of usage ? source.contents.matchAll(usage) : []) {
+                count(binding.imported === '*' ? match[1] : binding.component);
+            }
+        }
+        const tags = [...components].map(name => [`aurora-${formatTokenName([name], 'kebab')}`, name]).sort(([a], [b]) => b.length - a.length);
+        for (const [, tag] of source.contents.matchAll(CUSTOM_ELEMENT_TAG)) {
+            count(tags.find(([prefix]) => tag === prefix || tag.startsWith(`${prefix}-`))?.[1] ?? formatTokenName(tag.slice('aurora-'.length).split('-'), 'pascal'));
+        }
+
+        const detached = (offset, message) => facts.candidates.push({ rule: 'detached-component', line: lineAt(starts, offset), message });
+        const importedLocals = new Set(imports.map(binding => binding.local));
+        for (const match of source.contents.matchAll(LOCAL_DECLARATION)) {
+            const name = match[1] ?? match[2];
+            if (components.has(name) && !importedLocals.has(name)) {
+                detached(match.index, `local '${name}' re-implements the Aurora component; import it from ${imports[0]?.source ?? DEFAULT_PACKAGES[0]} instead`);
+            }
+        }
+        const fileComponent = basename(source.path, extname(source.path));
+        if (extname(source.path) === '.vue' && components.has(fileComponent)) {
+            detached(0, `single-file component '${fileComponent}' re-implements the Aurora component`);
+        }
+        for (const match of source.contents.matchAll(CUSTOM_ELEMENT_DEFINITION)) {
+            detached(match.index, `custom element <${match[1]}> is defined outside Aurora`);
+        }
+        for (const match of source.contents.matchAll(CLASS_ATTRIBUTE)) {
+            const copied = match[1].split(/\s+/).find(name => name.startsWith('aurora-') && !name.startsWith('aurora-layout-'));
+            if (copied) {
+                detached(match.index, `markup copies the Aurora class '${copied}' instead of rendering the component`);
+            }
+        }
+    }
+
+    #scanTokens(source, starts, tokenIndex, facts) {
+        const references = [
+            ...[...source.contents.matchAll(CSS_VARIABLE)].map(match => [match, tokenIndex.byVariable.get(match[1])]),
+            ...(STYLE_EXTENSIONS.includes(extname(source.path))
+                ? [...source.contents.matchAll(SCSS_VARIABLE)].map(match => [match, tokenIndex.byVariable.get(match[1])])
+                : []),
+            ...[...source.contents.matchAll(TOKEN_REFERENCE)].map(match => [match, tokenIndex.byPath.get(match[1])])
+        ];
+        for (const [match, token] of references.filter(([, token]) => token)) {
+            facts.tokens[token.path] = (facts.tokens[token.path] ?? 0) + 1;
+            if (token.deprecated) {
+                const { replacement } = describeDeprecation(token);
+                facts.candidates.push({
+                    rule: 'deprecated-token',
+                    line: lineAt(starts, match.index),
+                    message: `token '${token.path}' is deprecated${replacement ? `; use '${replacement}'` : ''}`,
+                    value: token.path,
+                    suggestions: replacement ? [replacement] : []
+                });
+            }
+        }
+    }
+
+    #scanDeclarations(source, tokenIndex, facts) {
+        const script = SCRIPT_EXTENSIONS.includes(extname(source.path));
+        source.contents.split('\n').forEach((text, index) => {
+            if (COMMENT_LINE.test(text)) {
+                return;
+            }
+            for (const match of text.matchAll(DECLARATION)) {
+                const property = match[2].replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+                const value = (match[4] ?? match[5]).replace(VAR_FUNCTION, '');
+                const column = match.index + match[0].indexOf(match[2]) + 1;
+                const report = (rule, literal, suggestions) => facts.candidates.push({
+                    rule,
+                    line: index + 1,
+                    column,
+                    message: `hard-coded ${rule === 'hard-coded-color' ? 'color' : 'spacing'} ${literal} in '${property}'${suggestions.length > 0 ? `; use ${suggestions.map(path => `{${path}}`).join(' or ')}` : ''}`,
+                    value: literal,
+                    suggestions
+                });
+                if (COLOR_PROPERTY.test(property)) {
+                    for (const [literal] of value.matchAll(COLOR_LITERAL)) {
+                        report('hard-coded-color', literal, tokenIndex.byColor.get(colorKey(literal)) ?? []);
+                    }
+                }
+                if (SPACING_PROPERTY.test(property)) {
+                    const lengths = [...value.matchAll(LENGTH_LITERAL)].map(([literal]) => literal);
+                    if (script && match[3] === undefined && NUMBER_LITERAL.test(value.trim())) {
+                        lengths.push(`${value.trim()}px`);
+                    }
+                    for (const literal of lengths.filter(length => parseFloat(length) !== 0)) {
+                        report('hard-coded-spacing', literal, tokenIndex.byLength.get(lengthKey(literal)) ?? []);
+                    }
+                }
+            }
+        });
+    }
+}
+
+class RepositoryUsageAnalyzer {
+    #scanner = new RepositoryUsageScanner();
+
+    async analyze(subject, { contextualFactors = CONTEXTUAL_FACTORS } = {}) {
+        const { files, ...scan } = await this.#scanner.scan(subject);
+        const components = {};
+        const tokens = {};
+        for (const file of files) {
+            for (const { component } of file.imports) {
+                components[component] ??= { imports: 0, usages: 0 };
+                components[component].imports += 1;
+            }
+            for (const [component, count] of Object.entries(file.components)) {
+                components[component] ??= { imports: 0, usages: 0 };
+                components[component].usages += count;
+            }
+            for (const [path, count] of Object.entries(file.tokens)) {
+                tokens[path] = (tokens[path] ?? 0) + count;
+            }
+        }
+
+        return {
+            ...scan,
+            totals: usageTotals(files),
+            components,
+            tokens,
+            groups: Object.fromEntries(contextualFactors.map(factor => [factor, Object.fromEntries(
+                [...groupBy(files, file => file[factor])].map(([name, groupFiles]) => [name, usageTotals(groupFiles)])
+            )])),
+            files
+        };
+    }
+}
+
+class ComponentUsageAnalyzer {
+    createAnalyzer(type = 'repository') {
+        if (type !== 'repository') {
+            throw new RangeError(`Unsupported usage analysis target '${type}' (expected repository)`);
+        }
+        return new RepositoryUsageAnalyzer();
+    }
+}
+
+class DesignRuleValidator {
+    async validate(analytics, { rules = {}, exceptions = [], severity = {} } = {}) {
+        const levels = { ...DESIGN_RULES, ...rules };
+        for (const [rule, level] of Object.entries(levels)) {
+            if (!(rule in DESIGN_RULES) || !RULE_LEVELS.includes(level)) {
+                throw new RangeError(`Invalid design rule setting ${rule}: ${level} (rules: ${Object.keys(DESIGN_RULES).join(', ')}; levels: ${RULE_LEVELS.join(', ')})`);
+            }
+        }
+        const weights = { ...DEFAULT_SEVERITY_WEIGHTS, ...severity };
+        const allowed = exceptions.map(exception => ({ ...exception, matches: globMatcher(exception.path ?? '**') }));
+
+        const findings = [];
+        const waived = [];
+        for (const file of analytics.files) {
+            for (const candidate of file.candidates.filter(entry => levels[entry.rule] !== 'off')) {
+                const finding = {
+                    ...candidate,
+                    severity: levels[candidate.rule],
+                    file: file.path,
+                    ...Object.fromEntries(CONTEXTUAL_FACTORS.map(factor => [factor, file[factor]]))
+                };
+                const inline = file.exceptions.find(exception => (exception.scope === 'file' || exception.line === candidate.line)
+                    && (exception.rules.length === 0 || exception.rules.includes(candidate.rule)));
+                const configured = allowed.find(exception => (!exception.rule || exception.rule === candidate.rule) && exception.matches(file.path));
+                if (inline) {
+                    waived.push({ ...finding, exception: { source: 'inline', line: inline.line, reason: inline.reason } });
+                } else if (configured) {
+                    waived.push({ ...finding, exception: { source: 'configuration', path: configured.path ?? '**', reason: configured.reason ?? null } });
+                } else {
+                    findings.push(finding);
+                }
+            }
+        }
+
+        const summary = { ...tallyFindings(findings, weights), waived: waived.length };
+        return {
+            compliant: summary.errors === 0,
+            summary,
+            groups: Object.fromEntries(Object.entries(analytics.groups).map(([factor, groups]) => [factor, Object.fromEntries(
+                Object.keys(groups).map(name => [name, tallyFindings(findings.filter(finding => finding[factor] === name), weights)])
+            )])),
+            findings,
+            waived
+        };
+    }
+}
+
+class DesignComplianceValidator {
+    createValidator(framework = 'aurora') {
+        if (framework !== 'aurora') {
+            throw new RangeError(`Unsupported compliance framework '${framework}' (expected aurora)`);
+        }
+        return new DesignRuleValidator();
+    }
+}
+
+class DesignSystemEvolutionTracker {
+    #history = new Map();
+
+    async assess(analytics, compliance, { baseline } = {}) {
+        const snapshot = { scannedAt: analytics.scannedAt, usage: analytics.totals, violations: compliance.summary };
+        const previous = baseline ?? this.#history.get(analytics.root) ?? null;
+        this.#history.set(analytics.root, snapshot);
+        if (!previous) {
+            return { baseline: null, changes: null, snapshot };
+        }
+
+        const difference = (current, earlier) => current - (earlier ?? 0);
+        return {
+            baseline: previous.scannedAt,
+            changes: {
+                componentUsages: difference(snapshot.usage.componentUsages, previous.usage.componentUsages),
+                tokenReferences: difference(snapshot.usage.tokenReferences, previous.usage.tokenReferences),
+                errors: difference(snapshot.violations.errors, previous.violations.errors),
+                warnings: difference(snapshot.violations.warnings, previous.violations.warnings),
+                byRule: Object.fromEntries(Object.keys(DESIGN_RULES).map(rule => [rule, difference(snapshot.violations.byRule[rule] ?? 0, previous.violations.byRule?.[rule])]))
+            },
+            snapshot
+        };
+    }
+}
+
+class GovernanceDecisionEngine {
+    async evaluate({ analytics, compliance, evolution }, { decisionModel = 'weighted_scoring', thresholds, stakeholders } = {}) {
+        if (decisionModel !== 'weighted_scoring') {
+            throw new RangeError(`Unsupported decision model '${decisionModel}' (expected weighted_scoring)`);
+        }
+        const weights = { ...SCORING_WEIGHTS, ...stakeholders };
+        for (const [metric, weight] of Object.entries(weights)) {
+            if (!(metric in SCORING_WEIGHTS) || typeof weight !== 'number' || weight < 0) {
+                throw new RangeError(`Invalid scoring weight ${metric}: ${weight} (metrics: ${Object.keys(SCORING_WEIGHTS).join(', ')})`);
+            }
+        }
+        const limits = { ...DECISION_THRESHOLDS, ...thresholds };
+
+        const assess = (usage, violations) => {
+            const ratio = (good, bad) => (good + bad === 0 ? null : round(good / (good + bad)));
+            const metrics = {
+                componentAdoption: ratio(usage.componentUsages, violations.byRule['detached-component'] ?? 0),
+                tokenAdoption: ratio(usage.tokenReferences, (violations.byRule['hard-coded-color'] ?? 0) + (violations.byRule['hard-coded-spacing'] ?? 0)),
+                compliance: usage.files === 0 ? null : round(1 / (1 + violations.penalty / usage.files)),
+                currency: usage.tokenReferences === 0 ? null : round(1 - Math.min(1, (violations.byRule['deprecated-token'] ?? 0) / usage.tokenReferences))
+            };
+            const scored = Object.entries(metrics).filter(([metric, value]) => value !== null && weights[metric] > 0);
+            const totalWeight = scored.reduce((sum, [metric]) => sum + weights[metric], 0);
+            const score = totalWeight === 0 ? null : round(scored.reduce((sum, [metric, value]) => sum + value * weights[metric], 0) / totalWeight);
+            const status = score === null
+                ? 'not_applicable'
+                : score >= limits.approve && violations.errors === 0 ? 'approved' : score >= limits.conditional ? 'conditional' : 'rejected';
+            return { score, status, metrics, errors: violations.errors, warnings: violations.warnings, files: usage.files };
+        };
+
+        return {
+            model: decisionModel,
+            weights,
+            thresholds: limits,
+            ...assess(analytics.totals, compliance.summary),
+            groups: Object.fromEntries(Object.entries(analytics.groups).map(([factor, groups]) => [factor, Object.fromEntries(
+                Object.entries(groups).map(([name, usage]) => [name, assess(usage, compliance.groups[factor][name])])
+            )])),
+            trend: evolution?.changes ?? null
+        };
+    }
+}
+
+function renderAdoptionReport(decision) {
+    const percent = value => (value === null ? 'n/a' : `${Math.round(value * 100)}%`);
+    const lines = [
+        '# Aurora adoption report',
+        '',
+        `Overall score: ${percent(decision.score)} (${decision.status})`
+    ];
+    for (const [factor, groups] of Object.entries(decision.groups)) {
+        lines.push(
+            '',
+            `## By ${factor}`,
+            '',
+            `| ${factor[0].toUpperCase()}${factor.slice(1)} | Score | Status | Components | Tokens | Compliance | Currency | Errors | Warnings |`,
+            '| --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+            ...Object.entries(groups)
+                .sort(([, a], [, b]) => (a.score ?? 1) - (b.score ?? 1))
+                .map(([name, group]) => `| ${name} | ${percent(group.score)} | ${group.status} | ${percent(group.metrics.componentAdoption)} | ${percent(group.metrics.tokenAdoption)} | ` +
+                    `${percent(group.metrics.compliance)} | ${percent(group.metrics.currency)} | ${group.errors} | ${group.warnings} |`)
+        );
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+export {
+    DESIGN_RULES,
+    SCORING_WEIGHTS,
+    DECISION_THRESHOLDS,
+    RepositoryUsageScanner,
+    ComponentUsageAnalyzer,
+    DesignComplianceValidator,
+    DesignSystemEvolutionTracker,
+    GovernanceDecisionEngine,
+    renderAdoptionReport
+};
@@ -1,8 +1,43 @@
+import { HierarchicalTokenRegistry, RecursiveTokenResolver, MultiDimensionalThemeOrchestrator, TokenResolutionError } from './TokenHierarchy.js';
+import {
+    DENSITY_SCALES,
+    TypographicContextModifier,
+    SpatialContextModifier,
+    ChromaticContextModifier,
+    DepthContextModifier,
+    AccessibilityEnhancementEngine
+} from './TokenContextModifiers.js';
+import { CrossPlatformTransformerMesh, DimensionConversionStage } from './PlatformTransformers.js';
+import { TokenFormatRegistry } from './TokenExporters.js';
+import { TokenVersioningGovernance } from './TokenVersioning.js';
+import { parseDimension, parseRgbColor, mapFontSize } from './TokenValues.js';
+import { ColorSpaceTransformationEngine } from './ColorScience.js';
+import { HarmonicPaletteGenerator, PaletteRefinementEngine } from './PaletteGeneration.js';
+import { AutomatedContrastOptimizer, SemanticTokenMappingEngine } from './ContrastOptimization.js';
+import { FLUID_EXTENSION, ModularTypeScaleCalculator, TypographicHierarchyDesigner } from './TypeScale.js';
+import { MotionPrincipleEngine, MotionCurveRefiner } from './MotionSystem.js';
+
+const COLOR_FUNCTION_PATTERN = /^(rgba?|hsla?|oklch|oklab|color)\(.+\)$/i;
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const DURATION_PATTERN = /^-?\d*\.?\d+m?s$/;
+
+const TOKEN_VALUE_VALIDATORS = {
+    color: value => typeof value === 'string' && (HEX_COLOR_PATTERN.test(value.trim()) || COLOR_FUNCTION_PATTERN.test(value.trim())),
+    dimension: value => parseDimension(value) !== null,
+    duration: value => (typeof value === 'string' && DURATION_PATTERN.test(value.trim())) || typeof value?.value === 'number',
+    number: value => Number.isFinite(value),
+    fontWeight: value => (Number.isFinite(value) && value >= 1 && value <= 1000) || typeof value === 'string',
+    fontFamily: value => typeof value === 'string' || (Array.isArray(value) && value.every(family => typeof family === 'string')),
+    cubicBezier: value => Array.isArray(value) && value.length === 4 && value.every(Number.isFinite)
+        && value[0] >= 0 && value[0] <= 1 && value[2] >= 0 && value[2] <= 1
+};
+
 class DynamicDesignTokenEngine {
     #tokenRegistry = new HierarchicalTokenRegistry();
     #platformTransformers = new CrossPlatformTransformerMesh();
     #themeOrchestrator = new MultiDimensionalThemeOrchestrator();
     #versioningManager = new TokenVersioningGovernance();
+    #tokenFormatters = new TokenFormatRegistry();
     
     constructor() {
         this.#initializeTokenTaxonomy();
@@ -17,23 +52,75 @@ class DynamicDesignTokenEngine {
         const accessibilityEnhanced = await this.#enhanceForAccessibility(platformOptimized, context.accessibility);
         
         return await this.#finalizeTokenOutput(accessibilityEnhanced, {
+            format: platformConstraints.outputFormat,
+            optimization: platformConstraints.optimizationLevel,
+            polyfills: platformConstraints.compatibility,
+            theme: context.theme.name
+        });
+    }
+
+    async compareTokenReleases(previousTheme, nextTheme, releaseOptions = {}) {
+        const previousTokens = await this.#resolveBaseTokenHierarchy(previousTheme);
+        const nextTokens = await this.#resolveBaseTokenHierarchy(nextTheme);
+        return await this.#versioningManager.analyzeRelease(previousTokens, nextTokens, releaseOptions);
+    }
+
+    async resolveThemePermutations(context, platformConstraints, { include, exclude } = {}) {
+        const dimensionValues = Object.fromEntries(Object.entries(context.theme.dimensionTokens ?? {})
+            .map(([dimension, sets]) => [dimension, Object.keys(sets)]));
+        const permutations = this.#themeOrchestrator.expandPermutations(dimensionValues, { include, exclude });
+        if (permutations.length === 0) {
+            throw new Error('No theme permutations match the requested include/exclude selectors');
+        }
+
+        const themes = [];
+        const conflicts = [];
+        for (const { name, dimensions } of permutations) {
+            const themeSpecification = { ...context.theme, ...dimensions, name };
+            const composition = await this.#composeThemeLayers(themeSpecification);
+            conflicts.push(...composition.conflicts.map(conflict => ({ ...conflict, theme: name })));
+
+            const tokens = await this.resolveDesignTokens({ ...context, theme: themeSpecification }, { ...platformConstraints, outputFormat: undefined });
+            themes.push({ name, dimensions, tokens });
+        }
+
+        if (!platformConstraints.outputFormat) {
+            return { themes, conflicts };
+        }
+        const output = this.#formatThemes(themes.map(theme => ({ ...theme, mode: theme.dimensions.mode })), {
             format: platformConstraints.outputFormat,
             optimization: platformConstraints.optimizationLevel,
             polyfills: platformConstraints.compatibility
         });
+        return { themes, conflicts, ...output };
     }
     
     async #resolveBaseTokenHierarchy(themeSpecification) {
-        const tokenResolver = new RecursiveTokenResolver();
+        const tokenResolver = new RecursiveTokenResolver(this.#tokenRegistry);
+        const { layers, conflicts } = await this.#composeThemeLayers(themeSpecification);
+        if (conflicts.length > 0 && themeSpecification.conflictPolicy === 'error') {
+            throw new TokenResolutionError(conflicts);
+        }
+
+        const resolvedTokens = await tokenResolver.resolveHierarchy(layers);
+        return await this.#validateTokenConsistency(resolvedTokens, themeSpecification.constraints);
+    }
+
+    async #composeThemeLayers(themeSpecification) {
         const resolutionContext = {
             theme: themeSpecification,
             mode: await this.#determineColorMode(themeSpecification),
             density: await this.#calculateDensityScale(themeSpecification),
-            contrast: await this.#assessContrastRequirements(themeSpecification)
+            contrast: await this.#assessContrastRequirements(themeSpecification),
+            brand: themeSpecification.brand
         };
-        
-        const resolvedTokens = await tokenResolver.resolveHierarchy(themeSpecification.tokens, resolutionContext);
-        return await this.#validateTokenConsistency(resolvedTokens, themeSpecification.constraints);
+        resolutionContext.dimensions = this.#selectDimensionValues(themeSpecification, resolutionContext);
+
+        const layers = this.#themeOrchestrator.composeLayers(themeSpecification.tokens, resolutionContext, {
+            sets: themeSpecification.dimensionTokens,
+            combinations: themeSpecification.dimensionCombinations
+        });
+        return { layers, conflicts: this.#themeOrchestrator.detectConflicts(layers) };
     }
     
     async #applyContextualModifications(baseTokens, context) {
@@ -58,7 +145,9 @@ class DynamicDesignTokenEngine {
     }
     
     async #adaptForPlatformConstraints(tokens, constraints) {
-        const platformAdapter = this.#platformTransformers.getAdapter(constraints.platform);
+        const platformAdapter = this.#platformTransformers.getAdapter(
+            constraints.platform ?? this.#tokenFormatters.platformFor(constraints.outputFormat)
+        );
         const adaptationPipeline = await platformAdapter.createAdaptationPipeline(constraints);
         
         let adaptedTokens = tokens;
@@ -83,6 +172,188 @@ class DynamicDesignTokenEngine {
         
         return await this.#verifyAccessibilityCompliance(enhancedTokens, accessibilityRequirements);
     }
+
+    #initializeTokenTaxonomy() {
+        this.#tokenRegistry
+            .defineCategory('color', { types: ['color'] })
+            .defineCategory('typography', { types: ['typography', 'fontFamily', 'fontWeight'] })
+            .defineCategory('spacing', { types: ['dimension'] })
+            .defineCategory('elevation', { types: ['shadow'] })
+            .defineCategory('motion', { types: ['duration', 'cubicBezier', 'transition'] });
+    }
+
+    #deployPlatformAdaptationPipelines() {
+        this.#platformTransformers
+            .registerAdapter('web', [
+                constraints => new DimensionConversionStage({ unit: constraints.dimensionUnit ?? 'rem', remBase: constraints.remBase })
+            ])
+            .registerAdapter('ios', [
+                constraints => new DimensionConversionStage({ unit: 'pt', remBase: constraints.remBase })
+            ])
+            .registerAdapter('android', [
+                constraints => new DimensionConversionStage({ unit: 'dp', fontUnit: 'sp', remBase: constraints.remBase })
+            ]);
+    }
+
+    #establishThemeCompositionRules() {
+        this.#themeOrchestrator
+            .setLayerPrecedence(['core', 'base', 'brand', 'theme', 'product', 'component'])
+            .setDimensionPrecedence(['brand', 'mode', 'contrast', 'density']);
+    }
+
+    #selectDimensionValues(themeSpecification, resolutionContext) {
+        const selection = {
+            brand: resolutionContext.brand,
+            mode: resolutionContext.mode,
+            contrast: resolutionContext.contrast.level,
+            density: resolutionContext.density.name
+        };
+        for (const dimension of Object.keys(themeSpecification.dimensionTokens ?? {})) {
+            selection[dimension] ??= themeSpecification[dimension];
+        }
+        return selection;
+    }
+
+    async #determineColorMode(themeSpecification) {
+        return themeSpecification.mode ?? themeSpecification.colorScheme ?? 'light';
+    }
+
+    async #calculateDensityScale(themeSpecification) {
+        const density = themeSpecification.density ?? 'comfortable';
+        if (!(density in DENSITY_SCALES)) {
+            throw new Error(`Unknown density '${density}' (expected one of: ${Object.keys(DENSITY_SCALES).join(', ')})`);
+        }
+        return { name: density, scale: DENSITY_SCALES[density] };
+    }
+
+    async #assessContrastRequirements(themeSpecification) {
+        const level = themeSpecification.contrast ?? 'normal';
+        return { level, minimumRatio: level === 'high' ? 7 : 4.5 };
+    }
+
+    async #validateTokenConsistency(resolvedTokens, constraints = {}) {
+        const issues = [];
+        const resolvedPaths = new Set();
+
+        for (const tokens of resolvedTokens.values()) {
+            for (const [path, token] of tokens) {
+                resolvedPaths.add(path);
+                const validator = TOKEN_VALUE_VALIDATORS[token.type];
+                if (validator && !validator(token.value)) {
+                    issues.push({
+                        code: 'INVALID_VALUE',
+                        tokenPath: path,
+                        layer: token.layer,
+                        referenceChain: token.references,
+                        message: `value ${JSON.stringify(token.value)} is not a valid ${token.type}`
+                    });
+                }
+            }
+        }
+
+        issues.push(...this.#versioningManager.validateDeprecations(resolvedTokens));
+
+        for (const requiredPath of constraints.requiredTokens ?? []) {
+            if (!resolvedPaths.has(requiredPath)) {
+                issues.push({ code: 'MISSING_REQUIRED', tokenPath: requiredPath, referenceChain: [], message: 'required token is not defined' });
+            }
+        }
+
+        if (issues.length > 0) {
+            throw new TokenResolutionError(issues);
+        }
+        return resolvedTokens;
+    }
+
+    async #reconcileContextualDependencies(modifiedTokens) {
+        const tokensByPath = new Map();
+        for (const tokens of modifiedTokens.values()) {
+            for (const [path, token] of tokens) {
+                tokensByPath.set(path, token);
+            }
+        }
+
+        const reconciled = new Map();
+        for (const [category, tokens] of modifiedTokens) {
+            const categoryTokens = new Map();
+            for (const [path, token] of tokens) {
+                const target = token.aliasOf ? tokensByPath.get(token.aliasOf) : null;
+                categoryTokens.set(path, target ? { ...token, value: structuredClone(target.value) } : token);
+            }
+            reconciled.set(category, categoryTokens);
+        }
+        return reconciled;
+    }
+
+    async #validatePlatformCompliance(tokens, constraints) {
+        const platform = constraints.platform ?? this.#tokenFormatters.platformFor(constraints.outputFormat);
+        if (platform === 'web') {
+            return tokens;
+        }
+
+        const issues = [];
+        for (const [path, token] of tokens.get('color') ?? []) {
+            if (token.type === 'color' && !parseRgbColor(token.value)) {
+                issues.push({
+                    code: 'UNSUPPORTED_VALUE',
+                    tokenPath: path,
+                    referenceChain: token.references,
+                    message: `color ${JSON.stringify(token.value)} cannot be represented on ${platform}`
+                });
+            }
+        }
+
+        if (issues.length > 0) {
+            throw new TokenResolutionError(issues);
+        }
+        return tokens;
+    }
+
+    async #verifyAccessibilityCompliance(tokens, accessibilityRequirements = {}) {
+        const minimum = parseDimension(accessibilityRequirements.minimumFontSize);
+        if (!minimum) {
+            return tokens;
+        }
+
+        const issues = [];
+        for (const token of tokens.get('typography')?.values() ?? []) {
+            mapFontSize(token, fontSize => {
+                const size = parseDimension(fontSize);
+                if (size?.unit === minimum.unit && size.value < minimum.value) {
+                    issues.push({
+                        code: 'ACCESSIBILITY_VIOLATION',
+                        tokenPath: token.path,
+                        referenceChain: token.references,
+                        message: `font size ${fontSize} is below the required minimum ${accessibilityRequirements.minimumFontSize}`
+                    });
+                }
+                return fontSize;
+            });
+        }
+
+        if (issues.length > 0) {
+            throw new TokenResolutionError(issues);
+        }
+        return tokens;
+    }
+
+    async #finalizeTokenOutput(tokens, { format, optimization, polyfills, theme = 'default' }) {
+        if (!format) {
+            return tokens;
+        }
+        return { tokens, ...this.#formatThemes([{ name: theme, tokens }], { format, optimization, polyfills }) };
+    }
+
+    #formatThemes(themes, { format, optimization, polyfills }) {
+        const files = [];
+        const warnings = [];
+        for (const outputFormat of [].concat(format)) {
+            const output = this.#tokenFormatters.get(outputFormat).format(themes, { optimization, polyfills });
+            files.push(...output.files.map(file => ({ ...file, format: outputFormat })));
+            warnings.push(...output.warnings);
+        }
+        return { files, warnings };
+    }
 }
 
 class ThemeCompositionEngine {
@@ -141,15 +412,98 @@ class ThemeCompositionEngine {
     async #optimizeThemeContrast(theme, accessibilityRequirements) {
         const contrastOptimizer = this.#contrastOptimizers.createOptimizer(accessibilityRequirements.level);
         const optimizationResult = await contrastOptimizer.optimizeContrast(theme, {
-            preserveDesignIntent: true,
-            optimizationMethod: 'gradient_descent',
+            preserveDesignIntent: accessibilityRequirements.preserveDesignIntent ?? true,
+            optimizationMethod: 'lightness_bisection',
+            algorithm: accessibilityRequirements.algorithm || 'wcag2',
             tolerance: accessibilityRequirements.tolerance || 0.1
         });
         
         return {
             theme: optimizationResult.optimizedTheme,
             contrastMetrics: optimizationResult.metrics,
-            complianceReport: await this.#generateContrastComplianceReport(optimizationResult.optimizedTheme)
+            complianceReport: await this.#generateContrastComplianceReport(optimizationResult.optimizedTheme, accessibilityRequirements)
+        };
+    }
+
+    async #calculateModularScale(spacingSpec = {}) {
+        const base = spacingSpec.base ?? 4;
+        const steps = spacingSpec.steps ?? [0, 0.5, 1, 2, 3, 4, 6, 8, 12, 16];
+        return steps.map(multiplier => ({ multiplier, value: base * multiplier }));
+    }
+
+    async #createSpatialSystem(spacingSystem, density = 'comfortable') {
+        const densityScale = DENSITY_SCALES[density] ?? 1;
+        const spacing = { $type: 'dimension' };
+        for (const { multiplier, value } of spacingSystem) {
+            spacing[String(multiplier).replace('.', '_')] = { $value: `${Math.round(value * densityScale * 100) / 100}px` };
+        }
+        return spacing;
+    }
+
+    async #semanticizeColorPalette(colorPalette, semanticRoles) {
+        return this.#semanticTokenMappers.mapSemanticRoles(colorPalette.tokens, semanticRoles);
+    }
+
+    async #establishTypeScale(typographyScale, readability = {}) {
+        const minimumFontSize = parseDimension(readability.minimumFontSize)?.value ?? 0;
+        const typography = {
+            family: {
+                $type: 'fontFamily',
+                $extensions: { 'com.aurora.fontLoading': { display: typographyScale.fontDisplay } },
+                body: { $value: typographyScale.fontFamilies.body },
+                heading: { $value: typographyScale.fontFamilies.heading }
+            }
+        };
+
+        for (const [role, style] of Object.entries(typographyScale.roles)) {
+            const fontSize = Math.max(style.fontSize, minimumFontSize);
+            const lineHeight = fontSize === style.fontSize
+                ? style.lineHeight
+                : Math.max(style.lineHeight, Math.ceil((fontSize * 1.5) / typographyScale.baseline) * typographyScale.baseline);
+
+            typography[role] = {
+                $type: 'typography',
+                $value: {
+                    fontFamily: `{typography.family.${style.fontFamily}}`,
+                    fontSize: `${fontSize}px`,
+                    fontWeight: style.fontWeight,
+                    lineHeight: Number((lineHeight / fontSize).toFixed(4)),
+                    letterSpacing: `${style.letterSpacing}em`
+                },
+                ...(style.fluidFontSize && fontSize === style.fontSize && {
+                    $extensions: { [FLUID_EXTENSION]: { fontSize: style.fluidFontSize } }
+                })
+            };
+        }
+
+        if (typographyScale.measure) {
+            typography.measure = { $type: 'dimension', $value: typographyScale.measure };
+        }
+        return typography;
+    }
+
+    async #deriveMotionPrinciples(motionSpec = {}) {
+        const motionPrinciples = new MotionPrincipleEngine();
+        return await motionPrinciples.derive(motionSpec);
+    }
+
+    async #refineMotionCurves(motionCurves, interaction = {}) {
+        const curveRefiner = new MotionCurveRefiner();
+        return await curveRefiner.refine(motionCurves, interaction);
+    }
+
+    async #generateContrastComplianceReport(theme, accessibilityRequirements) {
+        const algorithm = accessibilityRequirements.algorithm || 'wcag2';
+        const evaluator = this.#contrastOptimizers.createOptimizer(accessibilityRequirements.level);
+        const pairs = await evaluator.evaluate(theme, { algorithm });
+        const failures = pairs.filter(pair => !pair.passes);
+
+        return {
+            standard: algorithm === 'apca' ? 'APCA' : 'WCAG 2.x',
+            level: accessibilityRequirements.level,
+            compliant: failures.length === 0,
+            summary: { total: pairs.length, passing: pairs.length - failures.length, failing: failures.length },
+            failures: failures.map(({ foreground, background, usage, ratio, required }) => ({ foreground, background, usage, ratio, required }))
         };
     }
 }
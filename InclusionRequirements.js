@@ -0,0 +1,53 @@
+const PERSONALIZATION_ADAPTATIONS = {
+    presentation: [
+        { id: 'text-scale', profiles: ['low_vision'] },
+        { id: 'increased-contrast', profiles: ['low_vision', 'color_vision_deficiency'] },
+        { id: 'non-color-cues', profiles: ['color_vision_deficiency'] }
+    ],
+    interaction: [
+        { id: 'visible-focus', profiles: ['keyboard_only', 'low_vision'] },
+        { id: 'keyboard-shortcuts', profiles: ['keyboard_only', 'screen_reader'] }
+    ],
+    content: [
+        { id: 'text-alternatives', profiles: ['screen_reader'] },
+        { id: 'live-announcements', profiles: ['screen_reader'] }
+    ]
+};
+
+class InclusionRequirementAnalyzer {
+    async analyzeRequirements(userDiversity, { disabilityTypes = [], assistiveTechnologies = [], environmentalFactors = [] } = {}) {
+        return {
+            profiles: [...new Set((userDiversity.profiles ?? []).map(profile => profile.type).filter(Boolean))],
+            disabilityTypes,
+            assistiveTechnologies,
+            environmentalFactors,
+            userControlPreferences: userDiversity.userControl ?? [],
+            automationCapabilities: userDiversity.automation ?? []
+        };
+    }
+}
+
+class AccessibilityPersonalizationDesigner {
+    async designApproaches(component, requirements, { adaptationLevels = Object.keys(PERSONALIZATION_ADAPTATIONS), userControl = [], automation = [] } = {}) {
+        return adaptationLevels.map(level => {
+            if (!PERSONALIZATION_ADAPTATIONS[level]) {
+                throw new RangeError(`Unknown adaptation level '${level}' (expected one of: ${Object.keys(PERSONALIZATION_ADAPTATIONS).join(', ')})`);
+            }
+            const adaptations = PERSONALIZATION_ADAPTATIONS[level]
+                .filter(adaptation => adaptation.profiles.some(profile => requirements.profiles.includes(profile)))
+                .map(adaptation => adaptation.id);
+            return {
+                level,
+                adaptations,
+                userControlled: adaptations.filter(adaptation => userControl.includes(adaptation)),
+                automated: adaptations.filter(adaptation => automation.includes(adaptation))
+            };
+        });
+    }
+}
+
+export {
+    PERSONALIZATION_ADAPTATIONS,
+    InclusionRequirementAnalyzer,
+    AccessibilityPersonalizationDesigner
+};
@@ -0,0 +1,471 @@
+import { INTERACTIVE_ROLES, selectorOf, describeFinding, isScriptedComponent, renderComponentMarkup } from './AccessibilityAudit.js';
+import { inlineStyle, AriaSemanticsResolver } from './AriaSemantics.js';
+
+const NATIVELY_FOCUSABLE_SELECTOR = [
+    'a[href]', 'area[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'iframe',
+    'audio[controls]', 'video[controls]', '[contenteditable=""]', '[contenteditable="true"]', 'details > summary:first-of-type'
+].join(', ');
+const DISABLEABLE_ELEMENTS = new Set(['button', 'input', 'select', 'textarea', 'optgroup', 'option', 'fieldset']);
+const NOT_RENDERED_ELEMENTS = new Set(['script', 'style', 'template', 'noscript', 'head']);
+const COMPOSITE_CONTAINER_SELECTOR = '[role="tablist"], [role="menu"], [role="menubar"], [role="listbox"], [role="grid"], [role="treegrid"], [role="tree"], [role="radiogroup"], [role="toolbar"], select, datalist';
+
+const WIDGET_PATTERNS = {
+    tablist: { items: ['tab'], orientation: 'horizontal', wraps: true },
+    menubar: { items: ['menuitem', 'menuitemcheckbox', 'menuitemradio'], orientation: 'horizontal', wraps: true },
+    menu: { items: ['menuitem', 'menuitemcheckbox', 'menuitemradio'], orientation: 'vertical', wraps: true },
+    listbox: { items: ['option'], orientation: 'vertical', wraps: false },
+    grid: { items: ['gridcell', 'columnheader', 'rowheader'], orientation: 'grid', wraps: false }
+};
+
+const ARROW_KEYS = {
+    horizontal: { next: 'ArrowRight', previous: 'ArrowLeft' },
+    vertical: { next: 'ArrowDown', previous: 'ArrowUp' }
+};
+
+const KEYBOARD_RULES = {
+    positiveTabindex: {
+        id: 'tabindex-positive',
+        version: '1.0.0',
+        criteria: ['2.4.3'],
+        severity: 'moderate',
+        userGroups: ['motor', 'visual'],
+        description: 'Positive tabindex values override the document focus order'
+    },
+    unreachable: {
+        id: 'keyboard-unreachable',
+        version: '1.0.0',
+        criteria: ['2.1.1'],
+        severity: 'serious',
+        userGroups: ['motor', 'visual'],
+        description: 'Interactive elements must be reachable with the keyboard'
+    },
+    focusTrap: {
+        id: 'focus-trap',
+        version: '1.0.0',
+        criteria: ['2.1.2'],
+        severity: 'critical',
+        userGroups: ['motor', 'visual'],
+        description: 'Keyboard focus must be able to leave every region it enters'
+    },
+    compositeTabStop: {
+        id: 'composite-tab-stop',
+        version: '1.0.0',
+        criteria: ['2.1.1', '2.4.3'],
+        severity: 'serious',
+        userGroups: ['motor', 'visual'],
+        description: 'Composite widgets must occupy exactly one stop in the tab sequence'
+    },
+    compositeArrowKeys: {
+        id: 'composite-arrow-keys',
+        version: '1.0.0',
+        criteria: ['2.1.1'],
+        severity: 'serious',
+        userGroups: ['motor', 'visual'],
+        description: 'Arrow keys must move focus between the items of a composite widget'
+    }
+};
+
+function deepQueryAll(root, selector) {
+    const matches = [...root.querySelectorAll(selector)];
+    for (const element of root.querySelectorAll('*')) {
+        if (element.shadowRoot) {
+            matches.push(...deepQueryAll(element.shadowRoot, selector));
+        }
+    }
+    return matches;
+}
+
+function deepActiveElement(document) {
+    let active = document.activeElement;
+    while (active?.shadowRoot?.activeElement) {
+        active = active.shadowRoot.activeElement;
+    }
+    return active;
+}
+
+function attachDeclarativeShadowRoots(root) {
+    for (const template of root.querySelectorAll('template[shadowrootmode]')) {
+        const host = template.parentElement;
+        if (!host || host.shadowRoot) {
+            continue;
+        }
+        const shadowRoot = host.attachShadow({ mode: 'open' });
+        shadowRoot.append(template.content.cloneNode(true));
+        template.remove();
+        attachDeclarativeShadowRoots(shadowRoot);
+    }
+}
+
+function pressKey(element, key, { shiftKey = false } = {}) {
+    const { KeyboardEvent } = element.ownerDocument.defaultView;
+    const event = new KeyboardEvent('keydown', { key, shiftKey, bubbles: true, cancelable: true, composed: true });
+    element.dispatchEvent(event);
+    return event;
+}
+
+function commonAncestor(elements) {
+    const [first, ...rest] = elements;
+    for (let candidate = first; candidate; candidate = candidate.parentElement ?? candidate.getRootNode().host ?? null) {
+        if (rest.every(element => candidate.contains(element))) {
+            return candidate;
+        }
+    }
+    return first.ownerDocument.body;
+}
+
+class KeyboardNavigationEnforcer {
+    #semantics = new AriaSemanticsResolver();
+
+    async analyzeNavigation(component) {
+        const scripted = isScriptedComponent(component);
+        const { name, version, dom } = await renderComponentMarkup(component);
+        const { document } = dom.window;
+        attachDeclarativeShadowRoots(document.body);
+
+        const sequence = this.tabSequence(document.body);
+        const widgetAnalysis = this.#analyzeWidgets(document, sequence, scripted);
+        const trapAnalysis = scripted ? await this.#detectFocusTraps(component) : { applicable: 0, traps: [] };
+
+        const results = [
+            this.#result(KEYBOARD_RULES.positiveTabindex, this.#positiveTabindex(sequence)),
+            this.#result(KEYBOARD_RULES.unreachable, this.#unreachable(document, sequence)),
+            this.#result(KEYBOARD_RULES.focusTrap, {
+                applicable: trapAnalysis.applicable,
+                violations: trapAnalysis.traps.filter(trap => !trap.escapable).map(trap => ({
+                    element: trap.container,
+                    message: `Tab cycles through ${trap.elements.length} element(s) and Escape does not release focus`,
+                    data: { elements: trap.elements.map(selectorOf) }
+                }))
+            }),
+            this.#result(KEYBOARD_RULES.compositeTabStop, widgetAnalysis.tabStops),
+            this.#result(KEYBOARD_RULES.compositeArrowKeys, widgetAnalysis.arrowKeys)
+        ];
+
+        return {
+            component: { name, version },
+            tabSequence: sequence.map((element, position) => ({
+                position: position + 1,
+                selector: selectorOf(element),
+                role: this.#semantics.roleOf(element),
+                name: this.#semantics.nameOf(element),
+                tabIndex: this.#tabIndexOf(element)
+            })),
+            widgets: widgetAnalysis.widgets,
+            focusTraps: trapAnalysis.traps.map(trap => ({
+                container: selectorOf(trap.container),
+                elements: trap.elements.map(selectorOf),
+                escapable: trap.escapable
+            })),
+            results,
+            findings: results.flatMap(result => result.violations.map(violation => describeFinding(result, violation)))
+        };
+    }
+
+    tabSequence(root) {
+        const sequence = this.#orderScope(this.#collectScope(root, []));
+        const radioGroups = new Map();
+        for (const element of sequence.filter(candidate => this.#radioGroupKey(candidate))) {
+            const key = this.#radioGroupKey(element);
+            const current = radioGroups.get(key);
+            if (!current || (!current.checked && element.checked)) {
+                radioGroups.set(key, element);
+            }
+        }
+        return sequence.filter(element => !this.#radioGroupKey(element) || radioGroups.get(this.#radioGroupKey(element)) === element);
+    }
+
+    #collectScope(node, entries) {
+        for (const element of this.#childrenOf(node)) {
+            if (this.#isNotRendered(element)) {
+                continue;
+            }
+            const tabIndex = this.#tabIndexOf(element);
+            if (element.shadowRoot) {
+                entries.push({ element, tabIndex, scope: this.#collectScope(element.shadowRoot, []) });
+                continue;
+            }
+            if (tabIndex !== null) {
+                entries.push({ element, tabIndex, scope: null });
+            }
+            this.#collectScope(element, entries);
+        }
+        return entries;
+    }
+
+    #orderScope(entries) {
+        const positive = entries.filter(entry => (entry.tabIndex ?? 0) > 0).sort((a, b) => a.tabIndex - b.tabIndex);
+        const document = entries.filter(entry => (entry.tabIndex ?? 0) === 0);
+        return [...positive, ...document].flatMap(entry => [
+            ...(entry.tabIndex !== null ? [entry.element] : []),
+            ...(entry.scope ? this.#orderScope(entry.scope) : [])
+        ]);
+    }
+
+    #childrenOf(node) {
+        if (node.localName === 'slot') {
+            const assigned = node.assignedElements?.({ flatten: true }) ?? [];
+            return assigned.length > 0 ? assigned : [...node.children];
+        }
+        return [...node.children];
+    }
+
+    #isNotRendered(element) {
+        if (NOT_RENDERED_ELEMENTS.has(element.localName) || element.hasAttribute('hidden') || element.hasAttribute('inert')) {
+            return true;
+        }
+        if (inlineStyle(element, 'display') === 'none' || ['hidden', 'collapse'].includes(inlineStyle(element, 'visibility'))) {
+            return true;
+        }
+        if (element.localName === 'dialog' && !element.hasAttribute('open')) {
+            return true;
+        }
+        const details = element.parentElement;
+        return details?.localName === 'details' && !details.hasAttribute('open') && element !== details.querySelector(':scope > summary');
+    }
+
+    #isRendered(element) {
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement ?? node.getRootNode().host ?? null) {
+            if (this.#isNotRendered(node)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    #isDisabled(element) {
+        if (element.getAttribute('aria-disabled') === 'true') {
+            return true;
+        }
+        if (!DISABLEABLE_ELEMENTS.has(element.localName)) {
+            return false;
+        }
+        if (element.hasAttribute('disabled')) {
+            return true;
+        }
+        const fieldset = element.parentElement?.closest('fieldset[disabled]');
+        return Boolean(fieldset) && !fieldset.querySelector(':scope > legend')?.contains(element);
+    }
+
+    #tabIndexOf(element) {
+        const native = element.matches(NATIVELY_FOCUSABLE_SELECTOR);
+        if (native && DISABLEABLE_ELEMENTS.has(element.localName) && (element.hasAttribute('disabled') || this.#isDisabled(element))) {
+            return null;
+        }
+        const attribute = element.getAttribute('tabindex');
+        if (attribute !== null && /^\s*-?\d+\s*$/.test(attribute)) {
+            return Number.parseInt(attribute, 10);
+        }
+        return native ? 0 : null;
+    }
+
+    #radioGroupKey(element) {
+        if (element.localName !== 'input' || element.type !== 'radio' || !element.name) {
+            return null;
+        }
+        return `${element.form ? selectorOf(element.form) : ''}|${element.name}`;
+    }
+
+    #positiveTabindex(sequence) {
+        const positive = sequence.filter(element => this.#tabIndexOf(element) > 0);
+        return {
+            applicable: sequence.length,
+            violations: positive.map(element => ({
+                element,
+                message: `tabindex="${element.getAttribute('tabindex')}" moves the element ahead of the document order`
+            }))
+        };
+    }
+
+    #unreachable(document, sequence) {
+        const reachable = new Set(sequence);
+        const radioGroups = new Set(sequence.map(element => this.#radioGroupKey(element)).filter(Boolean));
+        const candidates = deepQueryAll(document.body, '*')
+            .filter(element => INTERACTIVE_ROLES.has(this.#semantics.roleOf(element)))
+            .filter(element => this.#isRendered(element) && !this.#semantics.isHidden(element) && !this.#isDisabled(element))
+            .filter(element => !element.parentElement?.closest(COMPOSITE_CONTAINER_SELECTOR) && !element.matches(COMPOSITE_CONTAINER_SELECTOR));
+
+        const violations = candidates
+            .filter(element => !reachable.has(element) && ![...reachable].some(focusable => element.contains(focusable)))
+            .filter(element => !radioGroups.has(this.#radioGroupKey(element)))
+            .map(element => ({
+                element,
+                message: `${this.#semantics.roleOf(element)} is not in the tab sequence${this.#tabIndexOf(element) === -1 ? ' (tabindex="-1")' : ''}`
+            }));
+        return { applicable: candidates.length, violations };
+    }
+
+    #analyzeWidgets(document, sequence, scripted) {
+        const tabStops = { applicable: 0, violations: [] };
+        const arrowKeys = { applicable: 0, violations: [], incomplete: [] };
+        const widgets = [];
+
+        const containers = deepQueryAll(document.body, Object.keys(WIDGET_PATTERNS).map(role => `[role="${role}"]`).join(', '))
+            .filter(container => this.#isRendered(container) && !this.#semantics.isHidden(container));
+        for (const container of containers) {
+            const role = this.#semantics.explicitRole(container);
+            const pattern = WIDGET_PATTERNS[role];
+            const items = this.#widgetItems(container, pattern);
+            if (items.length === 0) {
+                continue;
+            }
+
+            const activeDescendant = container.hasAttribute('aria-activedescendant');
+            const itemStops = sequence.filter(element => items.some(item => item.contains(element)));
+            const containerStop = sequence.includes(container);
+            const mode = activeDescendant || (containerStop && itemStops.length === 0) ? 'aria-activedescendant' : 'roving-tabindex';
+            const stops = itemStops.length + Number(containerStop);
+
+            tabStops.applicable += 1;
+            if (stops === 0) {
+                tabStops.violations.push({ element: container, message: `${role} has no tab stop; none of its items can be reached with Tab` });
+            } else if (stops > 1) {
+                tabStops.violations.push({
+                    element: container,
+                    message: `${role} has ${stops} tab stops; keep only the active item at tabindex="0" and the others at tabindex="-1"`,
+                    data: { tabStops: [...(containerStop ? [container] : []), ...itemStops].map(selectorOf) }
+                });
+            }
+
+            const widget = {
+                pattern: role,
+                selector: selectorOf(container),
+                focusManagement: mode,
+                items: items.length,
+                tabStops: stops,
+                keyboard: 'not_tested'
+            };
+            widgets.push(widget);
+            if (stops !== 1 || items.length < 2) {
+                continue;
+            }
+
+            arrowKeys.applicable += 1;
+            if (!scripted) {
+                arrowKeys.incomplete.push({ element: container, message: `Arrow key handling of the ${role} needs a render function that attaches its event handlers` });
+                widget.keyboard = 'needs_review';
+                continue;
+            }
+
+            const failures = pattern.orientation === 'grid'
+                ? this.#exerciseGrid(container, items, itemStops[0])
+                : this.#exerciseLinearWidget(container, items, pattern, mode, itemStops[0]);
+            widget.keyboard = failures.length > 0 ? 'fail' : 'pass';
+            arrowKeys.violations.push(...failures.map(message => ({ element: container, message })));
+        }
+        return { widgets, tabStops, arrowKeys };
+    }
+
+    #widgetItems(container, pattern) {
+        return [...container.querySelectorAll(pattern.items.map(role => `[role="${role}"]`).join(', '))]
+            .filter(item => item.parentElement.closest(Object.keys(WIDGET_PATTERNS).map(role => `[role="${role}"]`).join(', ')) === container)
+            .filter(item => this.#isRendered(item) && !this.#semantics.isHidden(item));
+    }
+
+    #focusedItem(container, items, mode) {
+        if (mode === 'aria-activedescendant') {
+            const id = container.getAttribute('aria-activedescendant');
+            return items.find(item => item.id === id) ?? null;
+        }
+        const active = deepActiveElement(container.ownerDocument);
+        return items.find(item => item.contains(active)) ?? null;
+    }
+
+    #exerciseLinearWidget(container, items, pattern, mode, stop) {
+        const keys = ARROW_KEYS[container.getAttribute('aria-orientation') ?? pattern.orientation] ?? ARROW_KEYS[pattern.orientation];
+        const target = mode === 'aria-activedescendant' ? container : stop;
+        target.focus();
+
+        const start = this.#focusedItem(container, items, mode);
+        const index = start ? items.indexOf(start) : -1;
+        const steps = index < items.length - 1
+            ? [[keys.next, items[index + 1]], [keys.previous, start ?? items[items.length - 1]]]
+            : [[keys.previous, items[index - 1]], [keys.next, start]];
+        if (index === -1 && !pattern.wraps) {
+            steps[1][1] = items[0];
+        }
+        return this.#pressAndExpect(container, items, mode, steps);
+    }
+
+    #exerciseGrid(container, items, stop) {
+        const rows = [...container.querySelectorAll('[role="row"]')]
+            .map(row => items.filter(item => item.closest('[role="row"]') === row))
+            .filter(cells => cells.length > 0);
+        stop.focus();
+        const rowIndex = rows.findIndex(cells => cells.some(cell => cell.contains(stop)));
+        const column = rows[rowIndex]?.findIndex(cell => cell.contains(stop)) ?? -1;
+        if (rowIndex === -1 || column === -1) {
+            return [];
+        }
+
+        const start = rows[rowIndex][column];
+        const horizontal = rows[rowIndex][column + 1]
+            ? [['ArrowRight', rows[rowIndex][column + 1]], ['ArrowLeft', start]]
+            : [['ArrowLeft', rows[rowIndex][column - 1]], ['ArrowRight', start]];
+        const vertical = rows[rowIndex + 1]?.[column]
+            ? [['ArrowDown', rows[rowIndex + 1][column]], ['ArrowUp', start]]
+            : [['ArrowUp', rows[rowIndex - 1]?.[column]], ['ArrowDown', start]];
+        return this.#pressAndExpect(container, items, 'roving-tabindex', [...horizontal, ...vertical].filter(([, expected]) => expected));
+    }
+
+    #pressAndExpect(container, items, mode, steps) {
+        const failures = [];
+        for (const [key, expected] of steps) {
+            const before = this.#focusedItem(container, items, mode);
+            const active = deepActiveElement(container.ownerDocument);
+            pressKey(active ?? container, key);
+            const after = this.#focusedItem(container, items, mode);
+            if (after !== expected) {
+                failures.push(`${key} on ${before ? selectorOf(before) : selectorOf(container)} should move ${mode === 'aria-activedescendant' ? 'aria-activedescendant' : 'focus'} to ${selectorOf(expected)}`);
+                break;
+            }
+            if (mode === 'roving-tabindex' && items.some(item => item.hasAttribute('tabindex'))) {
+                const tabbable = items.filter(item => item.getAttribute('tabindex') === '0');
+                if (tabbable.length !== 1 || tabbable[0] !== after) {
+                    failures.push(`tabindex="0" does not follow focus to ${selectorOf(after)} after ${key}; Tab would return to a stale item`);
+                    break;
+                }
+            }
+        }
+        return failures;
+    }
+
+    async #detectFocusTraps(component) {
+        const { dom } = await renderComponentMarkup(component);
+        const { document } = dom.window;
+        attachDeclarativeShadowRoots(document.body);
+        const sequence = this.tabSequence(document.body);
+        if (sequence.length === 0) {
+            return { applicable: 0, traps: [] };
+        }
+
+        sequence[0].focus();
+        const trail = [];
+        for (let press = 0; press < sequence.length * 2 + 2; press += 1) {
+            const active = deepActiveElement(document);
+            if (!active || active === document.body) {
+                return { applicable: sequence.length, traps: [] };
+            }
+            if (!pressKey(active, 'Tab').defaultPrevented) {
+                const index = sequence.indexOf(active);
+                if (index === -1 || index === sequence.length - 1) {
+                    return { applicable: sequence.length, traps: [] };
+                }
+                sequence[index + 1].focus();
+            }
+            trail.push(deepActiveElement(document));
+        }
+
+        const elements = [...new Set(trail.slice(-sequence.length))];
+        const container = commonAncestor(elements);
+        pressKey(deepActiveElement(document) ?? document.body, 'Escape');
+        const released = deepActiveElement(document);
+        const escapable = !released || !elements.includes(released) || !this.#isRendered(container);
+        return { applicable: sequence.length, traps: [{ container, elements, escapable }] };
+    }
+
+    #result(rule, { applicable, violations, incomplete = [] }) {
+        return { rule, criteria: rule.criteria, applicable, violations, incomplete };
+    }
+}
+
+export { WIDGET_PATTERNS, KEYBOARD_RULES, KeyboardNavigationEnforcer };
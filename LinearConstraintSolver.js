@@ -0,0 +1,361 @@
+const STRENGTHS = {
+    required: 1001001000,
+    strong: 1000000,
+    medium: 1000,
+    weak: 1
+};
+const OPERATORS = ['<=', '>=', '=='];
+const EPSILON = 1e-8;
+
+function nearZero(value) {
+    return Math.abs(value) < EPSILON;
+}
+
+class UnsatisfiableConstraintError extends Error {
+    constructor(constraint) {
+        super(`Unsatisfiable constraint: ${constraint.label ?? 'unnamed constraint'}`);
+        this.name = 'UnsatisfiableConstraintError';
+        this.constraint = constraint;
+    }
+}
+
+class Variable {
+    constructor(name) {
+        this.name = name;
+        this.value = 0;
+    }
+}
+
+class LinearExpression {
+    constructor(terms = [], constant = 0) {
+        this.terms = new Map();
+        this.constant = constant;
+        for (const [variable, coefficient] of terms) {
+            this.terms.set(variable, (this.terms.get(variable) ?? 0) + coefficient);
+        }
+    }
+
+    static from(value) {
+        if (value instanceof LinearExpression) {
+            return value;
+        }
+        if (value instanceof Variable) {
+            return new LinearExpression([[value, 1]]);
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return new LinearExpression([], value);
+        }
+        throw new TypeError('Expected a number, a Variable or a LinearExpression');
+    }
+
+    plus(value) {
+        const other = LinearExpression.from(value);
+        return new LinearExpression([...this.terms, ...other.terms], this.constant + other.constant);
+    }
+
+    minus(value) {
+        return this.plus(LinearExpression.from(value).times(-1));
+    }
+
+    times(factor) {
+        return new LinearExpression([...this.terms].map(([variable, coefficient]) => [variable, coefficient * factor]), this.constant * factor);
+    }
+}
+
+function createConstraint(left, operator, right, strength = 'required', label) {
+    if (!OPERATORS.includes(operator)) {
+        throw new RangeError(`Unsupported constraint operator '${operator}' (expected ${OPERATORS.join(', ')})`);
+    }
+    if (!(strength in STRENGTHS)) {
+        throw new RangeError(`Unknown constraint strength '${strength}' (expected ${Object.keys(STRENGTHS).join(', ')})`);
+    }
+    return {
+        expression: LinearExpression.from(left).minus(right),
+        operator,
+        strength,
+        label
+    };
+}
+
+class SolverSymbol {
+    constructor(type) {
+        this.type = type;
+    }
+}
+
+class Row {
+    constructor(constant = 0) {
+        this.cells = new Map();
+        this.constant = constant;
+    }
+
+    copy() {
+        const row = new Row(this.constant);
+        row.cells = new Map(this.cells);
+        return row;
+    }
+
+    coefficientFor(symbol) {
+        return this.cells.get(symbol) ?? 0;
+    }
+
+    insertSymbol(symbol, coefficient = 1) {
+        const value = this.coefficientFor(symbol) + coefficient;
+        if (nearZero(value)) {
+            this.cells.delete(symbol);
+        } else {
+            this.cells.set(symbol, value);
+        }
+    }
+
+    insertRow(row, coefficient = 1) {
+        this.constant += row.constant * coefficient;
+        for (const [symbol, value] of row.cells) {
+            this.insertSymbol(symbol, value * coefficient);
+        }
+    }
+
+    reverseSign() {
+        this.constant = -this.constant;
+        for (const [symbol, value] of this.cells) {
+            this.cells.set(symbol, -value);
+        }
+    }
+
+    solveFor(symbol) {
+        const coefficient = -1 / this.cells.get(symbol);
+        this.cells.delete(symbol);
+        this.constant *= coefficient;
+        for (const [other, value] of this.cells) {
+            this.cells.set(other, value * coefficient);
+        }
+    }
+
+    solveForPair(leaving, entering) {
+        this.insertSymbol(leaving, -1);
+        this.solveFor(entering);
+    }
+
+    substitute(symbol, row) {
+        const coefficient = this.cells.get(symbol);
+        if (coefficient !== undefined) {
+            this.cells.delete(symbol);
+            this.insertRow(row, coefficient);
+        }
+    }
+}
+
+class LinearConstraintSolver {
+    #rows = new Map();
+    #constraints = new Map();
+    #variables = new Map();
+    #objective = new Row();
+    #artificial = null;
+
+    get constraints() {
+        return [...this.#constraints.keys()];
+    }
+
+    hasConstraint(constraint) {
+        return this.#constraints.has(constraint);
+    }
+
+    addConstraint(constraint) {
+        if (this.#constraints.has(constraint)) {
+            throw new Error(`Constraint already added: ${constraint.label ?? 'unnamed constraint'}`);
+        }
+        const snapshot = this.#snapshot();
+        try {
+            this.#insertConstraint(constraint);
+        } catch (error) {
+            this.#restore(snapshot);
+            throw error;
+        }
+        return this;
+    }
+
+    updateVariables() {
+        for (const [variable, symbol] of this.#variables) {
+            variable.value = this.#rows.get(symbol)?.constant ?? 0;
+        }
+    }
+
+    #insertConstraint(constraint) {
+        const { row, tag } = this.#createRow(constraint);
+        let subject = this.#chooseSubject(row, tag);
+        if (!subject && [...row.cells.keys()].every(symbol => symbol.type === 'dummy')) {
+            if (!nearZero(row.constant)) {
+                throw new UnsatisfiableConstraintError(constraint);
+            }
+            subject = tag.marker;
+        }
+        if (!subject) {
+            if (!this.#addWithArtificialVariable(row)) {
+                throw new UnsatisfiableConstraintError(constraint);
+            }
+        } else {
+            row.solveFor(subject);
+            this.#substitute(subject, row);
+            this.#rows.set(subject, row);
+        }
+        this.#constraints.set(constraint, tag);
+        this.#optimize(this.#objective);
+    }
+
+    #createRow({ expression, operator, strength }) {
+        const weight = STRENGTHS[strength];
+        const row = new Row(expression.constant);
+        for (const [variable, coefficient] of expression.terms) {
+            if (nearZero(coefficient)) {
+                continue;
+            }
+            const symbol = this.#symbolFor(variable);
+            const basic = this.#rows.get(symbol);
+            if (basic) {
+                row.insertRow(basic, coefficient);
+            } else {
+                row.insertSymbol(symbol, coefficient);
+            }
+        }
+
+        const tag = { marker: null, other: null };
+        const required = weight >= STRENGTHS.required;
+        if (operator === '==') {
+            if (required) {
+                tag.marker = new SolverSymbol('dummy');
+                row.insertSymbol(tag.marker);
+            } else {
+                tag.marker = new SolverSymbol('error');
+                tag.other = new SolverSymbol('error');
+                row.insertSymbol(tag.marker, -1);
+                row.insertSymbol(tag.other, 1);
+                this.#objective.insertSymbol(tag.marker, weight);
+                this.#objective.insertSymbol(tag.other, weight);
+            }
+        } else {
+            const coefficient = operator === '<=' ? 1 : -1;
+            tag.marker = new SolverSymbol('slack');
+            row.insertSymbol(tag.marker, coefficient);
+            if (!required) {
+                tag.other = new SolverSymbol('error');
+                row.insertSymbol(tag.other, -coefficient);
+                this.#objective.insertSymbol(tag.other, weight);
+            }
+        }
+
+        if (row.constant < 0) {
+            row.reverseSign();
+        }
+        return { row, tag };
+    }
+
+    #symbolFor(variable) {
+        let symbol = this.#variables.get(variable);
+        if (!symbol) {
+            symbol = new SolverSymbol('external');
+            this.#variables.set(variable, symbol);
+        }
+        return symbol;
+    }
+
+    #chooseSubject(row, { marker, other }) {
+        for (const symbol of row.cells.keys()) {
+            if (symbol.type === 'external') {
+                return symbol;
+            }
+        }
+        for (const symbol of [marker, other]) {
+            if (symbol && (symbol.type === 'slack' || symbol.type === 'error') && row.coefficientFor(symbol) < 0) {
+                return symbol;
+            }
+        }
+        return null;
+    }
+
+    #addWithArtificialVariable(row) {
+        const artificial = new SolverSymbol('slack');
+        this.#rows.set(artificial, row.copy());
+        this.#artificial = row.copy();
+        this.#optimize(this.#artificial);
+        const success = nearZero(this.#artificial.constant);
+        this.#artificial = null;
+
+        const basic = this.#rows.get(artificial);
+        if (basic) {
+            this.#rows.delete(artificial);
+            if (basic.cells.size === 0) {
+                return success;
+            }
+            const entering = [...basic.cells.keys()].find(symbol => symbol.type === 'slack' || symbol.type === 'error');
+            if (!entering) {
+                return false;
+            }
+            basic.solveForPair(artificial, entering);
+            this.#substitute(entering, basic);
+            this.#rows.set(entering, basic);
+        }
+        for (const other of this.#rows.values()) {
+            other.cells.delete(artificial);
+        }
+        this.#objective.cells.delete(artificial);
+        return success;
+    }
+
+    #substitute(symbol, row) {
+        for (const other of this.#rows.values()) {
+            other.substitute(symbol, row);
+        }
+        this.#objective.substitute(symbol, row);
+        this.#artificial?.substitute(symbol, row);
+    }
+
+    #optimize(objective) {
+        for (;;) {
+            const entering = [...objective.cells].find(([symbol, coefficient]) => symbol.type !== 'dummy' && coefficient < 0)?.[0];
+            if (!entering) {
+                return;
+            }
+            let leaving = null;
+            let ratio = Infinity;
+            for (const [symbol, row] of this.#rows) {
+                const coefficient = row.coefficientFor(entering);
+                if (symbol.type !== 'external' && coefficient < 0 && -row.constant / coefficient < ratio) {
+                    ratio = -row.constant / coefficient;
+                    leaving = symbol;
+                }
+            }
+            if (!leaving) {
+                throw new Error('The constraint objective is unbounded');
+            }
+            const row = this.#rows.get(leaving);
+            this.#rows.delete(leaving);
+            row.solveForPair(leaving, entering);
+            this.#substitute(entering, row);
+            this.#rows.set(entering, row);
+        }
+    }
+
+    #snapshot() {
+        return {
+            rows: new Map([...this.#rows].map(([symbol, row]) => [symbol, row.copy()])),
+            constraints: new Map(this.#constraints),
+            objective: this.#objective.copy()
+        };
+    }
+
+    #restore({ rows, constraints, objective }) {
+        this.#rows = rows;
+        this.#constraints = constraints;
+        this.#objective = objective;
+        this.#artificial = null;
+    }
+}
+
+export {
+    STRENGTHS,
+    UnsatisfiableConstraintError,
+    Variable,
+    LinearExpression,
+    createConstraint,
+    LinearConstraintSolver
+};
@@ -0,0 +1,233 @@
+const SPRING_EXTENSION = 'com.aurora.spring';
+const REDUCED_MOTION_EXTENSION = 'com.aurora.reducedMotion';
+
+const SETTLE_THRESHOLD = 0.001;
+const SIMULATION_STEP_SECONDS = 0.001;
+const MAXIMUM_SIMULATION_SECONDS = 10;
+const LINEAR_EASING_SAMPLES = 32;
+
+const STANDARD_EASINGS = {
+    linear: [0, 0, 1, 1],
+    standard: [0.2, 0, 0, 1],
+    decelerate: [0, 0, 0, 1],
+    accelerate: [0.3, 0, 1, 1],
+    'emphasized-decelerate': [0.05, 0.7, 0.1, 1],
+    'emphasized-accelerate': [0.3, 0, 0.8, 0.15]
+};
+
+const STANDARD_SPRINGS = {
+    gentle: { mass: 1, stiffness: 120, damping: 20 },
+    snappy: { mass: 1, stiffness: 300, damping: 26 },
+    bouncy: { mass: 1, stiffness: 260, damping: 12 }
+};
+
+const DURATION_DISTANCES = {
+    xs: 16,
+    sm: 64,
+    md: 256,
+    lg: 640,
+    xl: 1280
+};
+
+const PERSONALITIES = {
+    productive: { durationScale: 1, dampingScale: 1 },
+    expressive: { durationScale: 1.25, dampingScale: 0.8 }
+};
+
+function round(value, digits = 4) {
+    return Number(value.toFixed(digits));
+}
+
+class SpringEasingSolver {
+    #mass;
+    #stiffness;
+    #damping;
+
+    constructor({ mass = 1, stiffness, damping }) {
+        if (!(mass > 0 && stiffness > 0 && damping >= 0)) {
+            throw new RangeError(`Invalid spring parameters (mass ${mass}, stiffness ${stiffness}, damping ${damping})`);
+        }
+        this.#mass = mass;
+        this.#stiffness = stiffness;
+        this.#damping = damping;
+    }
+
+    get dampingRatio() {
+        return this.#damping / (2 * Math.sqrt(this.#stiffness * this.#mass));
+    }
+
+    positionAt(seconds) {
+        const naturalFrequency = Math.sqrt(this.#stiffness / this.#mass);
+        const ratio = this.dampingRatio;
+        let displacement;
+
+        if (ratio < 1) {
+            const dampedFrequency = naturalFrequency * Math.sqrt(1 - ratio ** 2);
+            displacement = Math.exp(-ratio * naturalFrequency * seconds)
+                * (Math.cos(dampedFrequency * seconds) + ((ratio * naturalFrequency) / dampedFrequency) * Math.sin(dampedFrequency * seconds));
+        } else if (ratio === 1) {
+            displacement = Math.exp(-naturalFrequency * seconds) * (1 + naturalFrequency * seconds);
+        } else {
+            const root = naturalFrequency * Math.sqrt(ratio ** 2 - 1);
+            const fast = -ratio * naturalFrequency - root;
+            const slow = -ratio * naturalFrequency + root;
+            displacement = (fast * Math.exp(slow * seconds) - slow * Math.exp(fast * seconds)) / (fast - slow);
+        }
+        return 1 - displacement;
+    }
+
+    settleDuration() {
+        let lastUnsettled = 0;
+        for (let seconds = 0; seconds <= MAXIMUM_SIMULATION_SECONDS; seconds += SIMULATION_STEP_SECONDS) {
+            if (Math.abs(1 - this.positionAt(seconds)) >= SETTLE_THRESHOLD) {
+                lastUnsettled = seconds;
+            }
+        }
+        return Math.round((lastUnsettled + SIMULATION_STEP_SECONDS) * 1000);
+    }
+
+    toLinearEasing(samples = LINEAR_EASING_SAMPLES) {
+        const duration = this.settleDuration() / 1000;
+        const points = Array.from({ length: samples + 1 }, (_, index) =>
+            index === samples ? 1 : round(this.positionAt((index / samples) * duration)));
+        return `linear(${points.join(', ')})`;
+    }
+
+    toCubicBezier() {
+        const duration = this.settleDuration() / 1000;
+        const samples = Array.from({ length: 48 }, (_, index) => {
+            const progress = (index + 1) / 49;
+            return [progress, this.positionAt(progress * duration)];
+        });
+        const error = points => samples.reduce((sum, [progress, position]) =>
+            sum + (CubicBezierCurve.evaluate(points, progress) - position) ** 2, 0);
+
+        let best = [0.25, 0.1, 0.25, 1];
+        let bestError = error(best);
+        for (let step = 0.1; step >= 0.001; step /= 2) {
+            let improved = true;
+            while (improved) {
+                improved = false;
+                for (let index = 0; index < 4; index += 1) {
+                    for (const direction of [-1, 1]) {
+                        const candidate = [...best];
+                        const [minimum, maximum] = index % 2 === 0 ? [0, 1] : [-1, 2];
+                        candidate[index] = Math.min(maximum, Math.max(minimum, candidate[index] + direction * step));
+                        const candidateError = error(candidate);
+                        if (candidateError < bestError) {
+                            best = candidate;
+                            bestError = candidateError;
+                            improved = true;
+                        }
+                    }
+                }
+            }
+        }
+        return best.map(value => round(value, 3));
+    }
+}
+
+class CubicBezierCurve {
+    static evaluate([x1, y1, x2, y2], progress) {
+        const component = (first, second, parameter) =>
+            3 * (1 - parameter) ** 2 * parameter * first + 3 * (1 - parameter) * parameter ** 2 * second + parameter ** 3;
+
+        let parameter = progress;
+        for (let iteration = 0; iteration < 8; iteration += 1) {
+            const x = component(x1, x2, parameter) - progress;
+            const slope = 3 * (1 - parameter) ** 2 * x1 + 6 * (1 - parameter) * parameter * (x2 - x1) + 3 * parameter ** 2 * (1 - x2);
+            if (Math.abs(x) < 1e-6 || Math.abs(slope) < 1e-6) {
+                break;
+            }
+            parameter = Math.min(1, Math.max(0, parameter - x / slope));
+        }
+        return component(y1, y2, parameter);
+    }
+
+    static overshoots([, y1, , y2]) {
+        return y1 < 0 || y1 > 1 || y2 < 0 || y2 > 1;
+    }
+}
+
+class MotionPrincipleEngine {
+    async derive(motionSpec = {}) {
+        const personality = PERSONALITIES[motionSpec.personality ?? 'productive'];
+        if (!personality) {
+            throw new RangeError(`Unknown motion personality '${motionSpec.personality}' (expected one of: ${Object.keys(PERSONALITIES).join(', ')})`);
+        }
+
+        const baseDuration = motionSpec.baseDuration ?? 90;
+        const distanceFactor = motionSpec.distanceFactor ?? 10;
+        const durations = Object.fromEntries(Object.entries(motionSpec.distances ?? DURATION_DISTANCES).map(([name, distance]) => [
+            name,
+            { distance, milliseconds: this.durationForDistance(distance, { baseDuration, distanceFactor, scale: personality.durationScale }) }
+        ]));
+
+        const easings = {};
+        for (const [name, points] of Object.entries({ ...STANDARD_EASINGS, ...motionSpec.easings })) {
+            easings[name] = { kind: 'bezier', points };
+        }
+        for (const [name, spring] of Object.entries({ ...STANDARD_SPRINGS, ...motionSpec.springs })) {
+            const tuned = { ...spring, damping: spring.damping * (motionSpec.springs?.[name] ? 1 : personality.dampingScale) };
+            const solver = new SpringEasingSolver(tuned);
+            easings[`spring-${name}`] = {
+                kind: 'spring',
+                spring: tuned,
+                points: solver.toCubicBezier(),
+                linear: solver.toLinearEasing(),
+                settleDuration: solver.settleDuration()
+            };
+        }
+
+        return { personality: motionSpec.personality ?? 'productive', durations, easings };
+    }
+
+    durationForDistance(distance, { baseDuration = 90, distanceFactor = 10, scale = 1 } = {}) {
+        return Math.round(((baseDuration + distanceFactor * Math.sqrt(Math.max(0, distance))) * scale) / 10) * 10;
+    }
+}
+
+class MotionCurveRefiner {
+    async refine(motionPrinciples, interaction = {}) {
+        const strategy = interaction.reducedMotion ?? 'reduce';
+        if (!['reduce', 'remove'].includes(strategy)) {
+            throw new RangeError(`Unknown reduced-motion strategy '${strategy}' (expected reduce or remove)`);
+        }
+        const reducedCeiling = strategy === 'remove' ? 0 : (interaction.reducedMotionCeiling ?? 100);
+
+        const duration = { $type: 'duration' };
+        for (const [name, { distance, milliseconds }] of Object.entries(motionPrinciples.durations)) {
+            duration[name] = {
+                $value: `${milliseconds}ms`,
+                $description: `Transitions covering about ${distance}px`,
+                $extensions: { [REDUCED_MOTION_EXTENSION]: { value: `${Math.min(milliseconds, reducedCeiling)}ms` } }
+            };
+        }
+
+        const easing = { $type: 'cubicBezier' };
+        for (const [name, curve] of Object.entries(motionPrinciples.easings)) {
+            const extensions = {};
+            if (curve.kind === 'spring') {
+                extensions[SPRING_EXTENSION] = { ...curve.spring, linear: curve.linear, settleDuration: `${curve.settleDuration}ms` };
+            }
+            if (curve.kind === 'spring' || CubicBezierCurve.overshoots(curve.points)) {
+                extensions[REDUCED_MOTION_EXTENSION] = { value: STANDARD_EASINGS.standard };
+            }
+            easing[name] = {
+                $value: curve.points,
+                ...(Object.keys(extensions).length > 0 && { $extensions: extensions })
+            };
+        }
+
+        return { duration, easing };
+    }
+}
+
+export {
+    SPRING_EXTENSION,
+    REDUCED_MOTION_EXTENSION,
+    SpringEasingSolver,
+    CubicBezierCurve,
+    MotionPrincipleEngine,
+    MotionCurveRefiner
+};
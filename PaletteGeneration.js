@@ -0,0 +1,224 @@
+import { ColorSpaceTransformationEngine, normalizeHue } from './ColorScience.js';
+
+const HARMONY_OFFSETS = {
+    monochromatic: [0],
+    complementary: [0, 180],
+    'split-complementary': [0, 150, 210],
+    analogous: [0, 30, -30],
+    triadic: [0, 120, 240],
+    tetradic: [0, 90, 180, 270]
+};
+
+const RAMP_ROLES = ['primary', 'secondary', 'tertiary', 'quaternary'];
+
+const TONAL_LIGHTNESS = {
+    50: 0.97,
+    100: 0.935,
+    200: 0.88,
+    300: 0.8,
+    400: 0.71,
+    500: 0.62,
+    600: 0.54,
+    700: 0.46,
+    800: 0.38,
+    900: 0.3,
+    950: 0.22
+};
+
+const TONAL_STEPS = Object.keys(TONAL_LIGHTNESS);
+const MINIMUM_STEP_SEPARATION = 0.01;
+const NEUTRAL_CHROMA = 0.012;
+const COMPLIANCE_TARGETS = { WCAG_AA: 4.5, WCAG_AAA: 7 };
+
+function hueDistance(first, second) {
+    const difference = Math.abs(normalizeHue(first) - normalizeHue(second));
+    return Math.min(difference, 360 - difference);
+}
+
+function normalizeSeeds(brandColors) {
+    if (!brandColors) {
+        return [];
+    }
+    return Array.isArray(brandColors) ? brandColors : Object.values(brandColors);
+}
+
+function findAccessibleSteps(colors, steps, contrastTarget) {
+    const passing = background => TONAL_STEPS.filter(step => colors.contrastRatio(steps[step].hex, background) >= contrastTarget);
+    const onLight = passing('#ffffff');
+    const onDark = passing('#000000');
+    return { onLight: onLight[0] ?? null, onDark: onDark[onDark.length - 1] ?? null };
+}
+
+class HarmonicPaletteGenerator {
+    #colors = new ColorSpaceTransformationEngine();
+
+    async generatePalette(colorStrategy, { colorSpace = 'oklch', harmonyModel = 'triadic', contrastTarget = 4.5 } = {}) {
+        if (colorSpace !== 'oklch') {
+            throw new RangeError(`Unsupported palette color space '${colorSpace}' (only 'oklch' is supported)`);
+        }
+        const offsets = HARMONY_OFFSETS[harmonyModel];
+        if (!offsets) {
+            throw new RangeError(`Unknown harmony model '${harmonyModel}' (expected one of: ${Object.keys(HARMONY_OFFSETS).join(', ')})`);
+        }
+
+        const seeds = normalizeSeeds(colorStrategy.brandColors).map(color => ({ source: color, oklch: this.#colors.toOklch(color) }));
+        if (seeds.length === 0) {
+            throw new TypeError('colorStrategy.brandColors must supply at least one seed color');
+        }
+
+        const [primarySeed, ...additionalSeeds] = seeds;
+        const slots = offsets.map(offset => ({ hue: normalizeHue(primarySeed.oklch.h + offset), seed: null }));
+        slots[0].seed = primarySeed;
+
+        for (const seed of additionalSeeds) {
+            const openSlots = slots.filter(slot => !slot.seed);
+            if (openSlots.length === 0) {
+                slots.push({ hue: seed.oklch.h, seed });
+                continue;
+            }
+            const nearest = openSlots.reduce((best, slot) =>
+                hueDistance(slot.hue, seed.oklch.h) < hueDistance(best.hue, seed.oklch.h) ? slot : best);
+            Object.assign(nearest, { hue: seed.oklch.h, seed });
+        }
+
+        const ramps = {};
+        slots.forEach((slot, index) => {
+            const role = RAMP_ROLES[index] ?? `accent${index - RAMP_ROLES.length + 1}`;
+            ramps[role] = this.#buildRamp(slot.hue, slot.seed, primarySeed.oklch.c, contrastTarget);
+        });
+        ramps.neutral = this.#buildRamp(primarySeed.oklch.h, null, NEUTRAL_CHROMA, contrastTarget);
+
+        return { colorSpace, harmonyModel, contrastTarget, ramps };
+    }
+
+    #buildRamp(hue, seed, peakChroma, contrastTarget) {
+        const anchorStep = seed
+            ? TONAL_STEPS.reduce((best, step) =>
+                Math.abs(TONAL_LIGHTNESS[step] - seed.oklch.l) < Math.abs(TONAL_LIGHTNESS[best] - seed.oklch.l) ? step : best)
+            : '500';
+        const anchorLightness = seed ? seed.oklch.l : TONAL_LIGHTNESS[anchorStep];
+        const chroma = seed ? seed.oklch.c : peakChroma;
+
+        const lightest = Math.max(TONAL_LIGHTNESS[50], anchorLightness);
+        const darkest = Math.min(TONAL_LIGHTNESS[950], anchorLightness);
+        const spread = Math.max(lightest - anchorLightness, anchorLightness - darkest, MINIMUM_STEP_SEPARATION);
+
+        const steps = {};
+        for (const step of TONAL_STEPS) {
+            if (seed && step === anchorStep) {
+                steps[step] = this.#describe(seed.oklch, this.#colors.toHex(seed.source));
+                continue;
+            }
+
+            const target = TONAL_LIGHTNESS[step];
+            const anchorTarget = TONAL_LIGHTNESS[anchorStep];
+            const lightness = target >= anchorTarget
+                ? anchorLightness + ((target - anchorTarget) / Math.max(TONAL_LIGHTNESS[50] - anchorTarget, MINIMUM_STEP_SEPARATION)) * (lightest - anchorLightness)
+                : anchorLightness - ((anchorTarget - target) / Math.max(anchorTarget - TONAL_LIGHTNESS[950], MINIMUM_STEP_SEPARATION)) * (anchorLightness - darkest);
+
+            const distance = Math.abs(lightness - anchorLightness) / spread;
+            steps[step] = this.#describe(this.#colors.gamutMap({ l: lightness, c: chroma * (1 - 0.6 * distance ** 2), h: hue }));
+        }
+
+        return {
+            hue,
+            seed: seed ? this.#colors.toHex(seed.source) : null,
+            anchorStep: seed ? anchorStep : null,
+            steps,
+            accessibleSteps: findAccessibleSteps(this.#colors, steps, contrastTarget)
+        };
+    }
+
+    #describe(oklch, hex = this.#colors.toHex(oklch)) {
+        return {
+            oklch: { l: oklch.l, c: oklch.c, h: oklch.h },
+            hex,
+            css: this.#colors.toOklchString(oklch)
+        };
+    }
+}
+
+class PaletteRefinementEngine {
+    #colors = new ColorSpaceTransformationEngine();
+
+    async refinePalette(basePalette, { perceptualUniformity = true, accessibilityCompliance = 'WCAG_AA', brandAlignment } = {}) {
+        const preserveAnchors = normalizeSeeds(brandAlignment).length > 0;
+        let ramps = structuredClone(basePalette.ramps);
+
+        if (perceptualUniformity) {
+            ramps = this.#equalizeLightness(ramps, preserveAnchors);
+        }
+
+        const contrastTarget = Math.max(basePalette.contrastTarget ?? 0, COMPLIANCE_TARGETS[accessibilityCompliance] ?? 0);
+        for (const ramp of Object.values(ramps)) {
+            ramp.accessibleSteps = findAccessibleSteps(this.#colors, ramp.steps, contrastTarget);
+        }
+
+        return {
+            ...basePalette,
+            contrastTarget,
+            ramps,
+            brandAlignment: this.#measureBrandAlignment(ramps, brandAlignment),
+            tokens: this.#toTokens(ramps)
+        };
+    }
+
+    #equalizeLightness(ramps, preserveAnchors) {
+        const chromaticRamps = Object.entries(ramps).filter(([role]) => role !== 'neutral');
+        const sharedLightness = Object.fromEntries(TONAL_STEPS.map(step => [
+            step,
+            chromaticRamps.reduce((sum, [, ramp]) => sum + ramp.steps[step].oklch.l, 0) / chromaticRamps.length
+        ]));
+
+        for (const [, ramp] of chromaticRamps) {
+            const anchorIndex = preserveAnchors && ramp.anchorStep ? TONAL_STEPS.indexOf(ramp.anchorStep) : -1;
+            const lightness = TONAL_STEPS.map((step, index) => index === anchorIndex ? ramp.steps[step].oklch.l : sharedLightness[step]);
+
+            if (anchorIndex !== -1) {
+                for (let index = anchorIndex - 1; index >= 0; index -= 1) {
+                    lightness[index] = Math.max(lightness[index], lightness[index + 1] + MINIMUM_STEP_SEPARATION);
+                }
+                for (let index = anchorIndex + 1; index < TONAL_STEPS.length; index += 1) {
+                    lightness[index] = Math.min(lightness[index], lightness[index - 1] - MINIMUM_STEP_SEPARATION);
+                }
+            }
+
+            TONAL_STEPS.forEach((step, index) => {
+                if (index === anchorIndex) {
+                    return;
+                }
+                const { c, h } = ramp.steps[step].oklch;
+                const oklch = this.#colors.gamutMap({ l: Math.min(1, Math.max(0, lightness[index])), c, h });
+                ramp.steps[step] = { oklch: { l: oklch.l, c: oklch.c, h: oklch.h }, hex: this.#colors.toHex(oklch), css: this.#colors.toOklchString(oklch) };
+            });
+        }
+        return ramps;
+    }
+
+    #measureBrandAlignment(ramps, brandColors) {
+        return normalizeSeeds(brandColors).map(color => {
+            let closest = null;
+            for (const [role, ramp] of Object.entries(ramps)) {
+                for (const step of TONAL_STEPS) {
+                    const deltaE = this.#colors.deltaEOK(color, ramp.steps[step].oklch);
+                    if (!closest || deltaE < closest.deltaE) {
+                        closest = { color: this.#colors.toHex(color), ramp: role, step, deltaE };
+                    }
+                }
+            }
+            return closest;
+        });
+    }
+
+    #toTokens(ramps) {
+        return Object.fromEntries(Object.entries(ramps).map(([role, ramp]) => [
+            role,
+            {
+                $type: 'color',
+                ...Object.fromEntries(TONAL_STEPS.map(step => [step, { $value: ramp.steps[step].hex }]))
+            }
+        ]));
+    }
+}
+
+export { HarmonicPaletteGenerator, PaletteRefinementEngine };
@@ -0,0 +1,101 @@
+import { convertDimension, formatDimension } from './TokenValues.js';
+
+const SHADOW_DIMENSIONS = ['offsetX', 'offsetY', 'blur', 'spread'];
+
+class PlatformAdapter {
+    #platform;
+    #stageFactories;
+
+    constructor(platform, stageFactories = []) {
+        this.#platform = platform;
+        this.#stageFactories = stageFactories;
+    }
+
+    get platform() {
+        return this.#platform;
+    }
+
+    async createAdaptationPipeline(constraints) {
+        return {
+            platform: this.#platform,
+            stages: this.#stageFactories.map(createStage => createStage(constraints))
+        };
+    }
+}
+
+class DimensionConversionStage {
+    #unit;
+    #fontUnit;
+    #remBase;
+
+    constructor({ unit, fontUnit = unit, remBase = 16 }) {
+        this.#unit = unit;
+        this.#fontUnit = fontUnit;
+        this.#remBase = remBase;
+    }
+
+    async process(tokens) {
+        const converted = new Map();
+        for (const [category, categoryTokens] of tokens) {
+            const convertedTokens = new Map();
+            for (const [path, token] of categoryTokens) {
+                convertedTokens.set(path, this.#convertToken(token));
+            }
+            converted.set(category, convertedTokens);
+        }
+        return converted;
+    }
+
+    #convertToken(token) {
+        switch (token.type) {
+            case 'dimension': {
+                const isFontSize = token.segments.some(segment => /^font-?size$/i.test(segment));
+                return { ...token, value: this.#convert(token.value, isFontSize ? this.#fontUnit : this.#unit) };
+            }
+            case 'typography':
+                return {
+                    ...token,
+                    value: {
+                        ...token.value,
+                        ...(token.value.fontSize !== undefined && { fontSize: this.#convert(token.value.fontSize, this.#fontUnit) }),
+                        ...(token.value.letterSpacing !== undefined && { letterSpacing: this.#convert(token.value.letterSpacing, this.#unit) })
+                    }
+                };
+            case 'shadow': {
+                const convertShadow = shadow => ({
+                    ...shadow,
+                    ...Object.fromEntries(SHADOW_DIMENSIONS
+                        .filter(field => shadow[field] !== undefined)
+                        .map(field => [field, this.#convert(shadow[field], this.#unit)]))
+                });
+                return { ...token, value: Array.isArray(token.value) ? token.value.map(convertShadow) : convertShadow(token.value) };
+            }
+            default:
+                return token;
+        }
+    }
+
+    #convert(value, unit) {
+        const dimension = convertDimension(value, unit, { remBase: this.#remBase });
+        return dimension ? formatDimension(dimension) : value;
+    }
+}
+
+class CrossPlatformTransformerMesh {
+    #adapters = new Map();
+
+    registerAdapter(platform, stageFactories) {
+        this.#adapters.set(platform, new PlatformAdapter(platform, stageFactories));
+        return this;
+    }
+
+    getAdapter(platform = 'web') {
+        const adapter = this.#adapters.get(platform);
+        if (!adapter) {
+            throw new Error(`No platform adapter registered for '${platform}' (available: ${[...this.#adapters.keys()].join(', ')})`);
+        }
+        return adapter;
+    }
+}
+
+export { PlatformAdapter, DimensionConversionStage, CrossPlatformTransformerMesh };
@@ -0,0 +1,579 @@
+import { formatTokenName } from './TokenValues.js';
+import {
+    STRENGTHS,
+    UnsatisfiableConstraintError,
+    Variable,
+    LinearExpression,
+    createConstraint,
+    LinearConstraintSolver
+} from './LinearConstraintSolver.js';
+
+const GENERATED_HEADER = 'Generated by Aurora Design System. Do not edit directly.';
+const LAYOUT_TYPES = ['grid'];
+const FALLBACK_STRATEGIES = ['relax', 'stack'];
+const RELATIONS = ['<=', '>=', '=='];
+const DIMENSIONS = ['width', 'height'];
+const SIZE_KEYS = ['min', 'max', 'preferred', 'strength'];
+const REGION_KEYS = ['width', 'height', 'grow', 'breakpoints', 'description'];
+const RELATIONSHIP_KEYS = ['region', 'dimension', 'relation', 'target', 'targetDimension', 'multiplier', 'offset', 'strength', 'breakpoints'];
+const DEFAULT_OPTIMIZATION_GOALS = { preferredSizes: 'strong', balance: 'weak' };
+const DEFAULT_FALLBACKS = ['relax'];
+const DEFAULT_MIN_VIEWPORT = 320;
+const REGION_NAME = /^[A-Za-z_][\w-]*$/;
+const EMPTY_CELL = /^\.+$/;
+
+class LayoutConstraintError extends Error {
+    constructor(issues) {
+        super(issues.map(issue => `${issue.breakpoint ? `[${issue.breakpoint}] ` : ''}${issue.path || '(layout)'}: ${issue.message}`).join('\n'));
+        this.name = 'LayoutConstraintError';
+        this.issues = issues;
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100 || 0;
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isSize(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function parseAreas(template) {
+    const cells = template.map(row => row.trim().split(/\s+/));
+    const placements = new Map();
+    const issues = [];
+    cells.forEach((row, rowIndex) => {
+        if (row.length !== cells[0].length) {
+            issues.push(`row ${rowIndex + 1} has ${row.length} columns, expected ${cells[0].length}`);
+        }
+        row.forEach((name, columnIndex) => {
+            if (EMPTY_CELL.test(name)) {
+                return;
+            }
+            const placement = placements.get(name) ?? { rowStart: rowIndex, rowEnd: rowIndex, columnStart: columnIndex, columnEnd: columnIndex, cells: 0 };
+            placement.rowStart = Math.min(placement.rowStart, rowIndex);
+            placement.rowEnd = Math.max(placement.rowEnd, rowIndex);
+            placement.columnStart = Math.min(placement.columnStart, columnIndex);
+            placement.columnEnd = Math.max(placement.columnEnd, columnIndex);
+            placement.cells += 1;
+            placements.set(name, placement);
+        });
+    });
+    for (const [name, placement] of placements) {
+        if ((placement.rowEnd - placement.rowStart + 1) * (placement.columnEnd - placement.columnStart + 1) !== placement.cells) {
+            issues.push(`area '${name}' is not a rectangle`);
+        }
+    }
+    return { template: cells.map(row => row.join(' ')), rows: cells.length, columns: cells[0].length, placements, issues };
+}
+
+function stackAreas(grid) {
+    const order = [...grid.placements].sort(([, a], [, b]) => a.rowStart - b.rowStart || a.columnStart - b.columnStart);
+    return parseAreas(order.map(([name]) => name));
+}
+
+function spanOf(tracks, start, end, gap) {
+    return tracks.slice(start, end + 1).reduce((expression, track) => expression.plus(track), LinearExpression.from(gap * (end - start)));
+}
+
+function offsetOf(sizes, index, gap) {
+    return sizes.slice(0, index).reduce((total, size) => total + size + gap, 0);
+}
+
+function formatPx(value) {
+    return `${round(value)}px`;
+}
+
+function describeRelationship({ region, dimension, relation, target, targetDimension, multiplier, offset }) {
+    if (!target) {
+        return `${region}.${dimension} ${relation} ${offset}`;
+    }
+    const scaled = `${multiplier === 1 ? '' : `${multiplier} * `}${target}.${targetDimension}`;
+    return `${region}.${dimension} ${relation} ${scaled}${offset ? ` ${offset < 0 ? '-' : '+'} ${Math.abs(offset)}` : ''}`;
+}
+
+class AdaptiveBreakpointOrchestrator {
+    resolveBreakpoints(breakpoints, { minViewport = DEFAULT_MIN_VIEWPORT } = {}) {
+        const entries = Array.isArray(breakpoints)
+            ? breakpoints.map(({ name, min, width }) => [name, { min, width }])
+            : Object.entries(isPlainObject(breakpoints) ? breakpoints : {}).map(([name, value]) => [name, typeof value === 'number' ? { min: value } : value]);
+        if (entries.length === 0) {
+            throw new LayoutConstraintError([{ path: 'breakpoints', message: 'expected at least one breakpoint mapping a name to its minimum width' }]);
+        }
+
+        const issues = [];
+        for (const [name, value] of entries) {
+            if (!isPlainObject(value) || !isSize(value.min)) {
+                issues.push({ path: `breakpoints.${name}`, message: 'expected a minimum width in pixels or { min, width }' });
+            } else if (value.width !== undefined && !(isSize(value.width) && value.width > 0)) {
+                issues.push({ path: `breakpoints.${name}.width`, message: 'expected a positive width in pixels' });
+            }
+        }
+        if (issues.length > 0) {
+            throw new LayoutConstraintError(issues);
+        }
+
+        const sorted = entries.sort(([, a], [, b]) => a.min - b.min);
+        const resolved = sorted.map(([name, { min, width }], index) => {
+            const next = sorted[index + 1]?.[1];
+            if (next?.min === min) {
+                issues.push({ path: `breakpoints.${name}`, message: `shares its minimum width ${min}px with '${sorted[index + 1][0]}'` });
+            }
+            const reference = width ?? (index === 0 ? Math.max(min, minViewport) : min);
+            if ((index > 0 && reference < min) || (next && reference >= next.min)) {
+                issues.push({ path: `breakpoints.${name}.width`, message: `${reference}px is outside the breakpoint range` });
+            }
+            return {
+                name,
+                min: index === 0 ? 0 : min,
+                max: next ? next.min - 0.02 : null,
+                width: reference,
+                mediaQuery: index === 0 ? null : `(min-width: ${min}px)`
+            };
+        });
+        if (issues.length > 0) {
+            throw new LayoutConstraintError(issues);
+        }
+        return resolved;
+    }
+
+    breakpointFor(breakpoints, width) {
+        return breakpoints.findLast(breakpoint => width >= breakpoint.min) ?? breakpoints[0];
+    }
+}
+
+class GridLayoutSolver {
+    #breakpoints;
+
+    constructor(breakpointOrchestrator = new AdaptiveBreakpointOrchestrator()) {
+        this.#breakpoints = breakpointOrchestrator;
+    }
+
+    async solve(layoutSpec, { viewport, optimizationCriteria, fallbackStrategies } = {}) {
+        const layout = this.#normalizeLayout(layoutSpec, {
+            goals: { ...DEFAULT_OPTIMIZATION_GOALS, ...(optimizationCriteria ?? layoutSpec.optimizationGoals) },
+            fallbacks: fallbackStrategies ?? layoutSpec.fallbackMechanisms ?? DEFAULT_FALLBACKS
+        });
+        const breakpoints = layout.breakpoints.map(breakpoint => this.#solveBreakpoint(layout, breakpoint, breakpoint.width));
+        const activeBreakpoint = isSize(viewport?.width) ? this.#breakpoints.breakpointFor(layout.breakpoints, viewport.width) : null;
+        const solution = {
+            name: layout.name,
+            type: 'grid',
+            className: layout.className,
+            regions: Object.keys(layout.regions),
+            breakpoints,
+            active: activeBreakpoint ? this.#solveBreakpoint(layout, activeBreakpoint, viewport.width) : null,
+            unsatisfiable: breakpoints.flatMap(breakpoint => breakpoint.unsatisfiable)
+        };
+        return { ...solution, css: this.renderCss(solution) };
+    }
+
+    renderCss({ className, regions, breakpoints }) {
+        const selector = `.${className}`;
+        const gridRule = (breakpoint, indent, base) => {
+            const declarations = [
+                ...(base ? ['display: grid', breakpoint.gap.row === breakpoint.gap.column ? `gap: ${formatPx(breakpoint.gap.row)}` : `gap: ${formatPx(breakpoint.gap.row)} ${formatPx(breakpoint.gap.column)}`] : []),
+                `grid-template-columns: ${breakpoint.tracks.columns.join(' ')}`,
+                `grid-template-rows: ${breakpoint.tracks.rows.join(' ')}`,
+                `grid-template-areas: ${breakpoint.areas.map(row => `"${row}"`).join(' ')}`
+            ];
+            return `${indent}${selector} {\n${declarations.map(declaration => `${indent}  ${declaration};`).join('\n')}\n${indent}}`;
+        };
+        const hiddenRule = (names, indent) => `${indent}${names.map(name => `${selector}__${formatTokenName([name], 'kebab')}`).join(',\n' + indent)} {\n${indent}  display: none;\n${indent}}`;
+
+        const blocks = [
+            gridRule(breakpoints[0], '', true),
+            ...regions.map(name => `${selector}__${formatTokenName([name], 'kebab')} {\n  grid-area: ${name};\n}`)
+        ];
+        for (const breakpoint of breakpoints.slice(1)) {
+            blocks.push(`@media ${breakpoint.mediaQuery} {\n${gridRule(breakpoint, '  ', false)}\n}`);
+        }
+        for (const breakpoint of breakpoints.filter(({ hidden }) => hidden.length > 0)) {
+            const range = [
+                breakpoint.mediaQuery,
+                breakpoint.max === null ? null : `(max-width: ${breakpoint.max}px)`
+            ].filter(Boolean).join(' and ');
+            blocks.push(range ? `@media ${range} {\n${hiddenRule(breakpoint.hidden, '  ')}\n}` : hiddenRule(breakpoint.hidden, ''));
+        }
+        return `/* ${GENERATED_HEADER} */\n\n${blocks.join('\n\n')}\n`;
+    }
+
+    #normalizeLayout(layoutSpec, { goals, fallbacks }) {
+        const issues = [];
+        const name = layoutSpec.name ?? 'layout';
+        const breakpoints = this.#breakpoints.resolveBreakpoints(layoutSpec.breakpoints, { minViewport: layoutSpec.minViewport });
+        const breakpointNames = breakpoints.map(breakpoint => breakpoint.name);
+
+        const gap = isPlainObject(layoutSpec.gap)
+            ? { row: 0, column: 0, ...layoutSpec.gap }
+            : { row: layoutSpec.gap ?? 0, column: layoutSpec.gap ?? 0 };
+        if (!isSize(gap.row) || !isSize(gap.column)) {
+            issues.push({ path: 'gap', message: 'expected a size in pixels or { row, column }' });
+        }
+        for (const [goal, strength] of Object.entries(goals)) {
+            if (!(goal in DEFAULT_OPTIMIZATION_GOALS)) {
+                issues.push({ path: `optimizationGoals.${goal}`, message: `unknown optimization goal (expected ${Object.keys(DEFAULT_OPTIMIZATION_GOALS).join(', ')})` });
+            } else if (strength !== false && !(strength in STRENGTHS)) {
+                issues.push({ path: `optimizationGoals.${goal}`, message: `expected a strength (${Object.keys(STRENGTHS).join(', ')}) or false` });
+            }
+        }
+        for (const strategy of [fallbacks].flat()) {
+            if (!FALLBACK_STRATEGIES.includes(strategy)) {
+                issues.push({ path: 'fallbackMechanisms', message: `unknown fallback '${strategy}' (expected ${FALLBACK_STRATEGIES.join(', ')})` });
+            }
+        }
+
+        const regions = isPlainObject(layoutSpec.regions) ? layoutSpec.regions : {};
+        if (Object.keys(regions).length === 0) {
+            issues.push({ path: 'regions', message: 'expected an object with at least one region' });
+        }
+        for (const [regionName, region] of Object.entries(regions)) {
+            this.#validateRegion(regionName, region, breakpointNames, issues);
+        }
+
+        const grids = new Map();
+        const areas = isPlainObject(layoutSpec.areas) ? layoutSpec.areas : {};
+        for (const key of Object.keys(areas).filter(key => !breakpointNames.includes(key))) {
+            issues.push({ path: `areas.${key}`, message: 'unknown breakpoint' });
+        }
+        let inherited = null;
+        for (const breakpointName of breakpointNames) {
+            const template = areas[breakpointName];
+            if (template === undefined) {
+                if (!inherited) {
+                    issues.push({ path: `areas.${breakpointName}`, message: 'the first breakpoint must define its grid areas' });
+                }
+                grids.set(breakpointName, inherited);
+                continue;
+            }
+            if (!Array.isArray(template) || template.length === 0 || template.some(row => typeof row !== 'string' || row.trim() === '')) {
+                issues.push({ path: `areas.${breakpointName}`, message: 'expected an array of grid-template-areas rows' });
+                continue;
+            }
+            const grid = parseAreas(template);
+            issues.push(...grid.issues.map(message => ({ path: `areas.${breakpointName}`, message })));
+            for (const placed of grid.placements.keys()) {
+                if (!(placed in regions)) {
+                    issues.push({ path: `areas.${breakpointName}`, message: `unknown region '${placed}'` });
+                }
+            }
+            grids.set(breakpointName, grid);
+            inherited = grid;
+        }
+
+        const relationships = (layoutSpec.relationships ?? []).map((relationship, index) => {
+            const normalized = {
+                dimension: 'width',
+                relation: '==',
+                multiplier: 1,
+                offset: 0,
+                strength: 'required',
+                ...relationship
+            };
+            normalized.targetDimension ??= normalized.dimension;
+            this.#validateRelationship(normalized, `relationships[${index}]`, regions, breakpointNames, issues);
+            return normalized;
+        });
+
+        if (issues.length > 0) {
+            throw new LayoutConstraintError(issues);
+        }
+
+        return {
+            name,
+            className: layoutSpec.className ?? `aurora-layout-${formatTokenName([name], 'kebab')}`,
+            gap,
+            goals,
+            fallbacks: [fallbacks].flat(),
+            regions,
+            relationships,
+            breakpoints,
+            grids,
+            regionsAt: new Map(breakpoints.map((breakpoint, index) => [breakpoint.name, this.#cascadeRegions(regions, breakpointNames.slice(0, index + 1))]))
+        };
+    }
+
+    #validateRegion(name, region, breakpointNames, issues) {
+        const path = `regions.${name}`;
+        if (!REGION_NAME.test(name)) {
+            issues.push({ path, message: 'region names must be valid grid area identifiers' });
+        }
+        if (!isPlainObject(region)) {
+            issues.push({ path, message: 'expected a region object' });
+            return;
+        }
+        for (const key of Object.keys(region).filter(key => !REGION_KEYS.includes(key))) {
+            issues.push({ path: `${path}.${key}`, message: 'unknown region property' });
+        }
+        const validateSizes = (definition, sizePath) => {
+            for (const dimension of DIMENSIONS.filter(dimension => definition[dimension] !== undefined)) {
+                const size = definition[dimension];
+                const dimensionPath = `${sizePath}.${dimension}`;
+                if (!isPlainObject(size)) {
+                    issues.push({ path: dimensionPath, message: 'expected { min, max, preferred, strength }' });
+                    continue;
+                }
+                for (const key of Object.keys(size)) {
+                    if (!SIZE_KEYS.includes(key)) {
+                        issues.push({ path: `${dimensionPath}.${key}`, message: 'unknown size property' });
+                    } else if (key === 'strength' ? !(size.strength in STRENGTHS) : !isSize(size[key])) {
+                        issues.push({ path: `${dimensionPath}.${key}`, message: key === 'strength' ? `expected one of ${Object.keys(STRENGTHS).join(', ')}` : 'expected a size in pixels' });
+                    }
+                }
+                if (isSize(size.min) && isSize(size.max) && size.min > size.max) {
+                    issues.push({ path: dimensionPath, message: `min ${size.min} exceeds max ${size.max}` });
+                }
+            }
+            if (definition.grow !== undefined && !(isSize(definition.grow) && definition.grow > 0)) {
+                issues.push({ path: `${sizePath}.grow`, message: 'expected a positive number' });
+            }
+        };
+        validateSizes(region, path);
+        for (const [breakpointName, override] of Object.entries(region.breakpoints ?? {})) {
+            const overridePath = `${path}.breakpoints.${breakpointName}`;
+            if (!breakpointNames.includes(breakpointName)) {
+                issues.push({ path: overridePath, message: 'unknown breakpoint' });
+            } else if (!isPlainObject(override) || Object.keys(override).some(key => ![...DIMENSIONS, 'grow'].includes(key))) {
+                issues.push({ path: overridePath, message: 'expected { width, height, grow }' });
+            } else {
+                validateSizes(override, overridePath);
+            }
+        }
+    }
+
+    #validateRelationship(relationship, path, regions, breakpointNames, issues) {
+        for (const key of Object.keys(relationship).filter(key => !RELATIONSHIP_KEYS.includes(key))) {
+            issues.push({ path: `${path}.${key}`, message: 'unknown relationship property' });
+        }
+        if (!(relationship.region in regions)) {
+            issues.push({ path: `${path}.region`, message: `unknown region '${relationship.region}'` });
+        }
+        if (relationship.target !== undefined && !(relationship.target in regions)) {
+            issues.push({ path: `${path}.target`, message: `unknown region '${relationship.target}'` });
+        }
+        for (const key of ['dimension', 'targetDimension']) {
+            if (!DIMENSIONS.includes(relationship[key])) {
+                issues.push({ path: `${path}.${key}`, message: `expected ${DIMENSIONS.join(' or ')}` });
+            }
+        }
+        if (!RELATIONS.includes(relationship.relation)) {
+            issues.push({ path: `${path}.relation`, message: `expected one of ${RELATIONS.join(', ')}` });
+        }
+        for (const key of ['multiplier', 'offset']) {
+            if (typeof relationship[key] !== 'number' || !Number.isFinite(relationship[key])) {
+                issues.push({ path: `${path}.${key}`, message: 'expected a finite number' });
+            }
+        }
+        if (!(relationship.strength in STRENGTHS)) {
+            issues.push({ path: `${path}.strength`, message: `expected one of ${Object.keys(STRENGTHS).join(', ')}` });
+        }
+        if (relationship.breakpoints !== undefined && (!Array.isArray(relationship.breakpoints) || relationship.breakpoints.some(name => !breakpointNames.includes(name)))) {
+            issues.push({ path: `${path}.breakpoints`, message: 'expected an array of breakpoint names' });
+        }
+    }
+
+    #cascadeRegions(regions, breakpointNames) {
+        return new Map(Object.entries(regions).map(([name, region]) => {
+            const effective = { width: region.width, height: region.height, grow: region.grow ?? 1 };
+            for (const override of breakpointNames.map(breakpointName => region.breakpoints?.[breakpointName]).filter(Boolean)) {
+                for (const dimension of DIMENSIONS.filter(dimension => override[dimension])) {
+                    effective[dimension] = { ...effective[dimension], ...override[dimension] };
+                }
+                effective.grow = override.grow ?? effective.grow;
+            }
+            return [name, effective];
+        }));
+    }
+
+    #solveBreakpoint(layout, breakpoint, width) {
+        const grid = layout.grids.get(breakpoint.name);
+        const attempt = this.#solveGrid(layout, breakpoint, grid, width);
+        let result = attempt;
+        let fallback = null;
+        if (attempt.unsatisfiable.length > 0) {
+            for (const strategy of layout.fallbacks) {
+                const retry = strategy === 'relax'
+                    ? this.#solveGrid(layout, breakpoint, grid, width, { relax: true })
+                    : this.#solveGrid(layout, breakpoint, stackAreas(grid), width);
+                if (retry.unsatisfiable.length === 0) {
+                    result = retry;
+                    fallback = strategy;
+                    break;
+                }
+            }
+        }
+        return {
+            name: breakpoint.name,
+            min: breakpoint.min,
+            max: breakpoint.max,
+            mediaQuery: breakpoint.mediaQuery,
+            width,
+            satisfied: attempt.unsatisfiable.length === 0 || fallback !== null,
+            fallback,
+            unsatisfiable: attempt.unsatisfiable,
+            gap: layout.gap,
+            ...result.layout
+        };
+    }
+
+    #solveGrid(layout, breakpoint, grid, width, { relax = false } = {}) {
+        const solver = new LinearConstraintSolver();
+        const regions = layout.regionsAt.get(breakpoint.name);
+        const columns = Array.from({ length: grid.columns }, (_, index) => new Variable(`column${index + 1}`));
+        const rows = Array.from({ length: grid.rows }, (_, index) => new Variable(`row${index + 1}`));
+        const unsatisfiable = [];
+        const add = (left, relation, right, strength, path, description) => {
+            try {
+                solver.addConstraint(createConstraint(left, relation, right, strength, description));
+            } catch (error) {
+                if (!(error instanceof UnsatisfiableConstraintError)) {
+                    throw error;
+                }
+                if (relax) {
+                    solver.addConstraint(createConstraint(left, relation, right, 'strong', description));
+                } else {
+                    unsatisfiable.push({ breakpoint: breakpoint.name, path, constraint: description, message: `${description} cannot be satisfied at ${width}px` });
+                }
+            }
+        };
+        const extentOf = (name, dimension) => {
+            const placement = grid.placements.get(name);
+            return dimension === 'width'
+                ? spanOf(columns, placement.columnStart, placement.columnEnd, layout.gap.column)
+                : spanOf(rows, placement.rowStart, placement.rowEnd, layout.gap.row);
+        };
+
+        add(spanOf(columns, 0, columns.length - 1, layout.gap.column), '==', width, 'required', 'breakpoints', `grid width == ${width}`);
+        for (const track of [...columns, ...rows]) {
+            add(track, '>=', 0, 'required', 'areas', `${track.name} >= 0`);
+        }
+        for (const name of grid.placements.keys()) {
+            for (const dimension of DIMENSIONS) {
+                const size = regions.get(name)[dimension];
+                for (const [bound, relation] of [['min', '>='], ['max', '<=']].filter(([bound]) => size?.[bound] !== undefined)) {
+                    add(extentOf(name, dimension), relation, size[bound], 'required', `regions.${name}.${dimension}.${bound}`, `${name}.${dimension} ${relation} ${size[bound]}`);
+                }
+            }
+        }
+        layout.relationships.forEach((relationship, index) => {
+            const applies = (!relationship.breakpoints || relationship.breakpoints.includes(breakpoint.name))
+                && grid.placements.has(relationship.region)
+                && (!relationship.target || grid.placements.has(relationship.target));
+            if (applies) {
+                const right = relationship.target
+                    ? extentOf(relationship.target, relationship.targetDimension).times(relationship.multiplier).plus(relationship.offset)
+                    : relationship.offset;
+                add(extentOf(relationship.region, relationship.dimension), relationship.relation, right, relationship.strength, `relationships[${index}]`, describeRelationship(relationship));
+            }
+        });
+        for (const name of grid.placements.keys()) {
+            for (const dimension of DIMENSIONS) {
+                const size = regions.get(name)[dimension];
+                if (size?.preferred !== undefined && (size.strength || layout.goals.preferredSizes)) {
+                    add(extentOf(name, dimension), '==', size.preferred, size.strength ?? layout.goals.preferredSizes, `regions.${name}.${dimension}.preferred`, `${name}.${dimension} == ${size.preferred}`);
+                }
+            }
+        }
+        if (layout.goals.balance) {
+            const unit = new Variable('fr');
+            columns.forEach((column, index) => {
+                const grow = Math.max(...[...grid.placements]
+                    .filter(([, placement]) => placement.columnStart <= index && placement.columnEnd >= index)
+                    .map(([name]) => regions.get(name).grow), 1);
+                add(column, '==', LinearExpression.from(unit).times(grow), layout.goals.balance, 'optimizationGoals.balance', `${column.name} == ${grow}fr`);
+            });
+        }
+
+        solver.updateVariables();
+        return { unsatisfiable, layout: this.#describeGrid(grid, regions, columns.map(column => round(column.value)), rows.map(row => round(row.value)), layout.gap, relax) };
+    }
+
+    #describeGrid(grid, regions, columnWidths, rowHeights, gap, relaxed = false) {
+        const singles = (axis, index) => [...grid.placements]
+            .filter(([, placement]) => placement[`${axis}Start`] === index && placement[`${axis}End`] === index)
+            .map(([name]) => regions.get(name)[axis === 'column' ? 'width' : 'height'])
+            .filter(Boolean);
+        const floorOf = (sizes, solved) => {
+            const floor = Math.max(0, ...sizes.map(size => size.min ?? 0));
+            return relaxed ? Math.min(floor, solved) : floor;
+        };
+
+        const columnSizing = columnWidths.map((width, index) => {
+            const sizes = singles('column', index);
+            return {
+                width,
+                fixed: sizes.some(size => [size.max, size.preferred].some(value => value !== undefined && Math.abs(value - width) < 0.5)),
+                floor: floorOf(sizes, width)
+            };
+        });
+        const unit = Math.min(...columnSizing.filter(column => !column.fixed && column.width > 0).map(column => column.width));
+        const columns = columnSizing.map(({ width, fixed, floor }) => {
+            if (fixed) {
+                return formatPx(width);
+            }
+            const fraction = Number.isFinite(unit) ? round(width / unit) : 1;
+            return `minmax(${floor > 0 ? formatPx(floor) : 0}, ${fraction}fr)`;
+        });
+
+        const heights = rowHeights.map((height, index) => {
+            const sizes = singles('row', index);
+            if (sizes.some(size => size.preferred !== undefined || size.max !== undefined)) {
+                return { height, track: formatPx(height) };
+            }
+            const floor = floorOf(sizes, height);
+            return { height: null, track: floor > 0 ? `minmax(${formatPx(floor)}, auto)` : 'auto' };
+        });
+
+        const placed = Object.fromEntries([...grid.placements].map(([name, placement]) => {
+            const spannedRows = heights.slice(0, placement.rowEnd + 1).map(row => row.height);
+            const sized = spannedRows.every(height => height !== null);
+            return [name, {
+                rowStart: placement.rowStart + 1,
+                rowEnd: placement.rowEnd + 2,
+                columnStart: placement.columnStart + 1,
+                columnEnd: placement.columnEnd + 2,
+                x: round(offsetOf(columnWidths, placement.columnStart, gap.column)),
+                y: sized ? round(offsetOf(spannedRows, placement.rowStart, gap.row)) : null,
+                width: round(columnWidths.slice(placement.columnStart, placement.columnEnd + 1).reduce((total, width) => total + width, 0) + gap.column * (placement.columnEnd - placement.columnStart)),
+                height: sized ? round(spannedRows.slice(placement.rowStart).reduce((total, height) => total + height, 0) + gap.row * (placement.rowEnd - placement.rowStart)) : null
+            }];
+        }));
+
+        return {
+            areas: grid.template,
+            columns: columnWidths,
+            rows: heights.map(row => row.height),
+            tracks: { columns, rows: heights.map(row => row.track) },
+            regions: placed,
+            hidden: [...regions.keys()].filter(name => !grid.placements.has(name))
+        };
+    }
+}
+
+class ConstraintBasedLayoutSolver {
+    #breakpoints;
+
+    constructor(breakpointOrchestrator = new AdaptiveBreakpointOrchestrator()) {
+        this.#breakpoints = breakpointOrchestrator;
+    }
+
+    createSolver(type = 'grid') {
+        if (!LAYOUT_TYPES.includes(type)) {
+            throw new RangeError(`Unsupported layout type '${type}' (expected ${LAYOUT_TYPES.join(', ')})`);
+        }
+        return new GridLayoutSolver(this.#breakpoints);
+    }
+}
+
+export {
+    LAYOUT_TYPES,
+    FALLBACK_STRATEGIES,
+    LayoutConstraintError,
+    AdaptiveBreakpointOrchestrator,
+    GridLayoutSolver,
+    ConstraintBasedLayoutSolver
+};
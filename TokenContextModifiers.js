@@ -0,0 +1,93 @@
+import { parseDimension, scaleDimension, mapFontSize } from './TokenValues.js';
+
+const DENSITY_SCALES = {
+    compact: 0.875,
+    comfortable: 1,
+    spacious: 1.125
+};
+
+const DENSITY_LAYER_PATTERN = /(^|\+)density:/;
+
+class TypographicContextModifier {
+    async applyContext(tokens, context) {
+        const textScale = context.textScale ?? 1;
+        if (textScale === 1) {
+            return new Map(tokens);
+        }
+
+        const scaled = new Map();
+        for (const [path, token] of tokens) {
+            scaled.set(path, mapFontSize(token, fontSize => scaleDimension(fontSize, textScale)));
+        }
+        return scaled;
+    }
+}
+
+class SpatialContextModifier {
+    async applyContext(tokens, context) {
+        const densityScale = DENSITY_SCALES[context.theme?.density] ?? 1;
+        if (densityScale === 1) {
+            return new Map(tokens);
+        }
+
+        const scaled = new Map();
+        for (const [path, token] of tokens) {
+            scaled.set(path, token.type === 'dimension' && !DENSITY_LAYER_PATTERN.test(token.layer ?? '')
+                ? { ...token, value: scaleDimension(token.value, densityScale) }
+                : token);
+        }
+        return scaled;
+    }
+}
+
+class ChromaticContextModifier {
+    async applyContext(tokens) {
+        return new Map(tokens);
+    }
+}
+
+class DepthContextModifier {
+    async applyContext(tokens) {
+        return new Map(tokens);
+    }
+}
+
+class AccessibilityEnhancementEngine {
+    async determineEnhancementStrategies(tokens, accessibilityRequirements = {}) {
+        const strategies = [];
+        if (accessibilityRequirements.minimumFontSize) {
+            strategies.push(new MinimumFontSizeStrategy());
+        }
+        return strategies;
+    }
+}
+
+class MinimumFontSizeStrategy {
+    async enhance(tokens, accessibilityRequirements) {
+        const minimum = parseDimension(accessibilityRequirements.minimumFontSize);
+        const typography = tokens.get('typography');
+        if (!minimum || !typography) {
+            return tokens;
+        }
+
+        const enhanced = new Map();
+        for (const [path, token] of typography) {
+            enhanced.set(path, mapFontSize(token, fontSize => {
+                const size = parseDimension(fontSize);
+                return size?.unit === minimum.unit && size.value < minimum.value
+                    ? accessibilityRequirements.minimumFontSize
+                    : fontSize;
+            }));
+        }
+        return new Map(tokens).set('typography', enhanced);
+    }
+}
+
+export {
+    DENSITY_SCALES,
+    TypographicContextModifier,
+    SpatialContextModifier,
+    ChromaticContextModifier,
+    DepthContextModifier,
+    AccessibilityEnhancementEngine
+};
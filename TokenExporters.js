@@ -0,0 +1,545 @@
+import { parseDimension, formatDimension, parseRgbColor, formatTokenName } from './TokenValues.js';
+import { FLUID_EXTENSION } from './TypeScale.js';
+import { SPRING_EXTENSION, REDUCED_MOTION_EXTENSION } from './MotionSystem.js';
+import { TokenResolutionError } from './TokenHierarchy.js';
+
+const GENERATED_HEADER = 'Generated by Aurora Design System. Do not edit directly.';
+const EXACT_REFERENCE_PATTERN = /^\{([^{}]+)\}$/;
+const TYPOGRAPHY_FIELDS = ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing'];
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+const UNITLESS_NUMBER = /^-?\d*\.?\d+$/;
+
+function flattenTokens(tokens) {
+    return [...tokens.values()]
+        .flatMap(categoryTokens => [...categoryTokens.values()])
+        .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function referencedPath(token) {
+    const match = typeof token.originalValue === 'string' ? token.originalValue.match(EXACT_REFERENCE_PATTERN) : null;
+    return match ? match[1].trim() : null;
+}
+
+function serializeFontFamily(value) {
+    const families = Array.isArray(value) ? value : [value];
+    return families.map(family => /[\s,]/.test(family) && !/^['"]/.test(family) ? `"${family}"` : family).join(', ');
+}
+
+function serializeShadow(value) {
+    const shadows = Array.isArray(value) ? value : [value];
+    return shadows
+        .map(shadow => [shadow.inset ? 'inset' : null, shadow.offsetX, shadow.offsetY, shadow.blur, shadow.spread, shadow.color]
+            .filter(part => part !== null && part !== undefined)
+            .join(' '))
+        .join(', ');
+}
+
+function serializeCssValue(type, value) {
+    switch (type) {
+        case 'fontFamily':
+            return serializeFontFamily(value);
+        case 'cubicBezier':
+            return `cubic-bezier(${value.join(', ')})`;
+        case 'shadow':
+            return serializeShadow(value);
+        case 'duration':
+        case 'dimension':
+            return typeof value === 'object' ? formatDimension(value) : String(value);
+        case 'border':
+            return [value.width, value.style, value.color].join(' ');
+        case 'transition':
+            return [value.duration, serializeCssValue('cubicBezier', value.timingFunction), value.delay].filter(Boolean).join(' ');
+        default:
+            return typeof value === 'object' ? null : String(value);
+    }
+}
+
+function expandTypography(token) {
+    const fluid = token.extensions?.[FLUID_EXTENSION] ?? {};
+    return TYPOGRAPHY_FIELDS
+        .filter(field => token.value[field] !== undefined)
+        .map(field => ({
+            segments: [...token.segments, field],
+            type: field === 'fontFamily' || field === 'fontWeight' ? field : field === 'lineHeight' ? 'number' : 'dimension',
+            value: fluid[field] ?? token.value[field]
+        }));
+}
+
+function reducedMotionTokens(flatTokens) {
+    return flatTokens
+        .filter(token => token.extensions?.[REDUCED_MOTION_EXTENSION])
+        .map(token => ({ ...token, value: token.extensions[REDUCED_MOTION_EXTENSION].value }));
+}
+
+function toPlainValue(token) {
+    return token.type === 'dimension' && typeof token.value === 'object' ? formatDimension(token.value) : token.value;
+}
+
+function nestTokens(flatTokens, valueOf) {
+    const tree = {};
+    for (const token of flatTokens) {
+        let node = tree;
+        for (const segment of token.segments.slice(0, -1)) {
+            node[segment] ??= {};
+            node = node[segment];
+        }
+        node[token.segments[token.segments.length - 1]] = valueOf(token);
+    }
+    return tree;
+}
+
+class CssCustomPropertiesFormatter {
+    get platform() {
+        return 'web';
+    }
+
+    format(themes, { optimization, polyfills } = {}) {
+        const [defaultTheme, ...alternateThemes] = themes;
+        const defaultDeclarations = this.#declarations(defaultTheme.tokens, polyfills);
+        const blocks = [{ selector: ':root', declarations: defaultDeclarations.declarations }];
+        const reducedMotionBlocks = [{ media: REDUCED_MOTION_QUERY, selector: ':root', declarations: defaultDeclarations.reducedMotion }];
+        const warnings = defaultDeclarations.skipped.map(path => `css: token '${path}' has no CSS representation and was skipped`);
+
+        for (const theme of alternateThemes) {
+            const { declarations, reducedMotion, aliases } = this.#declarations(theme.tokens, polyfills);
+            const selector = `[data-theme="${theme.name}"]`;
+            const overrides = new Map([...declarations].filter(([name, value]) =>
+                aliases.has(name) || defaultDeclarations.declarations.get(name) !== value));
+            const reducedOverrides = new Map([...reducedMotion].filter(([name, value]) =>
+                overrides.has(name) || defaultDeclarations.reducedMotion.get(name) !== value));
+            blocks.push({ selector, declarations: overrides });
+            reducedMotionBlocks.push({ media: REDUCED_MOTION_QUERY, selector, declarations: reducedOverrides });
+        }
+        blocks.push(...reducedMotionBlocks);
+
+        const minify = optimization === 'minify';
+        const contents = blocks
+            .filter(block => block.declarations.size > 0 || (block.selector === ':root' && !block.media))
+            .map(block => this.#block(block, minify))
+            .join(minify ? '' : '\n\n');
+
+        return {
+            files: [{ filename: 'tokens.css', contents: minify ? `${contents}\n` : `/* ${GENERATED_HEADER} */\n\n${contents}\n` }],
+            warnings
+        };
+    }
+
+    #block({ media, selector, declarations }, minify) {
+        if (minify) {
+            const rule = `${selector}{${[...declarations].map(([name, value]) => `${name}:${value}`).join(';')}}`;
+            return media ? `@media ${media}{${rule}}` : rule;
+        }
+        const indent = media ? '  ' : '';
+        const rule = `${indent}${selector} {\n${[...declarations].map(([name, value]) => `${indent}  ${name}: ${value};`).join('\n')}\n${indent}}`;
+        return media ? `@media ${media} {\n${rule}\n}` : rule;
+    }
+
+    #declarations(tokens, polyfills = {}) {
+        const flatTokens = flattenTokens(tokens);
+        const knownPaths = new Set(flatTokens.map(token => token.path));
+        const declarations = new Map();
+        const reducedMotion = new Map();
+        const aliases = new Set();
+        const skipped = [];
+
+        for (const token of flatTokens) {
+            const entries = token.type === 'typography' ? expandTypography(token) : [token];
+            const reference = referencedPath(token);
+
+            for (const entry of entries) {
+                const name = `--${formatTokenName(entry.segments, 'kebab')}`;
+                if (reference && knownPaths.has(reference)) {
+                    const suffix = entry.segments.slice(token.segments.length);
+                    declarations.set(name, `var(--${formatTokenName([...reference.split('.'), ...suffix], 'kebab')})`);
+                    aliases.add(name);
+                    continue;
+                }
+
+                const spring = entry.extensions?.[SPRING_EXTENSION];
+                const value = spring?.linear && polyfills?.linearEasing !== false
+                    ? spring.linear
+                    : serializeCssValue(entry.type, entry.value);
+                if (value === null) {
+                    skipped.push(token.path);
+                    continue;
+                }
+                declarations.set(name, value);
+
+                const reduced = entry.extensions?.[REDUCED_MOTION_EXTENSION];
+                if (reduced) {
+                    reducedMotion.set(name, serializeCssValue(entry.type, reduced.value));
+                }
+            }
+        }
+        return { declarations, reducedMotion, aliases, skipped };
+    }
+}
+
+class ScssMapFormatter {
+    get platform() {
+        return 'web';
+    }
+
+    format(themes) {
+        const [defaultTheme] = themes;
+        const flatTokens = flattenTokens(defaultTheme.tokens);
+        const warnings = [];
+        const lines = [`// ${GENERATED_HEADER}`, ''];
+
+        const emitted = new Set();
+        const orderedTokens = [...flatTokens.filter(token => !token.aliasOf), ...flatTokens.filter(token => token.aliasOf)];
+        for (const token of orderedTokens) {
+            const value = token.aliasOf && emitted.has(token.aliasOf)
+                ? `$${formatTokenName(token.aliasOf.split('.'), 'kebab')}`
+                : this.#serialize(token.type, token.value);
+            if (value === null) {
+                warnings.push(`scss: token '${token.path}' has no SCSS representation and was skipped`);
+                continue;
+            }
+            lines.push(`$${formatTokenName(token.segments, 'kebab')}: ${value};`);
+            emitted.add(token.path);
+        }
+
+        const variableOf = token => emitted.has(token.path) ? `$${formatTokenName(token.segments, 'kebab')}` : null;
+        lines.push('', `$aurora-tokens: ${this.#categoryMap(defaultTheme.tokens, variableOf)};`);
+
+        const reducedMotion = reducedMotionTokens(flatTokens)
+            .filter(token => emitted.has(token.path))
+            .map(token => `  '${formatTokenName(token.segments, 'kebab')}': ${this.#mapValue(this.#serialize(token.type, token.value))}`);
+        if (reducedMotion.length > 0) {
+            lines.push('', `$aurora-reduced-motion: (\n${reducedMotion.join(',\n')}\n);`);
+        }
+
+        if (themes.length > 1) {
+            const themeEntries = themes.map(theme =>
+                `  '${theme.name}': ${this.#categoryMap(theme.tokens, token => this.#serialize(token.type, token.value), '  ')}`);
+            lines.push('', `$aurora-themes: (\n${themeEntries.join(',\n')}\n);`);
+        }
+
+        return { files: [{ filename: '_tokens.scss', contents: `${lines.join('\n')}\n` }], warnings };
+    }
+
+    #categoryMap(tokens, valueOf, indent = '') {
+        const categories = [...tokens].map(([category, categoryTokens]) => {
+            const entries = [...categoryTokens.values()]
+                .map(token => ({ token, value: valueOf(token) }))
+                .filter(({ value }) => value !== null)
+                .map(({ token, value }) => `${indent}    '${formatTokenName(token.segments.slice(1), 'kebab')}': ${this.#mapValue(value)}`);
+            return `${indent}  '${category}': (\n${entries.join(',\n')}\n${indent}  )`;
+        });
+        return `(\n${categories.join(',\n')}\n${indent})`;
+    }
+
+    #serialize(type, value) {
+        if (type === 'typography') {
+            const fields = expandTypography({ segments: [], value })
+                .map(entry => `'${formatTokenName(entry.segments, 'kebab')}': ${this.#mapValue(serializeCssValue(entry.type, entry.value))}`);
+            return `(${fields.join(', ')})`;
+        }
+        return serializeCssValue(type, value);
+    }
+
+    #mapValue(value) {
+        return value.includes(',') && !value.startsWith('(') && !/^[\w-]+\(.*\)$/.test(value) ? `(${value})` : value;
+    }
+}
+
+class EcmaScriptModuleFormatter {
+    get platform() {
+        return 'web';
+    }
+
+    format(themes) {
+        const [defaultTheme] = themes;
+        const flatTokens = flattenTokens(defaultTheme.tokens);
+        const themeTrees = Object.fromEntries(themes.map(theme => [theme.name, nestTokens(flattenTokens(theme.tokens), toPlainValue)]));
+
+        const moduleLines = [`// ${GENERATED_HEADER}`, ''];
+        const declarationLines = [`// ${GENERATED_HEADER}`, ''];
+        const exportedPaths = new Map();
+        const issues = [];
+
+        for (const token of flatTokens) {
+            const name = formatTokenName(token.segments, 'camel');
+            if (exportedPaths.has(name)) {
+                issues.push({
+                    code: 'EXPORT_NAME_COLLISION',
+                    tokenPath: token.path,
+                    message: `esm export name '${name}' is already used by '${exportedPaths.get(name)}'`
+                });
+                continue;
+            }
+            exportedPaths.set(name, token.path);
+            moduleLines.push(`export const ${name} = ${JSON.stringify(toPlainValue(token))};`);
+            declarationLines.push(`export declare const ${name}: ${this.#literalType(toPlainValue(token))};`);
+        }
+
+        if (issues.length > 0) {
+            throw new TokenResolutionError(issues);
+        }
+
+        const reducedMotion = nestTokens(reducedMotionTokens(flatTokens), toPlainValue);
+
+        moduleLines.push(
+            '',
+            `export const themes = ${JSON.stringify(themeTrees, null, 2)};`,
+            '',
+            `export const tokens = themes[${JSON.stringify(defaultTheme.name)}];`,
+            '',
+            `export const reducedMotion = ${JSON.stringify(reducedMotion, null, 2)};`
+        );
+        declarationLines.push(
+            '',
+            `export type TokenPath =\n${flatTokens.map(token => `  | ${JSON.stringify(token.path)}`).join('\n')};`,
+            '',
+            `export type ThemeName = ${themes.map(theme => JSON.stringify(theme.name)).join(' | ')};`,
+            '',
+            `export interface AuroraTokens ${this.#widenedType(themeTrees[defaultTheme.name], '')}`,
+            '',
+            'export declare const themes: Readonly<Record<ThemeName, AuroraTokens>>;',
+            '',
+            'export declare const tokens: AuroraTokens;',
+            '',
+            `export declare const reducedMotion: ${this.#literalType(reducedMotion)};`
+        );
+
+        return {
+            files: [
+                { filename: 'tokens.js', contents: `${moduleLines.join('\n')}\n` },
+                { filename: 'tokens.d.ts', contents: `${declarationLines.join('\n')}\n` }
+            ],
+            warnings: []
+        };
+    }
+
+    #literalType(value) {
+        if (Array.isArray(value)) {
+            return `readonly [${value.map(item => this.#literalType(item)).join(', ')}]`;
+        }
+        if (value !== null && typeof value === 'object') {
+            return `{ ${Object.entries(value).map(([key, item]) => `readonly ${JSON.stringify(key)}: ${this.#literalType(item)}`).join('; ')} }`;
+        }
+        return JSON.stringify(value);
+    }
+
+    #widenedType(value, indent) {
+        if (Array.isArray(value)) {
+            return `readonly ${value.length > 0 ? this.#widenedType(value[0], indent) : 'unknown'}[]`;
+        }
+        if (value !== null && typeof value === 'object') {
+            const members = Object.entries(value)
+                .map(([key, item]) => `${indent}  readonly ${JSON.stringify(key)}: ${this.#widenedType(item, `${indent}  `)};`);
+            return `{\n${members.join('\n')}\n${indent}}`;
+        }
+        return typeof value;
+    }
+}
+
+class SwiftExtensionFormatter {
+    get platform() {
+        return 'ios';
+    }
+
+    format(themes) {
+        const [defaultTheme, ...alternateThemes] = themes;
+        const colors = [];
+        const dimensions = [];
+        const durations = [];
+        const timingFunctions = [];
+        const warnings = alternateThemes.map(theme => `swift: theme '${theme.name}' is not exported; only '${defaultTheme.name}' is emitted`);
+
+        for (const token of flattenTokens(defaultTheme.tokens)) {
+            const name = formatTokenName(token.segments, 'camel');
+            if (token.type === 'color') {
+                const rgb = parseRgbColor(token.value);
+                if (rgb) {
+                    const [red, green, blue] = [rgb.r, rgb.g, rgb.b].map(channel => (channel / 255).toFixed(4));
+                    colors.push(`    static let ${name} = UIColor(red: ${red}, green: ${green}, blue: ${blue}, alpha: ${rgb.alpha.toFixed(4)})`);
+                    continue;
+                }
+            } else if (token.type === 'dimension' || token.type === 'number') {
+                const points = this.#points(token.value);
+                if (points !== null) {
+                    dimensions.push(`    static let ${name}: CGFloat = ${points}`);
+                    continue;
+                }
+            } else if (token.type === 'typography') {
+                const lineHeightMultiple = this.#multiple(token.value.lineHeight);
+                for (const field of ['fontSize', 'letterSpacing', 'lineHeight']) {
+                    const points = token.value[field] === undefined || (field === 'lineHeight' && lineHeightMultiple !== null)
+                        ? null
+                        : this.#points(token.value[field]);
+                    if (points !== null) {
+                        dimensions.push(`    static let ${formatTokenName([...token.segments, field], 'camel')}: CGFloat = ${points}`);
+                    }
+                }
+                if (lineHeightMultiple !== null) {
+                    dimensions.push(`    static let ${formatTokenName([...token.segments, 'lineHeightMultiple'], 'camel')}: CGFloat = ${lineHeightMultiple}`);
+                }
+                continue;
+            } else if (token.type === 'duration') {
+                const duration = this.#seconds(token.value);
+                if (duration !== null) {
+                    durations.push(`    static let ${name}: TimeInterval = ${duration}`);
+                    const reduced = token.extensions?.[REDUCED_MOTION_EXTENSION];
+                    if (reduced && this.#seconds(reduced.value) !== null) {
+                        durations.push(`    static let ${name}Reduced: TimeInterval = ${this.#seconds(reduced.value)}`);
+                    }
+                    continue;
+                }
+            } else if (token.type === 'cubicBezier') {
+                timingFunctions.push(`    static let ${name} = CAMediaTimingFunction(controlPoints: ${token.value.join(', ')})`);
+                const reduced = token.extensions?.[REDUCED_MOTION_EXTENSION];
+                if (reduced) {
+                    timingFunctions.push(`    static let ${name}Reduced = CAMediaTimingFunction(controlPoints: ${reduced.value.join(', ')})`);
+                }
+                continue;
+            }
+            warnings.push(`swift: token '${token.path}' has no Swift representation and was skipped`);
+        }
+
+        const sections = [
+            ['UIColor', colors],
+            ['CGFloat', dimensions],
+            ['TimeInterval', durations],
+            ['CAMediaTimingFunction', timingFunctions]
+        ]
+            .filter(([, members]) => members.length > 0)
+            .map(([type, members]) => `public extension ${type} {\n${members.join('\n')}\n}`);
+
+        return {
+            files: [{ filename: 'AuroraTokens.swift', contents: `// ${GENERATED_HEADER}\n\nimport UIKit\n\n${sections.join('\n\n')}\n` }],
+            warnings
+        };
+    }
+
+    #points(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        const dimension = parseDimension(value);
+        return dimension && ['pt', 'px', 'dp', 'sp'].includes(dimension.unit) ? dimension.value : null;
+    }
+
+    #multiple(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+        return typeof value === 'string' && UNITLESS_NUMBER.test(value.trim()) ? Number(value) : null;
+    }
+
+    #seconds(value) {
+        const match = typeof value === 'string' ? value.trim().match(/^(-?\d*\.?\d+)(ms|s)$/) : null;
+        if (match) {
+            return match[2] === 'ms' ? Number(match[1]) / 1000 : Number(match[1]);
+        }
+        return typeof value?.value === 'number' ? (value.unit === 's' ? value.value : value.value / 1000) : null;
+    }
+}
+
+class AndroidResourceFormatter {
+    get platform() {
+        return 'android';
+    }
+
+    format(themes) {
+        const [defaultTheme, ...alternateThemes] = themes;
+        const { colors, dimens, warnings } = this.#resources(defaultTheme.tokens);
+        const files = [
+            { filename: 'values/colors.xml', contents: this.#document(colors) },
+            { filename: 'values/dimens.xml', contents: this.#document(dimens) }
+        ];
+
+        let nightTheme = null;
+        for (const theme of alternateThemes) {
+            if (theme.mode !== 'dark' || nightTheme) {
+                warnings.push(`android: theme '${theme.name}' has no resource qualifier and was skipped`);
+                continue;
+            }
+            nightTheme = theme;
+            const nightColors = this.#resources(theme.tokens).colors.filter(line => !colors.includes(line));
+            files.push({ filename: 'values-night/colors.xml', contents: this.#document(nightColors) });
+        }
+
+        return { files, warnings };
+    }
+
+    #resources(tokens) {
+        const colors = [];
+        const dimens = [];
+        const warnings = [];
+
+        for (const token of flattenTokens(tokens)) {
+            const name = formatTokenName(token.segments, 'snake');
+            if (token.type === 'color') {
+                const rgb = parseRgbColor(token.value);
+                if (rgb) {
+                    const hex = [Math.round(rgb.alpha * 255), rgb.r, rgb.g, rgb.b]
+                        .map(channel => Math.round(channel).toString(16).padStart(2, '0'))
+                        .join('')
+                        .toUpperCase();
+                    colors.push(`    <color name="${name}">#${hex}</color>`);
+                    continue;
+                }
+            } else if (token.type === 'dimension') {
+                const dimension = parseDimension(token.value);
+                if (dimension && ['dp', 'sp'].includes(dimension.unit)) {
+                    dimens.push(`    <dimen name="${name}">${formatDimension(dimension)}</dimen>`);
+                    continue;
+                }
+            } else if (token.type === 'typography') {
+                const fontSize = parseDimension(token.value.fontSize);
+                if (fontSize && ['dp', 'sp'].includes(fontSize.unit)) {
+                    dimens.push(`    <dimen name="${formatTokenName([...token.segments, 'fontSize'], 'snake')}">${formatDimension(fontSize)}</dimen>`);
+                }
+                continue;
+            }
+            warnings.push(`android: token '${token.path}' has no Android resource representation and was skipped`);
+        }
+        return { colors, dimens, warnings };
+    }
+
+    #document(lines) {
+        return `<?xml version="1.0" encoding="utf-8"?>\n<!-- ${GENERATED_HEADER} -->\n<resources>\n${lines.join('\n')}${lines.length ? '\n' : ''}</resources>\n`;
+    }
+}
+
+class TokenFormatRegistry {
+    #formatters = new Map([
+        ['css', new CssCustomPropertiesFormatter()],
+        ['scss', new ScssMapFormatter()],
+        ['esm', new EcmaScriptModuleFormatter()],
+        ['swift', new SwiftExtensionFormatter()],
+        ['android', new AndroidResourceFormatter()]
+    ]);
+
+    register(format, formatter) {
+        this.#formatters.set(format, formatter);
+        return this;
+    }
+
+    get(format) {
+        const formatter = this.#formatters.get(format);
+        if (!formatter) {
+            throw new Error(`Unsupported token output format '${format}' (available: ${[...this.#formatters.keys()].join(', ')})`);
+        }
+        return formatter;
+    }
+
+    platformFor(format) {
+        return typeof format === 'string' && this.#formatters.has(format) ? this.#formatters.get(format).platform : 'web';
+    }
+
+    get formats() {
+        return [...this.#formatters.keys()];
+    }
+}
+
+export {
+    CssCustomPropertiesFormatter,
+    ScssMapFormatter,
+    EcmaScriptModuleFormatter,
+    SwiftExtensionFormatter,
+    AndroidResourceFormatter,
+    TokenFormatRegistry
+};
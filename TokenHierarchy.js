@@ -0,0 +1,410 @@
+const REFERENCE_PATTERN = /\{([^{}]+)\}/g;
+const EXACT_REFERENCE_PATTERN = /^\{([^{}]+)\}$/;
+const INVALID_NAME_PATTERN = /[{}.]/;
+
+class TokenResolutionError extends Error {
+    constructor(issues) {
+        super(issues.map(issue => `${issue.tokenPath}: ${issue.message}`).join('\n'));
+        this.name = 'TokenResolutionError';
+        this.issues = issues;
+    }
+}
+
+class HierarchicalTokenRegistry {
+    #categories = new Map();
+    #tokens = new Map();
+    #groups = new Set();
+
+    defineCategory(name, { types = [] } = {}) {
+        this.#categories.set(name, { name, types: new Set(types) });
+        return this;
+    }
+
+    categorize(token) {
+        const [root] = token.segments;
+        if (this.#categories.has(root)) {
+            return root;
+        }
+        for (const category of this.#categories.values()) {
+            if (category.types.has(token.type)) {
+                return category.name;
+            }
+        }
+        return root;
+    }
+
+    load(layers) {
+        this.#tokens.clear();
+        this.#groups.clear();
+        const issues = [];
+
+        for (const layer of layers) {
+            this.#registerGroup(layer.tokens, [], undefined, layer.name, issues);
+        }
+
+        if (issues.length > 0) {
+            throw new TokenResolutionError(issues);
+        }
+        return this;
+    }
+
+    has(path) {
+        return this.#tokens.has(path);
+    }
+
+    isGroup(path) {
+        return this.#groups.has(path);
+    }
+
+    get(path) {
+        return this.#tokens.get(path);
+    }
+
+    entries() {
+        return this.#tokens.entries();
+    }
+
+    get size() {
+        return this.#tokens.size;
+    }
+
+    #registerGroup(group, segments, inheritedType, layerName, issues) {
+        if (group === null || typeof group !== 'object' || Array.isArray(group)) {
+            issues.push({
+                code: 'INVALID_GROUP',
+                tokenPath: segments.join('.') || '<root>',
+                layer: layerName,
+                message: 'expected a token group object'
+            });
+            return;
+        }
+
+        const groupType = group.$type ?? inheritedType;
+        if (segments.length > 0) {
+            this.#groups.add(segments.join('.'));
+        }
+
+        for (const [name, node] of Object.entries(group)) {
+            if (name.startsWith('$')) {
+                continue;
+            }
+
+            const childSegments = [...segments, name];
+            if (INVALID_NAME_PATTERN.test(name)) {
+                issues.push({
+                    code: 'INVALID_NAME',
+                    tokenPath: childSegments.join('.'),
+                    layer: layerName,
+                    message: `token and group names may not contain '{', '}' or '.'`
+                });
+                continue;
+            }
+
+            if (node !== null && typeof node === 'object' && '$value' in node) {
+                this.#registerToken(node, childSegments, groupType, layerName);
+            } else {
+                this.#registerGroup(node, childSegments, groupType, layerName, issues);
+            }
+        }
+    }
+
+    #registerToken(node, segments, inheritedType, layerName) {
+        const path = segments.join('.');
+        const previous = this.#tokens.get(path);
+
+        this.#tokens.set(path, {
+            path,
+            segments,
+            name: segments[segments.length - 1],
+            type: node.$type ?? inheritedType ?? previous?.type,
+            value: node.$value,
+            description: node.$description ?? previous?.description,
+            extensions: node.$extensions ?? previous?.extensions,
+            deprecated: node.$deprecated ?? previous?.deprecated,
+            layer: layerName,
+            overrides: previous ? [...previous.overrides, previous.layer] : []
+        });
+    }
+}
+
+class RecursiveTokenResolver {
+    #registry;
+    #resolved = new Map();
+    #failed = new Set();
+    #issues = [];
+
+    constructor(registry = new HierarchicalTokenRegistry()) {
+        this.#registry = registry;
+    }
+
+    async resolveHierarchy(layers) {
+        this.#registry.load(layers);
+        this.#resolved.clear();
+        this.#failed.clear();
+        this.#issues = [];
+
+        for (const [path] of this.#registry.entries()) {
+            this.#resolveToken(path, []);
+        }
+
+        if (this.#issues.length > 0) {
+            throw new TokenResolutionError(this.#issues);
+        }
+
+        const categorized = new Map();
+        for (const token of this.#resolved.values()) {
+            const category = this.#registry.categorize(token);
+            if (!categorized.has(category)) {
+                categorized.set(category, new Map());
+            }
+            categorized.get(category).set(token.path, { ...token, category });
+        }
+        return categorized;
+    }
+
+    #resolveToken(path, chain) {
+        if (this.#resolved.has(path)) {
+            return this.#resolved.get(path);
+        }
+        if (this.#failed.has(path)) {
+            return null;
+        }
+
+        if (chain.includes(path)) {
+            const cycle = [...chain.slice(chain.indexOf(path)), path];
+            this.#report('CIRCULAR_REFERENCE', chain[chain.length - 1], `circular reference ${cycle.join(' -> ')}`, cycle);
+            return null;
+        }
+
+        const source = this.#registry.get(path);
+        const referencingChain = [...chain, path];
+        const references = new Set();
+        const value = this.#resolveValue(source.value, referencingChain, references);
+        if (value === undefined) {
+            this.#failed.add(path);
+            return null;
+        }
+
+        const exactReference = typeof source.value === 'string' ? source.value.match(EXACT_REFERENCE_PATTERN) : null;
+        const target = exactReference ? this.#resolved.get(exactReference[1].trim()) : null;
+
+        const token = {
+            ...source,
+            type: source.type ?? target?.type,
+            value,
+            originalValue: source.value,
+            references: [...references],
+            aliasOf: target ? (target.aliasOf ?? target.path) : null
+        };
+        this.#resolved.set(path, token);
+        return token;
+    }
+
+    #resolveValue(value, chain, references) {
+        if (typeof value === 'string') {
+            return this.#resolveString(value, chain, references);
+        }
+        if (Array.isArray(value)) {
+            const items = value.map(item => this.#resolveValue(item, chain, references));
+            return items.includes(undefined) ? undefined : items;
+        }
+        if (value !== null && typeof value === 'object') {
+            const entries = Object.entries(value).map(([key, item]) => [key, this.#resolveValue(item, chain, references)]);
+            return entries.some(([, item]) => item === undefined) ? undefined : Object.fromEntries(entries);
+        }
+        return value;
+    }
+
+    #resolveString(value, chain, references) {
+        const exact = value.match(EXACT_REFERENCE_PATTERN);
+        if (exact) {
+            const target = this.#followReference(exact[1].trim(), chain, references);
+            return target ? structuredClone(target.value) : undefined;
+        }
+
+        let unresolved = false;
+        const substituted = value.replace(REFERENCE_PATTERN, (match, targetPath) => {
+            const target = this.#followReference(targetPath.trim(), chain, references);
+            if (!target) {
+                unresolved = true;
+                return match;
+            }
+            if (target.value !== null && typeof target.value === 'object') {
+                this.#report(
+                    'INVALID_REFERENCE',
+                    chain[chain.length - 1],
+                    `cannot interpolate composite token {${targetPath}} into a string value`,
+                    [...chain, targetPath]
+                );
+                unresolved = true;
+                return match;
+            }
+            return String(target.value);
+        });
+        return unresolved ? undefined : substituted;
+    }
+
+    #followReference(targetPath, chain, references) {
+        const referrer = chain[chain.length - 1];
+        references.add(targetPath);
+
+        if (!this.#registry.has(targetPath)) {
+            const message = this.#registry.isGroup(targetPath)
+                ? `reference {${targetPath}} points to a group, not a token`
+                : `reference {${targetPath}} does not match any token`;
+            this.#report(this.#registry.isGroup(targetPath) ? 'INVALID_REFERENCE' : 'MISSING_REFERENCE', referrer, message, [...chain, targetPath]);
+            return null;
+        }
+        return this.#resolveToken(targetPath, chain);
+    }
+
+    #report(code, tokenPath, message, referenceChain) {
+        const duplicate = this.#issues.some(issue => issue.code === code && issue.tokenPath === tokenPath && issue.message === message);
+        if (!duplicate) {
+            this.#issues.push({ code, tokenPath, message, referenceChain, layer: this.#registry.get(tokenPath)?.layer });
+        }
+    }
+}
+
+function collectTokenValues(tree, segments = [], values = new Map()) {
+    for (const [name, node] of Object.entries(tree ?? {})) {
+        if (name.startsWith('$') || node === null || typeof node !== 'object') {
+            continue;
+        }
+        if ('$value' in node) {
+            values.set([...segments, name].join('.'), node.$value);
+        } else {
+            collectTokenValues(node, [...segments, name], values);
+        }
+    }
+    return values;
+}
+
+class MultiDimensionalThemeOrchestrator {
+    #layerPrecedence = [];
+    #dimensionPrecedence = [];
+
+    setLayerPrecedence(layerNames) {
+        this.#layerPrecedence = [...layerNames];
+        return this;
+    }
+
+    setDimensionPrecedence(dimensionNames) {
+        this.#dimensionPrecedence = [...dimensionNames];
+        return this;
+    }
+
+    composeLayers(tokenSource, resolutionContext = {}, { sets = {}, combinations = [] } = {}) {
+        const layers = Array.isArray(tokenSource)
+            ? tokenSource.map((layer, index) => ({ name: layer.name ?? `layer-${index}`, tokens: layer.tokens ?? {} }))
+            : [{ name: 'base', tokens: tokenSource ?? {} }];
+
+        const baseLayers = layers
+            .map((layer, index) => ({ ...layer, index }))
+            .sort((a, b) => this.#precedenceOf(a.name) - this.#precedenceOf(b.name) || a.index - b.index)
+            .map(({ name, tokens }) => ({ name, tokens, context: resolutionContext }));
+
+        return [...baseLayers, ...this.#dimensionLayers(sets, combinations, resolutionContext)];
+    }
+
+    orderDimensions(dimensionNames) {
+        const ranked = dimensionNames.filter(name => this.#dimensionPrecedence.includes(name));
+        const unranked = dimensionNames.filter(name => !this.#dimensionPrecedence.includes(name)).sort();
+        return [...ranked.sort((a, b) => this.#dimensionPrecedence.indexOf(a) - this.#dimensionPrecedence.indexOf(b)), ...unranked];
+    }
+
+    expandPermutations(dimensionValues, { include = [], exclude = [] } = {}) {
+        const dimensions = this.orderDimensions(Object.keys(dimensionValues));
+        let permutations = [{}];
+        for (const dimension of dimensions) {
+            permutations = permutations.flatMap(permutation =>
+                dimensionValues[dimension].map(value => ({ ...permutation, [dimension]: value })));
+        }
+
+        const matches = (permutation, selector) => Object.entries(selector).every(([dimension, value]) =>
+            value === '*' || [].concat(value).includes(permutation[dimension]));
+
+        return permutations
+            .filter(permutation => include.length === 0 || include.some(selector => matches(permutation, selector)))
+            .filter(permutation => !exclude.some(selector => matches(permutation, selector)))
+            .map(permutation => ({ name: dimensions.map(dimension => permutation[dimension]).join('-'), dimensions: permutation }));
+    }
+
+    detectConflicts(layers) {
+        const definitions = new Map();
+        for (const layer of layers.filter(candidate => candidate.dimension)) {
+            for (const [path, value] of collectTokenValues(layer.tokens)) {
+                if (!definitions.has(path)) {
+                    definitions.set(path, []);
+                }
+                definitions.get(path).push({ ...layer.dimension, layer: layer.name, value });
+            }
+        }
+
+        const conflicts = [];
+        for (const [path, entries] of definitions) {
+            const winner = entries[entries.length - 1];
+            const contenders = entries.filter(entry => entry.source !== winner.source
+                && JSON.stringify(entry.value) !== JSON.stringify(winner.value)
+                && (!winner.combination || (entry.combination && entry.specificity === winner.specificity)));
+            if (contenders.length === 0) {
+                continue;
+            }
+
+            const sources = [...new Set(contenders.map(entry => entry.source))];
+            conflicts.push({
+                code: 'DIMENSION_CONFLICT',
+                tokenPath: path,
+                layer: winner.layer,
+                referenceChain: contenders.map(entry => entry.layer),
+                message: `${sources.join(', ')} and ${winner.source} set different values; ${winner.source} wins by precedence ` +
+                    `(${JSON.stringify(winner.value)} over ${contenders.map(entry => JSON.stringify(entry.value)).join(', ')})`
+            });
+        }
+        return conflicts.sort((a, b) => a.tokenPath.localeCompare(b.tokenPath));
+    }
+
+    #dimensionLayers(sets, combinations, resolutionContext) {
+        const selection = resolutionContext.dimensions ?? {};
+        const layers = [];
+
+        for (const dimension of this.orderDimensions(Object.keys(sets))) {
+            const value = selection[dimension];
+            const source = value === undefined ? undefined : sets[dimension][value];
+            if (source !== undefined) {
+                const name = `${dimension}:${value}`;
+                layers.push(...this.#namedLayers(source, name, resolutionContext, { source: name, combination: false, specificity: 1 }));
+            }
+        }
+
+        const matching = combinations
+            .map((combination, index) => ({ ...combination, index }))
+            .filter(({ when }) => Object.entries(when).every(([dimension, value]) => [].concat(value).includes(selection[dimension])))
+            .sort((a, b) => Object.keys(a.when).length - Object.keys(b.when).length || a.index - b.index);
+        for (const combination of matching) {
+            const name = this.orderDimensions(Object.keys(combination.when))
+                .map(dimension => `${dimension}:${[].concat(combination.when[dimension]).join('|')}`)
+                .join('+');
+            layers.push(...this.#namedLayers(combination.tokens, name, resolutionContext, {
+                source: name,
+                combination: true,
+                specificity: Object.keys(combination.when).length
+            }));
+        }
+        return layers;
+    }
+
+    #namedLayers(source, name, resolutionContext, dimension) {
+        const layers = Array.isArray(source)
+            ? source.map((layer, index) => ({ name: `${name}/${layer.name ?? `layer-${index}`}`, tokens: layer.tokens ?? {} }))
+            : [{ name, tokens: source ?? {} }];
+        return layers.map(layer => ({ ...layer, context: resolutionContext, dimension }));
+    }
+
+    #precedenceOf(layerName) {
+        const position = this.#layerPrecedence.indexOf(layerName);
+        return position === -1 ? this.#layerPrecedence.length : position;
+    }
+}
+
+export { TokenResolutionError, HierarchicalTokenRegistry, RecursiveTokenResolver, MultiDimensionalThemeOrchestrator };
@@ -0,0 +1,96 @@
+import { ColorSpaceTransformationEngine } from './ColorScience.js';
+
+const DIMENSION_PATTERN = /^(-?\d*\.?\d+)(px|rem|em|ch|%|vw|vh|pt|dp|sp)?$/;
+const PIXEL_RATIOS = { px: 1, pt: 1, dp: 1, sp: 1 };
+
+const colorSpaces = new ColorSpaceTransformationEngine();
+
+function parseDimension(value) {
+    if (typeof value === 'number') {
+        return { value, unit: 'px' };
+    }
+    if (value !== null && typeof value === 'object' && typeof value.value === 'number') {
+        return { value: value.value, unit: value.unit ?? 'px' };
+    }
+    if (typeof value === 'string') {
+        const match = value.trim().match(DIMENSION_PATTERN);
+        if (match) {
+            return { value: Number(match[1]), unit: match[2] ?? 'px' };
+        }
+    }
+    return null;
+}
+
+function formatDimension({ value, unit }) {
+    return `${Number(value.toFixed(4))}${unit}`;
+}
+
+function scaleDimension(value, factor) {
+    const dimension = parseDimension(value);
+    if (!dimension || dimension.unit === '%') {
+        return value;
+    }
+    return formatDimension({ value: dimension.value * factor, unit: dimension.unit });
+}
+
+function mapFontSize(token, transform) {
+    if (token.type === 'typography' && token.value?.fontSize !== undefined) {
+        return { ...token, value: { ...token.value, fontSize: transform(token.value.fontSize) } };
+    }
+    if (token.type === 'dimension' && token.segments.some(segment => /^font-?size$/i.test(segment))) {
+        return { ...token, value: transform(token.value) };
+    }
+    return token;
+}
+
+function convertDimension(value, targetUnit, { remBase = 16 } = {}) {
+    const dimension = parseDimension(value);
+    if (!dimension || dimension.unit === targetUnit) {
+        return dimension;
+    }
+
+    const pixels = dimension.unit === 'rem' ? dimension.value * remBase : dimension.value * PIXEL_RATIOS[dimension.unit];
+    if (Number.isNaN(pixels) || !(targetUnit === 'rem' || targetUnit in PIXEL_RATIOS)) {
+        return dimension;
+    }
+    const converted = targetUnit === 'rem' ? pixels / remBase : pixels / PIXEL_RATIOS[targetUnit];
+    return { value: Number(converted.toFixed(4)), unit: targetUnit };
+}
+
+function parseRgbColor(value) {
+    try {
+        const { r, g, b, alpha } = colorSpaces.toSrgb(colorSpaces.gamutMap(value));
+        const [red, green, blue] = [r, g, b].map(channel => Math.round(Math.min(1, Math.max(0, channel)) * 255));
+        return { r: red, g: green, b: blue, alpha };
+    } catch {
+        return null;
+    }
+}
+
+function splitWords(segments) {
+    return segments
+        .flatMap(segment => String(segment).replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^A-Za-z0-9]+/))
+        .filter(Boolean)
+        .map(word => word.toLowerCase());
+}
+
+const NAME_CASES = {
+    kebab: words => words.join('-'),
+    snake: words => words.join('_'),
+    camel: words => words.map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1)).join(''),
+    pascal: words => words.map(word => word[0].toUpperCase() + word.slice(1)).join('')
+};
+
+function formatTokenName(segments, nameCase) {
+    return NAME_CASES[nameCase](splitWords(segments));
+}
+
+export {
+    parseDimension,
+    formatDimension,
+    scaleDimension,
+    convertDimension,
+    mapFontSize,
+    parseRgbColor,
+    formatTokenName
+};
@@ -0,0 +1,259 @@
+import { formatTokenName } from './TokenValues.js';
+
+const EXACT_REFERENCE_PATTERN = /^\{([^{}]+)\}$/;
+const DEPRECATION_REFERENCE_PATTERN = /\{([^{}]+)\}/;
+const SEMVER_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:[-+].*)?$/;
+const BUMP_ORDER = ['none', 'patch', 'minor', 'major'];
+
+const CHANGE_IMPACT = {
+    removed: 'major',
+    renamed: 'major',
+    'type-changed': 'major',
+    added: 'minor',
+    deprecated: 'minor',
+    'value-changed': 'patch'
+};
+
+const CHANGELOG_SECTIONS = [
+    ['Breaking changes', ['removed', 'renamed', 'type-changed']],
+    ['Added', ['added']],
+    ['Deprecated', ['deprecated']],
+    ['Changed values', ['value-changed']]
+];
+
+function flattenTokenSet(tokens) {
+    if (tokens instanceof Map && [...tokens.values()].every(value => value instanceof Map)) {
+        return new Map([...tokens.values()].flatMap(categoryTokens => [...categoryTokens]));
+    }
+    return new Map(tokens);
+}
+
+function describeDeprecation(token) {
+    const message = typeof token.deprecated === 'string' ? token.deprecated : null;
+    const pointer = message?.match(DEPRECATION_REFERENCE_PATTERN)
+        ?? (typeof token.originalValue === 'string' ? token.originalValue.match(EXACT_REFERENCE_PATTERN) : null);
+    return { message, replacement: pointer ? pointer[1].trim() : null };
+}
+
+function sameValue(first, second) {
+    return JSON.stringify(first) === JSON.stringify(second);
+}
+
+class TokenVersioningGovernance {
+    async analyzeRelease(previousTokens, nextTokens, { currentVersion = '0.0.0', releaseDate } = {}) {
+        const changes = this.compareTokenSets(previousTokens, nextTokens);
+        const deprecations = this.collectDeprecations(nextTokens);
+        const recommendedBump = this.recommendVersionBump(changes);
+        const nextVersion = this.incrementVersion(currentVersion, recommendedBump);
+        const possibleRenames = this.findPossibleRenames(changes);
+
+        return {
+            currentVersion,
+            nextVersion,
+            recommendedBump,
+            changes,
+            deprecations,
+            possibleRenames,
+            renameMap: this.createRenameMap(changes, deprecations),
+            changelog: this.generateChangelog(changes, { version: nextVersion, releaseDate, deprecations, possibleRenames })
+        };
+    }
+
+    compareTokenSets(previousTokens, nextTokens) {
+        const previous = flattenTokenSet(previousTokens);
+        const next = flattenTokenSet(nextTokens);
+        const changes = [];
+
+        for (const [path, token] of next) {
+            const earlier = previous.get(path);
+            if (!earlier) {
+                continue;
+            }
+            if (earlier.type !== token.type) {
+                changes.push({ kind: 'type-changed', path, before: earlier.type, after: token.type });
+            } else if (!sameValue(earlier.value, token.value)) {
+                changes.push({ kind: 'value-changed', path, type: token.type, before: earlier.value, after: token.value });
+            }
+            if (token.deprecated && !earlier.deprecated) {
+                const { message, replacement } = describeDeprecation(token);
+                changes.push({ kind: 'deprecated', path, type: token.type, message, replacement });
+            }
+        }
+
+        const removed = [...previous.keys()].filter(path => !next.has(path));
+        const added = new Set([...next.keys()].filter(path => !previous.has(path)));
+
+        for (const path of removed) {
+            const token = previous.get(path);
+            const replacement = this.#replacementFor(token, next);
+            if (replacement && added.has(replacement)) {
+                added.delete(replacement);
+                changes.push({ kind: 'renamed', path: replacement, previousPath: path, type: token.type, detectedBy: 'deprecation' });
+            } else {
+                changes.push({ kind: 'removed', path, type: token.type, before: token.value, replacement });
+            }
+        }
+        for (const path of added) {
+            const token = next.get(path);
+            changes.push({ kind: 'added', path, type: token.type, after: token.value });
+        }
+
+        return changes.sort((a, b) => (a.previousPath ?? a.path).localeCompare(b.previousPath ?? b.path) || a.kind.localeCompare(b.kind));
+    }
+
+    findPossibleRenames(changes) {
+        const added = changes.filter(change => change.kind === 'added');
+        const nameOf = path => path.split('.').pop();
+        return changes.filter(change => change.kind === 'removed' && !change.replacement).flatMap(removal => {
+            const candidates = added.filter(addition => addition.type === removal.type && sameValue(addition.after, removal.before));
+            const sameName = candidates.filter(candidate => nameOf(candidate.path) === nameOf(removal.path));
+            const [match] = candidates.length === 1 ? candidates : sameName;
+            if (!match || (candidates.length > 1 && sameName.length !== 1)) {
+                return [];
+            }
+            return [{ previousPath: removal.path, path: match.path, type: removal.type, detectedBy: 'matching-value' }];
+        });
+    }
+
+    recommendVersionBump(changes) {
+        return changes.reduce((bump, change) => {
+            const impact = CHANGE_IMPACT[change.kind] ?? 'patch';
+            return BUMP_ORDER.indexOf(impact) > BUMP_ORDER.indexOf(bump) ? impact : bump;
+        }, 'none');
+    }
+
+    incrementVersion(version, bump) {
+        const match = String(version).match(SEMVER_PATTERN);
+        if (!match) {
+            throw new RangeError(`'${version}' is not a semantic version (expected MAJOR.MINOR.PATCH)`);
+        }
+
+        const [major, minor, patch] = match.slice(1).map(Number);
+        switch (bump) {
+            case 'major':
+                return `${major + 1}.0.0`;
+            case 'minor':
+                return `${major}.${minor + 1}.0`;
+            case 'patch':
+                return `${major}.${minor}.${patch + 1}`;
+            case 'none':
+                return `${major}.${minor}.${patch}`;
+            default:
+                throw new RangeError(`Unknown version bump '${bump}' (expected one of: ${BUMP_ORDER.join(', ')})`);
+        }
+    }
+
+    collectDeprecations(tokens) {
+        return [...flattenTokenSet(tokens).values()]
+            .filter(token => token.deprecated)
+            .map(token => ({ path: token.path, type: token.type, ...describeDeprecation(token) }))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    validateDeprecations(tokens) {
+        const flatTokens = flattenTokenSet(tokens);
+        const issues = [];
+
+        for (const deprecation of this.collectDeprecations(flatTokens)) {
+            if (!deprecation.replacement) {
+                continue;
+            }
+            const replacement = flatTokens.get(deprecation.replacement);
+            const layer = flatTokens.get(deprecation.path).layer;
+            if (!replacement) {
+                issues.push({
+                    code: 'INVALID_DEPRECATION',
+                    tokenPath: deprecation.path,
+                    layer,
+                    referenceChain: [deprecation.replacement],
+                    message: `replacement token '${deprecation.replacement}' is not defined`
+                });
+            } else if (replacement.deprecated) {
+                issues.push({
+                    code: 'INVALID_DEPRECATION',
+                    tokenPath: deprecation.path,
+                    layer,
+                    referenceChain: [deprecation.replacement],
+                    message: `replacement token '${deprecation.replacement}' is itself deprecated`
+                });
+            }
+        }
+        return issues;
+    }
+
+    createRenameMap(changes, deprecations = []) {
+        const renames = new Map();
+        for (const deprecation of deprecations) {
+            if (deprecation.replacement) {
+                renames.set(deprecation.path, deprecation.replacement);
+            }
+        }
+        for (const change of changes) {
+            if (change.kind === 'renamed') {
+                renames.set(change.previousPath, change.path);
+            } else if (change.kind === 'removed' && change.replacement) {
+                renames.set(change.path, change.replacement);
+            }
+        }
+
+        const sorted = [...renames].sort(([a], [b]) => a.localeCompare(b));
+        const mapNames = nameOf => Object.fromEntries(sorted.map(([from, to]) => [nameOf(from.split('.')), nameOf(to.split('.'))]));
+        return {
+            tokens: Object.fromEntries(sorted),
+            css: mapNames(segments => `--${formatTokenName(segments, 'kebab')}`),
+            scss: mapNames(segments => `$${formatTokenName(segments, 'kebab')}`),
+            js: mapNames(segments => formatTokenName(segments, 'camel'))
+        };
+    }
+
+    generateChangelog(changes, { version = 'Unreleased', releaseDate, deprecations = [], possibleRenames = [] } = {}) {
+        const heading = releaseDate ? `## ${version} (${releaseDate})` : `## ${version}`;
+        const lines = [heading];
+
+        if (changes.length === 0) {
+            lines.push('', 'No token changes.');
+        }
+        for (const [title, kinds] of CHANGELOG_SECTIONS) {
+            const entries = changes.filter(change => kinds.includes(change.kind));
+            if (entries.length > 0) {
+                lines.push('', `### ${title}`, '', ...entries.map(change => `- ${this.#describeChange(change)}`));
+            }
+        }
+
+        const migrations = deprecations.filter(deprecation => deprecation.replacement);
+        if (migrations.length > 0) {
+            lines.push('', '### Migration', '', ...migrations.map(deprecation =>
+                `- Replace \`${deprecation.path}\` with \`${deprecation.replacement}\``));
+        }
+        if (possibleRenames.length > 0) {
+            lines.push('', '### Possible renames', '', ...possibleRenames.map(rename =>
+                `- \`${rename.previousPath}\` may have been renamed to \`${rename.path}\` (same value); confirm before migrating`));
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    #replacementFor(token, next) {
+        const { replacement } = token.deprecated ? describeDeprecation(token) : {};
+        return replacement && next.has(replacement) ? replacement : null;
+    }
+
+    #describeChange(change) {
+        const format = value => `\`${typeof value === 'string' ? value : JSON.stringify(value)}\``;
+        switch (change.kind) {
+            case 'removed':
+                return `Removed \`${change.path}\`${change.replacement ? `; use \`${change.replacement}\` instead` : ''}`;
+            case 'renamed':
+                return `Renamed \`${change.previousPath}\` to \`${change.path}\``;
+            case 'type-changed':
+                return `Changed type of \`${change.path}\` from ${change.before} to ${change.after}`;
+            case 'added':
+                return `Added \`${change.path}\` (${format(change.after)})`;
+            case 'deprecated':
+                return `Deprecated \`${change.path}\`${change.replacement ? `; use \`${change.replacement}\` instead` : ''}`;
+            default:
+                return `Changed \`${change.path}\` from ${format(change.before)} to ${format(change.after)}`;
+        }
+    }
+}
+
+export { describeDeprecation, TokenVersioningGovernance };
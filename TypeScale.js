@@ -0,0 +1,135 @@
+const FLUID_EXTENSION = 'com.aurora.fluid';
+
+const DEFAULT_STEPS = {
+    caption: -2,
+    'body-small': -1,
+    body: 0,
+    h6: 1,
+    h5: 2,
+    h4: 3,
+    h3: 4,
+    h2: 5,
+    h1: 6
+};
+
+const TRACKING_CURVE = { offset: -0.0223, amplitude: 0.185, decay: -0.1745 };
+const MINIMUM_LINE_HEIGHT_RATIO = 1.1;
+
+function round(value, digits = 3) {
+    return Number(value.toFixed(digits));
+}
+
+function opticalTracking(fontSize) {
+    return TRACKING_CURVE.offset + TRACKING_CURVE.amplitude * Math.exp(TRACKING_CURVE.decay * fontSize);
+}
+
+class ModularTypeScaleCalculator {
+    async calculateScale(typographySpec = {}, { scaleRatio = 1.25, baselineGrid = 8, opticalCompensation = true } = {}) {
+        if (!(scaleRatio > 1)) {
+            throw new RangeError(`Type scale ratio must be greater than 1 (received ${scaleRatio})`);
+        }
+
+        const baseSize = typographySpec.baseSize ?? 16;
+        const steps = Object.entries(typographySpec.steps ?? DEFAULT_STEPS).map(([name, step]) => {
+            const fontSize = Math.round(baseSize * scaleRatio ** step);
+            const targetRatio = Math.max(MINIMUM_LINE_HEIGHT_RATIO + 0.1, 1.5 - Math.max(0, step) * 0.06);
+            return {
+                name,
+                step,
+                fontSize,
+                lineHeight: this.#snapToBaseline(fontSize * targetRatio, fontSize, baselineGrid),
+                letterSpacing: opticalCompensation && fontSize > baseSize
+                    ? round(opticalTracking(fontSize) - opticalTracking(baseSize))
+                    : 0
+            };
+        });
+
+        return {
+            baseSize,
+            ratio: scaleRatio,
+            baseline: baselineGrid,
+            fontFamilies: {
+                body: typographySpec.fontFamily ?? ['system-ui', 'sans-serif'],
+                heading: typographySpec.headingFontFamily ?? typographySpec.fontFamily ?? ['system-ui', 'sans-serif']
+            },
+            steps
+        };
+    }
+
+    #snapToBaseline(lineHeight, fontSize, baselineGrid) {
+        const snapped = Math.round(lineHeight / baselineGrid) * baselineGrid;
+        return snapped >= fontSize * MINIMUM_LINE_HEIGHT_RATIO
+            ? snapped
+            : Math.ceil((fontSize * MINIMUM_LINE_HEIGHT_RATIO) / baselineGrid) * baselineGrid;
+    }
+}
+
+class TypographicHierarchyDesigner {
+    async designHierarchy(baseScale, { readabilityOptimization = false, responsiveBehavior, fontLoadingStrategy = 'swap' } = {}) {
+        const fluid = this.#normalizeResponsiveBehavior(responsiveBehavior, baseScale);
+        const roles = {};
+
+        for (const entry of baseScale.steps) {
+            const isHeading = entry.step > 0;
+            let lineHeight = entry.lineHeight;
+            if (readabilityOptimization && !isHeading && lineHeight < entry.fontSize * 1.5) {
+                lineHeight = Math.ceil((entry.fontSize * 1.5) / baseScale.baseline) * baseScale.baseline;
+            }
+
+            roles[entry.name] = {
+                fontFamily: isHeading ? 'heading' : 'body',
+                fontWeight: isHeading ? (entry.step >= 4 ? 700 : 600) : 400,
+                fontSize: entry.fontSize,
+                lineHeight,
+                letterSpacing: entry.letterSpacing,
+                fluidFontSize: fluid ? this.#fluidFontSize(entry, baseScale, fluid) : null
+            };
+        }
+
+        return {
+            baseSize: baseScale.baseSize,
+            ratio: baseScale.ratio,
+            baseline: baseScale.baseline,
+            fontFamilies: baseScale.fontFamilies,
+            fontDisplay: fontLoadingStrategy,
+            measure: readabilityOptimization ? '66ch' : null,
+            fluid,
+            roles
+        };
+    }
+
+    #normalizeResponsiveBehavior(responsiveBehavior, baseScale) {
+        const behavior = typeof responsiveBehavior === 'string' ? { strategy: responsiveBehavior } : responsiveBehavior;
+        if (!behavior || behavior.strategy !== 'fluid') {
+            return null;
+        }
+
+        const fluid = {
+            minViewport: behavior.minViewport ?? 360,
+            maxViewport: behavior.maxViewport ?? 1280,
+            minScaleRatio: behavior.minScaleRatio ?? Math.max(1.067, baseScale.ratio - 0.1),
+            remBase: behavior.remBase ?? 16
+        };
+        if (fluid.maxViewport <= fluid.minViewport) {
+            throw new RangeError('Fluid typography requires maxViewport to be greater than minViewport');
+        }
+        return fluid;
+    }
+
+    #fluidFontSize(entry, baseScale, { minViewport, maxViewport, minScaleRatio, remBase }) {
+        const minimum = baseScale.baseSize * minScaleRatio ** entry.step;
+        const maximum = entry.fontSize;
+        if (Math.abs(maximum - minimum) < 0.5) {
+            return null;
+        }
+
+        const [low, high] = minimum < maximum ? [minimum, maximum] : [maximum, minimum];
+        const slope = (maximum - minimum) / (maxViewport - minViewport);
+        const intercept = minimum - slope * minViewport;
+        const rem = value => `${round(value / remBase, 4)}rem`;
+        const viewportTerm = `${slope < 0 ? '-' : '+'} ${round(Math.abs(slope) * 100, 4)}vw`;
+        return `clamp(${rem(low)}, ${rem(intercept)} ${viewportTerm}, ${rem(high)})`;
+    }
+}
+
+export { FLUID_EXTENSION, ModularTypeScaleCalculator, TypographicHierarchyDesigner };
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AutomatedAccessibilityEnforcer } from '../AccessibilityEngine.js';
+
+const markup = `
+<h1>Title</h1><h3>Skipped</h3><h2></h2>
+<img src="a.png"><img src="b.png" alt="">
+<div role="buton">x</div><div role="checkbox">Agree</div>
+<button aria-pressed="maybe"></button><button aria-foo="1">Ok</button>
+<input id="email" type="email"><label for="nothing">Name</label>
+<p id="p1">a</p><p id="p1">b</p>
+<div style="background: #ffffff"><span style="color: #999">low</span></div>
+<div aria-hidden="true"><a href="/y">hidden link</a></div>
+`;
+
+async function audit(component, options = {}) {
+    return new AutomatedAccessibilityEnforcer().enforceAccessibility(component, { constraints: { autoFix: false }, ...options });
+}
+
+test('reports every rule violation with its severity and success criteria', async () => {
+    const { audit: report } = await audit({ name: 'Demo', version: '1.0.0', html: markup });
+
+    assert.deepEqual(report.findings.map(finding => [finding.severity, finding.ruleId, finding.selector]), [
+        ['critical', 'accessible-name', 'body > button:nth-of-type(1)'],
+        ['critical', 'aria-required-attr', 'body > div:nth-of-type(2)'],
+        ['critical', 'image-alt', 'body > img:nth-of-type(1)'],
+        ['critical', 'label', '#email'],
+        ['serious', 'aria-hidden-focus', 'body > div:nth-of-type(4) > a'],
+        ['serious', 'aria-valid-attr', 'body > button:nth-of-type(1)'],
+        ['serious', 'aria-valid-attr', 'body > button:nth-of-type(2)'],
+        ['serious', 'aria-valid-role', 'body > div:nth-of-type(1)'],
+        ['serious', 'color-contrast', 'body > div:nth-of-type(3) > span'],
+        ['serious', 'keyboard-unreachable', 'body > div:nth-of-type(2)'],
+        ['moderate', 'heading-order', 'body > h3'],
+        ['moderate', 'label-for-target', 'body > label'],
+        ['minor', 'duplicate-id', 'body > p:nth-of-type(2)'],
+        ['minor', 'empty-heading', 'body > h2']
+    ]);
+    assert.deepEqual(report.findings.find(finding => finding.ruleId === 'color-contrast').successCriteria.map(criterion => criterion.id), ['1.4.3']);
+    assert.equal(report.criteria['1.1.1'].outcome, 'fail');
+});
+
+test('fails only the severities over their thresholds', async () => {
+    const { audit: report } = await audit(markup, { severityThresholds: { critical: 4, serious: 2 } });
+
+    assert.deepEqual(report.summary, { minor: 2, moderate: 2, serious: 6, critical: 4 });
+    assert.deepEqual(report.breaches, [{ severity: 'serious', limit: 2, count: 6 }]);
+    assert.equal(report.passed, false);
+});
+
+test('passes accessible components and rejects unknown standards and severities', async () => {
+    const { audit: report } = await audit(({ document }) => {
+        const button = document.createElement('button');
+        button.textContent = 'Go';
+        return button;
+    }, { standards: ['WCAG_2_2_AAA'] });
+    assert.deepEqual(report.findings, []);
+    assert.equal(report.passed, true);
+
+    await assert.rejects(audit('<p>x</p>', { standards: ['WCAG_3_0_AA'] }), RangeError);
+    await assert.rejects(audit('<p>x</p>', { severityThresholds: { blocker: 0 } }), RangeError);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AutomatedAccessibilityEnforcer } from '../AccessibilityEngine.js';
+
+const tokens = { 'color.text.muted': '#aaaaaa', 'color.text.subtle': '#6b6b6b', 'color.text.default': '#1a1a1a' };
+
+async function remediate(html, options = {}) {
+    return new AutomatedAccessibilityEnforcer().enforceAccessibility({ name: 'Fixture', version: '1.0.0', html }, { tokens, ...options });
+}
+
+test('names controls from their own visible text or title only', async () => {
+    const result = await remediate(`
+<button><span aria-hidden="true">Close</span></button>
+<button title="Open menu"></button>
+<span>Volume</span><div role="slider" aria-valuenow="3" tabindex="0"></div>
+`);
+    const html = result.component.html;
+    assert.match(html, /<button aria-label="Close">/);
+    assert.match(html, /<button title="Open menu"><\/button>/);
+    assert.match(html, /<div role="slider" aria-valuenow="3" tabindex="0"><\/div>/);
+
+    const deferred = result.remediation.deferred.find(item => item.ruleId === 'accessible-name');
+    assert.equal(deferred.reason, 'no visible text or title to derive a name from');
+    assert.deepEqual(result.verification.findings.map(finding => finding.ruleId), ['accessible-name']);
+});
+
+test('links labels, exposes click targets and swaps failing text colors for tokens', async () => {
+    const result = await remediate(`
+<label>Email</label><input type="email" name="email">
+<div onclick="save()">Save</div>
+<div style="background: #ffffff"><span style="color: var(--color-text-muted)">Muted</span></div>
+`);
+    const html = result.component.html;
+    assert.match(html, /<label for="email">Email<\/label><input type="email" name="email" id="email">/);
+    assert.match(html, /<div onclick="save\(\)" role="button" tabindex="0" onkeydown="[^"]+">Save<\/div>/);
+    assert.match(html, /color: var\(--color-text-subtle\)/);
+    assert.deepEqual(result.remediation.summary, { automated: 3, deferred: 0, applied: 3, failed: 0 });
+    assert.deepEqual(result.verification.findings, []);
+});
+
+test('plans without patching when autoFix is disabled', async () => {
+    const result = await remediate('<img src="x.png"><button></button>', { constraints: { autoFix: false } });
+    assert.equal(result.remediation.summary.applied, 0);
+    assert.deepEqual(result.remediation.deferred.map(item => item.ruleId).sort(), ['accessible-name', 'image-alt']);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { AssistiveTechnologySimulator } from '../AssistiveTechnology.js';
+import { InclusiveDesignOrchestrator } from '../AccessibilityEngine.js';
+
+const accountSettings = `
+<header><nav aria-label="Primary"><ul><li><a href="/" aria-current="page">Home</a></li><li><a href="/docs">Docs</a></li><li><a href="/x">click here</a></li></ul></nav></header>
+<main>
+<h1>Account <span>settings</span></h1>
+<p>Update your <b>profile</b> details. <a href="/help" style="color:#d32f2f;text-decoration:none">Get help</a> any time.</p>
+<form aria-label="Profile">
+<label for="e">Email</label><input id="e" type="email" required aria-invalid="true" aria-describedby="eh" value="jane@x">
+<span id="eh">We never share it</span>
+<label><input type="checkbox" checked> Subscribe</label>
+<div role="switch" aria-checked="false" tabindex="0">Dark mode</div>
+<button aria-expanded="false" aria-haspopup="menu">Options</button>
+<input type="range" min="0" max="10" value="3" aria-label="Volume">
+<select aria-label="Country"><option>Norway</option><option selected>Peru</option></select>
+</form>
+<img src="a.png" alt="Chart of usage"><img src="b.png" alt=""><button><svg></svg></button>
+<table><tr><th>Plan</th><th>Price</th></tr><tr><td>Pro</td><td>$10</td></tr></table>
+<div style="width: 600px; white-space: nowrap">This is some long text that will not wrap at all under zoom</div>
+<div style="height: 40px; overflow: hidden">Clipped text</div>
+<p style="color:#2e7d32; background:#ffffff">Success</p><p style="color:#c62828">Error</p>
+<div role="tablist"><button role="tab" aria-selected="true">One</button><button role="tab" tabindex="-1">Two</button></div>
+</main>`;
+
+const profiles = [
+    { type: 'screen_reader' },
+    { type: 'keyboard_only' },
+    { type: 'low_vision' },
+    { type: 'color_vision_deficiency', deficiency: 'protanopia' }
+];
+
+async function matchSnapshot(name, actual) {
+    const file = new URL(`./snapshots/${name}`, import.meta.url);
+    if (process.env.UPDATE_SNAPSHOTS) {
+        await writeFile(file, actual);
+    }
+    assert.equal(actual, await readFile(file, 'utf8'), `snapshot ${name} is out of date; re-run with UPDATE_SNAPSHOTS=1 to accept the change`);
+}
+
+test('announces the component in browse mode', async () => {
+    const simulation = await new AssistiveTechnologySimulator().createSimulator().simulateExperience(accountSettings, { type: 'screen_reader' });
+    await matchSnapshot('account-settings.transcript.txt', `${simulation.transcript.join('\n')}\n`);
+});
+
+test('announces each stop of the tab sequence', async () => {
+    const simulation = await new AssistiveTechnologySimulator().createSimulator().simulateExperience(accountSettings, { type: 'screen_reader' });
+    await matchSnapshot('account-settings.focus.txt', `${simulation.focusTranscript.join('\n')}\n`);
+});
+
+test('scores the component for every profile', async () => {
+    const simulator = new AssistiveTechnologySimulator().createSimulator();
+    const results = [];
+    for (const profile of profiles) {
+        const { score, checks, issues } = await simulator.simulateExperience(accountSettings, profile);
+        results.push({ profile, score, checks, issues: issues.map(issue => `${issue.check}: ${issue.message}`) });
+    }
+    await matchSnapshot('account-settings.profiles.json', `${JSON.stringify(results, null, 2)}\n`);
+});
+
+test('infers the profile from the assistive technology and rejects unknown profiles', async () => {
+    const simulator = new AssistiveTechnologySimulator().createSimulator();
+
+    assert.deepEqual((await simulator.simulateExperience('<button>Go</button>', { assistiveTechnology: 'NVDA' })).profile, { type: 'screen_reader' });
+    await assert.rejects(simulator.simulateExperience('<button>Go</button>', {}), RangeError);
+    await assert.rejects(simulator.simulateExperience('<button>Go</button>', { type: 'haptic' }), RangeError);
+});
+
+test('summarizes the simulated profiles as inclusion metrics', async () => {
+    const result = await new InclusiveDesignOrchestrator().ensureInclusiveDesign(accountSettings, {
+        profiles: [{ type: 'screen_reader' }, { type: 'low_vision' }, { type: 'color_vision_deficiency', deficiency: 'protanopia' }]
+    });
+
+    assert.deepEqual(result.simulations.map(simulation => simulation.accessibilityScore), [92, 90, 96]);
+    assert.deepEqual(result.inclusionMetrics, {
+        score: 93,
+        lowestScore: 90,
+        profiles: { screen_reader: 92, low_vision: 90, color_vision_deficiency: 96 },
+        issues: { minor: 0, moderate: 2, serious: 3, critical: 1 }
+    });
+});
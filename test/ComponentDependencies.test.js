@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { HierarchicalTokenRegistry, RecursiveTokenResolver } from '../TokenHierarchy.js';
+import { ComponentContractEnforcement } from '../ComponentArchitecture.js';
+import { ComponentDependencyError, PerformanceBudgetError } from '../ComponentDependencies.js';
+
+async function baseTokens() {
+    const [spacing, color] = await Promise.all(['spacing', 'color'].map(async name =>
+        JSON.parse(await readFile(new URL(`../tokens/base/${name}.json`, import.meta.url), 'utf8'))));
+    const registry = new HierarchicalTokenRegistry().defineCategory('spacing').defineCategory('color');
+    return new RecursiveTokenResolver(registry).resolveHierarchy([{ name: 'base', tokens: { ...spacing, ...color } }]);
+}
+
+const button = {
+    name: 'Button',
+    componentType: 'primitive',
+    element: 'button',
+    props: {
+        tone: { type: 'token', token: 'color', default: '{color.brand.primary}' },
+        surface: { type: 'token', token: 'color' },
+        gap: { type: 'token', token: 'spacing', default: 'spacing.4' }
+    },
+    slots: { default: {} },
+    styles: { root: { color: '{props.tone}', padding: '{spacing.2}' } }
+};
+
+const dialog = {
+    name: 'Dialog',
+    componentType: 'compound',
+    dependencies: ['Button'],
+    slots: { default: {} },
+    subcomponents: { Footer: { slots: { default: {} } } }
+};
+
+test('records only concrete token paths as token dependencies', async () => {
+    const component = await new ComponentContractEnforcement().createComponent(button, { tokens: await baseTokens(), frameworks: ['react'] });
+
+    assert.deepEqual(component.dependencies.tokens.toSorted(), ['color.brand.primary', 'spacing.2', 'spacing.4']);
+    assert.equal(component.dependencies.edges.some(edge => edge.to === 'token:color' || edge.to === 'token:spacing'), false);
+});
+
+test('rejects components that close a dependency cycle', async () => {
+    const tokens = await baseTokens();
+    const enforcer = new ComponentContractEnforcement();
+    await enforcer.createComponent(button, { tokens, frameworks: ['react'] });
+    await enforcer.createComponent(dialog, { tokens, frameworks: ['react'] });
+
+    await assert.rejects(enforcer.createComponent({ ...button, dependencies: ['Dialog'] }, { tokens, frameworks: ['react'] }), error => {
+        assert.ok(error instanceof ComponentDependencyError);
+        assert.deepEqual(error.issues.map(issue => [issue.component, issue.code]), [['Button', 'DEPENDENCY_CYCLE']]);
+        assert.equal(error.message, 'Button: dependency cycle Button -> Dialog -> Button');
+        return true;
+    });
+});
+
+test('reports dependencies missing from the library', async () => {
+    const enforcer = new ComponentContractEnforcement();
+    await enforcer.createComponent(dialog, { tokens: await baseTokens(), frameworks: ['react'] });
+
+    await assert.rejects(enforcer.analyzeLibrary(), {
+        name: 'ComponentDependencyError',
+        issues: [{ component: 'Dialog', code: 'MISSING_DEPENDENCY', dependency: 'Button', message: "depends on 'Button', which is not part of the library" }]
+    });
+});
+
+test('fails components whose bundle exceeds the performance budget', async () => {
+    const enforcer = new ComponentContractEnforcement({ performanceBudgets: { default: { brotli: 100 } } });
+
+    await assert.rejects(enforcer.createComponent(button, { tokens: await baseTokens(), frameworks: ['react'] }), error => {
+        assert.ok(error instanceof PerformanceBudgetError);
+        assert.deepEqual(error.violations.map(violation => [violation.component, violation.framework, violation.metric, violation.budget]), [
+            ['Button', 'react', 'brotli', 100]
+        ]);
+        return true;
+    });
+});
+
+test('measures generated sources and lists the third-party packages they leave out', async () => {
+    const component = await new ComponentContractEnforcement().createComponent(button, { tokens: await baseTokens(), frameworks: ['react'] });
+    const { react } = component.performanceCharacteristics.bundle;
+
+    assert.deepEqual(react.own, react.transitive);
+    assert.ok(react.own.gzip > 0 && react.own.gzip < react.own.raw);
+    assert.ok(react.external.includes('react'));
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { HierarchicalTokenRegistry, RecursiveTokenResolver } from '../TokenHierarchy.js';
+import { AdvancedPropValidationEngine, createPropChecker } from '../ComponentSpecification.js';
+
+async function baseTokens() {
+    const [spacing, color] = await Promise.all(['spacing', 'color'].map(async name =>
+        JSON.parse(await readFile(new URL(`../tokens/base/${name}.json`, import.meta.url), 'utf8'))));
+    const registry = new HierarchicalTokenRegistry().defineCategory('spacing').defineCategory('color');
+    return new RecursiveTokenResolver(registry).resolveHierarchy([{ name: 'base', tokens: { ...spacing, ...color } }]);
+}
+
+function validate(spec, options = {}) {
+    return new AdvancedPropValidationEngine().createValidator(spec.componentType ?? 'primitive').validateSpecification(spec, options);
+}
+
+const button = {
+    name: 'Button',
+    componentType: 'primitive',
+    props: {
+        size: { type: 'enum', values: ['sm', 'md'], default: 'md' },
+        gap: { type: 'token', token: 'spacing', default: '{spacing.2}' },
+        label: { type: 'string', required: true }
+    },
+    events: { press: { cancelable: true } }
+};
+
+test('accepts a well-formed specification', async () => {
+    assert.deepEqual(await validate(button, { tokens: await baseTokens() }), { isValid: true, errors: [], warnings: [] });
+});
+
+test('reports invalid prop definitions by path', async () => {
+    const report = await validate({
+        ...button,
+        props: {
+            size: { type: 'enum', values: ['sm', 'md'], default: 'xl' },
+            gap: { type: 'token', token: 'spacing', default: '{color.brand.primary}' },
+            count: { type: 'number', min: 5, max: 1 },
+            kind: { type: 'shape' }
+        }
+    }, { tokens: await baseTokens() });
+
+    assert.equal(report.isValid, false);
+    assert.deepEqual(report.errors.map(error => error.path).sort(), ['props.count', 'props.gap.default', 'props.kind.type', 'props.size.default']);
+});
+
+test('rejects empty and malformed event names before deriving their handler prop', async () => {
+    const report = await validate({ ...button, events: { '': {}, 'value-change': {}, press: {} } });
+
+    assert.deepEqual(report.errors, [
+        { path: 'events.', message: 'event name "" must start with a letter and contain only letters and digits' },
+        { path: 'events.value-change', message: 'event name "value-change" must start with a letter and contain only letters and digits' }
+    ]);
+});
+
+test('rejects event handlers that collide with props', async () => {
+    const report = await validate({ ...button, props: { ...button.props, onPress: { type: 'function' } } });
+
+    assert.ok(report.errors.some(error => error.path === 'events.press' && error.message === "handler 'onPress' collides with a prop of the same name"));
+});
+
+test('checks runtime props against the contract', async () => {
+    const checkProps = createPropChecker(button, { tokens: await baseTokens() });
+
+    const valid = checkProps({ label: 'Save', onPress() {} });
+    assert.deepEqual(valid.errors, []);
+    assert.equal(valid.props.size, 'md');
+
+    const invalid = checkProps({ size: 'xl', gap: '{spacing.99}', extra: true });
+    assert.deepEqual(invalid.errors.map(error => error.path).sort(), ['extra', 'gap', 'label', 'size']);
+});
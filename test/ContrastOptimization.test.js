@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AutomatedContrastOptimizer, CONTRAST_EXTENSION } from '../ContrastOptimization.js';
+
+function themeWith(foreground, background, usage) {
+    return {
+        color: {
+            surface: { $type: 'color', $value: background },
+            link: { $type: 'color', $value: foreground, $extensions: { [CONTRAST_EXTENSION]: { on: ['color.surface'], usage } } }
+        }
+    };
+}
+
+test('repairs to the nearest passing hex instead of the lightness extreme', async () => {
+    const optimizer = new AutomatedContrastOptimizer().createOptimizer('AA');
+    const { optimizedTheme, metrics } = await optimizer.optimizeContrast(themeWith('#9bbbfe', '#f3f5fa', 'large-text'), { algorithm: 'apca', tolerance: 0.1 });
+
+    assert.equal(optimizedTheme.color.link.$value, '#6280bf');
+    assert.equal(metrics.failing, 0);
+    assert.ok(metrics.pairs[0].after >= 60 && metrics.pairs[0].after < 61);
+});
+
+test('leaves passing pairs untouched', async () => {
+    const optimizer = new AutomatedContrastOptimizer().createOptimizer('AA');
+    const { optimizedTheme, metrics } = await optimizer.optimizeContrast(themeWith('#1a1a1a', '#ffffff', 'text'));
+
+    assert.equal(optimizedTheme.color.link.$value, '#1a1a1a');
+    assert.deepEqual(metrics.adjustments, {});
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { HierarchicalTokenRegistry, RecursiveTokenResolver } from '../TokenHierarchy.js';
+import { DesignSystemGovernance } from '../ComponentArchitecture.js';
+
+async function consumerRepository(files) {
+    const root = await mkdtemp(join(tmpdir(), 'aurora-governance-'));
+    for (const [path, contents] of Object.entries(files)) {
+        await mkdir(join(root, path, '..'), { recursive: true });
+        await writeFile(join(root, path), contents);
+    }
+    return root;
+}
+
+test('suggests the replacement named by a deprecated token', async (t) => {
+    const tokens = await new RecursiveTokenResolver(new HierarchicalTokenRegistry().defineCategory('color')).resolveHierarchy([{
+        name: 'base',
+        tokens: {
+            color: {
+                $type: 'color',
+                brand: { $value: '#3355ff' },
+                legacy: { $value: '#3355ff', $deprecated: 'Use {color.brand} instead' },
+                old: { $value: '{color.brand}', $deprecated: true }
+            }
+        }
+    }]);
+    const root = await consumerRepository({
+        'package.json': JSON.stringify({ name: 'consumer' }),
+        'src/styles.css': '.a { color: var(--color-legacy); }\n.b { color: var(--color-old); }\n'
+    });
+    t.after(() => rm(root, { recursive: true, force: true }));
+
+    const result = await new DesignSystemGovernance().enforceDesignGovernance({ type: 'repository', root, tokens });
+    const deprecated = result.compliance.findings.filter(finding => finding.rule === 'deprecated-token');
+
+    assert.deepEqual(deprecated.map(finding => [finding.file, finding.line, finding.message, finding.suggestions]), [
+        ['src/styles.css', 1, "token 'color.legacy' is deprecated; use 'color.brand'", ['color.brand']],
+        ['src/styles.css', 2, "token 'color.old' is deprecated; use 'color.brand'", ['color.brand']]
+    ]);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConstraintBasedLayoutSolver } from '../ResponsiveLayout.js';
+
+const overConstrained = {
+    name: 'page',
+    breakpoints: { mobile: 320, desktop: 1024 },
+    regions: {
+        main: { width: { min: 400 } },
+        aside: { width: { min: 200, max: 300 } }
+    },
+    areas: {
+        mobile: ['main'],
+        desktop: ['main aside']
+    }
+};
+
+test('relaxed breakpoints keep the minmax() floor within the solved track width', async () => {
+    const solution = await new ConstraintBasedLayoutSolver().createSolver('grid').solve(overConstrained, { viewport: { width: 320 } });
+    const mobile = solution.breakpoints.find(breakpoint => breakpoint.name === 'mobile');
+
+    assert.equal(mobile.fallback, 'relax');
+    assert.deepEqual(mobile.columns, [320]);
+    assert.deepEqual(mobile.tracks.columns, ['minmax(320px, 1fr)']);
+    const baseRule = solution.css.slice(0, solution.css.indexOf('@media'));
+    assert.match(baseRule, /grid-template-columns: minmax\(320px, 1fr\);/);
+    assert.doesNotMatch(baseRule, /minmax\(400px/);
+});
+
+test('satisfied breakpoints keep the declared minimum as the minmax() floor', async () => {
+    const solution = await new ConstraintBasedLayoutSolver().createSolver('grid').solve(overConstrained, { viewport: { width: 1024 } });
+    const desktop = solution.breakpoints.find(breakpoint => breakpoint.name === 'desktop');
+
+    assert.equal(desktop.fallback, null);
+    assert.equal(desktop.tracks.columns[0], 'minmax(400px, 1fr)');
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { HierarchicalTokenRegistry, RecursiveTokenResolver } from '../TokenHierarchy.js';
+import { TokenFormatRegistry } from '../TokenExporters.js';
+
+async function readTokens(...files) {
+    return Promise.all(files.map(async file => JSON.parse(await readFile(new URL(`../tokens/${file}`, import.meta.url), 'utf8'))));
+}
+
+async function resolve(layers) {
+    const registry = new HierarchicalTokenRegistry().defineCategory('spacing').defineCategory('color');
+    return new RecursiveTokenResolver(registry).resolveHierarchy(layers);
+}
+
+async function baseTheme() {
+    const [spacing, color] = await readTokens('base/spacing.json', 'base/color.json');
+    return { name: 'light', tokens: await resolve([{ name: 'base', tokens: { ...spacing, ...color } }]) };
+}
+
+async function darkTheme(overrides = {}) {
+    const [spacing, color, dark] = await readTokens('base/spacing.json', 'base/color.json', 'themes/dark.json');
+    return {
+        name: 'dark',
+        mode: 'dark',
+        ...overrides,
+        tokens: await resolve([{ name: 'base', tokens: { ...spacing, ...color } }, { name: 'dark', tokens: dark }])
+    };
+}
+
+function cssBlock(contents, selector) {
+    const start = contents.indexOf(`${selector} {`);
+    return contents.slice(start, contents.indexOf('}', start) + 1);
+}
+
+test('css emits every alias in each theme block so it resolves against the theme values', async () => {
+    const { files } = new TokenFormatRegistry().get('css').format([await baseTheme(), await darkTheme()]);
+    const [{ contents }] = files;
+
+    assert.match(cssBlock(contents, ':root'), /--color-action-primary: var\(--color-brand-primary\);/);
+    assert.match(cssBlock(contents, ':root'), /--color-brand-primary: #3355ff;/);
+
+    const dark = cssBlock(contents, '[data-theme="dark"]');
+    assert.match(dark, /--color-action-primary: var\(--color-brand-primary\);/);
+    assert.match(dark, /--color-brand-primary: #6680ff;/);
+    assert.match(dark, /--spacing-inset-card: var\(--spacing-6\);/);
+    assert.doesNotMatch(dark, /--spacing-6:/);
+});
+
+test('esm rejects tokens whose export names collide', async () => {
+    const tokens = await resolve([{
+        name: 'base',
+        tokens: { spacing: { $type: 'dimension', '05': { $value: '2px' }, '0_5': { $value: '4px' }, 1: { $value: '8px' } } }
+    }]);
+    const esm = new TokenFormatRegistry().get('esm');
+
+    assert.throws(() => esm.format([{ name: 'light', tokens }]), {
+        name: 'TokenResolutionError',
+        issues: [{ code: 'EXPORT_NAME_COLLISION', tokenPath: 'spacing.05', message: "esm export name 'spacing05' is already used by 'spacing.0_5'" }]
+    });
+});
+
+test('esm exports each token and the theme trees', async () => {
+    const { files } = new TokenFormatRegistry().get('esm').format([await baseTheme(), await darkTheme()]);
+    const module = files.find(file => file.filename === 'tokens.js').contents;
+    const declarations = files.find(file => file.filename === 'tokens.d.ts').contents;
+
+    assert.match(module, /^export const colorActionPrimary = "#3355ff";$/m);
+    assert.match(module, /^export const spacingInsetCard = "24px";$/m);
+    assert.match(module, /^export const tokens = themes\["light"\];$/m);
+    assert.match(declarations, /^export type ThemeName = "light" \| "dark";$/m);
+    assert.match(declarations, /^export declare const colorBrandPrimary: "#3355ff";$/m);
+});
+
+test('android writes values-night for the dark mode theme whatever its name', async () => {
+    const android = new TokenFormatRegistry().get('android');
+    const { files, warnings } = android.format([await baseTheme(), await darkTheme({ name: 'midnight' })]);
+    const night = files.find(file => file.filename === 'values-night/colors.xml');
+
+    assert.match(night.contents, /<color name="color_brand_primary">#FF6680FF<\/color>/);
+    assert.doesNotMatch(night.contents, /color_brand_secondary/);
+    assert.deepEqual(warnings.filter(warning => warning.includes('theme')), []);
+
+    const unqualified = android.format([await baseTheme(), await darkTheme({ mode: undefined })]);
+    assert.equal(unqualified.files.some(file => file.filename.startsWith('values-night/')), false);
+    assert.ok(unqualified.warnings.includes("android: theme 'dark' has no resource qualifier and was skipped"));
+});
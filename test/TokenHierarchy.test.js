@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HierarchicalTokenRegistry, RecursiveTokenResolver, TokenResolutionError } from '../TokenHierarchy.js';
+
+function resolve(...layers) {
+    const registry = new HierarchicalTokenRegistry().defineCategory('color').defineCategory('spacing').defineCategory('elevation');
+    return new RecursiveTokenResolver(registry).resolveHierarchy(layers.map((tokens, index) => ({ name: `layer-${index}`, tokens })));
+}
+
+const base = {
+    color: {
+        $type: 'color',
+        brand: { primary: { $value: '#3355ff' }, accent: { $value: '{color.brand.primary}' } },
+        text: { default: { $value: '{color.brand.accent}' } }
+    },
+    spacing: { $type: 'dimension', md: { $value: '16px' }, gutter: { $value: '{spacing.md}' } },
+    elevation: {
+        card: { $type: 'shadow', $value: { color: '{color.brand.primary}', offsetX: '0px', offsetY: '2px', blur: '4px', spread: '0px' } }
+    }
+};
+
+test('resolves alias chains, inherited types and references inside composite values', async () => {
+    const tokens = await resolve(base);
+    const color = tokens.get('color');
+
+    assert.equal(color.get('color.text.default').value, '#3355ff');
+    assert.equal(color.get('color.text.default').type, 'color');
+    assert.equal(color.get('color.text.default').aliasOf, 'color.brand.primary');
+    assert.equal(tokens.get('spacing').get('spacing.gutter').value, '16px');
+    assert.equal(tokens.get('elevation').get('elevation.card').value.color, '#3355ff');
+});
+
+test('later layers override earlier ones and aliases follow the override', async () => {
+    const tokens = await resolve(base, { color: { brand: { primary: { $value: '#ff0000' } } } });
+    const color = tokens.get('color');
+
+    assert.equal(color.get('color.brand.primary').value, '#ff0000');
+    assert.equal(color.get('color.brand.primary').layer, 'layer-1');
+    assert.equal(color.get('color.brand.accent').value, '#ff0000');
+    assert.equal(color.get('color.text.default').value, '#ff0000');
+});
+
+test('reports cycles, missing references and references to groups together', async () => {
+    await assert.rejects(resolve({
+        a: { $value: '{b}' },
+        b: { $value: '{a}' },
+        c: { $value: '{nope.x}' },
+        d: { $value: '{color}' },
+        color: { x: { $type: 'color', $value: '#ffffff' } }
+    }), error => {
+        assert.ok(error instanceof TokenResolutionError);
+        assert.deepEqual(error.issues.map(issue => [issue.code, issue.tokenPath]), [
+            ['CIRCULAR_REFERENCE', 'b'],
+            ['MISSING_REFERENCE', 'c'],
+            ['INVALID_REFERENCE', 'd']
+        ]);
+        assert.equal(error.message, [
+            'b: circular reference a -> b -> a',
+            'c: reference {nope.x} does not match any token',
+            'd: reference {color} points to a group, not a token'
+        ].join('\n'));
+        return true;
+    });
+});
+
+test('rejects token names that cannot be referenced', async () => {
+    await assert.rejects(resolve({ color: { 'brand.primary': { $type: 'color', $value: '#3355ff' } } }), {
+        name: 'TokenResolutionError',
+        issues: [{ code: 'INVALID_NAME', tokenPath: 'color.brand.primary', layer: 'layer-0', message: "token and group names may not contain '{', '}' or '.'" }]
+    });
+});
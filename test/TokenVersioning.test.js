@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HierarchicalTokenRegistry, RecursiveTokenResolver } from '../TokenHierarchy.js';
+import { TokenVersioningGovernance } from '../TokenVersioning.js';
+
+async function resolve(tokens) {
+    const registry = new HierarchicalTokenRegistry().defineCategory('color').defineCategory('spacing');
+    return new RecursiveTokenResolver(registry).resolveHierarchy([{ name: 'base', tokens }]);
+}
+
+const previous = {
+    color: {
+        $type: 'color',
+        brand: { $value: '#3355ff' },
+        accent: { $value: '#7a3cff' },
+        link: { $value: '#0055cc' },
+        danger: { $value: '#d92d20' },
+        muted: { $value: '#667085' }
+    },
+    spacing: { $type: 'dimension', sm: { $value: '8px' } }
+};
+
+const next = {
+    color: {
+        $type: 'color',
+        primary: { $value: '#3355ff' },
+        brand: { $value: '#3355ff', $deprecated: 'Use {color.primary} instead' },
+        highlight: { $value: '#7a3cff' },
+        danger: { $value: '#b42318' },
+        muted: { $value: '#667085' }
+    },
+    spacing: { $type: 'dimension', sm: { $value: '8px' }, md: { $value: '16px' } }
+};
+
+test('classifies additions, removals, value changes, deprecations and value-matched renames', async () => {
+    const report = await new TokenVersioningGovernance().analyzeRelease(await resolve(previous), await resolve(next), { currentVersion: '1.4.0' });
+
+    assert.deepEqual(report.changes.map(change => [change.kind, change.previousPath ?? change.path]), [
+        ['removed', 'color.accent'],
+        ['deprecated', 'color.brand'],
+        ['value-changed', 'color.danger'],
+        ['added', 'color.highlight'],
+        ['removed', 'color.link'],
+        ['added', 'color.primary'],
+        ['added', 'spacing.md']
+    ]);
+    assert.equal(report.recommendedBump, 'major');
+    assert.equal(report.nextVersion, '2.0.0');
+    assert.deepEqual(report.possibleRenames, [{ previousPath: 'color.accent', path: 'color.highlight', type: 'color', detectedBy: 'matching-value' }]);
+    assert.deepEqual(report.renameMap.tokens, { 'color.brand': 'color.primary' });
+    assert.deepEqual(report.renameMap.css, { '--color-brand': '--color-primary' });
+});
+
+test('renames only to tokens added in the release and keeps other replacements as migration paths', async () => {
+    const versioning = new TokenVersioningGovernance();
+    const deprecated = await resolve({
+        color: {
+            $type: 'color',
+            primary: { $value: '#3355ff' },
+            brand: { $value: '#3355ff', $deprecated: 'Use {color.primary} instead' },
+            old: { $value: '#000000', $deprecated: 'Use {color.ink} instead' }
+        }
+    });
+    const released = await resolve({
+        color: { $type: 'color', primary: { $value: '#3355ff' }, ink: { $value: '#101828' } }
+    });
+
+    const report = await versioning.analyzeRelease(deprecated, released, { currentVersion: '2.0.0' });
+    assert.deepEqual(report.changes, [
+        { kind: 'removed', path: 'color.brand', type: 'color', before: '#3355ff', replacement: 'color.primary' },
+        { kind: 'renamed', path: 'color.ink', previousPath: 'color.old', type: 'color', detectedBy: 'deprecation' }
+    ]);
+    assert.deepEqual(report.renameMap.tokens, { 'color.brand': 'color.primary', 'color.old': 'color.ink' });
+    assert.deepEqual(report.possibleRenames, []);
+    assert.match(report.changelog, /- Removed `color\.brand`; use `color\.primary` instead/);
+    assert.match(report.changelog, /- Renamed `color\.old` to `color\.ink`/);
+});
+
+test('writes a changelog entry grouped by impact', async () => {
+    const report = await new TokenVersioningGovernance().analyzeRelease(await resolve(previous), await resolve(next), {
+        currentVersion: '1.4.0',
+        releaseDate: '2026-10-19'
+    });
+
+    assert.match(report.changelog, /^## 2\.0\.0 \(2026-10-19\)\n\n### Breaking changes\n\n- Removed `color\.accent`\n- Removed `color\.link`\n/);
+    assert.match(report.changelog, /### Added\n\n- Added `color\.highlight` \(`#7a3cff`\)\n- Added `color\.primary` \(`#3355ff`\)\n- Added `spacing\.md` \(`16px`\)\n/);
+    assert.match(report.changelog, /### Deprecated\n\n- Deprecated `color\.brand`; use `color\.primary` instead\n/);
+    assert.match(report.changelog, /### Changed values\n\n- Changed `color\.danger` from `#d92d20` to `#b42318`\n/);
+    assert.match(report.changelog, /### Migration\n\n- Replace `color\.brand` with `color\.primary`\n/);
+    assert.match(report.changelog, /### Possible renames\n\n- `color\.accent` may have been renamed to `color\.highlight`/);
+});